@@ -0,0 +1,19 @@
+import express from 'express';
+import { getOddsQuotaStatus } from '../services/oddsApiClient.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/odds-quota
+ * The Odds API credits (from response headers), budget state and shared cache stats
+ */
+router.get('/odds-quota', (req, res) => {
+  try {
+    res.json(getOddsQuotaStatus());
+  } catch (error) {
+    console.error('Error fetching odds quota status:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch odds quota status' });
+  }
+});
+
+export { router as adminRoutes };
@@ -0,0 +1,49 @@
+import express from 'express';
+import { getSlatePropLines } from '../services/slatePropsService.js';
+import { findArbitrage, findMiddles } from '../services/arbitrageService.js';
+import { resolvePropId } from '../utils/propRegistry.js';
+
+const router = express.Router();
+
+const DEFAULT_BANKROLL = 100;
+
+/**
+ * GET /api/arbs
+ * Cross-book arbitrage and middles on player props across the slate
+ * (uses the trending props odds, refreshed every 5 minutes)
+ * Query: bankroll (total stake per opportunity, default 100), type (arbitrage | middle),
+ *        prop_type, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const bankroll = parseFloat(req.query.bankroll);
+    const limit = parseInt(req.query.limit, 10);
+    const stake = Number.isFinite(bankroll) && bankroll > 0 ? bankroll : DEFAULT_BANKROLL;
+    const max = Number.isFinite(limit) && limit > 0 ? limit : 50;
+    const type = req.query.type || null;
+
+    let propLines = await getSlatePropLines();
+    if (req.query.prop_type) {
+      const propId = resolvePropId(req.query.prop_type);
+      if (!propId) {
+        return res.status(400).json({ error: `Unknown prop type "${req.query.prop_type}"` });
+      }
+      propLines = propLines.filter(propLine => propLine.propType === propId);
+    }
+
+    const arbitrage = type === 'middle' ? [] : findArbitrage(propLines, { bankroll: stake }).slice(0, max);
+    const middles = type === 'arbitrage' ? [] : findMiddles(propLines, { bankroll: stake }).slice(0, max);
+
+    res.json({
+      bankroll: stake,
+      props_scanned: propLines.length,
+      arbitrage,
+      middles
+    });
+  } catch (error) {
+    console.error('Error finding arbitrage:', error);
+    res.status(500).json({ error: error.message || 'Failed to find arbitrage opportunities' });
+  }
+});
+
+export { router as arbRoutes };
@@ -0,0 +1,38 @@
+import express from 'express';
+import { runBacktest } from '../services/backtestService.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/backtest
+ * Replay historical games through the prediction pipeline
+ * Body: { players: string[], start_date, end_date, prop_types?: string[], model?: string }
+ * Historical lines come from BACKTEST_LINES_FILE (or backend/data/historical_lines.json), never from the request.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { players, start_date, end_date, prop_types, model } = req.body || {};
+
+    if (!Array.isArray(players) || players.length === 0) {
+      return res.status(400).json({ error: 'players must be a non-empty array of player names' });
+    }
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required (YYYY-MM-DD)' });
+    }
+
+    const report = await runBacktest({
+      players,
+      startDate: start_date,
+      endDate: end_date,
+      propTypes: Array.isArray(prop_types) && prop_types.length > 0 ? prop_types : ['points'],
+      model: model || 'local'
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error running backtest:', error);
+    res.status(500).json({ error: error.message || 'Failed to run backtest' });
+  }
+});
+
+export { router as backtestRoutes };
@@ -0,0 +1,71 @@
+import express from 'express';
+import {
+  getBankrollSettings,
+  validateBankrollSettings,
+  updateBankrollSettings,
+  recommendStakes
+} from '../services/bankrollService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/bankroll
+ * Saved bankroll and staking settings
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(getBankrollSettings());
+  } catch (error) {
+    console.error('Error fetching bankroll settings:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch bankroll settings' });
+  }
+});
+
+/**
+ * PUT /api/bankroll
+ * Update any of: bankroll, kelly_fraction, max_game_exposure, max_player_exposure,
+ * same_player_correlation (fractions are 0-1)
+ */
+router.put('/', (req, res) => {
+  try {
+    const validationError = validateBankrollSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    res.json(updateBankrollSettings(req.body));
+  } catch (error) {
+    console.error('Error saving bankroll settings:', error);
+    res.status(500).json({ error: error.message || 'Failed to save bankroll settings' });
+  }
+});
+
+/**
+ * POST /api/bankroll/stakes
+ * Recommended Kelly stakes for a slip of props
+ * Body: { selections: [{ player, prop_type, side, line, odds, probability (0-1), push_probability,
+ *                        bookmaker, event_id, game }], settings (optional overrides) }
+ */
+router.post('/stakes', (req, res) => {
+  try {
+    const { selections, settings = {} } = req.body || {};
+    if (!Array.isArray(selections)) {
+      return res.status(400).json({ error: 'selections must be an array' });
+    }
+    const invalid = selections.find(selection => !selection?.player || selection.odds == null ||
+      !(Number(selection.probability) >= 0 && Number(selection.probability) <= 1));
+    if (invalid) {
+      return res.status(400).json({ error: 'Each selection needs player, odds and a probability between 0 and 1' });
+    }
+    const validationError = validateBankrollSettings(settings);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(recommendStakes(selections, settings));
+  } catch (error) {
+    console.error('Error sizing stakes:', error);
+    res.status(500).json({ error: error.message || 'Failed to size stakes' });
+  }
+});
+
+export { router as bankrollRoutes };
@@ -0,0 +1,182 @@
+import express from 'express';
+import {
+  BET_STATUSES,
+  createBet,
+  getBet,
+  listBets,
+  settleBet,
+  deleteBet,
+  settlePendingBets,
+  getBetPnl,
+  exportBetsCsv,
+  importBetsCsv
+} from '../services/betTrackerService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/bets
+ * List tracked bets (newest first)
+ * Query: status, player, prop_type, bookmaker, from, to (YYYY-MM-DD), limit
+ */
+router.get('/', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10);
+    const bets = listBets({
+      status: req.query.status || null,
+      player: req.query.player || null,
+      prop_type: req.query.prop_type || null,
+      bookmaker: req.query.bookmaker || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 500
+    });
+    res.json({ count: bets.length, bets });
+  } catch (error) {
+    console.error('Error listing bets:', error);
+    res.status(500).json({ error: error.message || 'Failed to list bets' });
+  }
+});
+
+/**
+ * POST /api/bets
+ * Track a bet
+ * Body: { player_name, prop_type, line, side, odds, stake, bookmaker, game_date, event_id,
+ *         predicted_value, model_probability, confidence, prediction_id, notes }
+ * The model prediction is looked up from tracked predictions when not sent.
+ */
+router.post('/', (req, res) => {
+  try {
+    const { bet, error } = createBet(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json(bet);
+  } catch (error) {
+    console.error('Error creating bet:', error);
+    res.status(500).json({ error: error.message || 'Failed to create bet' });
+  }
+});
+
+/**
+ * GET /api/bets/pnl
+ * Profit and loss of settled bets: ROI, units, and breakdowns by prop, book, confidence and month
+ * Query: unit_size (default 1% of the saved bankroll)
+ */
+router.get('/pnl', (req, res) => {
+  try {
+    const unitSize = parseFloat(req.query.unit_size);
+    res.json(getBetPnl({ unitSize: Number.isFinite(unitSize) ? unitSize : null }));
+  } catch (error) {
+    console.error('Error computing bet P&L:', error);
+    res.status(500).json({ error: error.message || 'Failed to compute P&L' });
+  }
+});
+
+/**
+ * GET /api/bets/export
+ * Download every bet as CSV
+ */
+router.get('/export', (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="hoopforecast_bets_${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(exportBetsCsv());
+  } catch (error) {
+    console.error('Error exporting bets:', error);
+    res.status(500).json({ error: error.message || 'Failed to export bets' });
+  }
+});
+
+/**
+ * POST /api/bets/import
+ * Import bets from CSV, sent as text/csv or as JSON { csv: "..." }
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'CSV content is required (text/csv body or { csv })' });
+    }
+    res.json(importBetsCsv(content));
+  } catch (error) {
+    console.error('Error importing bets:', error);
+    res.status(400).json({ error: error.message || 'Failed to import bets' });
+  }
+});
+
+/**
+ * POST /api/bets/settle
+ * Settle every pending bet whose game has been played, from NBA.com game logs
+ */
+router.post('/settle', async (req, res) => {
+  try {
+    const results = await settlePendingBets();
+    res.json({
+      success: true,
+      ...results,
+      message: `Settlement complete: ${results.settled} settled, ${results.failed} failed, ${results.skipped} skipped`
+    });
+  } catch (error) {
+    console.error('Error settling bets:', error);
+    res.status(500).json({ error: error.message || 'Failed to settle bets' });
+  }
+});
+
+/**
+ * GET /api/bets/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const bet = getBet(req.params.id);
+    if (!bet) {
+      return res.status(404).json({ error: 'Bet not found' });
+    }
+    res.json(bet);
+  } catch (error) {
+    console.error('Error fetching bet:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch bet' });
+  }
+});
+
+/**
+ * POST /api/bets/:id/settle
+ * Settle one bet by hand
+ * Body: { actual_value: number } or { result: 'win' | 'loss' | 'push' | 'void' }
+ */
+router.post('/:id/settle', (req, res) => {
+  try {
+    const { actual_value: actualValue, result } = req.body || {};
+    const hasActual = typeof actualValue === 'number' && actualValue >= 0;
+    const settledResults = BET_STATUSES.filter(status => status !== 'pending');
+    if (!hasActual && !settledResults.includes(result)) {
+      return res.status(400).json({ error: `actual_value (non-negative number) or result (${settledResults.join(', ')}) is required` });
+    }
+
+    const bet = settleBet(req.params.id, hasActual ? { actual_value: actualValue } : { result });
+    if (!bet) {
+      return res.status(404).json({ error: 'Bet not found' });
+    }
+    res.json(bet);
+  } catch (error) {
+    console.error('Error settling bet:', error);
+    res.status(500).json({ error: error.message || 'Failed to settle bet' });
+  }
+});
+
+/**
+ * DELETE /api/bets/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteBet(req.params.id)) {
+      return res.status(404).json({ error: 'Bet not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting bet:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete bet' });
+  }
+});
+
+export { router as betRoutes };
@@ -0,0 +1,53 @@
+import express from 'express';
+import { getEdges, refreshEdges } from '../services/edgeScannerService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/edges
+ * Ranked +EV edges from the latest slate scan (computed by the background scanner)
+ * Query: prop_type, min_edge (EV %), bookmaker, team, game (event id or team), limit
+ */
+router.get('/', (req, res) => {
+  try {
+    const minEdge = parseFloat(req.query.min_edge);
+    const limit = parseInt(req.query.limit, 10);
+    const filters = {
+      propType: req.query.prop_type || null,
+      minEdge: Number.isFinite(minEdge) ? minEdge : null,
+      bookmaker: req.query.bookmaker || null,
+      team: req.query.team || null,
+      game: req.query.game || null,
+      limit: Number.isFinite(limit) ? limit : 50
+    };
+    let result = getEdges(filters);
+
+    // Nothing scanned yet (scanner disabled or first run pending): start one in the background
+    if (!result.generated_at && !result.scanning) {
+      refreshEdges();
+      result = getEdges(filters);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching edges:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch edges' });
+  }
+});
+
+/**
+ * POST /api/edges/refresh
+ * Start a new slate scan (no-op while one is running); the result lands in GET /api/edges
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    refreshEdges();
+    const { scanning, scan_started_at: scanStartedAt } = getEdges({ limit: 0 });
+    res.status(scanning ? 202 : 200).json({ scanning, scan_started_at: scanStartedAt });
+  } catch (error) {
+    console.error('Error starting edge scan:', error);
+    res.status(500).json({ error: error.message || 'Failed to start edge scan' });
+  }
+});
+
+export { router as edgeRoutes };
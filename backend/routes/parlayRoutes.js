@@ -0,0 +1,31 @@
+import express from 'express';
+import { priceParlayLegs } from '../services/parlayService.js';
+import { americanToDecimal } from '../utils/oddsMath.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/parlay/price
+ * Joint hit probability and EV of a (same-game) parlay, with leg correlations from the game logs
+ * Body: { legs: [{ player, prop_type, side, line, odds?, probability? }], parlay_odds? }
+ * parlay_odds is the book's American price for the parlay (default: the legs' odds multiplied)
+ */
+router.post('/price', async (req, res) => {
+  try {
+    const { legs, parlay_odds: parlayOdds } = req.body || {};
+    if (parlayOdds != null && americanToDecimal(parlayOdds) == null) {
+      return res.status(400).json({ error: 'parlay_odds must be American odds' });
+    }
+
+    const result = await priceParlayLegs(legs, { parlayOdds });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error pricing parlay:', error);
+    res.status(500).json({ error: error.message || 'Failed to price parlay' });
+  }
+});
+
+export { router as parlayRoutes };
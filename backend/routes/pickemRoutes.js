@@ -0,0 +1,102 @@
+import express from 'express';
+import { getPickemLines } from '../services/edgeScannerService.js';
+import { priceEntryLegs, recommendEntries, MIN_PICKS, MAX_PICKS } from '../services/pickemService.js';
+import { PICKEM_PLATFORMS, ENTRY_TYPES } from '../utils/pickemPayouts.js';
+import { resolvePropId } from '../utils/propRegistry.js';
+
+const router = express.Router();
+
+const DEFAULT_PLATFORM = 'prizepicks';
+
+/**
+ * GET /api/pickem/payouts
+ * Platforms and their power / flex payout tables
+ */
+router.get('/payouts', (req, res) => {
+  res.json({
+    entry_types: ENTRY_TYPES,
+    platforms: Object.entries(PICKEM_PLATFORMS).map(([id, config]) => ({
+      id,
+      name: config.name,
+      min_teams: config.minTeams,
+      power: config.power,
+      flex: config.flex
+    }))
+  });
+});
+
+/**
+ * GET /api/pickem/lines
+ * Today's pick'em lines with the model's probability per side (from the latest edge scan)
+ * Query: platform (default prizepicks), prop_type
+ */
+router.get('/lines', (req, res) => {
+  try {
+    const platform = req.query.platform || DEFAULT_PLATFORM;
+    if (!PICKEM_PLATFORMS[platform]) {
+      return res.status(400).json({ error: `Unknown platform. Use one of: ${Object.keys(PICKEM_PLATFORMS).join(', ')}` });
+    }
+    const result = getPickemLines(platform);
+    const propId = req.query.prop_type ? resolvePropId(req.query.prop_type) : null;
+    const lines = propId ? result.lines.filter(line => line.prop_type === propId) : result.lines;
+    res.json({ platform, ...result, count: lines.length, lines });
+  } catch (error) {
+    console.error('Error fetching pick\'em lines:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch pick\'em lines' });
+  }
+});
+
+/**
+ * GET /api/pickem/recommendations
+ * Best-EV entries from today's pick'em lines, priced with leg correlations
+ * Query: platform (default prizepicks), entry_type (power | flex), size (2-6), prop_type, limit
+ */
+router.get('/recommendations', async (req, res) => {
+  try {
+    const platform = req.query.platform || DEFAULT_PLATFORM;
+    if (!PICKEM_PLATFORMS[platform]) {
+      return res.status(400).json({ error: `Unknown platform. Use one of: ${Object.keys(PICKEM_PLATFORMS).join(', ')}` });
+    }
+    const entryType = req.query.entry_type || null;
+    if (entryType && !ENTRY_TYPES.includes(entryType)) {
+      return res.status(400).json({ error: `Unknown entry type. Use one of: ${ENTRY_TYPES.join(', ')}` });
+    }
+    const size = req.query.size != null ? parseInt(req.query.size, 10) : null;
+    if (size != null && !(size >= MIN_PICKS && size <= MAX_PICKS)) {
+      return res.status(400).json({ error: `size must be between ${MIN_PICKS} and ${MAX_PICKS}` });
+    }
+    const limit = parseInt(req.query.limit, 10);
+
+    res.json(await recommendEntries({
+      platform,
+      entryTypes: entryType ? [entryType] : ENTRY_TYPES,
+      sizes: size ? [size] : undefined,
+      propType: req.query.prop_type ? resolvePropId(req.query.prop_type) : null,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 10
+    }));
+  } catch (error) {
+    console.error('Error recommending pick\'em entries:', error);
+    res.status(500).json({ error: error.message || 'Failed to recommend pick\'em entries' });
+  }
+});
+
+/**
+ * POST /api/pickem/price
+ * Payout probability and EV of one entry
+ * Body: { platform, entry_type, legs: [{ player, team?, prop_type, side, line, probability? }] }
+ */
+router.post('/price', async (req, res) => {
+  try {
+    const { platform = DEFAULT_PLATFORM, entry_type: entryType = 'power', legs } = req.body || {};
+    const result = await priceEntryLegs(legs, { platform, entryType });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error pricing pick\'em entry:', error);
+    res.status(500).json({ error: error.message || 'Failed to price pick\'em entry' });
+  }
+});
+
+export { router as pickemRoutes };
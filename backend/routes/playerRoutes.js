@@ -12,25 +12,41 @@ import {
   createGamesHash 
 } from '../services/databaseService.js';
 import { getImageUrl, imageExists } from '../services/imageStorageService.js';
-import { 
-  getAccuracyStats, 
-  updatePredictionOutcome, 
-  getPendingEvaluations,
-  exportForFineTuning 
-} from '../services/predictionTrackingService.js';
-import { 
-  evaluatePendingPredictions,
-  evaluatePredictionById,
-  evaluatePredictionByGame
-} from '../services/predictionEvaluationService.js';
-import axios from 'axios';
+import { getNbaEvents, getEventOdds, isOddsApiConfigured } from '../services/oddsApiClient.js';
+import { annotateGamesWithSchedule } from '../services/scheduleContextService.js';
+import { resolvePropId } from '../utils/propRegistry.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const router = express.Router();
-const THE_ODDS_API_KEY = process.env.THE_ODDS_API_KEY || process.env.ODDS_API_KEY;
-const THE_ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
+
+/**
+ * Injury reports for both teams in a matchup (null when neither team has injuries)
+ * Needs the opponent, so call it after the Odds API game info has set nextGame.
+ */
+async function getInjuryData(teamAbbrev, nextGame) {
+  if (!teamAbbrev || teamAbbrev === 'N/A' || !nextGame?.opponent) {
+    return null;
+  }
+
+  try {
+    const { getMatchupInjuries } = await import('../services/injuryService.js');
+    const matchupInjuries = await getMatchupInjuries(teamAbbrev, nextGame.opponent, nextGame.eventId || null);
+    if (!matchupInjuries.hasPlayerTeamInjuries && !matchupInjuries.hasOpponentInjuries) {
+      return null;
+    }
+    return {
+      playerTeamInjuries: matchupInjuries.playerTeamInjuries,
+      opponentInjuries: matchupInjuries.opponentInjuries,
+      playerTeamAbbrev: teamAbbrev,
+      opponentAbbrev: nextGame.opponent
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not fetch injury data:', error.message);
+    return null;
+  }
+}
 
 /**
  * GET /api/player/with-lines
@@ -38,7 +54,7 @@ const THE_ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
  */
 router.get('/with-lines', async (req, res) => {
   try {
-    if (!THE_ODDS_API_KEY) {
+    if (!isOddsApiConfigured()) {
       return res.json([]); // Return empty if no API key
     }
 
@@ -51,17 +67,13 @@ router.get('/with-lines', async (req, res) => {
 
     console.log('📊 Fetching players with betting lines from API...');
 
-    // Step 1: Get all NBA events
-    const eventsResponse = await axios.get(`${THE_ODDS_API_BASE}/sports/basketball_nba/events`, {
-      params: { apiKey: THE_ODDS_API_KEY },
-      timeout: 15000
-    });
-
-    if (!eventsResponse.data || !Array.isArray(eventsResponse.data)) {
+    // Step 1: Get all NBA events (shared with the other Odds API callers)
+    const allEvents = await getNbaEvents();
+    if (allEvents.length === 0) {
       return res.json([]);
     }
 
-    const events = eventsResponse.data.slice(0, 10); // Limit to first 10 events to avoid too many API calls
+    const events = allEvents.slice(0, 10); // Limit to first 10 events to avoid too many API calls
     console.log(`📋 Found ${events.length} events, checking for player props...`);
 
     const playersWithLines = [];
@@ -70,34 +82,24 @@ router.get('/with-lines', async (req, res) => {
     // Step 2: For each event, get player props (collect players first, images later)
     for (const event of events) {
       try {
-        const oddsResponse = await axios.get(
-          `${THE_ODDS_API_BASE}/sports/basketball_nba/events/${event.id}/odds`,
-          {
-            params: {
-              apiKey: THE_ODDS_API_KEY,
-              regions: 'us',
-              markets: 'player_points',
-              oddsFormat: 'american'
-            },
-            timeout: 10000
-          }
-        );
+        // Shared per-event odds (the same response feeds trending props and player odds)
+        const eventOdds = await getEventOdds(event.id, ['player_points']);
 
-        if (!oddsResponse.data) {
+        if (!eventOdds) {
           console.log(`⚠️ No data for event ${event.id}`);
           continue;
         }
 
-        if (!oddsResponse.data.bookmakers || oddsResponse.data.bookmakers.length === 0) {
+        if (!eventOdds.bookmakers || eventOdds.bookmakers.length === 0) {
           console.log(`⚠️ No bookmakers for event ${event.id} (${event.home_team} vs ${event.away_team})`);
           continue;
         }
 
-        console.log(`📊 Event ${event.id}: Found ${oddsResponse.data.bookmakers.length} bookmakers`);
+        console.log(`📊 Event ${event.id}: Found ${eventOdds.bookmakers.length} bookmakers`);
 
         // Extract players from bookmakers
         let playersFoundInEvent = 0;
-        for (const bookmaker of oddsResponse.data.bookmakers) {
+        for (const bookmaker of eventOdds.bookmakers) {
           for (const market of bookmaker.markets || []) {
             if (market.key !== 'player_points') continue;
 
@@ -269,14 +271,15 @@ router.get('/:id/prediction', async (req, res) => {
 router.get('/:id/prediction/:propType', async (req, res) => {
   try {
     const playerName = req.query.name;
-    const propType = req.params.propType; // e.g., 'points', 'assists', 'rebounds', etc.
+    // Any registry id or alias (e.g. 'points', 'pra', 'points_rebounds_assists'), resolved to the canonical id
+    const propType = resolvePropId(req.params.propType);
     
     if (!playerName) {
       return res.status(400).json({ error: 'Player name (name query parameter) is required' });
     }
     
     if (!propType) {
-      return res.status(400).json({ error: 'Prop type is required' });
+      return res.status(400).json({ error: `Unknown prop type "${req.params.propType}"` });
     }
     
     // Get player stats
@@ -314,10 +317,12 @@ router.get('/:id/prediction/:propType', async (req, res) => {
       // Get the CORRECT vegas line for this specific prop from The Odds API
       // ALSO extract game info for matchup data
       let bettingLine = null;
+      let propMarket = null;
       try {
         const { getPlayerOdds } = await import('../services/oddsService.js');
         const oddsResult = await getPlayerOdds(null, playerName);
-        bettingLine = oddsResult?.[propType]?.line || null;
+        propMarket = oddsResult?.[propType] || null;
+        bettingLine = propMarket?.line || null;
         console.log(`📊 Betting line for ${propType} from The Odds API: ${bettingLine || 'not available'}`);
         
         // Extract game info from Odds API if available
@@ -344,7 +349,9 @@ router.get('/:id/prediction/:propType', async (req, res) => {
               date: nextGame.date,
               opponent: opponent,
               isHome: isHome,
-              team: teamAbbrev
+              team: teamAbbrev,
+              eventId: gameInfo.event_id,
+              commenceTime: gameInfo.commence_time
             };
             
             console.log(`🎯 Matchup from Odds API: ${teamAbbrev} ${isHome ? 'vs' : '@'} ${opponent}`);
@@ -355,6 +362,9 @@ router.get('/:id/prediction/:propType', async (req, res) => {
         // Continue without betting line - compareService will handle unavailable status
       }
       
+      // Injury data for both teams now that the opponent is known
+      injuryData = await getInjuryData(teamAbbrev, nextGame);
+      
       // Generate prediction using compareService - ensures we use ONLY the correct vegas line
       try {
         const { generatePropPrediction } = await import('../services/compareService.js');
@@ -364,7 +374,8 @@ router.get('/:id/prediction/:propType', async (req, res) => {
           propType,
           nextGameInfo,
           injuryData,
-          bettingLine  // ONLY use The Odds API line for this specific prop
+          bettingLine,  // ONLY use The Odds API line for this specific prop
+          propMarket
         );
         
         // Convert to format expected by frontend
@@ -376,9 +387,15 @@ router.get('/:id/prediction/:propType', async (req, res) => {
           confidence: propPrediction.confidence,
           error_margin: propPrediction.error_margin,
           errorMargin: propPrediction.error_margin,
+          distribution: propPrediction.distribution || null,
+          ladder: propPrediction.ladder || null,
+          milestone: propPrediction.milestone || null,
+          method: propPrediction.method || null,
           recommendation: propPrediction.recommendation,
           analysis: propPrediction.analysis || null,
           stats: propPrediction.stats || null,
+          minutes_projection: propPrediction.minutes_projection || null,
+          schedule_context: propPrediction.schedule_context || null,
           status: propPrediction.status || null
         };
         
@@ -423,6 +440,36 @@ router.get('/:id/odds', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/player/:id/odds/history
+ * Line movement for one prop: opening line, current line and the snapshot series
+ * Requires player name as query parameter; optional prop (default points), bookmaker and
+ * event_id (default the player's upcoming game, so earlier games' lines are left out)
+ */
+router.get('/:id/odds/history', async (req, res) => {
+  try {
+    const playerName = req.query.name;
+    if (!playerName) {
+      return res.status(400).json({ error: 'Player name (name query parameter) is required' });
+    }
+    let eventId = req.query.event_id || null;
+    if (!eventId) {
+      const oddsResult = await getPlayerOdds(null, playerName);
+      eventId = oddsResult?._gameInfo?.event_id || null;
+    }
+    const { getLineHistory } = await import('../services/oddsHistoryService.js');
+    const history = getLineHistory(playerName, resolvePropId(req.query.prop) || 'points', {
+      bookmaker: req.query.bookmaker || null,
+      since: req.query.since || null,
+      eventId
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching odds history:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch odds history' });
+  }
+});
+
 /**
  * GET /api/player/:id/compare
  * Return combined object with stats, prediction, odds, and recommendation
@@ -482,39 +529,23 @@ router.get('/:id/compare', async (req, res) => {
     // NO LONGER using ESPN getNextGame - Odds API is the only source
     let nextGame = null;
     
-    // 2b. Get team records and injury data in parallel (independent operations)
+    // 2b. Get team records in parallel (independent operations)
     const { getTeamRecord } = await import('../services/nbaApiService.js');
-    const { getMatchupInjuries } = await import('../services/injuryService.js');
     
     // Parallelize independent operations (all can run simultaneously)
-    const [playerTeamRecordResult, opponentRecordResult, matchupInjuriesResult] = await Promise.allSettled([
+    const [playerTeamRecordResult, opponentRecordResult] = await Promise.allSettled([
       // Get player team record
       teamAbbrev && teamAbbrev !== 'N/A' ? getTeamRecord(teamAbbrev) : Promise.resolve(null),
       // Get opponent record
-      nextGame && nextGame.opponent ? getTeamRecord(nextGame.opponent) : Promise.resolve(null),
-      // Get injury data (if we have team info and next game)
-      (teamAbbrev && teamAbbrev !== 'N/A' && nextGame && nextGame.opponent) 
-        ? getMatchupInjuries(teamAbbrev, nextGame.opponent, nextGame.eventId || null)
-        : Promise.resolve({ playerTeamInjuries: [], opponentInjuries: [], hasPlayerTeamInjuries: false, hasOpponentInjuries: false })
+      nextGame && nextGame.opponent ? getTeamRecord(nextGame.opponent) : Promise.resolve(null)
     ]);
     
     // Extract results (silently handle failures)
     const playerTeamRecord = playerTeamRecordResult.status === 'fulfilled' ? playerTeamRecordResult.value : null;
     const opponentRecord = opponentRecordResult.status === 'fulfilled' ? opponentRecordResult.value : null;
     
-    // Process injury data
+    // Injury data is fetched once the Odds API has told us the opponent (see 3b)
     let injuryData = null;
-    if (matchupInjuriesResult.status === 'fulfilled') {
-      const matchupInjuries = matchupInjuriesResult.value;
-      if (matchupInjuries.hasPlayerTeamInjuries || matchupInjuries.hasOpponentInjuries) {
-        injuryData = {
-          playerTeamInjuries: matchupInjuries.playerTeamInjuries,
-          opponentInjuries: matchupInjuries.opponentInjuries,
-          playerTeamAbbrev: teamAbbrev,
-          opponentAbbrev: nextGame.opponent
-        };
-      }
-    }
     
     // 3. Get betting odds from The Odds API ONLY
     // Returns an object with all props: { points: {...}, assists: {...}, rebounds: {...}, etc. }
@@ -614,13 +645,29 @@ router.get('/:id/compare', async (req, res) => {
       }
     }
 
+    // 3b. Get injury data for both teams now that the opponent is known
+    injuryData = await getInjuryData(teamAbbrev, nextGame);
+    
+    // 3c. With/without splits for teammates ruled out (drives the "Without X" filters)
+    let teammateSplits = [];
+    if (injuryData?.playerTeamInjuries?.length > 0) {
+      try {
+        const { getOutTeammateSplits } = await import('../services/teammateSplitsService.js');
+        teammateSplits = await getOutTeammateSplits(stats.games, finalPlayerName, teamAbbrev, injuryData.playerTeamInjuries);
+      } catch (splitsError) {
+        console.warn('⚠️ Could not compute teammate splits:', splitsError.message);
+      }
+    }
+
     // 4. Generate predictions for all available props (after we know which props exist)
     // Prepare next game info for tracking
     const nextGameInfo = nextGame ? {
       date: nextGame.date || null,
       opponent: nextGame.opponent || null,
-      isHome: nextGame.isHome || null,
-      team: teamAbbrev || null
+      isHome: nextGame.isHome ?? null,
+      team: teamAbbrev || null,
+      eventId: nextGame.eventId || null,
+      commenceTime: nextGame.commence_time || null
     } : null;
     
     // Create cache key that includes injury data (injuries change frequently)
@@ -656,7 +703,8 @@ router.get('/:id/compare', async (req, res) => {
         'points',
         nextGameInfo,
         injuryData,
-        pointsBettingLine  // ONLY use The Odds API line for points
+        pointsBettingLine,  // ONLY use The Odds API line for points
+        allProps?.points || null
       );
       
       // Convert to format expected by frontend
@@ -666,9 +714,13 @@ router.get('/:id/compare', async (req, res) => {
         confidence: pointsPrediction.confidence,
         error_margin: pointsPrediction.error_margin,
         errorMargin: pointsPrediction.error_margin,
+        distribution: pointsPrediction.distribution || null,
+        method: pointsPrediction.method || null,
         recommendation: pointsPrediction.recommendation,
         analysis: pointsPrediction.analysis || null,
-        stats: pointsPrediction.stats || null
+        stats: pointsPrediction.stats || null,
+        minutes_projection: pointsPrediction.minutes_projection || null,
+        schedule_context: pointsPrediction.schedule_context || null
       };
       
       if (prediction.predicted_points != null) {
@@ -742,12 +794,14 @@ router.get('/:id/compare', async (req, res) => {
     
     const response = {
       player: finalPlayerName,
-      stats: stats?.games || stats?.stats || [],
+      // Each game carries its schedule context (rest, back-to-back, road trip, travel, altitude) for split filters
+      stats: annotateGamesWithSchedule(stats?.games || stats?.stats || [], teamAbbrev),
       prediction: predictedPoints,
       betting_line: bettingLine, // Backward compatibility: points line only
       recommendation,
       confidence: prediction?.confidence || null,
       error_margin: prediction?.error_margin || prediction?.errorMargin || null,
+      distribution: prediction?.distribution || null,
       next_game: nextGame ? {
         ...nextGame,
         // Standardized matchup fields from Odds API
@@ -786,6 +840,8 @@ router.get('/:id/compare', async (req, res) => {
               prediction: prediction[`predicted_${propType}`] || prediction.predicted_points || null,
               prediction_confidence: prediction.confidence || null,
               prediction_error_margin: prediction.error_margin || null,
+              prediction_distribution: prediction.distribution || null,
+              prediction_ladder: prediction.ladder || null,
               prediction_analysis: prediction.analysis || null,
               prediction_recommendation: prediction.recommendation || null,
               prediction_stats: prediction.stats || null
@@ -843,7 +899,11 @@ router.get('/:id/compare', async (req, res) => {
           team: nextGame?.opponent || null,
           injuries: []
         }
-      }
+      },
+      // With/without splits for OUT teammates (games without them by game log date)
+      teammate_splits: teammateSplits,
+      // Rest/travel context for the upcoming game
+      schedule_context: prediction?.schedule_context || null
     };
 
     // Only log response structure in development
@@ -865,153 +925,4 @@ router.get('/:id/compare', async (req, res) => {
   }
 });
 
-/**
- * GET /api/player/tracking/stats
- * Get prediction accuracy statistics
- */
-router.get('/tracking/stats', async (req, res) => {
-  try {
-    const stats = getAccuracyStats();
-    res.json(stats);
-  } catch (error) {
-    console.error('Error getting accuracy stats:', error);
-    res.status(500).json({ error: error.message || 'Failed to get accuracy stats' });
-  }
-});
-
-/**
- * GET /api/player/tracking/pending
- * Get predictions that need evaluation
- */
-router.get('/tracking/pending', async (req, res) => {
-  try {
-    const pending = getPendingEvaluations();
-    res.json({ count: pending.length, predictions: pending });
-  } catch (error) {
-    console.error('Error getting pending evaluations:', error);
-    res.status(500).json({ error: error.message || 'Failed to get pending evaluations' });
-  }
-});
-
-/**
- * POST /api/player/tracking/update
- * Update a prediction with actual outcome
- * Body: { predictionId: string, actualPoints: number }
- */
-router.post('/tracking/update', async (req, res) => {
-  try {
-    const { predictionId, actualPoints } = req.body;
-    
-    if (!predictionId || actualPoints === undefined || actualPoints === null) {
-      return res.status(400).json({ 
-        error: 'predictionId and actualPoints are required' 
-      });
-    }
-    
-    if (typeof actualPoints !== 'number' || actualPoints < 0) {
-      return res.status(400).json({ 
-        error: 'actualPoints must be a non-negative number' 
-      });
-    }
-    
-    const updated = updatePredictionOutcome(predictionId, actualPoints);
-    
-    if (!updated) {
-      return res.status(404).json({ error: 'Prediction not found' });
-    }
-    
-    res.json({
-      success: true,
-      prediction: updated
-    });
-  } catch (error) {
-    console.error('Error updating prediction outcome:', error);
-    res.status(500).json({ error: error.message || 'Failed to update prediction outcome' });
-  }
-});
-
-/**
- * GET /api/player/tracking/export
- * Export predictions for fine-tuning
- * Query params: 
- *   - minAccuracy (optional, default 70)
- *   - model (optional, 'gpt-4o-mini' or 'gpt-4o', default: 'gpt-4o-mini')
- */
-router.get('/tracking/export', async (req, res) => {
-  try {
-    const minAccuracy = parseInt(req.query.minAccuracy) || 70;
-    const model = req.query.model === 'gpt-4o' ? 'gpt-4o' : 'gpt-4o-mini';
-    const exportData = exportForFineTuning(minAccuracy, model);
-    
-    if (exportData.message) {
-      return res.json(exportData);
-    }
-    
-    res.json({
-      count: exportData.count,
-      format: exportData.format,
-      model: exportData.model,
-      filename: exportData.filename,
-      recommended_model: exportData.recommended_model,
-      data: exportData.data, // Include full data array for fine-tuning
-      preview: exportData.data.slice(0, 3), // Show first 3 examples for preview
-      message: `Export ready with ${exportData.count} examples for ${model}. Use the data array for fine-tuning.`
-    });
-  } catch (error) {
-    console.error('Error exporting for fine-tuning:', error);
-    res.status(500).json({ error: error.message || 'Failed to export data' });
-  }
-});
-
-/**
- * POST /api/player/tracking/evaluate
- * Automatically evaluate all pending predictions by fetching actual game results
- * This may take a while as it fetches data from NBA.com for each prediction
- */
-router.post('/tracking/evaluate', async (req, res) => {
-  try {
-    console.log('🚀 Manual evaluation triggered via API');
-    const results = await evaluatePendingPredictions();
-    res.json({
-      success: true,
-      ...results,
-      message: `Evaluation complete: ${results.evaluated} evaluated, ${results.failed} failed, ${results.skipped} skipped`
-    });
-  } catch (error) {
-    console.error('Error evaluating predictions:', error);
-    res.status(500).json({ error: error.message || 'Failed to evaluate predictions' });
-  }
-});
-
-/**
- * POST /api/player/tracking/evaluate/:id
- * Evaluate a specific prediction by ID with actual points
- * Body: { actualPoints: number }
- */
-router.post('/tracking/evaluate/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { actualPoints } = req.body;
-    
-    if (actualPoints === undefined || actualPoints === null) {
-      return res.status(400).json({ error: 'actualPoints is required' });
-    }
-    
-    if (typeof actualPoints !== 'number' || actualPoints < 0) {
-      return res.status(400).json({ error: 'actualPoints must be a non-negative number' });
-    }
-    
-    const result = await evaluatePredictionById(id, actualPoints);
-    
-    if (!result.success) {
-      return res.status(404).json(result);
-    }
-    
-    res.json(result);
-  } catch (error) {
-    console.error('Error evaluating prediction:', error);
-    res.status(500).json({ error: error.message || 'Failed to evaluate prediction' });
-  }
-});
-
 export { router as playerRoutes };
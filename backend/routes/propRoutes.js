@@ -0,0 +1,17 @@
+import express from 'express';
+import { PROP_TYPES, STAT_FIELDS } from '../utils/propRegistry.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/props/types
+ * The prop registry: ids, aliases, Odds API markets, stat components, line ranges, labels and model codes
+ */
+router.get('/types', (req, res) => {
+  res.json({
+    props: PROP_TYPES,
+    stat_fields: STAT_FIELDS
+  });
+});
+
+export { router as propRoutes };
@@ -0,0 +1,168 @@
+import express from 'express';
+import { 
+  getAccuracyStats, 
+  updatePredictionOutcome, 
+  getPendingEvaluations,
+  exportForFineTuning 
+} from '../services/predictionTrackingService.js';
+import { 
+  evaluatePendingPredictions,
+  evaluatePredictionById
+} from '../services/predictionEvaluationService.js';
+
+const router = express.Router();
+
+// Mounted at /api/player/tracking ahead of the player routes, so these paths
+// aren't captured by /api/player/:id/* handlers (e.g. /:id/stats)
+
+/**
+ * GET /api/player/tracking/stats
+ * Get prediction accuracy statistics (overall and by prop type)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = getAccuracyStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting accuracy stats:', error);
+    res.status(500).json({ error: error.message || 'Failed to get accuracy stats' });
+  }
+});
+
+/**
+ * GET /api/player/tracking/pending
+ * Get predictions that need evaluation
+ */
+router.get('/pending', async (req, res) => {
+  try {
+    const pending = getPendingEvaluations();
+    res.json({ count: pending.length, predictions: pending });
+  } catch (error) {
+    console.error('Error getting pending evaluations:', error);
+    res.status(500).json({ error: error.message || 'Failed to get pending evaluations' });
+  }
+});
+
+/**
+ * POST /api/player/tracking/update
+ * Update a prediction with actual outcome
+ * Body: { predictionId: string, actualValue: number } (actualPoints still accepted)
+ */
+router.post('/update', async (req, res) => {
+  try {
+    const { predictionId } = req.body;
+    const actualValue = req.body.actualValue ?? req.body.actualPoints;
+    
+    if (!predictionId || actualValue === undefined || actualValue === null) {
+      return res.status(400).json({ 
+        error: 'predictionId and actualValue are required' 
+      });
+    }
+    
+    if (typeof actualValue !== 'number' || actualValue < 0) {
+      return res.status(400).json({ 
+        error: 'actualValue must be a non-negative number' 
+      });
+    }
+    
+    const updated = updatePredictionOutcome(predictionId, actualValue);
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+    
+    res.json({
+      success: true,
+      prediction: updated
+    });
+  } catch (error) {
+    console.error('Error updating prediction outcome:', error);
+    res.status(500).json({ error: error.message || 'Failed to update prediction outcome' });
+  }
+});
+
+/**
+ * GET /api/player/tracking/export
+ * Export predictions for fine-tuning
+ * Query params: 
+ *   - minAccuracy (optional, default 70)
+ *   - model (optional, 'gpt-4o-mini' or 'gpt-4o', default: 'gpt-4o-mini')
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const minAccuracy = parseInt(req.query.minAccuracy) || 70;
+    const model = req.query.model === 'gpt-4o' ? 'gpt-4o' : 'gpt-4o-mini';
+    const exportData = exportForFineTuning(minAccuracy, model);
+    
+    if (exportData.message) {
+      return res.json(exportData);
+    }
+    
+    res.json({
+      count: exportData.count,
+      format: exportData.format,
+      model: exportData.model,
+      filename: exportData.filename,
+      recommended_model: exportData.recommended_model,
+      data: exportData.data, // Include full data array for fine-tuning
+      preview: exportData.data.slice(0, 3), // Show first 3 examples for preview
+      message: `Export ready with ${exportData.count} examples for ${model}. Use the data array for fine-tuning.`
+    });
+  } catch (error) {
+    console.error('Error exporting for fine-tuning:', error);
+    res.status(500).json({ error: error.message || 'Failed to export data' });
+  }
+});
+
+/**
+ * POST /api/player/tracking/evaluate
+ * Automatically evaluate all pending predictions by fetching actual game results
+ * This may take a while as it fetches data from NBA.com for each prediction
+ */
+router.post('/evaluate', async (req, res) => {
+  try {
+    console.log('🚀 Manual evaluation triggered via API');
+    const results = await evaluatePendingPredictions();
+    res.json({
+      success: true,
+      ...results,
+      message: `Evaluation complete: ${results.evaluated} evaluated, ${results.failed} failed, ${results.skipped} skipped`
+    });
+  } catch (error) {
+    console.error('Error evaluating predictions:', error);
+    res.status(500).json({ error: error.message || 'Failed to evaluate predictions' });
+  }
+});
+
+/**
+ * POST /api/player/tracking/evaluate/:id
+ * Evaluate a specific prediction by ID with the actual stat value
+ * Body: { actualValue: number } (actualPoints still accepted)
+ */
+router.post('/evaluate/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actualValue = req.body.actualValue ?? req.body.actualPoints;
+    
+    if (actualValue === undefined || actualValue === null) {
+      return res.status(400).json({ error: 'actualValue is required' });
+    }
+    
+    if (typeof actualValue !== 'number' || actualValue < 0) {
+      return res.status(400).json({ error: 'actualValue must be a non-negative number' });
+    }
+    
+    const result = await evaluatePredictionById(id, actualValue);
+    
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error evaluating prediction:', error);
+    res.status(500).json({ error: error.message || 'Failed to evaluate prediction' });
+  }
+});
+
+export { router as trackingRoutes };
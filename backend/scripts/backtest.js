@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Replay historical games through the prediction pipeline
+ * 
+ * Usage:
+ *   node scripts/backtest.js --players "Stephen Curry,Jayson Tatum" --from 2025-11-01 --to 2025-12-15 \
+ *     [--props points,rebounds] [--model local|fine_tuned|ensemble] [--lines data/historical_lines.csv] [--out report.json]
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Import after env is loaded
+const { runBacktest } = await import('../services/backtestService.js');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const players = (args.players || '').split(',').map(p => p.trim()).filter(Boolean);
+
+  if (players.length === 0 || !args.from || !args.to) {
+    console.error('Usage: node scripts/backtest.js --players "Name One,Name Two" --from YYYY-MM-DD --to YYYY-MM-DD [--props points,rebounds] [--model local] [--lines file] [--out file]');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('🏀 HoopForecast v2 - Prediction Backtest');
+  console.log('='.repeat(60));
+  console.log(`Started at: ${new Date().toISOString()}\n`);
+
+  try {
+    const report = await runBacktest({
+      players,
+      startDate: args.from,
+      endDate: args.to,
+      propTypes: (args.props || 'points').split(',').map(p => p.trim()).filter(Boolean),
+      model: args.model || 'local',
+      linesFile: args.lines || null
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 Backtest Summary:');
+    console.log('='.repeat(60));
+    for (const [propType, summary] of Object.entries(report.summary)) {
+      if (!summary.predictions) {
+        console.log(`  ${propType}: no games replayed`);
+        continue;
+      }
+      console.log(`  ${propType}: ${summary.predictions} predictions | MAE ${summary.mae} | ` +
+        `Hit rate ${summary.hit_rate ?? 'N/A'}% (${summary.wins}-${summary.losses}-${summary.pushes}) | ` +
+        `Units ${summary.units} | ROI ${summary.roi ?? 'N/A'}%`);
+      summary.calibration.forEach(bucket => {
+        console.log(`      P(over) ${bucket.bucket}: predicted ${bucket.predicted_over_rate}% vs observed ${bucket.observed_over_rate}% (n=${bucket.count})`);
+      });
+    }
+    if (report.errors.length > 0) {
+      console.log(`\n⚠️  ${report.errors.length} error(s) during replay`);
+    }
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2), 'utf8');
+      console.log(`\n💾 Full report written to ${args.out}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Completed at: ${new Date().toISOString()}`);
+    console.log('='.repeat(60));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fatal error during backtest:', error);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Build the team stats snapshot (pace, defensive rating, stats allowed by position)
+ * used for the pace / oppDef / oppVsPosition model features
+ *
+ * Usage:
+ *   node scripts/buildTeamStats.js                      # current season from NBA.com
+ *   node scripts/buildTeamStats.js --season 2024-25
+ *   node scripts/buildTeamStats.js --file ./logs.csv    # local player game logs or snapshot JSON
+ *
+ * Writes backend/data/team_stats.json, which the server picks up until it is
+ * older than TEAM_STATS_MAX_AGE_HOURS.
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Import after env is loaded
+const { refreshTeamStats } = await import('../services/teamStatsService.js');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    if (arg === '--season' && next) {
+      options.season = next;
+      i++;
+    } else if (arg === '--file' && next) {
+      options.filePath = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('='.repeat(60));
+  console.log('🏀 HoopForecast v2 - Team Stats Build');
+  console.log('='.repeat(60));
+
+  try {
+    const snapshot = await refreshTeamStats(options);
+
+    console.log(`\n📊 Source: ${snapshot.source}${snapshot.season ? ` (${snapshot.season})` : ''}`);
+    console.log(`🏟️  Teams: ${snapshot.team_count}`);
+    console.log(`⚡ League pace: ${snapshot.league_averages?.pace ?? 'n/a'}`);
+    console.log(`🛡️  League defensive rating: ${snapshot.league_averages?.def_rating ?? 'n/a'}`);
+    console.log(`👤 Player positions: ${Object.keys(snapshot.player_positions || {}).length}`);
+
+    const ranked = Object.entries(snapshot.teams || {}).sort((a, b) => (a[1].def_rating ?? Infinity) - (b[1].def_rating ?? Infinity));
+    if (ranked.length > 0) {
+      console.log('\n🛡️  Best defenses (points allowed per 100 possessions):');
+      ranked.slice(0, 5).forEach(([team, stats], index) => {
+        console.log(`  ${index + 1}. ${team}: ${stats.def_rating} (pace ${stats.pace}, last 10: ${stats.last_10?.def_rating ?? 'n/a'})`);
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Team stats build failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
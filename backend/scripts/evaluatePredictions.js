@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 /**
- * Standalone script to automatically evaluate pending predictions
+ * Standalone script to automatically evaluate pending predictions and settle tracked bets
  * Can be run manually or scheduled via cron
  * 
  * Usage:
@@ -23,6 +23,7 @@ dotenv.config({ path: join(__dirname, '../.env') });
 
 // Import after env is loaded
 const { evaluatePendingPredictions } = await import('../services/predictionEvaluationService.js');
+const { settlePendingBets } = await import('../services/betTrackerService.js');
 
 async function main() {
   console.log('='.repeat(60));
@@ -45,7 +46,8 @@ async function main() {
       console.log('\n📋 Results:');
       results.results.forEach((result, index) => {
         if (result.status === 'evaluated') {
-          console.log(`  ${index + 1}. ${result.player}: Predicted ${result.predicted} → Actual ${result.actual} (Error: ${result.error.toFixed(1)}, Accuracy: ${result.accuracy}%)`);
+          const betSummary = result.betResult ? `, Bet: ${result.betResult.toUpperCase()} ${result.profitUnits >= 0 ? '+' : ''}${result.profitUnits}u` : '';
+          console.log(`  ${index + 1}. ${result.player} (${result.prop_type}): Predicted ${result.predicted} → Actual ${result.actual} (Error: ${result.error.toFixed(1)}, Accuracy: ${result.accuracy}%${betSummary})`);
         } else if (result.status === 'failed') {
           console.log(`  ${index + 1}. ${result.player}: ❌ ${result.error}`);
         } else {
@@ -54,12 +56,24 @@ async function main() {
       });
     }
     
+    // Tracked bets are graded from the same game logs
+    const betResults = await settlePendingBets();
+    console.log('\n' + '='.repeat(60));
+    console.log('🎟️  Bet Settlement Summary:');
+    console.log('='.repeat(60));
+    console.log(`✅ Settled: ${betResults.settled}`);
+    console.log(`❌ Failed: ${betResults.failed}`);
+    console.log(`⏭️  Skipped: ${betResults.skipped}`);
+    betResults.results.filter(result => result.status === 'settled').forEach((result, index) => {
+      console.log(`  ${index + 1}. ${result.player} (${result.prop_type}): Actual ${result.actual} → ${result.result.toUpperCase()} ${result.profit >= 0 ? '+' : ''}${result.profit}`);
+    });
+    
     console.log('\n' + '='.repeat(60));
     console.log(`Completed at: ${new Date().toISOString()}`);
     console.log('='.repeat(60));
     
     // Exit with appropriate code
-    process.exit(results.failed > 0 ? 1 : 0);
+    process.exit(results.failed > 0 || betResults.failed > 0 ? 1 : 0);
   } catch (error) {
     console.error('\n❌ Fatal error during evaluation:', error);
     console.error(error.stack);
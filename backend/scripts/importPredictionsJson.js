@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Import a predictions.json history file into the SQLite store
+ * The server already does this once on first start; use this for other files
+ * or to re-run the import (existing IDs are updated, not duplicated).
+ * 
+ * Usage:
+ *   node scripts/importPredictionsJson.js [path/to/predictions.json]
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Import after env is loaded
+const { importPredictionsFromJson } = await import('../services/sqliteService.js');
+
+const filePath = process.argv[2]
+  ? resolve(process.argv[2])
+  : join(__dirname, '../data/predictions.json');
+
+try {
+  const { imported, updated, skipped } = importPredictionsFromJson(filePath);
+  console.log(`✅ Imported ${imported} predictions from ${filePath} (${updated} updated, ${skipped} skipped)`);
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ Import failed for ${filePath}:`, error.message);
+  process.exit(1);
+}
@@ -5,8 +5,19 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { playerRoutes } from './routes/playerRoutes.js';
+import { trackingRoutes } from './routes/trackingRoutes.js';
 import { searchRoutes } from './routes/searchRoutes.js';
 import { trendingRoutes } from './routes/trendingRoutes.js';
+import { backtestRoutes } from './routes/backtestRoutes.js';
+import { adminRoutes } from './routes/adminRoutes.js';
+import { propRoutes } from './routes/propRoutes.js';
+import { edgeRoutes } from './routes/edgeRoutes.js';
+import { arbRoutes } from './routes/arbRoutes.js';
+import { bankrollRoutes } from './routes/bankrollRoutes.js';
+import { betRoutes } from './routes/betRoutes.js';
+import { parlayRoutes } from './routes/parlayRoutes.js';
+import { pickemRoutes } from './routes/pickemRoutes.js';
+import { startEdgeScanner } from './services/edgeScannerService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,13 +55,25 @@ app.get('/api/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/player/tracking', trackingRoutes);
 app.use('/api/player', playerRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/trending', trendingRoutes);
+app.use('/api/backtest', backtestRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/props', propRoutes);
+app.use('/api/edges', edgeRoutes);
+app.use('/api/arbs', arbRoutes);
+app.use('/api/bankroll', bankrollRoutes);
+app.use('/api/bets', betRoutes);
+app.use('/api/parlay', parlayRoutes);
+app.use('/api/pickem', pickemRoutes);
 
 // Start server with error handling
 app.listen(PORT, () => {
   console.log(`🏀 HoopForecast API server running on http://localhost:${PORT}`);
+  // Background slate edge scan, only when EDGE_SCAN_INTERVAL_MINUTES is set (GET /api/edges serves the latest result)
+  startEdgeScanner();
 }).on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
     console.error(`❌ Port ${PORT} is already in use.`);
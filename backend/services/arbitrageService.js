@@ -0,0 +1,198 @@
+/**
+ * Arbitrage Service - Cross-book arbitrage and middles on player props
+ * An arbitrage is the best over at one book and the best under at another whose
+ * implied probabilities sum to less than 100%: staking both sides in proportion
+ * returns the same payout whatever happens. A middle is an over at a low line and an
+ * under at a higher line from different books: both legs win when the stat lands in
+ * between, so the return is the worst case plus the middle probability times a payout.
+ */
+
+import { americanToDecimal, americanToImpliedProbability } from '../utils/oddsMath.js';
+import { buildMarketConsensus } from './marketConsensusService.js';
+import { getPickemPlatform } from '../utils/pickemPayouts.js';
+
+function round(value, digits = 2) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Best price on one side of a player/prop/line across its sportsbooks
+ * Pick'em apps are skipped: their legs can't be bet one at a time at the listed odds.
+ * @param {object} sportsbooks - { [title]: { key, over: { line, odds }, under: { line, odds } } }
+ * @param {string} side - 'over' | 'under'
+ * @returns {object|null} { bookmaker, bookmaker_key, odds, decimal }
+ */
+function bestPrice(sportsbooks, side) {
+  let best = null;
+  for (const [bookmaker, data] of Object.entries(sportsbooks || {})) {
+    if (getPickemPlatform(data.key || bookmaker)) continue;
+    const odds = data[side]?.odds;
+    const decimal = americanToDecimal(odds);
+    if (decimal == null) continue;
+    if (!best || decimal > best.decimal) {
+      best = { bookmaker, bookmaker_key: data.key || null, odds, decimal };
+    }
+  }
+  return best;
+}
+
+/**
+ * Split a bankroll across legs so every leg pays out the same amount
+ * Each stake is proportional to the leg's implied probability (1 / decimal odds).
+ * @param {array} legs - [{ odds, ... }] American odds per leg
+ * @param {number} bankroll - Total amount to stake
+ * @returns {array} legs with { stake, payout } added (rounded to cents)
+ */
+export function splitStakes(legs, bankroll) {
+  const inverses = legs.map(leg => 1 / americanToDecimal(leg.odds));
+  const total = inverses.reduce((sum, value) => sum + value, 0);
+  return legs.map((leg, index) => {
+    const stake = round(bankroll * inverses[index] / total);
+    return { ...leg, stake, payout: round(stake * americanToDecimal(leg.odds)) };
+  });
+}
+
+/**
+ * Fair (no-vig) over probability at a line from the books pricing both sides there
+ */
+function fairOverProbability(propLine) {
+  const consensus = buildMarketConsensus(Object.entries(propLine.sportsbooks || {}).map(([book, data]) => ({
+    bookmaker: book,
+    bookmaker_key: data.key,
+    line: propLine.line,
+    over_odds: data.over?.odds ?? null,
+    under_odds: data.under?.odds ?? null
+  })));
+  return consensus?.fair_over_probability ?? null;
+}
+
+function describeProp(propLine) {
+  return {
+    player: propLine.player,
+    prop_type: propLine.propType,
+    event_id: propLine.event_id,
+    home_team: propLine.home_team,
+    away_team: propLine.away_team,
+    commence_time: propLine.commence_time || null
+  };
+}
+
+/**
+ * Two-way arbitrage at each player/prop/line
+ * @param {array} propLines - From slatePropsService.getSlatePropLines()
+ * @param {object} options - { bankroll }
+ * @returns {array} [{ type: 'arbitrage', player, prop_type, line, legs, implied_total, bankroll,
+ *                     guaranteed_return, roi }] sorted by ROI
+ */
+export function findArbitrage(propLines, { bankroll = 100 } = {}) {
+  const opportunities = [];
+
+  for (const propLine of propLines || []) {
+    const over = bestPrice(propLine.sportsbooks, 'over');
+    const under = bestPrice(propLine.sportsbooks, 'under');
+    if (!over || !under) continue;
+
+    const impliedTotal = americanToImpliedProbability(over.odds) + americanToImpliedProbability(under.odds);
+    if (impliedTotal >= 1) continue;
+
+    const legs = splitStakes([
+      { side: 'OVER', line: propLine.line, bookmaker: over.bookmaker, bookmaker_key: over.bookmaker_key, odds: over.odds },
+      { side: 'UNDER', line: propLine.line, bookmaker: under.bookmaker, bookmaker_key: under.bookmaker_key, odds: under.odds }
+    ], bankroll);
+    const staked = legs.reduce((sum, leg) => sum + leg.stake, 0);
+    const guaranteedReturn = Math.min(...legs.map(leg => leg.payout)) - staked;
+
+    opportunities.push({
+      type: 'arbitrage',
+      ...describeProp(propLine),
+      line: propLine.line,
+      legs,
+      implied_total: round(impliedTotal, 4),
+      bankroll,
+      guaranteed_return: round(guaranteedReturn),
+      roi: round(guaranteedReturn / staked * 100)
+    });
+  }
+
+  return opportunities.sort((a, b) => b.roi - a.roi);
+}
+
+/**
+ * Middles between different lines of the same player prop
+ * The over at the lower line and the under at the higher line are staked for equal
+ * payouts. Middle probability comes from the no-vig prices at both lines:
+ * P(low < stat < high) = P(over low) + P(under high) - 1.
+ * Only middles that are guaranteed (worst case >= 0) or +EV are returned.
+ * @param {array} propLines - From slatePropsService.getSlatePropLines()
+ * @param {object} options - { bankroll }
+ * @returns {array} [{ type: 'middle', player, prop_type, low_line, high_line, middle_width, legs, bankroll,
+ *                     middle_probability, worst_case_return, worst_case_roi, middle_return, expected_return, expected_roi }]
+ *                   sorted by expected ROI, or worst-case ROI when the middle probability is unknown
+ */
+export function findMiddles(propLines, { bankroll = 100 } = {}) {
+  // Group every line of the same player prop
+  const byProp = new Map();
+  for (const propLine of propLines || []) {
+    const key = `${propLine.player.toLowerCase()}|${propLine.propType}`;
+    if (!byProp.has(key)) byProp.set(key, []);
+    byProp.get(key).push(propLine);
+  }
+
+  const opportunities = [];
+  for (const lines of byProp.values()) {
+    if (lines.length < 2) continue;
+    lines.sort((a, b) => a.line - b.line);
+
+    for (let low = 0; low < lines.length - 1; low++) {
+      const over = bestPrice(lines[low].sportsbooks, 'over');
+      if (!over) continue;
+      const pOverLow = fairOverProbability(lines[low]);
+
+      for (let high = low + 1; high < lines.length; high++) {
+        const under = bestPrice(lines[high].sportsbooks, 'under');
+        if (!under) continue;
+        const pOverHigh = fairOverProbability(lines[high]);
+
+        const legs = splitStakes([
+          { side: 'OVER', line: lines[low].line, bookmaker: over.bookmaker, bookmaker_key: over.bookmaker_key, odds: over.odds },
+          { side: 'UNDER', line: lines[high].line, bookmaker: under.bookmaker, bookmaker_key: under.bookmaker_key, odds: under.odds }
+        ], bankroll);
+        const staked = legs.reduce((sum, leg) => sum + leg.stake, 0);
+        // Outside the middle exactly one leg wins; inside it both do
+        const worstCase = Math.min(...legs.map(leg => leg.payout)) - staked;
+        const middleReturn = legs.reduce((sum, leg) => sum + leg.payout, 0) - staked;
+
+        const middleProbability = pOverLow != null && pOverHigh != null
+          ? Math.max(0, pOverLow + (1 - pOverHigh) - 1)
+          : null;
+        const expectedReturn = middleProbability != null
+          ? middleProbability * middleReturn + (1 - middleProbability) * worstCase
+          : null;
+
+        if (worstCase < 0 && !(expectedReturn > 0)) continue;
+
+        opportunities.push({
+          type: 'middle',
+          ...describeProp(lines[low]),
+          low_line: lines[low].line,
+          high_line: lines[high].line,
+          middle_width: round(lines[high].line - lines[low].line, 1),
+          legs,
+          bankroll,
+          middle_probability: round(middleProbability, 4),
+          worst_case_return: round(worstCase),
+          worst_case_roi: round(worstCase / staked * 100),
+          middle_return: round(middleReturn),
+          expected_return: round(expectedReturn),
+          expected_roi: expectedReturn != null ? round(expectedReturn / staked * 100) : null
+        });
+      }
+    }
+  }
+
+  // Both are percentages of the amount staked
+  const roiOf = middle => middle.expected_roi ?? middle.worst_case_roi;
+  return opportunities.sort((a, b) => roiOf(b) - roiOf(a));
+}
@@ -0,0 +1,257 @@
+/**
+ * Backtest Service - Replays historical games through the prediction pipeline
+ * Each game is predicted using only the games played before it, priced against
+ * historical lines loaded from a local JSON or CSV file.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute, extname, basename } from 'path';
+import { parse } from 'csv-parse/sync';
+import { searchPlayer, getPlayerGameLog } from './nbaApiService.js';
+import { predictPropFromGames } from './unifiedPredictionService.js';
+import { getPropValue, resolvePropId } from '../utils/propRegistry.js';
+import { calculateAccuracyMetrics } from './predictionTrackingService.js';
+import { gradeOverUnder, calculateProfit } from '../utils/oddsMath.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_LINES_FILE = join(__dirname, '../data/historical_lines.json');
+const MIN_PRIOR_GAMES = 5;
+
+/**
+ * Format a game date as YYYY-MM-DD (local time, matching how lines are keyed)
+ */
+function toDateKey(dateValue) {
+  const date = new Date(dateValue);
+  if (isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function lineKey(playerName, dateKey, propType) {
+  return `${playerName.toLowerCase().trim()}|${dateKey}|${propType}`;
+}
+
+/**
+ * Load historical lines from a JSON array or CSV file
+ * Columns/fields: player, date (YYYY-MM-DD), prop_type, line, over_odds, under_odds, bookmaker
+ * @param {string|null} filePath - Path to the lines file (absolute or relative to backend/), from the CLI only
+ * @returns {Map} Map keyed by player|date|prop_type
+ */
+export function loadHistoricalLines(filePath = null) {
+  const configuredPath = filePath || process.env.BACKTEST_LINES_FILE || DEFAULT_LINES_FILE;
+  const resolvedPath = isAbsolute(configuredPath) ? configuredPath : join(__dirname, '..', configuredPath);
+  const lines = new Map();
+
+  if (!fs.existsSync(resolvedPath)) {
+    console.warn(`⚠️ [BACKTEST] Historical lines file not found: ${resolvedPath} (hit rate and ROI will be skipped)`);
+    return lines;
+  }
+
+  // Parser errors quote the file's contents, so they are logged but not passed on
+  let rows;
+  try {
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    rows = extname(resolvedPath).toLowerCase() === '.csv'
+      ? parse(content, { columns: true, skip_empty_lines: true, trim: true })
+      : JSON.parse(content);
+  } catch (error) {
+    console.error(`❌ [BACKTEST] Could not read historical lines from ${resolvedPath}: ${error.message}`);
+    throw new Error(`Could not read historical lines file ${basename(resolvedPath)}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`Historical lines file ${basename(resolvedPath)} must hold an array of lines`);
+  }
+
+  for (const row of rows) {
+    const dateKey = toDateKey(`${row.date}T12:00:00`) || toDateKey(row.date);
+    const line = parseFloat(row.line);
+    if (!row.player || !dateKey || !row.prop_type || !Number.isFinite(line)) continue;
+
+    lines.set(lineKey(row.player, dateKey, resolvePropId(row.prop_type) || row.prop_type), {
+      line,
+      over_odds: row.over_odds != null && row.over_odds !== '' ? parseInt(row.over_odds) : -110,
+      under_odds: row.under_odds != null && row.under_odds !== '' ? parseInt(row.under_odds) : -110,
+      bookmaker: row.bookmaker || null
+    });
+  }
+
+  console.log(`📂 [BACKTEST] Loaded ${lines.size} historical lines from ${resolvedPath}`);
+  return lines;
+}
+
+/**
+ * Summarize backtest results for one prop type
+ */
+function summarizeResults(results) {
+  const count = results.length;
+  const mae = results.reduce((sum, r) => sum + r.absolute_error, 0) / count;
+  const avgAccuracy = results.reduce((sum, r) => sum + r.accuracy, 0) / count;
+  const withinMargin = results.filter(r => r.within_margin).length;
+
+  const bets = results.filter(r => r.result);
+  const wins = bets.filter(r => r.result === 'win').length;
+  const losses = bets.filter(r => r.result === 'loss').length;
+  const pushes = bets.filter(r => r.result === 'push').length;
+  const units = bets.reduce((sum, r) => sum + r.profit, 0);
+
+  // Calibration: bucket P(over) in 10% bands, compare with observed over rate
+  const calibrationBuckets = {};
+  for (const r of results) {
+    if (r.p_over == null || r.line == null || r.actual === r.line) continue;
+    const bucketStart = Math.min(90, Math.floor(r.p_over * 10) * 10);
+    const bucket = calibrationBuckets[bucketStart] || (calibrationBuckets[bucketStart] = { predicted: 0, observed: 0, count: 0 });
+    bucket.predicted += r.p_over;
+    bucket.observed += r.actual > r.line ? 1 : 0;
+    bucket.count++;
+  }
+  const calibration = Object.entries(calibrationBuckets)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([start, bucket]) => ({
+      bucket: `${start}-${Number(start) + 10}%`,
+      count: bucket.count,
+      predicted_over_rate: Math.round((bucket.predicted / bucket.count) * 1000) / 10,
+      observed_over_rate: Math.round((bucket.observed / bucket.count) * 1000) / 10
+    }));
+
+  const decided = wins + losses;
+  return {
+    predictions: count,
+    mae: Math.round(mae * 100) / 100,
+    average_accuracy: Math.round(avgAccuracy * 10) / 10,
+    within_margin_rate: Math.round((withinMargin / count) * 100),
+    bets: bets.length,
+    wins,
+    losses,
+    pushes,
+    hit_rate: decided > 0 ? Math.round((wins / decided) * 1000) / 10 : null,
+    units: Math.round(units * 100) / 100,
+    roi: bets.length > 0 ? Math.round((units / bets.length) * 1000) / 10 : null,
+    calibration
+  };
+}
+
+/**
+ * Run a backtest over a date range for a list of players
+ * @param {object} options
+ * @param {string[]} options.players - Player names
+ * @param {string} options.startDate - YYYY-MM-DD (inclusive)
+ * @param {string} options.endDate - YYYY-MM-DD (inclusive)
+ * @param {string[]} options.propTypes - Prop ids or aliases to replay (default ['points'])
+ * @param {string} options.model - Model provider (default 'local')
+ * @param {string|null} options.linesFile - Historical lines file (CLI --lines; the API never passes one)
+ * @returns {Promise<object>} { summary: {propType: {...}}, results: [], errors: [] }
+ */
+export async function runBacktest({ players = [], startDate, endDate, propTypes: requestedPropTypes = ['points'], model = 'local', linesFile = null } = {}) {
+  if (!players.length) {
+    throw new Error('At least one player is required');
+  }
+  const unknownProps = requestedPropTypes.filter(propType => !resolvePropId(propType));
+  if (unknownProps.length > 0) {
+    throw new Error(`Unknown prop type(s): ${unknownProps.join(', ')}`);
+  }
+  const propTypes = [...new Set(requestedPropTypes.map(resolvePropId))];
+  if (!startDate || !endDate) {
+    throw new Error('startDate and endDate are required (YYYY-MM-DD)');
+  }
+
+  const historicalLines = loadHistoricalLines(linesFile);
+  const results = [];
+  const errors = [];
+
+  console.log(`\n🧪 [BACKTEST] ${players.length} player(s), ${startDate} → ${endDate}, props: ${propTypes.join(', ')}, model: ${model}`);
+
+  for (let i = 0; i < players.length; i++) {
+    const playerName = players[i];
+
+    try {
+      const nbaPlayer = await searchPlayer(playerName);
+      if (!nbaPlayer?.id) {
+        throw new Error(`Player "${playerName}" not found on NBA.com`);
+      }
+
+      // Newest first, same objects the live pipeline uses
+      const games = await getPlayerGameLog(nbaPlayer.id, {
+        includePreviousSeason: true,
+        currentSeasonGames: 100,
+        previousSeasonGames: 100
+      });
+
+      for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
+        const game = games[gameIndex];
+        const dateKey = toDateKey(game.date);
+        if (!dateKey || dateKey < startDate || dateKey > endDate) continue;
+
+        // Only games played before this one
+        const priorGames = games.slice(gameIndex + 1);
+        if (priorGames.length < MIN_PRIOR_GAMES) continue;
+
+        for (const propType of propTypes) {
+          const historicalLine = historicalLines.get(lineKey(playerName, dateKey, propType)) || null;
+          const line = historicalLine?.line ?? null;
+
+          try {
+            const prediction = await predictPropFromGames(priorGames, playerName, propType, null, null, line, { model });
+            const predictedValue = prediction[`predicted_${propType}`] ?? 0;
+            const actualValue = getPropValue(game, propType);
+            const metrics = calculateAccuracyMetrics(predictedValue, actualValue, prediction.error_margin);
+
+            const side = prediction.recommendation;
+            const result = line != null ? gradeOverUnder(side, line, actualValue) : null;
+            const odds = side === 'OVER' ? historicalLine?.over_odds : historicalLine?.under_odds;
+
+            results.push({
+              player: playerName,
+              date: dateKey,
+              opponent: game.opponent,
+              prop_type: propType,
+              predicted: predictedValue,
+              actual: actualValue,
+              line,
+              recommendation: side,
+              odds: result ? odds : null,
+              p_over: prediction.distribution?.p_over ?? null,
+              result,
+              profit: result ? calculateProfit(result, odds) : 0,
+              method: prediction.method,
+              ...metrics
+            });
+          } catch (predictionError) {
+            errors.push({ player: playerName, date: dateKey, prop_type: propType, error: predictionError.message });
+          }
+        }
+      }
+    } catch (playerError) {
+      console.error(`❌ [BACKTEST] Failed for ${playerName}:`, playerError.message);
+      errors.push({ player: playerName, error: playerError.message });
+    }
+
+    // Be gentle with NBA.com between players
+    if (i < players.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  const summary = {};
+  for (const propType of propTypes) {
+    const propResults = results.filter(r => r.prop_type === propType);
+    summary[propType] = propResults.length > 0
+      ? summarizeResults(propResults)
+      : { predictions: 0, message: 'No games replayed' };
+  }
+
+  console.log(`✅ [BACKTEST] Replayed ${results.length} predictions (${errors.length} errors)`);
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    model,
+    players,
+    summary,
+    results,
+    errors
+  };
+}
@@ -0,0 +1,212 @@
+import { getDb } from './sqliteService.js';
+import { americanToDecimal, expectedValue } from '../utils/oddsMath.js';
+
+/**
+ * Bankroll Service - Kelly criterion stake sizing with exposure limits
+ * Stores the bankroll and staking settings, and turns a slip of selected props
+ * (model cover probability + best price) into recommended stakes. Several props on
+ * the same player are treated as correlated and sized down together, and total
+ * exposure is capped per player and per game.
+ */
+
+const DEFAULT_SETTINGS = {
+  bankroll: 1000,
+  kelly_fraction: 0.25, // Quarter Kelly
+  max_game_exposure: 0.1, // Share of the bankroll riding on one game
+  max_player_exposure: 0.05, // Share of the bankroll riding on one player
+  same_player_correlation: 0.5 // Assumed correlation between two props on the same player
+};
+
+// Allowed range per setting: [min, max]
+const SETTING_LIMITS = {
+  bankroll: [1, 1e9],
+  kelly_fraction: [0.01, 1],
+  max_game_exposure: [0.001, 1],
+  max_player_exposure: [0.001, 1],
+  same_player_correlation: [0, 1]
+};
+
+function round(value, digits = 2) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Current bankroll settings (defaults until the user saves their own)
+ * @returns {object} { bankroll, kelly_fraction, max_game_exposure, max_player_exposure, same_player_correlation, updated_at }
+ */
+export function getBankrollSettings() {
+  const row = getDb().prepare('SELECT * FROM bankroll_settings WHERE id = 1').get();
+  if (!row) return { ...DEFAULT_SETTINGS, updated_at: null };
+  const { id, ...settings } = row;
+  return settings;
+}
+
+/**
+ * Check a partial settings update
+ * @param {object} updates - Any of the setting fields
+ * @returns {string|null} Error message, null when valid
+ */
+export function validateBankrollSettings(updates) {
+  if (!updates || typeof updates !== 'object') return 'Settings must be an object';
+  for (const [field, value] of Object.entries(updates)) {
+    const limits = SETTING_LIMITS[field];
+    if (!limits) continue;
+    const number = Number(value);
+    if (value == null || !Number.isFinite(number) || number < limits[0] || number > limits[1]) {
+      return `${field} must be a number between ${limits[0]} and ${limits[1]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Save a partial settings update (unknown fields are ignored)
+ * @param {object} updates - Any of the setting fields, already validated
+ * @returns {object} The saved settings
+ */
+export function updateBankrollSettings(updates) {
+  const current = getBankrollSettings();
+  const next = { ...current };
+  for (const field of Object.keys(SETTING_LIMITS)) {
+    if (updates[field] != null) next[field] = Number(updates[field]);
+  }
+  next.updated_at = new Date().toISOString();
+
+  getDb().prepare(`
+    INSERT INTO bankroll_settings (id, bankroll, kelly_fraction, max_game_exposure, max_player_exposure, same_player_correlation, updated_at)
+    VALUES (1, @bankroll, @kelly_fraction, @max_game_exposure, @max_player_exposure, @same_player_correlation, @updated_at)
+    ON CONFLICT(id) DO UPDATE SET
+      bankroll = excluded.bankroll,
+      kelly_fraction = excluded.kelly_fraction,
+      max_game_exposure = excluded.max_game_exposure,
+      max_player_exposure = excluded.max_player_exposure,
+      same_player_correlation = excluded.same_player_correlation,
+      updated_at = excluded.updated_at
+  `).run(next);
+
+  console.log(`💰 Bankroll settings saved: ${next.bankroll} at ${next.kelly_fraction} Kelly`);
+  return next;
+}
+
+/**
+ * Full Kelly fraction of the bankroll for one bet
+ * With a push chance the stake comes back untouched, so only win/loss outcomes count:
+ * f* = (b·p - q) / (b·(p + q)), which is the usual (b·p - q) / b without pushes.
+ * @param {number} probability - Win probability (0-1)
+ * @param {number} americanOdds - Price taken
+ * @param {number} pushProbability - Push probability (0-1)
+ * @returns {number} Fraction of the bankroll (0 when the bet has no edge)
+ */
+export function kellyFraction(probability, americanOdds, pushProbability = 0) {
+  const decimal = americanToDecimal(americanOdds);
+  if (decimal == null || probability == null || !Number.isFinite(probability)) return 0;
+  const b = decimal - 1;
+  const p = probability;
+  const q = Math.max(0, 1 - p - (pushProbability || 0));
+  if (b <= 0 || p + q <= 0) return 0;
+  return Math.max(0, (b * p - q) / (b * (p + q)));
+}
+
+/**
+ * Scale a group of stakes down to a cap on their total
+ */
+function applyCap(stakes, cap, reason) {
+  const total = stakes.reduce((sum, stake) => sum + stake.stake, 0);
+  if (total <= cap || total <= 0) return;
+  const scale = cap / total;
+  for (const stake of stakes) {
+    stake.stake *= scale;
+    stake.capped_by = stake.capped_by || reason;
+  }
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key == null) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Recommended stakes for a slip of selected props
+ * 1. Fractional Kelly per prop from its cover probability and price
+ * 2. Props on the same player share one bet's worth of risk: each is scaled by
+ *    1 / (1 + ρ·(n - 1)) for n positive-stake props at correlation ρ
+ * 3. Totals are capped per player, then per game (event_id, or the game label)
+ * @param {array} selections - [{ player, prop_type, side, line, odds, probability (0-1),
+ *                               push_probability, bookmaker, event_id, game }]
+ * @param {object} overrides - Optional settings to use instead of the saved ones
+ * @returns {object} { settings, stakes, totals: { stake, exposure, by_player, by_game } }
+ */
+export function recommendStakes(selections, overrides = {}) {
+  const settings = { ...getBankrollSettings(), ...overrides };
+  const { bankroll, kelly_fraction: fraction, same_player_correlation: correlation } = settings;
+
+  const stakes = (selections || []).map(selection => {
+    const probability = Number(selection.probability);
+    const pushProbability = Number(selection.push_probability) || 0;
+    const fullKelly = kellyFraction(probability, selection.odds, pushProbability);
+    const ev = americanToDecimal(selection.odds) != null && Number.isFinite(probability)
+      ? round(expectedValue(probability, selection.odds, pushProbability) * 100, 1)
+      : null;
+    return {
+      ...selection,
+      ev,
+      full_kelly: round(fullKelly, 4),
+      kelly_stake: bankroll * fraction * fullKelly,
+      correlation_factor: 1,
+      stake: bankroll * fraction * fullKelly,
+      capped_by: null
+    };
+  });
+
+  const playerKey = stake => (stake.player ? stake.player.toLowerCase() : null);
+  const gameKey = stake => stake.event_id || stake.game || null;
+
+  // Correlated props on the same player
+  for (const group of groupBy(stakes.filter(stake => stake.stake > 0), playerKey).values()) {
+    if (group.length < 2) continue;
+    const factor = 1 / (1 + correlation * (group.length - 1));
+    for (const stake of group) {
+      stake.correlation_factor = round(factor, 4);
+      stake.stake *= factor;
+    }
+  }
+
+  for (const group of groupBy(stakes, playerKey).values()) {
+    applyCap(group, bankroll * settings.max_player_exposure, 'player');
+  }
+  for (const group of groupBy(stakes, gameKey).values()) {
+    applyCap(group, bankroll * settings.max_game_exposure, 'game');
+  }
+
+  const byPlayer = {};
+  const byGame = {};
+  let total = 0;
+  for (const stake of stakes) {
+    stake.kelly_stake = round(stake.kelly_stake);
+    stake.stake = round(stake.stake);
+    stake.stake_pct = round(stake.stake / bankroll * 100);
+    total += stake.stake;
+    if (stake.player) byPlayer[stake.player] = round((byPlayer[stake.player] || 0) + stake.stake);
+    const game = gameKey(stake);
+    if (game) byGame[game] = round((byGame[game] || 0) + stake.stake);
+  }
+
+  return {
+    settings,
+    stakes,
+    totals: {
+      stake: round(total),
+      exposure: round(total / bankroll * 100),
+      by_player: byPlayer,
+      by_game: byGame
+    }
+  };
+}
@@ -0,0 +1,500 @@
+import { parse } from 'csv-parse/sync';
+import { getDb, toDateKey } from './sqliteService.js';
+import { getLatestPrediction } from './predictionTrackingService.js';
+import { fetchPlayerGames, findGameOnDate } from './predictionEvaluationService.js';
+import { getBankrollSettings } from './bankrollService.js';
+import { gradeOverUnder, calculateProfit, americanToDecimal } from '../utils/oddsMath.js';
+import {
+  PROP_TYPES,
+  resolvePropId,
+  getPropByMarket,
+  getPropValue,
+  isYesNoProp,
+  isValidLineForProp,
+  YES_NO_LINE
+} from '../utils/propRegistry.js';
+
+/**
+ * Bet Tracker Service - The user's own bets, settlement and P&L
+ * Each bet stores the player, prop, line, side, odds, stake and book plus the model's
+ * prediction at bet time. Pending bets are settled from NBA.com game logs the same way
+ * tracked predictions are graded. Bets can be imported from and exported to CSV.
+ */
+
+export const BET_STATUSES = ['pending', 'win', 'loss', 'push', 'void'];
+
+// Columns written by the CSV export (and read back by the import)
+const EXPORT_COLUMNS = [
+  'id', 'game_date', 'player_name', 'prop_type', 'side', 'line', 'odds', 'stake', 'bookmaker',
+  'status', 'actual_value', 'profit', 'predicted_value', 'model_probability', 'confidence',
+  'notes', 'placed_at', 'settled_at'
+];
+
+// Header names used by common bet tracking spreadsheets and sportsbook exports
+// (headers are lowercased with punctuation turned into underscores before matching).
+// Names sportsbooks also use for something else ("Bet Type", "Total" payout) are left out.
+const COLUMN_ALIASES = {
+  id: ['id', 'bet_id'],
+  player_name: ['player_name', 'player', 'name', 'athlete'],
+  prop_type: ['prop_type', 'prop', 'stat', 'category'],
+  line: ['line', 'point', 'handicap'],
+  side: ['side', 'pick', 'over_under', 'o_u', 'direction'],
+  odds: ['odds', 'price', 'american_odds', 'decimal_odds', 'us_odds'],
+  stake: ['stake', 'risk', 'wager', 'bet_amount', 'risked', 'to_risk'],
+  bookmaker: ['bookmaker', 'book', 'sportsbook', 'sports_book', 'site'],
+  game_date: ['game_date', 'date', 'event_date', 'game_day'],
+  placed_at: ['placed_at', 'placed', 'bet_date', 'time_placed', 'created_at'],
+  status: ['status', 'result', 'outcome', 'grade'],
+  profit: ['profit', 'net', 'pl', 'p_l', 'pnl', 'net_profit', 'win_loss'],
+  actual_value: ['actual_value', 'actual', 'final_stat'],
+  predicted_value: ['predicted_value', 'prediction', 'projection'],
+  model_probability: ['model_probability', 'probability', 'win_probability'],
+  confidence: ['confidence'],
+  notes: ['notes', 'note', 'comments', 'tags'],
+  description: ['description', 'bet', 'selection', 'bet_description', 'leg']
+};
+
+const RESULT_ALIASES = {
+  win: ['win', 'won', 'w', 'winner', 'hit'],
+  loss: ['loss', 'lost', 'l', 'lose', 'loser', 'miss'],
+  push: ['push', 'p', 'tie', 'draw'],
+  void: ['void', 'cancelled', 'canceled', 'refund', 'refunded', 'no_action'],
+  pending: ['pending', 'open', 'ungraded', '']
+};
+
+function round(value, digits = 2) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,+%\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Game day as YYYY-MM-DD (dates that already are one are kept as-is)
+ */
+function toGameDay(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  return toDateKey(text);
+}
+
+/**
+ * OVER / UNDER from the ways trackers write a side (yes/no for yes/no props)
+ */
+function normalizeSide(value) {
+  const side = String(value || '').trim().toLowerCase();
+  if (['over', 'o', 'yes', 'y'].includes(side)) return 'OVER';
+  if (['under', 'u', 'no', 'n'].includes(side)) return 'UNDER';
+  return null;
+}
+
+/**
+ * American odds from American or decimal odds (e.g. "+150", "-110", "2.50")
+ */
+function normalizeOdds(value) {
+  const odds = toNumber(value);
+  if (odds == null) return null;
+  if (Math.abs(odds) >= 100) return Math.round(odds);
+  if (odds > 1) {
+    return odds >= 2 ? Math.round((odds - 1) * 100) : Math.round(-100 / (odds - 1));
+  }
+  return null;
+}
+
+/**
+ * Prop id from an id, alias, Odds API market key or display label
+ */
+function normalizePropType(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const key = text.toLowerCase().replace(/^player[_\s]+/, '').replace(/[\s-]+/g, '_');
+  const byLabel = PROP_TYPES.find(prop => [prop.label, prop.shortLabel, prop.abbrev]
+    .some(label => label && label.toLowerCase() === text.toLowerCase()));
+  return resolvePropId(text) || resolvePropId(key) || getPropByMarket(text)?.id || byLabel?.id || null;
+}
+
+function normalizeStatus(value) {
+  const status = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(RESULT_ALIASES).find(result => RESULT_ALIASES[result].includes(status)) || null;
+}
+
+/**
+ * Player, side, line and prop from a free-text bet description
+ * Handles "LeBron James Over 25.5 Points" and "LeBron James - Points Over 25.5"
+ */
+function parseDescription(description) {
+  const text = String(description || '').trim();
+  let match = text.match(/^(.+?)\s+(over|under|o|u)\s*(\d+(?:\.\d+)?)\s+(.+)$/i);
+  if (match) return { player_name: match[1], side: match[2], line: match[3], prop_type: match[4] };
+  match = text.match(/^(.+?)\s*[-–:]\s*(.+?)\s+(over|under|o|u)\s*(\d+(?:\.\d+)?)$/i);
+  if (match) return { player_name: match[1], prop_type: match[2], side: match[3], line: match[4] };
+  return {};
+}
+
+/**
+ * Validate a bet and fill in defaults and the model prediction at bet time
+ * @param {object} input - { player_name, prop_type, line, side, odds, stake, bookmaker, game_date, event_id,
+ *                           predicted_value, model_probability, confidence, prediction_id, notes }
+ * @returns {object} { bet } or { error }
+ */
+export function normalizeBet(input) {
+  const playerName = String(input?.player_name || input?.player || '').trim();
+  if (!playerName) return { error: 'player_name is required' };
+
+  const propType = normalizePropType(input.prop_type);
+  if (!propType) return { error: `Unknown prop type "${input.prop_type ?? ''}"` };
+
+  const side = normalizeSide(input.side);
+  if (!side) return { error: 'side must be OVER or UNDER' };
+
+  const line = isYesNoProp(propType) ? (toNumber(input.line) ?? YES_NO_LINE) : toNumber(input.line);
+  if (!isValidLineForProp(propType, line)) return { error: `Invalid line ${input.line ?? ''} for ${propType}` };
+
+  const odds = normalizeOdds(input.odds);
+  if (odds == null || americanToDecimal(odds) == null) return { error: 'odds must be American (e.g. -110, +150) or decimal odds' };
+
+  const stake = toNumber(input.stake);
+  if (stake == null || stake <= 0) return { error: 'stake must be a positive number' };
+
+  const gameDate = toGameDay(input.game_date) || toDateKey(new Date());
+  const modelProbability = toNumber(input.model_probability);
+
+  const bet = {
+    id: input.id || `bet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    player_name: playerName,
+    prop_type: propType,
+    line,
+    side,
+    odds,
+    stake,
+    bookmaker: input.bookmaker || null,
+    game_date: gameDate,
+    event_id: input.event_id || null,
+    predicted_value: toNumber(input.predicted_value),
+    // Stored as 0-1; percentages from spreadsheets are scaled down
+    model_probability: modelProbability != null && modelProbability > 1 ? modelProbability / 100 : modelProbability,
+    confidence: input.confidence != null && input.confidence !== '' ? String(input.confidence) : null,
+    prediction_id: input.prediction_id || null,
+    notes: input.notes || null,
+    source: input.source || 'manual',
+    status: 'pending',
+    actual_value: null,
+    profit: null,
+    placed_at: toIsoString(input.placed_at) || new Date().toISOString(),
+    settled_at: null
+  };
+
+  // Model prediction at bet time from the tracked predictions, unless the caller sent one
+  if (bet.predicted_value == null) {
+    const prediction = getLatestPrediction(playerName, propType, gameDate);
+    if (prediction) {
+      bet.predicted_value = prediction.predicted_value ?? null;
+      bet.confidence = bet.confidence || prediction.confidence || null;
+      bet.prediction_id = bet.prediction_id || prediction.id;
+    }
+  }
+
+  return { bet };
+}
+
+function saveBet(bet) {
+  const columns = Object.keys(bet);
+  getDb().prepare(`
+    INSERT INTO bets (${columns.join(', ')})
+    VALUES (${columns.map(column => `@${column}`).join(', ')})
+    ON CONFLICT(id) DO UPDATE SET ${columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')}
+  `).run(bet);
+}
+
+/**
+ * Apply a result to a bet (profit in the stake's currency)
+ */
+function applyResult(bet, result, actualValue = null) {
+  bet.status = result;
+  bet.actual_value = actualValue;
+  bet.profit = result === 'void' ? 0 : round(calculateProfit(result, bet.odds, bet.stake));
+  bet.settled_at = new Date().toISOString();
+  return bet;
+}
+
+/**
+ * Create a bet
+ * @returns {object} { bet } or { error }
+ */
+export function createBet(input) {
+  // New bets always get a fresh id (only CSV imports may replace an existing bet)
+  const { bet, error } = normalizeBet({ ...input, id: null });
+  if (error) return { error };
+  saveBet(bet);
+  console.log(`🎟️  Tracked bet: ${bet.player_name} ${bet.side} ${bet.line} ${bet.prop_type} at ${bet.odds} for ${bet.stake}`);
+  return { bet };
+}
+
+export function getBet(id) {
+  return getDb().prepare('SELECT * FROM bets WHERE id = ?').get(id) || null;
+}
+
+/**
+ * List bets, newest game first
+ * @param {object} filters - { status, player, prop_type, bookmaker, from, to (YYYY-MM-DD), limit }
+ */
+export function listBets({ status = null, player = null, prop_type: propType = null, bookmaker = null, from = null, to = null, limit = 500 } = {}) {
+  return getDb().prepare(`
+    SELECT * FROM bets
+    WHERE (@status IS NULL OR status = @status)
+      AND (@player IS NULL OR player_name = @player COLLATE NOCASE)
+      AND (@propType IS NULL OR prop_type = @propType)
+      AND (@bookmaker IS NULL OR bookmaker = @bookmaker COLLATE NOCASE)
+      AND (@from IS NULL OR game_date >= @from)
+      AND (@to IS NULL OR game_date <= @to)
+    ORDER BY game_date DESC, placed_at DESC
+    LIMIT @limit
+  `).all({ status, player, propType: propType ? resolvePropId(propType) || propType : null, bookmaker, from, to, limit });
+}
+
+/**
+ * Settle one bet by hand, from the actual stat or an explicit result
+ * @param {string} id - Bet id
+ * @param {object} outcome - { actual_value } or { result: 'win' | 'loss' | 'push' | 'void' }
+ * @returns {object|null} Settled bet, null when not found
+ */
+export function settleBet(id, { actual_value: actualValue = null, result = null } = {}) {
+  const bet = getBet(id);
+  if (!bet) return null;
+
+  const grade = actualValue != null ? gradeOverUnder(bet.side, bet.line, actualValue) : result;
+  applyResult(bet, grade, actualValue);
+  saveBet(bet);
+  console.log(`✅ Settled bet ${id}: ${grade}${actualValue != null ? ` (actual ${actualValue})` : ''}, profit ${bet.profit}`);
+  return bet;
+}
+
+export function deleteBet(id) {
+  return getDb().prepare('DELETE FROM bets WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Settle every pending bet whose game has likely been played, from NBA.com game logs
+ * Uses the same game log lookup as prediction evaluation.
+ * @returns {Promise<object>} { settled, failed, skipped, results }
+ */
+export async function settlePendingBets() {
+  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  // Ordered by player so each game log is fetched once
+  const pending = getDb().prepare(`
+    SELECT * FROM bets WHERE status = 'pending' AND game_date <= ? ORDER BY player_name, game_date
+  `).all(toDateKey(oneDayAgo));
+
+  const results = { settled: 0, failed: 0, skipped: 0, results: [] };
+  if (pending.length === 0) {
+    console.log('✅ No pending bets to settle');
+    return results;
+  }
+
+  console.log(`🎟️  Settling ${pending.length} pending bets...`);
+  const statsByPlayer = new Map();
+
+  for (let i = 0; i < pending.length; i++) {
+    const bet = pending[i];
+
+    // Same pacing as prediction evaluation between NBA.com requests
+    if (i > 0 && !statsByPlayer.has(bet.player_name.toLowerCase())) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    try {
+      const stats = await fetchPlayerGames(bet.player_name, statsByPlayer);
+      // Game dates are YYYY-MM-DD on both sides, so they parse the same way
+      const game = stats?.games?.length ? findGameOnDate(stats.games, bet.game_date) : null;
+      if (!game) {
+        results.skipped++;
+        results.results.push({ betId: bet.id, player: bet.player_name, status: 'skipped', reason: `Game not found for date ${bet.game_date}` });
+        continue;
+      }
+
+      const actualValue = getPropValue(game, bet.prop_type);
+      const result = gradeOverUnder(bet.side, bet.line, actualValue);
+      applyResult(bet, result, actualValue);
+      saveBet(bet);
+
+      results.settled++;
+      results.results.push({ betId: bet.id, player: bet.player_name, prop_type: bet.prop_type, status: 'settled', actual: actualValue, result, profit: bet.profit });
+    } catch (error) {
+      console.error(`   ❌ Error settling bet ${bet.id}:`, error.message);
+      results.failed++;
+      results.results.push({ betId: bet.id, player: bet.player_name, status: 'failed', error: error.message });
+    }
+  }
+
+  console.log(`✅ Bet settlement complete: ${results.settled} settled, ${results.failed} failed, ${results.skipped} skipped`);
+  return results;
+}
+
+// Aggregate columns shared by the P&L queries (voids count as bets but not as money at risk)
+const PNL_COLUMNS = `
+  COUNT(*) AS bets,
+  SUM(status = 'win') AS wins,
+  SUM(status = 'loss') AS losses,
+  SUM(status = 'push') AS pushes,
+  SUM(status = 'void') AS voids,
+  SUM(CASE WHEN status = 'void' THEN 0 ELSE stake END) AS staked,
+  SUM(profit) AS profit
+`;
+
+function formatPnlRow(row, unitSize) {
+  const decided = (row.wins || 0) + (row.losses || 0);
+  const profit = row.profit || 0;
+  return {
+    bets: row.bets,
+    wins: row.wins || 0,
+    losses: row.losses || 0,
+    pushes: row.pushes || 0,
+    voids: row.voids || 0,
+    hit_rate: decided > 0 ? round((row.wins / decided) * 100, 1) : null,
+    staked: round(row.staked || 0),
+    profit: round(profit),
+    units: round(profit / unitSize),
+    roi: row.staked > 0 ? round((profit / row.staked) * 100, 1) : null
+  };
+}
+
+/**
+ * Profit and loss of settled bets, overall and by prop, book, confidence and month
+ * @param {object} options - { unitSize } (default: 1% of the saved bankroll)
+ */
+export function getBetPnl({ unitSize = null } = {}) {
+  const db = getDb();
+  const unit = unitSize > 0 ? unitSize : getBankrollSettings().bankroll / 100;
+
+  const overall = db.prepare(`SELECT ${PNL_COLUMNS} FROM bets WHERE status != 'pending'`).get();
+  const open = db.prepare(`SELECT COUNT(*) AS bets, SUM(stake) AS stake FROM bets WHERE status = 'pending'`).get();
+
+  const groupedBy = (groupExpression) => {
+    const summary = {};
+    const rows = db.prepare(`
+      SELECT ${groupExpression} AS group_key, ${PNL_COLUMNS}
+      FROM bets
+      WHERE status != 'pending'
+      GROUP BY group_key
+    `).all();
+    for (const row of rows) {
+      summary[row.group_key] = formatPnlRow(row, unit);
+    }
+    return summary;
+  };
+
+  return {
+    unit_size: round(unit),
+    ...formatPnlRow(overall, unit),
+    pending: { bets: open.bets, stake: round(open.stake || 0) },
+    by_prop: groupedBy('prop_type'),
+    by_bookmaker: groupedBy(`COALESCE(bookmaker, 'unknown')`),
+    by_confidence: groupedBy(`COALESCE(confidence, 'unknown')`),
+    by_month: groupedBy('substr(game_date, 1, 7)')
+  };
+}
+
+function toCsvValue(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * All bets as CSV (same columns the import reads back)
+ * @returns {string}
+ */
+export function exportBetsCsv() {
+  const bets = getDb().prepare('SELECT * FROM bets ORDER BY game_date, placed_at').all();
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const bet of bets) {
+    lines.push(EXPORT_COLUMNS.map(column => toCsvValue(bet[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Import bets from a CSV export of this app or a common tracker/sportsbook format
+ * Headers are matched through COLUMN_ALIASES; when two headers match the same field the
+ * first one keeps it. A bet description column fills in the player, side, line and prop
+ * when they have no columns of their own, or when the prop column isn't a prop. Rows that
+ * carry an id from our own export replace that bet.
+ * @param {string} content - CSV text with a header row
+ * @returns {object} { imported, skipped, errors: [{ row, error }] }
+ */
+export function importBetsCsv(content) {
+  const headerToField = new Map();
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    for (const alias of aliases) {
+      if (!headerToField.has(alias)) headerToField.set(alias, field);
+    }
+  }
+  const rows = parse(content, {
+    columns: header => {
+      const mapped = new Set();
+      return header.map(name => {
+        const key = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        const field = headerToField.get(key);
+        if (!field) return key;
+        // A second header for a mapped field is kept aside so it can't overwrite the first
+        if (mapped.has(field)) return `duplicate_${key}`;
+        mapped.add(field);
+        return field;
+      });
+    },
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    bom: true
+  });
+
+  const summary = { imported: 0, skipped: 0, errors: [] };
+  getDb().transaction(() => {
+    rows.forEach((row, index) => {
+      const fromDescription = parseDescription(row.description);
+      const input = { ...row, source: 'import' };
+      // A prop column that holds no prop ("Straight", "Player Prop") defers to the description
+      if (fromDescription.prop_type && !normalizePropType(input.prop_type)) input.prop_type = null;
+      for (const [field, value] of Object.entries(fromDescription)) {
+        if (input[field] == null || input[field] === '') input[field] = value;
+      }
+
+      const { bet, error } = normalizeBet(input);
+      if (error) {
+        summary.skipped++;
+        summary.errors.push({ row: index + 2, error }); // +2: header row and 1-based rows
+        return;
+      }
+
+      // Settled rows keep the tracker's own profit when it has one (boosts, partial cash-outs)
+      let status = normalizeStatus(row.status);
+      const reportedProfit = toNumber(row.profit);
+      if (!status) {
+        status = reportedProfit == null ? 'pending' : reportedProfit > 0 ? 'win' : reportedProfit < 0 ? 'loss' : 'push';
+      }
+      if (status !== 'pending') {
+        applyResult(bet, status, toNumber(row.actual_value));
+        if (reportedProfit != null) bet.profit = round(reportedProfit);
+        bet.settled_at = toIsoString(row.settled_at) || bet.settled_at;
+      }
+
+      saveBet(bet);
+      summary.imported++;
+    });
+  })();
+
+  console.log(`📥 Imported ${summary.imported} bets (${summary.skipped} skipped)`);
+  return summary;
+}
@@ -5,18 +5,20 @@
  */
 
 import { predictPropFromGames } from './unifiedPredictionService.js';
+import { getMarketProps, isYesNoProp, resolvePropId } from '../utils/propRegistry.js';
 
 /**
  * Generate prediction for a specific prop type
  * @param {Array} games - Game log array
  * @param {string} playerName - Player name
- * @param {string} propType - Prop type (points, rebounds, assists, threes, pra, pr, pa, ra)
+ * @param {string} propType - Prop id or alias from the prop registry
  * @param {object} nextGameInfo - Next game information
  * @param {object} injuryData - Injury data
  * @param {number|null} vegasLine - Vegas line for this specific prop (REQUIRED)
+ * @param {object|null} market - Prop market from oddsService (odds/bookmaker stored with tracked predictions)
  * @returns {Promise<object>} Prediction result with recommendation
  */
-export async function generatePropPrediction(games, playerName, propType, nextGameInfo, injuryData, vegasLine) {
+export async function generatePropPrediction(games, playerName, propType, nextGameInfo, injuryData, vegasLine, market = null) {
   try {
     // Validate inputs
     if (!games || games.length < 3) {
@@ -46,7 +48,19 @@ export async function generatePropPrediction(games, playerName, propType, nextGa
       propType,
       nextGameInfo,
       injuryData,
-      vegasLine
+      vegasLine,
+      {
+        market: {
+          line: vegasLine,
+          over_odds: market?.over_odds ?? null,
+          under_odds: market?.under_odds ?? null,
+          bookmaker: market?.bookmaker || null,
+          bookmaker_key: market?.bookmaker_key || null,
+          bettable: market?.bettable !== false,
+          ladder: market?.ladder || null,
+          consensus: market?.consensus || null
+        }
+      }
     );
 
     if (!prediction) {
@@ -59,31 +73,14 @@ export async function generatePropPrediction(games, playerName, propType, nextGa
       };
     }
 
-    // Extract predicted value based on prop type
-    let predictedValue = null;
-    if (propType === 'points') {
-      predictedValue = prediction.predicted_points || prediction.predicted_value || null;
-    } else if (propType === 'rebounds') {
-      predictedValue = prediction.predicted_rebounds || prediction.predicted_value || null;
-    } else if (propType === 'assists') {
-      predictedValue = prediction.predicted_assists || prediction.predicted_value || null;
-    } else if (propType === 'threes') {
-      predictedValue = prediction.predicted_threes || prediction.predicted_value || null;
-    } else if (propType === 'pra') {
-      predictedValue = prediction.predicted_pra || prediction.predicted_value || null;
-    } else if (propType === 'pr') {
-      predictedValue = prediction.predicted_pr || prediction.predicted_value || null;
-    } else if (propType === 'pa') {
-      predictedValue = prediction.predicted_pa || prediction.predicted_value || null;
-    } else if (propType === 'ra') {
-      predictedValue = prediction.predicted_ra || prediction.predicted_value || null;
-    } else {
-      predictedValue = prediction.predicted_value || null;
-    }
+    // Predictions are keyed by the canonical prop id
+    const predictedValue = prediction[`predicted_${resolvePropId(propType)}`] ?? prediction.predicted_value ?? null;
 
-    // Determine recommendation
+    // Determine recommendation (yes/no props are priced against the market odds by the pipeline)
     let recommendation = null;
-    if (predictedValue != null && vegasLine != null) {
+    if (isYesNoProp(propType)) {
+      recommendation = prediction.recommendation || null;
+    } else if (predictedValue != null && vegasLine != null) {
       const difference = predictedValue - vegasLine;
       if (Math.abs(difference) < 0.5) {
         recommendation = 'PUSH';
@@ -98,7 +95,15 @@ export async function generatePropPrediction(games, playerName, propType, nextGa
       predicted_value: predictedValue,
       confidence: prediction.confidence || null,
       recommendation: recommendation,
-      error_margin: prediction.error_margin || prediction.errorMargin || null
+      error_margin: prediction.error_margin || prediction.errorMargin || null,
+      distribution: prediction.distribution || null,
+      ladder: prediction.ladder || null,
+      milestone: prediction.milestone || null,
+      analysis: prediction.analysis || null,
+      stats: prediction.stats || null,
+      method: prediction.method || null,
+      minutes_projection: prediction.minutes_projection || null,
+      schedule_context: prediction.schedule_context || null
     };
   } catch (error) {
     console.error(`❌ Error generating prediction for ${propType}:`, error.message);
@@ -125,7 +130,7 @@ export async function generateAllPropPredictions(games, playerName, allProps, ne
   const predictions = {};
   
   // Generate prediction for each prop that has a line
-  const propTypes = ['points', 'rebounds', 'assists', 'threes', 'pra', 'pr', 'pa', 'ra'];
+  const propTypes = getMarketProps().map(prop => prop.id);
   
   for (const propType of propTypes) {
     const prop = allProps[propType];
@@ -149,7 +154,8 @@ export async function generateAllPropPredictions(games, playerName, allProps, ne
       propType,
       nextGameInfo,
       injuryData,
-      prop.line
+      prop.line,
+      prop
     );
     
     predictions[propType] = prediction;
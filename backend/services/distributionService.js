@@ -0,0 +1,225 @@
+/**
+ * Distribution Service - Turns a point prediction into a predictive distribution
+ * Count stats (threes, rebounds, assists, steals, blocks, turnovers) use a
+ * Poisson model, or a negative binomial when the game log is overdispersed.
+ * Points and combo props use a discretized normal around the prediction.
+ * Yes/no milestone props (double-double, triple-double) are a Bernoulli whose
+ * mean is the predicted probability.
+ */
+
+import { getPropType } from '../utils/propRegistry.js';
+
+const QUANTILE_LEVELS = { p10: 0.1, p25: 0.25, p50: 0.5, p75: 0.75, p90: 0.9 };
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26)
+ */
+function normalCdf(z) {
+  const sign = z < 0 ? -1 : 1;
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return 0.5 * (1 + sign * y);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ */
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+           ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+         (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function sampleVariance(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Probability mass function over 0..kMax for a Poisson or negative binomial
+ * @param {number} mu - Mean
+ * @param {number|null} dispersion - NB size parameter r, or null for Poisson
+ * @returns {number[]} pmf array
+ */
+function buildCountPmf(mu, dispersion) {
+  const pmf = [];
+  let p;
+  let step;
+
+  if (dispersion) {
+    const q = mu / (dispersion + mu);
+    p = Math.pow(dispersion / (dispersion + mu), dispersion);
+    step = (k) => ((k + dispersion) / (k + 1)) * q;
+  } else {
+    p = Math.exp(-mu);
+    step = (k) => mu / (k + 1);
+  }
+
+  let cumulative = 0;
+  for (let k = 0; k <= 400; k++) {
+    pmf.push(p);
+    cumulative += p;
+    if (cumulative >= 0.99999 && k >= mu) break;
+    p *= step(k);
+  }
+
+  return pmf;
+}
+
+function pmfQuantile(pmf, level) {
+  let cumulative = 0;
+  for (let k = 0; k < pmf.length; k++) {
+    cumulative += pmf[k];
+    if (cumulative >= level) return k;
+  }
+  return pmf.length - 1;
+}
+
+/**
+ * P(X > line), P(X < line) and P(X = line) for an integer-valued stat
+ * @param {function} cdfAt - Returns P(X <= k) for integer k
+ */
+function lineProbabilities(cdfAt, line) {
+  const isWholeLine = Number.isInteger(line);
+  const pUnder = cdfAt(Math.ceil(line) - 1);
+  const pOver = 1 - cdfAt(Math.floor(line));
+  const pPush = isWholeLine ? Math.max(0, 1 - pOver - pUnder) : 0;
+  return { p_over: round(pOver), p_under: round(pUnder), p_push: round(pPush) };
+}
+
+/**
+ * Fit the predictive model for a prop around a point prediction
+ * @returns {object} { model, mean, std_dev, quantiles, cdfAt } - cdfAt(k) = P(X <= k) for integer k
+ */
+function fitDistribution({ mean: mu, values = [], propType }) {
+  // Degenerate distribution (player out or no production at all)
+  if (!mu || mu <= 0) {
+    return {
+      model: 'degenerate',
+      mean: 0,
+      std_dev: 0,
+      quantiles: { p10: 0, p25: 0, p50: 0, p75: 0, p90: 0 },
+      cdfAt: () => 1
+    };
+  }
+
+  // Yes/no props: the prediction is P(Yes), the prop's value is 1 or 0
+  if (getPropType(propType)?.milestone) {
+    const p = Math.min(1, mu);
+    return {
+      model: 'bernoulli',
+      mean: round(p),
+      std_dev: round(Math.sqrt(p * (1 - p))),
+      quantiles: Object.fromEntries(Object.entries(QUANTILE_LEVELS).map(([key, level]) => [key, level <= 1 - p ? 0 : 1])),
+      cdfAt: (k) => (k < 0 ? 0 : k < 1 ? 1 - p : 1)
+    };
+  }
+
+  const historicalMean = values.length > 0 ? mean(values) : mu;
+  const historicalVariance = sampleVariance(values);
+
+  if (getPropType(propType)?.lowCount) {
+    // Overdispersion ratio from the game log, applied to the predicted mean
+    const dispersionRatio = historicalMean > 0 ? historicalVariance / historicalMean : 1;
+    const useNegativeBinomial = values.length >= 5 && dispersionRatio > 1.1;
+    const dispersion = useNegativeBinomial ? mu / (dispersionRatio - 1) : null;
+    const pmf = buildCountPmf(mu, dispersion);
+
+    const cdfAt = (k) => {
+      if (k < 0) return 0;
+      let cumulative = 0;
+      for (let i = 0; i <= Math.min(k, pmf.length - 1); i++) cumulative += pmf[i];
+      return Math.min(1, cumulative);
+    };
+
+    const variance = useNegativeBinomial ? mu + (mu * mu) / dispersion : mu;
+    const quantiles = {};
+    for (const [key, level] of Object.entries(QUANTILE_LEVELS)) {
+      quantiles[key] = pmfQuantile(pmf, level);
+    }
+
+    return {
+      model: useNegativeBinomial ? 'negative_binomial' : 'poisson',
+      mean: round(mu, 2),
+      std_dev: round(Math.sqrt(variance), 2),
+      quantiles,
+      cdfAt
+    };
+  }
+
+  // Normal model for points and combo props; never tighter than Poisson noise
+  const stdDev = Math.max(Math.sqrt(historicalVariance), Math.sqrt(mu), 1);
+  const quantiles = {};
+  for (const [key, level] of Object.entries(QUANTILE_LEVELS)) {
+    quantiles[key] = round(Math.max(0, mu + normalQuantile(level) * stdDev), 1);
+  }
+
+  return {
+    model: 'normal',
+    mean: round(mu, 2),
+    std_dev: round(stdDev, 2),
+    quantiles,
+    cdfAt: (k) => normalCdf((k + 0.5 - mu) / stdDev)
+  };
+}
+
+function isLine(line) {
+  return typeof line === 'number' && Number.isFinite(line);
+}
+
+/**
+ * Build the predictive distribution for a prop
+ * @param {object} params
+ * @param {number} params.mean - Model point prediction
+ * @param {number[]} params.values - Historical values for the prop (any order)
+ * @param {string} params.propType - Prop type
+ * @param {number|null} params.line - Betting line (optional)
+ * @returns {object} { model, mean, std_dev, quantiles, line, p_over, p_under, p_push }
+ */
+export function buildPredictiveDistribution({ mean: mu, values = [], propType, line = null }) {
+  const { cdfAt, ...distribution } = fitDistribution({ mean: mu, values, propType });
+  return {
+    ...distribution,
+    line: isLine(line) ? line : null,
+    ...(isLine(line) ? lineProbabilities(cdfAt, line) : { p_over: null, p_under: null, p_push: null })
+  };
+}
+
+/**
+ * P(over/under/push) at several lines from the same predictive distribution (alternate line ladders)
+ * @param {object} params - { mean, values, propType } as for buildPredictiveDistribution
+ * @param {number[]} lines - Betting lines
+ * @returns {array} [{ line, p_over, p_under, p_push }]
+ */
+export function getLineProbabilities({ mean: mu, values = [], propType }, lines) {
+  const { cdfAt } = fitDistribution({ mean: mu, values, propType });
+  return (lines || []).filter(isLine).map(line => ({ line, ...lineProbabilities(cdfAt, line) }));
+}
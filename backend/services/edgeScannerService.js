@@ -0,0 +1,405 @@
+/**
+ * Edge Scanner Service - Slate-wide +EV scan across every player prop
+ * A background job walks today's events, predicts every player prop that has a
+ * line and prices each book's over/under with the prediction's distribution. The
+ * latest scan is kept in memory so GET /api/edges only filters and ranks it.
+ */
+
+import dotenv from 'dotenv';
+import { getNbaEvents, getEventOdds, getEventOddsFetchedAt, isOddsApiConfigured } from './oddsApiClient.js';
+import { getEventPlayerProps } from './oddsService.js';
+import { getPlayerStatsFromNBA } from './nbaApiService.js';
+import { playerStatsCache } from './databaseService.js';
+import { getMatchupInjuries } from './injuryService.js';
+import { getTeamAbbrevFromFullName } from './teamMappingService.js';
+import { predictPropFromGames } from './unifiedPredictionService.js';
+import { ladderFromBookmakers } from './ladderService.js';
+import { normalizeTeamAbbrev } from './scheduleContextService.js';
+import { getPropType, resolvePropId } from '../utils/propRegistry.js';
+import { getPickemPlatform } from '../utils/pickemPayouts.js';
+
+dotenv.config();
+
+function readNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Minutes between background scans. Every scan pays Odds API credits per event (and one game log
+// per player), so the background job is opt-in; by default scans only run on request.
+const SCAN_INTERVAL_MINUTES = readNumberEnv('EDGE_SCAN_INTERVAL_MINUTES', 0);
+// Events starting within this many hours make up "today's slate"
+const SLATE_HOURS = readNumberEnv('EDGE_SLATE_HOURS', 24);
+// Optional cap on players per scan (0 = every player with props)
+const MAX_PLAYERS = readNumberEnv('EDGE_SCAN_MAX_PLAYERS', 0);
+// Model provider for the scan: local unless EDGE_SCAN_MODEL says otherwise, so a slate
+// scan never makes one OpenAI call per player prop by default
+const SCAN_MODEL = process.env.EDGE_SCAN_MODEL || 'local';
+
+const state = {
+  scan: null,        // { generated_at, duration_ms, events, events_reused, players_scanned, props_scanned, errors, edges }
+  running: null,     // Promise of the scan in progress
+  started_at: null,
+  timer: null
+};
+
+function round(value, digits = 1) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Game log for a player (shared with /compare through playerStatsCache)
+ */
+async function getPlayerGames(playerName) {
+  let stats = playerStatsCache.get(playerName);
+  if (!stats) {
+    stats = await getPlayerStatsFromNBA(playerName);
+    if (stats) {
+      const teamAbbrev = typeof stats.player?.team === 'string' ? stats.player.team : stats.player?.team?.abbreviation;
+      playerStatsCache.set(playerName, stats, stats.player?.nba_id || stats.player?.id, teamAbbrev);
+    }
+  }
+  if (!stats?.games || stats.games.length < 3) return null;
+
+  const team = typeof stats.player?.team === 'string' ? stats.player.team : stats.player?.team?.abbreviation;
+  return { games: stats.games, team: normalizeTeamAbbrev(team) };
+}
+
+/**
+ * Injury reports for both teams in a matchup, in the shape the prediction pipeline expects
+ */
+async function getInjuryData(teamAbbrev, opponentAbbrev, eventId) {
+  try {
+    const matchup = await getMatchupInjuries(teamAbbrev, opponentAbbrev, eventId);
+    if (!matchup.hasPlayerTeamInjuries && !matchup.hasOpponentInjuries) return null;
+    return {
+      playerTeamInjuries: matchup.playerTeamInjuries,
+      opponentInjuries: matchup.opponentInjuries,
+      playerTeamAbbrev: teamAbbrev,
+      opponentAbbrev
+    };
+  } catch (error) {
+    console.warn(`⚠️ [EDGES] Could not fetch injuries for ${teamAbbrev}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Every book/side price on a priced ladder as an edge candidate
+ * Pick'em apps pay by entry rather than by leg, so their lines are kept with or without odds.
+ */
+function collectCandidates(pricedLadder) {
+  const candidates = [];
+  for (const rung of pricedLadder?.rungs || []) {
+    for (const book of rung.books) {
+      const pickemPlatform = getPickemPlatform(book.bookmaker_key || book.bookmaker);
+      for (const side of ['over', 'under']) {
+        const odds = book[`${side}_odds`];
+        const ev = book[`ev_${side}`];
+        if (!pickemPlatform && (odds == null || ev == null)) continue;
+        candidates.push({
+          bookmaker: book.bookmaker,
+          bookmaker_key: book.bookmaker_key,
+          line: rung.line,
+          side: side.toUpperCase(),
+          odds,
+          probability: rung[`p_${side}`],
+          push_probability: rung.p_push,
+          ev,
+          pickem_platform: pickemPlatform
+        });
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Predict and price every prop for one player
+ */
+async function scanPlayer(playerName, props, game) {
+  const log = await getPlayerGames(playerName);
+  if (!log) return [];
+
+  // The player's team decides home/away and the opponent
+  const team = log.team && [game.home_team, game.away_team].includes(log.team) ? log.team : null;
+  if (!team) return [];
+  const isHome = team === game.home_team;
+  const opponent = isHome ? game.away_team : game.home_team;
+
+  const nextGameInfo = {
+    date: new Date(game.commence_time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+    opponent,
+    isHome,
+    team,
+    eventId: game.event_id,
+    commenceTime: game.commence_time
+  };
+  const injuryData = await getInjuryData(team, opponent, game.event_id);
+
+  const rows = [];
+  for (const [propType, prop] of Object.entries(props)) {
+    if (prop.line == null || !Array.isArray(prop.all_bookmakers) || prop.all_bookmakers.length === 0) continue;
+    try {
+      const prediction = await predictPropFromGames(log.games, playerName, propType, nextGameInfo, injuryData, prop.line, {
+        model: SCAN_MODEL,
+        track: false,
+        market: {
+          line: prop.line,
+          over_odds: prop.over_odds ?? null,
+          under_odds: prop.under_odds ?? null,
+          bookmaker: prop.bookmaker || null,
+          bookmaker_key: prop.bookmaker_key || null,
+          consensus: prop.consensus || null,
+          // Each book priced at its own main line
+          ladder: ladderFromBookmakers(prop.all_bookmakers)
+        }
+      });
+      const candidates = collectCandidates(prediction.ladder);
+      if (candidates.length === 0) continue;
+
+      rows.push({
+        player: playerName,
+        team,
+        opponent,
+        is_home: isHome,
+        event_id: game.event_id,
+        game: `${game.away_team} @ ${game.home_team}`,
+        commence_time: game.commence_time,
+        prop_type: propType,
+        line: prop.line,
+        prediction: prediction[`predicted_${propType}`] ?? null,
+        confidence: prediction.confidence || null,
+        method: prediction.method || null,
+        consensus: prop.consensus || null,
+        candidates
+      });
+    } catch (error) {
+      console.warn(`⚠️ [EDGES] ${playerName} ${propType}: ${error.message}`);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Run one scan of today's slate and keep it as the latest result
+ * Events whose cached odds are still the ones the previous scan priced keep that
+ * scan's rows: no new predictions or game logs for odds that haven't changed.
+ * @returns {Promise<object>} The scan
+ */
+async function runScan() {
+  const startedAt = Date.now();
+  const errors = [];
+  const rows = [];
+  let playersScanned = 0;
+  let eventsReused = 0;
+
+  const previous = state.scan;
+  const previousScannedAt = previous ? new Date(previous.generated_at).getTime() : null;
+  const previousRows = new Map();
+  for (const row of previous?.edges || []) {
+    if (!previousRows.has(row.event_id)) previousRows.set(row.event_id, []);
+    previousRows.get(row.event_id).push(row);
+  }
+
+  const horizon = startedAt + SLATE_HOURS * 60 * 60 * 1000;
+  const events = (await getNbaEvents()).filter(event => {
+    const start = new Date(event.commence_time).getTime();
+    return start > startedAt && start <= horizon;
+  });
+  console.log(`🔎 [EDGES] Scanning ${events.length} events on the slate...`);
+
+  for (const event of events) {
+    const game = {
+      event_id: event.id,
+      home_team: getTeamAbbrevFromFullName(event.home_team),
+      away_team: getTeamAbbrevFromFullName(event.away_team),
+      commence_time: event.commence_time
+    };
+    if (!game.home_team || !game.away_team) continue;
+
+    const oddsFetchedAt = getEventOddsFetchedAt(event.id);
+    if (previousScannedAt != null && oddsFetchedAt != null && oddsFetchedAt <= previousScannedAt && previousRows.has(event.id)) {
+      rows.push(...previousRows.get(event.id));
+      eventsReused++;
+      continue;
+    }
+
+    let playerProps;
+    try {
+      playerProps = getEventPlayerProps(await getEventOdds(event.id));
+    } catch (error) {
+      errors.push({ event_id: event.id, error: error.message });
+      continue;
+    }
+
+    for (const [playerName, props] of Object.entries(playerProps)) {
+      if (MAX_PLAYERS > 0 && playersScanned >= MAX_PLAYERS) break;
+      try {
+        rows.push(...await scanPlayer(playerName, props, game));
+        playersScanned++;
+      } catch (error) {
+        errors.push({ player: playerName, event_id: event.id, error: error.message });
+      }
+    }
+  }
+
+  const scan = {
+    generated_at: new Date().toISOString(),
+    duration_ms: Date.now() - startedAt,
+    events: events.length,
+    events_reused: eventsReused,
+    players_scanned: playersScanned,
+    props_scanned: rows.length,
+    errors,
+    edges: rows
+  };
+  console.log(`✅ [EDGES] Scanned ${playersScanned} players / ${rows.length} props in ${Math.round(scan.duration_ms / 1000)}s${eventsReused ? ` (${eventsReused} unchanged events reused)` : ''}`);
+  return scan;
+}
+
+/**
+ * Start a scan unless one is already running
+ * @returns {Promise<object>} The scan in progress (or the one just started)
+ */
+export function refreshEdges() {
+  if (state.running) return state.running;
+  if (!isOddsApiConfigured()) {
+    return Promise.resolve(state.scan);
+  }
+
+  state.started_at = new Date().toISOString();
+  state.running = runScan()
+    .then(scan => {
+      state.scan = scan;
+      return scan;
+    })
+    .catch(error => {
+      console.error('❌ [EDGES] Scan failed:', error.message);
+      return state.scan;
+    })
+    .finally(() => {
+      state.running = null;
+      state.started_at = null;
+    });
+  return state.running;
+}
+
+/**
+ * Start the background job: scan now, then every EDGE_SCAN_INTERVAL_MINUTES
+ */
+export function startEdgeScanner() {
+  if (state.timer || !isOddsApiConfigured() || SCAN_INTERVAL_MINUTES <= 0) return;
+  refreshEdges();
+  state.timer = setInterval(refreshEdges, SCAN_INTERVAL_MINUTES * 60 * 1000);
+  // The scanner never keeps the process alive on its own
+  state.timer.unref?.();
+  console.log(`🔎 [EDGES] Background scanner every ${SCAN_INTERVAL_MINUTES} min`);
+}
+
+/**
+ * Ranked edges from the latest scan
+ * Each player prop contributes its best-EV price after the bookmaker filter.
+ * @param {object} filters
+ * @param {string} filters.propType - Prop id or alias
+ * @param {number} filters.minEdge - Minimum EV in percent
+ * @param {string} filters.bookmaker - Only prices from this bookmaker (key or title)
+ * @param {string} filters.team - Player's team abbreviation
+ * @param {string} filters.game - Event id, or a team abbreviation playing in the game
+ * @param {number} filters.limit - Max rows
+ * @returns {object} { generated_at, scanning, events, players_scanned, props_scanned, count, edges }
+ */
+export function getEdges({ propType = null, minEdge = null, bookmaker = null, team = null, game = null, limit = 50 } = {}) {
+  const scan = state.scan;
+  const propId = propType ? resolvePropId(propType) : null;
+  const book = bookmaker ? bookmaker.toLowerCase().replace(/[\s_]/g, '') : null;
+  const teamKey = team ? team.toUpperCase() : null;
+  const gameKey = game ? game.toString() : null;
+
+  const edges = [];
+  for (const row of scan?.edges || []) {
+    if (propId && row.prop_type !== propId) continue;
+    if (teamKey && row.team !== teamKey) continue;
+    if (gameKey && row.event_id !== gameKey && ![row.team, row.opponent].includes(gameKey.toUpperCase())) continue;
+
+    // Pick'em lines have no real per-leg price; they are ranked by /api/pickem instead
+    const priced = row.candidates.filter(candidate => !candidate.pickem_platform);
+    const candidates = book
+      ? priced.filter(candidate =>
+        [candidate.bookmaker_key, candidate.bookmaker].some(name => (name || '').toLowerCase().replace(/[\s_]/g, '') === book))
+      : priced;
+    const best = candidates.reduce((top, candidate) => (!top || candidate.ev > top.ev ? candidate : top), null);
+    if (!best || (minEdge != null && best.ev < minEdge)) continue;
+
+    const { candidates: _candidates, consensus, ...rest } = row;
+    const fairProbability = consensus && consensus.line === best.line
+      ? consensus[`fair_${best.side.toLowerCase()}_probability`]
+      : null;
+    edges.push({
+      ...rest,
+      prop_label: getPropType(row.prop_type)?.label || row.prop_type,
+      side: best.side,
+      bookmaker: best.bookmaker,
+      bookmaker_key: best.bookmaker_key,
+      book_line: best.line,
+      odds: best.odds,
+      probability: best.probability,
+      push_probability: best.push_probability,
+      fair_probability: fairProbability ?? null,
+      ev: best.ev,
+      books: candidates.length
+    });
+  }
+
+  edges.sort((a, b) => b.ev - a.ev);
+  const limited = limit > 0 ? edges.slice(0, limit) : edges;
+
+  return {
+    generated_at: scan?.generated_at || null,
+    scanning: Boolean(state.running),
+    scan_started_at: state.started_at,
+    events: scan?.events ?? 0,
+    players_scanned: scan?.players_scanned ?? 0,
+    props_scanned: scan?.props_scanned ?? 0,
+    count: edges.length,
+    edges: limited.map(edge => ({ ...edge, probability: round(edge.probability, 4) }))
+  };
+}
+
+/**
+ * Pick'em lines from the latest scan with the model's probability for each side
+ * @param {string} platform - Pick'em platform id (prizepicks, underdog)
+ * @returns {object} { generated_at, scanning, count, lines: [{ player, team, opponent, event_id, game,
+ *                     commence_time, prop_type, line, side, probability, push_probability, prediction, confidence }] }
+ */
+export function getPickemLines(platform) {
+  const scan = state.scan;
+  const lines = [];
+  for (const row of scan?.edges || []) {
+    const { candidates, consensus, line: _line, ...rest } = row;
+    const seen = new Set();
+    for (const candidate of candidates) {
+      if (candidate.pickem_platform !== platform || candidate.probability == null) continue;
+      const key = `${candidate.line}|${candidate.side}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      lines.push({
+        ...rest,
+        prop_label: getPropType(row.prop_type)?.label || row.prop_type,
+        line: candidate.line,
+        side: candidate.side,
+        probability: round(candidate.probability, 4),
+        push_probability: round(candidate.push_probability ?? 0, 4)
+      });
+    }
+  }
+
+  return {
+    generated_at: scan?.generated_at || null,
+    scanning: Boolean(state.running),
+    count: lines.length,
+    lines
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * HTTP Client - Single entry point for every outbound request
+ * Wraps axios (and SDK calls such as OpenAI) with a fixture layer:
+ *   HOOP_FIXTURES=record  - call the live API and save each response to a fixture file
+ *   HOOP_FIXTURES=replay  - serve responses from fixture files only (no network, no API keys)
+ *   unset / live          - plain pass-through
+ * Fixtures live in backend/fixtures (override with HOOP_FIXTURES_DIR), one JSON file per
+ * request, keyed by method, URL, query params and body with API keys stripped out.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = join(__dirname, '../fixtures');
+
+// Query params and body fields that must never end up in a fixture key or file
+const SECRET_FIELDS = new Set(['apikey', 'api_key', 'key', 'token', 'access_token']);
+
+// Response headers worth keeping (quota headers are read by callers)
+const RECORDED_HEADERS = ['content-type', 'x-requests-remaining', 'x-requests-used', 'x-requests-last'];
+
+/**
+ * Current fixture mode: 'record', 'replay' or 'live'
+ */
+export function getFixtureMode() {
+  const mode = (process.env.HOOP_FIXTURES || '').trim().toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'live';
+}
+
+/**
+ * True when responses come from fixtures (callers skip their API key checks)
+ */
+export function isReplayMode() {
+  return getFixtureMode() === 'replay';
+}
+
+function getFixturesDir() {
+  const configured = process.env.HOOP_FIXTURES_DIR;
+  if (!configured) return DEFAULT_FIXTURES_DIR;
+  return isAbsolute(configured) ? configured : join(__dirname, '..', configured);
+}
+
+/**
+ * Deep copy with secret fields removed and object keys sorted (stable hashing)
+ */
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      if (SECRET_FIELDS.has(key.toLowerCase()) || value[key] === undefined) continue;
+      result[key] = sanitize(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Split a URL into host/path plus its query params merged with axios params
+ */
+function describeUrl(url, params = {}) {
+  const parsed = new URL(url);
+  const query = {};
+  for (const [key, value] of parsed.searchParams.entries()) {
+    query[key] = value;
+  }
+  for (const [key, value] of Object.entries(params || {})) {
+    query[key] = value == null ? value : String(value);
+  }
+  return {
+    host: parsed.host,
+    path: parsed.pathname,
+    params: sanitize(query)
+  };
+}
+
+/**
+ * Fixture file location for a request description
+ * @param {string} namespace - Directory under the fixtures root (host name or 'openai')
+ * @param {string} label - Human-readable part of the filename
+ * @param {object} request - Sanitized request description (hashed)
+ */
+function getFixturePath(namespace, label, request) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(request)).digest('hex').slice(0, 12);
+  const slug = label.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(-80) || 'root';
+  return join(getFixturesDir(), namespace.replace(/[^a-zA-Z0-9.-]+/g, '_'), `${slug}_${hash}.json`);
+}
+
+function readFixture(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    const error = new Error(`No recorded fixture for ${description} (${filePath})`);
+    error.code = 'ENOFIXTURE';
+    throw error;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeFixture(filePath, fixture) {
+  fs.mkdirSync(dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...fixture, recorded_at: new Date().toISOString() }, null, 2));
+}
+
+function pickHeaders(headers = {}) {
+  const result = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    if (value != null) result[name] = String(value);
+  }
+  return result;
+}
+
+/**
+ * Serialize an axios response for a fixture file (binary bodies as base64)
+ */
+function serializeResponse(response, config) {
+  const isBinary = config.responseType === 'arraybuffer';
+  return {
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: pickHeaders(response.headers),
+    ...(isBinary
+      ? { data_base64: Buffer.from(response.data).toString('base64') }
+      : { data: response.data })
+  };
+}
+
+/**
+ * Rebuild an axios-shaped response (or error) from a fixture
+ */
+function responseFromFixture(fixture, config) {
+  const response = {
+    status: fixture.response.status,
+    statusText: fixture.response.statusText || '',
+    headers: fixture.response.headers || {},
+    data: fixture.response.data_base64 != null
+      ? Buffer.from(fixture.response.data_base64, 'base64')
+      : fixture.response.data,
+    config,
+    fromFixture: true
+  };
+
+  const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    error.config = config;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Perform a request through the fixture layer
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {object} config - axios request config (params, headers, timeout, data, ...)
+ */
+async function request(method, url, config = {}) {
+  const mode = getFixtureMode();
+  if (mode === 'live') {
+    return axios.request({ ...config, method, url });
+  }
+
+  const { host, path, params } = describeUrl(url, config.params);
+  const description = sanitize({ method: method.toUpperCase(), host, path, params, data: config.data ?? null });
+  const filePath = getFixturePath(host, `${method}_${path}`, description);
+
+  if (mode === 'replay') {
+    return responseFromFixture(readFixture(filePath, `${method.toUpperCase()} ${host}${path}`), config);
+  }
+
+  // Record: hit the live API and save whatever came back (including HTTP error responses)
+  try {
+    const response = await axios.request({ ...config, method, url });
+    writeFixture(filePath, { request: description, response: serializeResponse(response, config) });
+    return response;
+  } catch (error) {
+    if (error.response) {
+      writeFixture(filePath, { request: description, response: serializeResponse(error.response, config) });
+    }
+    throw error;
+  }
+}
+
+/**
+ * axios-compatible client used by every service and route
+ */
+export const http = {
+  get: (url, config = {}) => request('get', url, config),
+  post: (url, data, config = {}) => request('post', url, { ...config, data })
+};
+
+/**
+ * Run a non-HTTP client call (e.g. an SDK method) through the fixture layer
+ * The result must be JSON-serializable.
+ * @param {string} namespace - Fixture directory (e.g. 'openai')
+ * @param {string} operation - Operation name (e.g. 'chat.completions.create')
+ * @param {object} payload - Request payload used as the fixture key
+ * @param {Function} liveCall - Performs the real call (never invoked in replay mode)
+ */
+export async function withFixture(namespace, operation, payload, liveCall) {
+  const mode = getFixtureMode();
+  if (mode === 'live') {
+    return liveCall();
+  }
+
+  const description = sanitize({ operation, payload });
+  const filePath = getFixturePath(namespace, operation, description);
+
+  if (mode === 'replay') {
+    return readFixture(filePath, `${namespace} ${operation}`).response.data;
+  }
+
+  const result = await liveCall();
+  writeFixture(filePath, { request: description, response: { data: JSON.parse(JSON.stringify(result)) } });
+  return result;
+}
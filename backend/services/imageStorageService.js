@@ -1,4 +1,4 @@
-import axios from 'axios';
+import { http } from './httpClient.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -67,7 +67,7 @@ export async function downloadPlayerImage(playerName, nbaPlayerId) {
     
     console.log(`📥 Downloading image for ${playerName}...`);
     
-    const response = await axios.get(imageUrl, {
+    const response = await http.get(imageUrl, {
       responseType: 'arraybuffer',
       timeout: 10000,
       headers: {
@@ -4,12 +4,17 @@
  * NO ESPN references
  */
 
-import axios from 'axios';
+import { http, isReplayMode } from './httpClient.js';
 import NodeCache from 'node-cache';
+import { imageExists, getImageUrl } from './imageStorageService.js';
+import { getPlayerProfile, normalizePosition } from './teamStatsService.js';
 
 // Cache injuries for 1 hour (injuries can change frequently)
 const injuryCache = new NodeCache({ stdTTL: 3600 });
 
+// Impact score for injured players we can't match to recent games
+const DEFAULT_IMPACT_SCORE = 50;
+
 /**
  * Fetch injuries from RapidAPI NBA Injuries Reports API
  * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
@@ -18,7 +23,7 @@ const injuryCache = new NodeCache({ stdTTL: 3600 });
 async function fetchInjuriesFromRapidAPI(date = null) {
   try {
     const rapidApiKey = process.env.RAPIDAPI_KEY;
-    if (!rapidApiKey) {
+    if (!rapidApiKey && !isReplayMode()) {
       return [];
     }
     
@@ -48,7 +53,7 @@ async function fetchInjuriesFromRapidAPI(date = null) {
       const injuryUrl = `https://nba-injuries-reports.p.rapidapi.com/injuries/nba/${tryDate}`;
       
       try {
-        const response = await axios.get(injuryUrl, {
+        const response = await http.get(injuryUrl, {
           headers: {
             'X-RapidAPI-Key': rapidApiKey,
             'X-RapidAPI-Host': 'nba-injuries-reports.p.rapidapi.com',
@@ -240,10 +245,66 @@ function formatInjury(injury) {
     date: injury.date,
     playerId: null, // Not fetched for performance
     headshot: headshot,
-    impactScore: 50 // Default impact score
+    impactScore: DEFAULT_IMPACT_SCORE
   };
 }
 
+/**
+ * Impact score from a player's recent form (roughly 40 = bench, 70 = starter,
+ * 80-90 = key starter, 100+ = star). Minutes carry the most weight, then usage
+ * rate and points + rebounds + assists, each scaled against a star-level benchmark.
+ * @param {object} profile - Recent-form profile from teamStatsService.getPlayerProfile
+ * @returns {number} Impact score
+ */
+export function calculateImpactScore(profile) {
+  if (!profile || !profile.games) return DEFAULT_IMPACT_SCORE;
+
+  const minutesShare = Math.min((profile.minutes || 0) / 36, 1.1);
+  const usageShare = profile.usage != null ? Math.min(profile.usage / 28, 1.3) : minutesShare;
+  const production = (profile.points || 0) + (profile.rebounds || 0) + (profile.assists || 0);
+  const productionShare = Math.min(production / 35, 1.3);
+
+  return Math.round(100 * (0.4 * minutesShare + 0.3 * usageShare + 0.3 * productionShare));
+}
+
+/**
+ * Resolve injured players to their roster entry (NBA.com league game logs) and
+ * replace the placeholder position and impact score with real values
+ * @param {Array} injuries - Formatted injuries
+ * @param {string} teamAbbrev - Team the injuries belong to
+ * @returns {Promise<Array>} Injuries sorted by impact score (highest first)
+ */
+async function resolveInjuries(injuries, teamAbbrev) {
+  const resolved = await Promise.all(injuries.map(async (injury) => {
+    let profile = null;
+    try {
+      profile = await getPlayerProfile(injury.playerName, teamAbbrev);
+    } catch (error) {
+      console.warn(`⚠️ Could not resolve injured player ${injury.playerName}:`, error.message);
+    }
+    if (!profile) return injury;
+
+    return {
+      ...injury,
+      position: profile.listed_position || injury.position,
+      positionGroup: profile.position || normalizePosition(profile.listed_position),
+      playerId: profile.player_id || injury.playerId,
+      impactScore: calculateImpactScore(profile),
+      recentStats: {
+        games: profile.games,
+        minutes: profile.minutes,
+        usage: profile.usage,
+        points: profile.points,
+        rebounds: profile.rebounds,
+        assists: profile.assists,
+        threes: profile.threes
+      }
+    };
+  }));
+
+  return resolved.sort((a, b) => (b.impactScore || 0) - (a.impactScore || 0));
+}
+
 /**
  * Get team injuries from RapidAPI ONLY
  * @param {string} teamAbbrev - Team abbreviation (e.g., 'LAL', 'GSW')
@@ -274,8 +335,8 @@ export async function getTeamInjuries(teamAbbrev) {
       console.log(`📊 Filtered to ${teamInjuries.length} injuries for ${teamAbbrev}`);
       
       if (teamInjuries.length > 0) {
-        // Convert to our format with structured status (synchronous - no API calls)
-        const formattedInjuries = teamInjuries.map(formatInjury);
+        // Convert to our format with structured status, then resolve roster entry and impact
+        const formattedInjuries = await resolveInjuries(teamInjuries.map(formatInjury), teamAbbrev);
         
         injuryCache.set(cacheKey, formattedInjuries);
         return formattedInjuries;
@@ -341,9 +402,11 @@ export async function getMatchupInjuries(playerTeamAbbrev, opponentAbbrev, event
         return injuryTeamAbbrev === opponentAbbrev.toUpperCase();
       });
       
-      // Format injuries with structured status (synchronous - no expensive API calls)
-      const playerTeamInjuries = playerTeamInjuriesRaw.map(formatInjury);
-      const opponentInjuries = opponentInjuriesRaw.map(formatInjury);
+      // Format injuries with structured status, then resolve roster entry and impact
+      const [playerTeamInjuries, opponentInjuries] = await Promise.all([
+        resolveInjuries(playerTeamInjuriesRaw.map(formatInjury), playerTeamAbbrev.toUpperCase()),
+        resolveInjuries(opponentInjuriesRaw.map(formatInjury), opponentAbbrev.toUpperCase())
+      ]);
       
       return {
         playerTeamInjuries,
@@ -0,0 +1,102 @@
+/**
+ * Ladder Service - Prices alternate line ladders against the prediction distribution
+ * Every rung gets the model's over/under/push probabilities and fair (vig-free)
+ * odds, and every book's price on the rung gets its expected value. The rung and
+ * side with the highest EV is flagged as the best value on the ladder.
+ */
+
+import { getLineProbabilities } from './distributionService.js';
+import { expectedValue, probabilityToAmerican } from '../utils/oddsMath.js';
+import { getPickemPlatform } from '../utils/pickemPayouts.js';
+
+function round(value, digits = 1) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * EV in percent of stake (null when the book has no price on that side)
+ */
+function evPercent(probability, odds, pushProbability) {
+  if (odds == null) return null;
+  return round(expectedValue(probability, odds, pushProbability) * 100);
+}
+
+/**
+ * Ladder from the main lines only (one rung per distinct line across the books)
+ * @param {array} bookmakers - all_bookmakers entries: [{ bookmaker, bookmaker_key, line, over_odds, under_odds }]
+ * @returns {array} [{ line, books }] sorted by line
+ */
+export function ladderFromBookmakers(bookmakers) {
+  const byLine = new Map();
+  for (const book of bookmakers || []) {
+    if (typeof book.line !== 'number' || !Number.isFinite(book.line)) continue;
+    const books = byLine.get(book.line) || byLine.set(book.line, new Map()).get(book.line);
+    // The parser can list a book once per outcome side; keep its first entry
+    const key = book.bookmaker_key || book.bookmaker;
+    if (!books.has(key)) {
+      books.set(key, {
+        bookmaker: book.bookmaker,
+        bookmaker_key: book.bookmaker_key,
+        over_odds: book.over_odds ?? null,
+        under_odds: book.under_odds ?? null
+      });
+    }
+  }
+  return [...byLine.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([line, books]) => ({ line, books: [...books.values()] }));
+}
+
+/**
+ * Price a ladder from oddsService (prop.ladder) with the model distribution
+ * Pick'em books keep their rungs but get no EV: they pay by entry, not by leg.
+ * @param {array} ladder - [{ line, main, books: [{ bookmaker, bookmaker_key, over_odds, under_odds }] }]
+ * @param {object} params - { mean, values, propType } as for buildPredictiveDistribution
+ * @returns {object|null} { rungs, best_value: { line, side, bookmaker, bookmaker_key, odds, probability, ev } }
+ */
+export function priceLadder(ladder, { mean, values, propType }) {
+  if (!Array.isArray(ladder) || ladder.length === 0) return null;
+
+  const probabilities = new Map(
+    getLineProbabilities({ mean, values, propType }, ladder.map(rung => rung.line))
+      .map(entry => [entry.line, entry])
+  );
+
+  let bestValue = null;
+  const rungs = ladder.map(rung => {
+    const { p_over: pOver, p_under: pUnder, p_push: pPush } = probabilities.get(rung.line) || {};
+    const books = (rung.books || []).map(book => {
+      if (getPickemPlatform(book.bookmaker_key || book.bookmaker)) {
+        return { ...book, ev_over: null, ev_under: null };
+      }
+      const evOver = evPercent(pOver, book.over_odds, pPush);
+      const evUnder = evPercent(pUnder, book.under_odds, pPush);
+      for (const [side, ev, odds, probability] of [['OVER', evOver, book.over_odds, pOver], ['UNDER', evUnder, book.under_odds, pUnder]]) {
+        if (ev != null && (!bestValue || ev > bestValue.ev)) {
+          bestValue = { line: rung.line, side, bookmaker: book.bookmaker, bookmaker_key: book.bookmaker_key, odds, probability, ev };
+        }
+      }
+      return { ...book, ev_over: evOver, ev_under: evUnder };
+    });
+
+    return {
+      ...rung,
+      books,
+      p_over: pOver ?? null,
+      p_under: pUnder ?? null,
+      p_push: pPush ?? null,
+      fair_over_odds: probabilityToAmerican(pOver),
+      fair_under_odds: probabilityToAmerican(pUnder)
+    };
+  });
+
+  // Only a positive-EV price counts as value
+  if (bestValue && bestValue.ev <= 0) bestValue = null;
+  for (const rung of rungs) {
+    rung.best_value = Boolean(bestValue && rung.line === bestValue.line);
+  }
+
+  return { rungs, best_value: bestValue };
+}
@@ -0,0 +1,128 @@
+/**
+ * Market Consensus Service - No-vig fair odds and a consensus line across bookmakers
+ * Removes the vig from each bookmaker's over/under pair, then combines the books
+ * with sharper (lower-hold, market-making) books weighted more heavily. The result
+ * is the market's consensus line plus the fair probability and fair odds at it.
+ */
+
+import { americanToImpliedProbability, noVigProbability, probabilityToAmerican } from '../utils/oddsMath.js';
+import { getPickemPlatform } from '../utils/pickemPayouts.js';
+
+// Relative weight of each bookmaker in the consensus (Odds API keys; unlisted books = 1)
+// Market makers and low-hold books move first, so their prices carry more information
+const SHARP_BOOK_WEIGHTS = {
+  pinnacle: 3,
+  circasports: 2.5,
+  lowvig: 2,
+  betonlineag: 2,
+  fanduel: 1.5,
+  draftkings: 1.25,
+  betmgm: 1,
+  williamhill_us: 1,
+  betrivers: 0.75,
+  bovada: 0.75,
+  mybookieag: 0.5
+};
+
+function round(value, digits = 4) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Consensus weight of a bookmaker (0 for pick'em apps, whose lines carry no leg price)
+ * @param {string} bookmakerKey - Odds API key (e.g. 'pinnacle', 'draftkings')
+ * @returns {number}
+ */
+export function getBookWeight(bookmakerKey) {
+  if (getPickemPlatform(bookmakerKey)) return 0;
+  const key = (bookmakerKey || '').toLowerCase();
+  return SHARP_BOOK_WEIGHTS[key] ?? 1;
+}
+
+/**
+ * Vig-free probabilities and hold for one bookmaker's over/under pair
+ * @param {object} book - { over_odds, under_odds }
+ * @returns {object|null} { no_vig_over, no_vig_under, hold }, null without both sides
+ */
+export function removeVig(book) {
+  const over = americanToImpliedProbability(book?.over_odds);
+  const under = americanToImpliedProbability(book?.under_odds);
+  if (over == null || under == null) return null;
+
+  const noVigOver = noVigProbability(book.over_odds, book.under_odds);
+  return {
+    no_vig_over: round(noVigOver),
+    no_vig_under: round(1 - noVigOver),
+    hold: round(over + under - 1)
+  };
+}
+
+/**
+ * Weighted median of the books' lines (the line most of the weighted market sits at)
+ */
+function weightedMedianLine(books) {
+  const sorted = [...books].sort((a, b) => a.line - b.line);
+  const total = sorted.reduce((sum, book) => sum + book.weight, 0);
+  let cumulative = 0;
+  for (const book of sorted) {
+    cumulative += book.weight;
+    if (cumulative >= total / 2) return book.line;
+  }
+  return sorted[sorted.length - 1]?.line ?? null;
+}
+
+/**
+ * Market consensus for a prop from every bookmaker's main line
+ * Fair probability only uses books at the consensus line with both sides priced.
+ * @param {array} bookmakers - all_bookmakers entries: [{ bookmaker, bookmaker_key, line, over_odds, under_odds }]
+ * @returns {object|null} { line, fair_over_probability, fair_under_probability, fair_over_odds, fair_under_odds,
+ *                          hold, books_used, books_at_line, sharpest_book }
+ */
+export function buildMarketConsensus(bookmakers) {
+  // One vote per book (the parser can list a book once per outcome side)
+  const seen = new Set();
+  const books = (bookmakers || [])
+    .filter(book => typeof book.line === 'number' && Number.isFinite(book.line))
+    .filter(book => {
+      const key = `${book.bookmaker_key || book.bookmaker}|${book.line}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(book => ({ ...book, weight: getBookWeight(book.bookmaker_key) }))
+    .filter(book => book.weight > 0);
+  if (books.length === 0) return null;
+
+  const line = weightedMedianLine(books);
+  const atLine = books.filter(book => Math.abs(book.line - line) < 0.01);
+
+  let weightTotal = 0;
+  let overTotal = 0;
+  let holdTotal = 0;
+  let booksUsed = 0;
+  let sharpest = null;
+  for (const book of atLine) {
+    const fair = removeVig(book);
+    if (!fair) continue;
+    weightTotal += book.weight;
+    overTotal += fair.no_vig_over * book.weight;
+    holdTotal += fair.hold * book.weight;
+    booksUsed++;
+    if (!sharpest || book.weight > sharpest.weight) sharpest = book;
+  }
+
+  const fairOver = weightTotal > 0 ? overTotal / weightTotal : null;
+  return {
+    line,
+    fair_over_probability: round(fairOver),
+    fair_under_probability: fairOver != null ? round(1 - fairOver) : null,
+    fair_over_odds: probabilityToAmerican(fairOver),
+    fair_under_odds: fairOver != null ? probabilityToAmerican(1 - fairOver) : null,
+    hold: weightTotal > 0 ? round(holdTotal / weightTotal) : null,
+    books_used: booksUsed,
+    books_at_line: atLine.length,
+    sharpest_book: sharpest ? sharpest.bookmaker_key : null
+  };
+}
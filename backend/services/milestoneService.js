@@ -0,0 +1,126 @@
+/**
+ * Milestone Service - Yes/no probabilities for double-double and triple-double markets
+ * Blends the player's recency-weighted hit rate (which keeps the correlation
+ * between stats) with the chance that enough stats reach the threshold when each
+ * stat's predictive distribution is treated as independent. Projected minutes,
+ * injuries and schedule fatigue scale the per-stat means.
+ */
+
+import { buildPredictiveDistribution } from './distributionService.js';
+import { getPropType, getPropValue, getStatValue } from '../utils/propRegistry.js';
+
+// Per-game decay for the recency-weighted hit rate and stat means (most recent game = 1)
+const RECENCY_DECAY = 0.93;
+
+// Games at which the empirical hit rate gets half the weight
+const EMPIRICAL_HALF_WEIGHT_GAMES = 15;
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Recency-weighted average of a per-game value (games most recent first)
+ */
+function weightedAverage(games, getValue) {
+  let total = 0;
+  let weights = 0;
+  games.forEach((game, index) => {
+    const weight = Math.pow(RECENCY_DECAY, index);
+    total += getValue(game) * weight;
+    weights += weight;
+  });
+  return weights > 0 ? total / weights : 0;
+}
+
+/**
+ * P(at least `count` successes) for independent events with different probabilities
+ */
+function atLeastProbability(probabilities, count) {
+  // dp[k] = P(exactly k successes so far)
+  let dp = [1];
+  for (const p of probabilities) {
+    const next = new Array(dp.length + 1).fill(0);
+    dp.forEach((mass, k) => {
+      next[k] += mass * (1 - p);
+      next[k + 1] += mass * p;
+    });
+    dp = next;
+  }
+  return dp.slice(count).reduce((sum, mass) => sum + mass, 0);
+}
+
+/**
+ * Chance that at least `count` stats reach the threshold, stats treated as independent
+ * @param {array} games - Game log, most recent first
+ * @param {object} prop - Milestone prop from the registry
+ * @param {number} scale - Multiplier on every stat's mean
+ * @returns {object} { probability, stat_probabilities }
+ */
+function independentProbability(games, prop, scale) {
+  const { threshold, count } = prop.milestone;
+  const statProbabilities = {};
+  for (const stat of prop.components) {
+    const values = games.map(game => getStatValue(game, stat));
+    const distribution = buildPredictiveDistribution({
+      mean: weightedAverage(games, game => getStatValue(game, stat)) * scale,
+      values,
+      propType: stat,
+      line: threshold - 0.5
+    });
+    statProbabilities[stat] = distribution.p_over ?? 0;
+  }
+  return {
+    probability: atLeastProbability(Object.values(statProbabilities), count),
+    stat_probabilities: statProbabilities
+  };
+}
+
+/**
+ * Probability that a yes/no milestone prop hits (Yes) in the next game
+ * @param {array} games - Game log, most recent first
+ * @param {string} propType - Milestone prop id or alias (double_double, triple_double)
+ * @param {object} options - { scale } multiplier for projected minutes / injuries / schedule
+ * @returns {object} { probability, hit_rate, weighted_hit_rate, independent_probability, stat_probabilities, hits, games }
+ */
+export function predictMilestoneProbability(games, propType, { scale = 1 } = {}) {
+  const prop = getPropType(propType);
+  if (!prop?.milestone) {
+    throw new Error(`${propType} is not a yes/no milestone prop`);
+  }
+  const log = games || [];
+  if (log.length === 0) {
+    return { probability: 0, hit_rate: null, weighted_hit_rate: null, independent_probability: null, stat_probabilities: {}, hits: 0, games: 0 };
+  }
+
+  const hits = log.filter(game => getPropValue(game, prop.id) === 1).length;
+  const weightedHitRate = weightedAverage(log, game => getPropValue(game, prop.id));
+  const baseline = independentProbability(log, prop, 1);
+  const projected = scale === 1 ? baseline : independentProbability(log, prop, scale);
+
+  // Lean on the player's own record as the sample grows, then shift by how much
+  // the minutes/schedule scaling moves the independent estimate
+  const empiricalWeight = log.length / (log.length + EMPIRICAL_HALF_WEIGHT_GAMES);
+  const blended = weightedHitRate * empiricalWeight + baseline.probability * (1 - empiricalWeight);
+  const probability = clamp(blended + (projected.probability - baseline.probability), 0, 1);
+
+  const statProbabilities = {};
+  for (const [stat, p] of Object.entries(projected.stat_probabilities)) {
+    statProbabilities[stat] = round(p);
+  }
+
+  return {
+    probability: round(probability),
+    hit_rate: round(hits / log.length),
+    weighted_hit_rate: round(weightedHitRate),
+    independent_probability: round(projected.probability),
+    stat_probabilities: statProbabilities,
+    hits,
+    games: log.length
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Minutes Projection Service - Projected minutes range for a player's next game
+ * Starts from a recency-weighted minutes baseline and adjusts it for role
+ * changes, rest / back-to-backs, blowout risk from the game spread, foul
+ * trouble, minutes-restriction language in injury comments and teammates
+ * ruled out. Every adjustment is returned as a driver so the UI can explain it.
+ */
+
+import { getGameLines } from './oddsApiClient.js';
+import { teamNameMatchesAbbrev } from './teamMappingService.js';
+import { MIN_SPLIT_GAMES } from './teammateSplitsService.js';
+import { getNextGameSchedule } from './scheduleContextService.js';
+
+const MAX_MINUTES = 48;
+
+function parseMinutes(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const [minutes, seconds] = value.toString().split(':');
+  const parsed = (parseFloat(minutes) || 0) + (parseFloat(seconds) || 0) / 60;
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Minutes cap from injury report language ("minutes restriction", "limited to 20 minutes")
+ * @returns {object|null} { cap, text } - cap is null when the limit has no number
+ */
+function parseMinutesRestriction(injury) {
+  if (!injury) return null;
+  const text = `${injury.status || ''} ${injury.comment || ''} ${injury.description || ''}`.toLowerCase();
+  if (!/minute(s)?[\s-]+(restriction|limit)|limited minutes|restricted minutes|ramp(ing)? up/.test(text)) {
+    return null;
+  }
+
+  const capMatch = text.match(/(\d{1,2})\s*(?:-|to)?\s*(?:\d{1,2}\s*)?min/);
+  const cap = capMatch ? parseInt(capMatch[1], 10) : null;
+  return { cap: cap && cap > 0 && cap < MAX_MINUTES ? cap : null, text: injury.comment || injury.status || '' };
+}
+
+/**
+ * Point spread for the player's team in an event (negative = favorite), consensus across books
+ * @param {string} eventId - The Odds API event id
+ * @param {string} teamAbbrev - Player's team
+ * @returns {Promise<number|null>}
+ */
+export async function getTeamSpread(eventId, teamAbbrev) {
+  if (!eventId || !teamAbbrev) return null;
+
+  const events = await getGameLines();
+  const event = events.find(e => e.id === eventId);
+  if (!event) return null;
+
+  const points = [];
+  for (const bookmaker of event.bookmakers || []) {
+    const spreads = (bookmaker.markets || []).find(market => market.key === 'spreads');
+    const outcome = spreads?.outcomes?.find(o => teamNameMatchesAbbrev(o.name, teamAbbrev));
+    if (outcome && Number.isFinite(outcome.point)) points.push(outcome.point);
+  }
+  if (points.length === 0) return null;
+
+  points.sort((a, b) => a - b);
+  const middle = Math.floor(points.length / 2);
+  return points.length % 2 ? points[middle] : (points[middle - 1] + points[middle]) / 2;
+}
+
+/**
+ * Project minutes for the next game
+ * @param {array} games - Game log (any order)
+ * @param {object} context
+ * @param {string} context.playerName - Player name (finds their own injury entry)
+ * @param {object|null} context.nextGameInfo - { date, commenceTime, team, eventId }
+ * @param {object|null} context.injuryData - { playerTeamInjuries, opponentInjuries }
+ * @param {number|null} context.spread - Team spread (skips the odds lookup when given)
+ * @param {array} context.teammateSplits - With/without splits for OUT teammates
+ * @param {object|null} context.schedule - Next-game schedule context (computed from the log when omitted)
+ * @returns {Promise<object|null>} { projected, low, high, baseline, drivers, rest_days, spread, restricted }
+ */
+export async function projectMinutes(games, { playerName = null, nextGameInfo = null, injuryData = null, spread, teammateSplits = [], schedule } = {}) {
+  const chronological = [...(games || [])]
+    .filter(game => parseMinutes(game.minutes) > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (chronological.length === 0) return null;
+
+  const minutes = chronological.map(game => parseMinutes(game.minutes));
+  const last3 = average(minutes.slice(-3));
+  const last5 = average(minutes.slice(-5));
+  const last10 = average(minutes.slice(-10));
+  const season = average(minutes);
+  const drivers = [];
+
+  // Baseline: recency-weighted average
+  let projected = last5 * 0.5 + last10 * 0.3 + season * 0.2;
+  const baseline = projected;
+
+  // Role change: the last 3 games sit well above/below the 10 before them
+  const prior = minutes.slice(-13, -3);
+  if (prior.length >= 5) {
+    const priorAvg = average(prior);
+    const shift = last3 - priorAvg;
+    const consistent = minutes.slice(-3).every(m => (shift > 0 ? m > priorAvg + 2 : m < priorAvg - 2));
+    if (Math.abs(shift) >= 5 && consistent) {
+      const adjusted = last3 * 0.7 + projected * 0.3;
+      const label = shift > 0
+        ? (priorAvg < 24 && last3 >= 28 ? 'Moved into a starting role' : 'Expanded role in recent games')
+        : 'Reduced role in recent games';
+      drivers.push({ factor: 'role_change', label, impact: round(adjusted - projected) });
+      projected = adjusted;
+    }
+  }
+
+  // Rest: back-to-backs trim heavy-minute players, extra rest adds a little
+  const nextSchedule = schedule === undefined ? getNextGameSchedule(chronological, nextGameInfo) : schedule;
+  const restDays = nextSchedule?.rest_days ?? null;
+  if (restDays === 0) {
+    const impact = projected >= 30 ? -1.5 : -0.5;
+    drivers.push({ factor: 'back_to_back', label: 'Second night of a back-to-back', impact });
+    projected += impact;
+  } else if (restDays != null && restDays >= 3) {
+    drivers.push({ factor: 'extra_rest', label: `${restDays} days of rest`, impact: 0.5 });
+    projected += 0.5;
+  }
+
+  // Blowout risk: big spreads sit starters late and give the bench extra run
+  let teamSpread = spread;
+  if (teamSpread === undefined) {
+    try {
+      teamSpread = await getTeamSpread(nextGameInfo?.eventId, nextGameInfo?.team);
+    } catch (error) {
+      console.warn(`⚠️ [MINUTES] Spread unavailable: ${error.message}`);
+      teamSpread = null;
+    }
+  }
+  if (teamSpread != null && Math.abs(teamSpread) >= 9) {
+    const excess = Math.abs(teamSpread) - 8;
+    let impact = 0;
+    if (projected >= 28) {
+      impact = -Math.min(4, excess * 0.35);
+    } else if (projected < 20) {
+      impact = Math.min(3, excess * 0.25);
+    }
+    if (impact !== 0) {
+      drivers.push({
+        factor: 'blowout_risk',
+        label: `Blowout risk (spread ${teamSpread > 0 ? '+' : ''}${teamSpread})`,
+        impact: round(impact)
+      });
+      projected += impact;
+    }
+  }
+
+  // Foul trouble: fouls per 36 and share of games with 5+ fouls (last 10)
+  const recentGames = chronological.slice(-10);
+  const fouls = recentGames.map(game => parseFloat(game.personal_fouls ?? game.pf) || 0);
+  const foulMinutes = recentGames.reduce((sum, game) => sum + parseMinutes(game.minutes), 0);
+  const foulsPer36 = foulMinutes > 0 ? (fouls.reduce((a, b) => a + b, 0) / foulMinutes) * 36 : 0;
+  const foulTroubleRate = fouls.length > 0 ? fouls.filter(f => f >= 5).length / fouls.length : 0;
+  const foulProne = foulsPer36 >= 4.5 || foulTroubleRate >= 0.2;
+  if (foulProne) {
+    const impact = -Math.min(2, 0.5 + foulTroubleRate * 4);
+    drivers.push({
+      factor: 'foul_trouble',
+      label: `Foul trouble (${round(foulsPer36)} fouls/36, ${Math.round(foulTroubleRate * 100)}% of games with 5+)`,
+      impact: round(impact)
+    });
+    projected += impact;
+  }
+
+  // Teammates ruled out: minutes this player actually played without them
+  const split = teammateSplits.find(s => s.without?.games >= MIN_SPLIT_GAMES && s.with?.games >= MIN_SPLIT_GAMES);
+  if (split && split.without.minutes != null && split.with.minutes != null) {
+    const weight = split.without.games / (split.without.games + 5);
+    const impact = clamp((split.without.minutes - split.with.minutes) * weight, -6, 8);
+    if (Math.abs(impact) >= 0.5) {
+      drivers.push({ factor: 'teammate_out', label: `${split.teammate} out`, impact: round(impact) });
+      projected += impact;
+    }
+  }
+
+  // Minutes restriction from the injury report caps everything above
+  const ownInjury = (injuryData?.playerTeamInjuries || []).find(injury =>
+    injury.playerName && playerName && injury.playerName.toLowerCase() === playerName.toLowerCase()
+  );
+  const restriction = parseMinutesRestriction(ownInjury);
+  if (restriction) {
+    const cap = restriction.cap ?? Math.round(projected * 0.75);
+    if (cap < projected) {
+      drivers.push({ factor: 'minutes_restriction', label: `Minutes restriction${restriction.cap ? ` (~${restriction.cap} min)` : ''}`, impact: round(cap - projected) });
+      projected = cap;
+    }
+  }
+
+  projected = clamp(projected, 0, MAX_MINUTES);
+
+  // Range from recent game-to-game spread (wider for foul-prone players, tight under a cap)
+  const spreadMinutes = minutes.slice(-10);
+  const mean = average(spreadMinutes);
+  const stdDev = Math.sqrt(average(spreadMinutes.map(m => Math.pow(m - mean, 2))));
+  const halfWidth = Math.max(2, stdDev) + (foulProne ? 1.5 : 0);
+  const low = clamp(projected - halfWidth, 0, MAX_MINUTES);
+  const high = clamp(restriction ? Math.min(projected + 2, projected + halfWidth) : projected + halfWidth, 0, MAX_MINUTES);
+
+  return {
+    projected: round(projected),
+    low: round(low),
+    high: round(high),
+    baseline: round(baseline),
+    recent: { last3: round(last3), last5: round(last5), last10: round(last10), season: round(season) },
+    drivers,
+    rest_days: restDays,
+    spread: teamSpread ?? null,
+    restricted: Boolean(restriction)
+  };
+}
@@ -0,0 +1,337 @@
+import OpenAI from 'openai';
+import { withFixture, isReplayMode } from './httpClient.js';
+import { getModelCode, resolvePropId } from '../utils/propRegistry.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Model provider registry for the prediction pipeline.
+ *
+ * Every provider takes the feature object built by buildPropFeatures and
+ * resolves to { value, method, components }. `method` is what ends up in the
+ * `method` field of the prediction response.
+ *
+ * Selection (highest priority first):
+ *   1. options.model passed to predictPropFromGames
+ *   2. PREDICTION_MODEL_<PROP> env var (e.g. PREDICTION_MODEL_THREES=local)
+ *   3. PREDICTION_MODEL env var
+ *   4. fine_tuned when OPENAI_API_KEY is set, otherwise local
+ */
+
+// Initialize OpenAI client (lazy initialization)
+let openai = null;
+
+function getOpenAIClient() {
+  if (!openai) {
+    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+    if (!OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY environment variable is required. Please set it in your .env file.');
+    }
+    openai = new OpenAI({
+      apiKey: OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
+
+/**
+ * Generate numeric prediction using fine-tuned model - EXACT TRAINING FORMAT
+ */
+async function generateNumericPrediction(features, maxRetries = 3) {
+  const {
+    playerName, propType, vegasLine, recentAvg3, recentAvg5, seasonAvg,
+    minutes, usageRate, pace, oppDef, oppVsPosition, injuryStatus, oppInjuries
+  } = features;
+
+  // Map prop type to standardized format
+  const propTypeFormatted = getModelCode(propType);
+
+  // Build input in EXACT training format
+  const formatValue = (val) => {
+    if (val === null || val === undefined) return 'null';
+    if (typeof val === 'number') return val.toFixed(1);
+    return val.toString();
+  };
+
+  // Use season avg as fallback for vegas_line if not available
+  const vegasLineValue = vegasLine || seasonAvg;
+
+  const userInput = `player: ${playerName}
+prop_type: ${propTypeFormatted}
+vegas_line: ${formatValue(vegasLineValue)}
+season_avg: ${seasonAvg.toFixed(1)}
+recent_avg_5: ${recentAvg5.toFixed(1)}
+recent_avg_3: ${recentAvg3.toFixed(1)}
+usage: ${formatValue(usageRate)}
+minutes: ${formatValue(minutes)}
+pace: ${formatValue(pace)}
+opp_def: ${formatValue(oppDef)}
+opp_vs_position: ${formatValue(oppVsPosition)}
+injury: ${injuryStatus || 'active'}
+opp_injuries: ${oppInjuries || 'none'}`;
+
+  // LOG EXACT PROMPT FOR VERIFICATION
+  console.log(`\n📤 [MODEL INPUT - ${propTypeFormatted}] Exact prompt sent to fine-tuned model:`);
+  console.log('='.repeat(80));
+  console.log(userInput);
+  console.log('='.repeat(80));
+
+  const systemMessage = "Predict NBA stats using structured features. Output only a number.";
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(`📤 [PREDICTION-${propTypeFormatted}] Attempt ${attempt}/${maxRetries} - Calling fine-tuned model...`);
+
+    try {
+      const request = {
+        model: process.env.FINE_TUNED_MODEL_ID || "ft:gpt-3.5-turbo-0125:personal::CdszvDdV",
+        messages: [
+          {
+            role: "system",
+            content: systemMessage
+          },
+          {
+            role: "user",
+            content: userInput
+          }
+        ],
+        temperature: 0.0,
+        top_p: 1.0,
+        max_tokens: 10
+      };
+      const completion = await withFixture('openai', 'chat.completions.create', request,
+        () => getOpenAIClient().chat.completions.create(request));
+
+      const responseText = completion.choices[0].message.content.trim();
+      console.log(`📥 [PREDICTION-${propTypeFormatted}] Raw model output (attempt ${attempt}):`, responseText);
+
+      // Extract number from response (model outputs just a number)
+      const numberMatch = responseText.match(/(\d+\.?\d*)/);
+      if (!numberMatch) {
+        throw new Error(`No number found in response: ${responseText}`);
+      }
+
+      const predictedValue = parseFloat(numberMatch[1]);
+
+      if (!Number.isFinite(predictedValue) || predictedValue < 0) {
+        throw new Error(`Invalid prediction: ${predictedValue}. Must be a finite positive number.`);
+      }
+
+      // Special case: if player is OUT, prediction must be 0
+      if (injuryStatus === 'out' && predictedValue !== 0) {
+        console.log(`🏥 [PREDICTION-${propTypeFormatted}] Player is OUT, setting prediction to 0`);
+        return 0;
+      }
+
+      console.log(`✅ [PREDICTION-${propTypeFormatted}] Valid prediction extracted: ${predictedValue}`);
+      return predictedValue;
+    } catch (error) {
+      console.error(`❌ [PREDICTION-${propTypeFormatted}] Attempt ${attempt} failed:`, error.message);
+      if (attempt < maxRetries) {
+        console.log(`🔄 [PREDICTION-${propTypeFormatted}] Retrying...`);
+        continue;
+      }
+      throw new Error(`Failed to generate prediction after ${maxRetries} attempts: ${error.message}`);
+    }
+  }
+
+  throw new Error('Failed to generate valid prediction after all retries');
+}
+
+/**
+ * Least-squares slope of values against game index (units per game)
+ */
+function calculateTrendSlope(values) {
+  const n = values.length;
+  if (n < 3) return 0;
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((y, x) => {
+    numerator += (x - meanX) * (y - meanY);
+    denominator += Math.pow(x - meanX, 2);
+  });
+
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Local statistical model - no network calls
+ * Weighted blend of recent/season averages, nudged by a short-term trend and
+ * scaled by projected minutes (recent minutes load when there is no projection),
+ * any injury-driven minutes reduction and the opportunity boost from key
+ * teammates being ruled out (the player's own without-teammate split when there
+ * is one, the impact-based boost otherwise), then trimmed for schedule fatigue.
+ */
+function predictWithLocalModel(features) {
+  const {
+    recentAvg3, recentAvg5, seasonAvg, gamesCount, minutes, avgMinutes,
+    injuryStatus, minutesReduction, teammateOutAdjustment, withoutTeammate, minutesProjection,
+    scheduleFactor = 1, valuesHistory = []
+  } = features;
+
+  if (injuryStatus === 'out') return 0;
+
+  // Lean on the season average until the sample is large enough to trust it
+  const seasonWeight = gamesCount >= 10 ? 0.5 : 0.3;
+  const recentWeight = (1 - seasonWeight) / 2;
+  const blended = seasonAvg * seasonWeight + recentAvg5 * recentWeight + recentAvg3 * recentWeight;
+
+  // Trend over the last 10 games, projected one game ahead and capped at ±10%
+  const slope = calculateTrendSlope(valuesHistory.slice(-10));
+  const maxTrend = blended * 0.1;
+  const trendAdjustment = Math.max(-maxTrend, Math.min(maxTrend, slope * 0.5));
+
+  // Projected minutes vs the baseline the averages were built on (-50% / +30%),
+  // otherwise recent minutes vs season minutes (damped, capped at ±10%)
+  let minutesFactor = 1;
+  if (minutesProjection && minutesProjection.baseline > 0) {
+    minutesFactor = Math.max(0.5, Math.min(1.3, minutesProjection.projected / minutesProjection.baseline));
+  } else if (minutes && avgMinutes && avgMinutes > 0) {
+    minutesFactor = Math.max(0.9, Math.min(1.1, Math.sqrt(minutes / avgMinutes)));
+  }
+
+  // A minutes restriction is already in the projection
+  const injuryFactor = minutesProjection?.restricted ? 1 : 1 - Math.min(minutesReduction || 0, 100) / 100;
+
+  // With projected minutes, only the per-minute part of a without-teammate split applies
+  let teammateFactor = withoutTeammate?.factor || teammateOutAdjustment || 1;
+  if (minutesProjection && withoutTeammate) {
+    teammateFactor = withoutTeammate.rateFactor || 1;
+  }
+
+  const predictedValue = (blended + trendAdjustment) * minutesFactor * injuryFactor * teammateFactor * (scheduleFactor || 1);
+  return Math.max(0, predictedValue);
+}
+
+const PROVIDERS = {
+  local: {
+    method: 'local_stat_model',
+    async predict(features) {
+      const value = predictWithLocalModel(features);
+      return { value, method: this.method, components: { local_stat_model: value } };
+    }
+  },
+  fine_tuned: {
+    method: 'fine_tuned_model',
+    async predict(features) {
+      const value = await generateNumericPrediction(features);
+      return { value, method: this.method, components: { fine_tuned_model: value } };
+    }
+  },
+  ensemble: {
+    method: 'ensemble',
+    async predict(features) {
+      const localValue = predictWithLocalModel(features);
+      if (!process.env.OPENAI_API_KEY && !isReplayMode()) {
+        console.warn('⚠️ [ENSEMBLE] OPENAI_API_KEY not set, using local model only');
+        return { value: localValue, method: 'local_stat_model', components: { local_stat_model: localValue } };
+      }
+
+      let fineTunedValue;
+      try {
+        fineTunedValue = await generateNumericPrediction(features);
+      } catch (error) {
+        console.warn(`⚠️ [ENSEMBLE] Fine-tuned model unavailable, using local model only: ${error.message}`);
+        return { value: localValue, method: 'local_stat_model', components: { local_stat_model: localValue } };
+      }
+
+      const weight = getEnsembleWeight();
+      const value = fineTunedValue * weight + localValue * (1 - weight);
+      return {
+        value,
+        method: this.method,
+        components: { fine_tuned_model: fineTunedValue, local_stat_model: localValue, fine_tuned_weight: weight }
+      };
+    }
+  }
+};
+
+const PROVIDER_ALIASES = {
+  'local_stat_model': 'local',
+  'statistical': 'local',
+  'openai': 'fine_tuned',
+  'fine_tuned_model': 'fine_tuned'
+};
+
+/**
+ * Weight given to the fine-tuned model in the ensemble (0-1, default 0.6)
+ */
+function getEnsembleWeight() {
+  const weight = parseFloat(process.env.ENSEMBLE_FINE_TUNED_WEIGHT);
+  if (!Number.isFinite(weight)) return 0.6;
+  return Math.max(0, Math.min(1, weight));
+}
+
+function normalizeProviderName(name) {
+  if (!name) return null;
+  const key = name.toString().trim().toLowerCase();
+  return PROVIDER_ALIASES[key] || key;
+}
+
+// Env values already reported as unknown (warned once, not on every prediction)
+const warnedEnvValues = new Set();
+
+/**
+ * Provider named by an env var, or 'local' (with a one-time warning) when the value is unknown
+ */
+function providerFromEnv(envKey) {
+  const name = normalizeProviderName(process.env[envKey]);
+  if (!name || PROVIDERS[name]) return name;
+
+  const warningKey = `${envKey}=${name}`;
+  if (!warnedEnvValues.has(warningKey)) {
+    warnedEnvValues.add(warningKey);
+    console.warn(`⚠️ Unknown prediction model "${name}" in ${envKey} (expected one of: ${Object.keys(PROVIDERS).join(', ')}), using local`);
+  }
+  return 'local';
+}
+
+/**
+ * Resolve which provider should handle a prop
+ * A typo in PREDICTION_MODEL / PREDICTION_MODEL_<PROP> falls back to the local model;
+ * only an unknown explicit override is an error.
+ * @param {string} propType - Prop type (e.g. 'points', 'threes')
+ * @param {string|null} override - Explicit provider name, takes precedence over env vars
+ * @returns {string} Provider name ('local', 'fine_tuned' or 'ensemble')
+ */
+export function resolveProviderName(propType, override = null) {
+  const requested = normalizeProviderName(override);
+  if (requested) {
+    if (!PROVIDERS[requested]) {
+      throw new Error(`Unknown prediction model "${requested}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return requested;
+  }
+
+  const propEnvKey = `PREDICTION_MODEL_${(resolvePropId(propType) || propType || '').toUpperCase()}`;
+  const configured = providerFromEnv(propEnvKey) || providerFromEnv('PREDICTION_MODEL');
+  if (configured) return configured;
+
+  return process.env.OPENAI_API_KEY ? 'fine_tuned' : 'local';
+}
+
+/**
+ * Run the configured model provider for a set of features
+ * @param {object} features - Output of buildPropFeatures
+ * @param {string|null} override - Explicit provider name
+ * @returns {Promise<{value: number, method: string, components: object}>}
+ */
+export async function runModelProvider(features, override = null) {
+  const providerName = resolveProviderName(features.propType, override);
+  return PROVIDERS[providerName].predict(features);
+}
+
+/**
+ * List available provider names
+ */
+export function getAvailableProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+// Report misconfigured model env vars at startup rather than on the first prediction
+for (const envKey of Object.keys(process.env).filter(key => key.startsWith('PREDICTION_MODEL'))) {
+  providerFromEnv(envKey);
+}
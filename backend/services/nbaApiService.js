@@ -1,5 +1,6 @@
-import axios from 'axios';
+import { http } from './httpClient.js';
 import NodeCache from 'node-cache';
+import { saveGameLogs } from './sqliteService.js';
 
 /**
  * NBA.com API Service
@@ -11,7 +12,7 @@ const NBA_API_BASE = 'https://stats.nba.com/stats';
 
 // Cache for ESPN player searches (24 hours - player names don't change)
 const espnSearchCache = new NodeCache({ stdTTL: 86400, useClones: false });
-const NBA_HEADERS = {
+export const NBA_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   'Accept': 'application/json, text/plain, */*',
   'Accept-Language': 'en-US,en;q=0.9',
@@ -52,7 +53,7 @@ export async function searchPlayersESPN(playerName) {
     const teamsUrl = 'https://site.web.api.espn.com/apis/site/v2/sports/basketball/nba/teams';
     
     // Get all NBA teams
-    const teamsResponse = await axios.get(teamsUrl, {
+    const teamsResponse = await http.get(teamsUrl, {
       params: {
         region: 'us',
         lang: 'en',
@@ -81,7 +82,7 @@ export async function searchPlayersESPN(playerName) {
         
         const rosterUrl = `https://site.web.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${teamId}/roster`;
         
-        const rosterResponse = await axios.get(rosterUrl, {
+        const rosterResponse = await http.get(rosterUrl, {
           params: {
             region: 'us',
             lang: 'en',
@@ -294,6 +295,13 @@ export async function getPlayerStatsFromNBA(playerName, retryCount = 0) {
       throw new Error(`No game data found for ${playerName}`);
     }
     
+    // Persist the game log (non-critical)
+    try {
+      saveGameLogs(nbaPlayer.name || playerName, nbaPlayer.id, games);
+    } catch (storeError) {
+      console.warn(`⚠️ Could not store game log for ${playerName}: ${storeError.message}`);
+    }
+    
     // Get player info for additional details (non-critical, don't retry)
     let playerInfo = null;
     try {
@@ -363,7 +371,7 @@ export async function searchPlayer(playerName) {
     
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        response = await axios.get(url, {
+        response = await http.get(url, {
           params: {
             LeagueID: '00',
             Season: getCurrentSeason(),
@@ -501,7 +509,7 @@ export async function getPlayerGameLog(playerId, options = {}) {
     
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        response = await axios.get(url, {
+        response = await http.get(url, {
           params,
           headers: NBA_HEADERS,
           timeout: 30000, // Increased timeout to 30s for slow API responses
@@ -676,7 +684,7 @@ export async function getPlayerGameLog(playerId, options = {}) {
         const previousSeason = getPreviousSeason(currentSeason);
         console.log(`📊 Fetching previous season (${previousSeason}) game log for player ${playerId}...`);
         
-        const previousResponse = await axios.get(url, {
+        const previousResponse = await http.get(url, {
           params: {
             LeagueID: '00',
             PlayerID: playerId,
@@ -739,7 +747,7 @@ export async function getNextGame(nbaPlayerId, teamAbbrev) {
     // Use ESPN's team schedule endpoint
     try {
       const espnScheduleUrl = `https://site.web.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${espnTeamId}/schedule`;
-      const scheduleResponse = await axios.get(espnScheduleUrl, {
+      const scheduleResponse = await http.get(espnScheduleUrl, {
         params: {
           region: 'us',
           lang: 'en',
@@ -900,7 +908,7 @@ export async function getTeamRecord(teamAbbrev) {
     }
     
     const teamUrl = `https://site.web.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${espnTeamId}`;
-    const response = await axios.get(teamUrl, {
+    const response = await http.get(teamUrl, {
       params: {
         region: 'us',
         lang: 'en',
@@ -1042,7 +1050,7 @@ function formatGameDate(dateStr) {
 /**
  * Get current NBA season (e.g., "2024-25")
  */
-function getCurrentSeason() {
+export function getCurrentSeason() {
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth() + 1; // 1-12
@@ -1088,7 +1096,7 @@ export async function getPlayerInfo(playerId) {
     
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        response = await axios.get(url, {
+        response = await http.get(url, {
           params,
           headers: NBA_HEADERS,
           timeout: 30000, // Increased timeout to 30s for slow API responses
@@ -0,0 +1,326 @@
+/**
+ * Odds API Client - The one place that talks to The Odds API
+ * Shares the NBA event list and per-event odds between getPlayerOdds, /with-lines
+ * and /trending, coalesces concurrent requests for the same data, tracks the
+ * credit headers The Odds API returns and falls back to cached data when the
+ * remaining credits drop below the configured budget.
+ */
+
+import dotenv from 'dotenv';
+import { http, isReplayMode } from './httpClient.js';
+import { getMarketProps } from '../utils/propRegistry.js';
+
+dotenv.config();
+
+const THE_ODDS_API_KEY = process.env.THE_ODDS_API_KEY || process.env.ODDS_API_KEY;
+const THE_ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
+const SPORT = 'basketball_nba';
+
+// Odds API regions for player props; add us_dfs for pick'em apps (PrizePicks, Underdog). Each region costs credits.
+const PROP_REGIONS = process.env.ODDS_API_REGIONS || 'us';
+
+// Alternate-line ladders double the markets (and credits) per event, so they are opt-in (ODDS_API_ALTERNATE_LINES=true)
+const FETCH_ALTERNATE_LINES = process.env.ODDS_API_ALTERNATE_LINES === 'true';
+
+/**
+ * Default player prop markets for an event (main lines, plus alternates when enabled)
+ */
+export const PLAYER_PROP_MARKETS = [
+  ...getMarketProps().map(prop => prop.market),
+  ...(FETCH_ALTERNATE_LINES ? getMarketProps().map(prop => prop.alternateMarket).filter(Boolean) : [])
+];
+
+function readNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Cache lifetimes (seconds) and credit budget
+const EVENTS_TTL = readNumberEnv('ODDS_EVENTS_TTL', 600);
+const EVENT_ODDS_TTL = readNumberEnv('ODDS_EVENT_ODDS_TTL', 300);
+const GAME_LINES_TTL = readNumberEnv('ODDS_GAME_LINES_TTL', 900);
+// Stop spending credits when this many (or fewer) remain
+const CREDIT_RESERVE = readNumberEnv('ODDS_API_CREDIT_RESERVE', 50);
+// Optional cap on credits spent per UTC day (0 = no cap)
+const DAILY_CREDIT_BUDGET = readNumberEnv('ODDS_API_DAILY_BUDGET', 0);
+
+// Last known value per key - kept past its TTL (up to a day) as the fallback when fresh data can't be fetched
+const cache = new Map(); // key -> { data, markets, fetchedAt, expiresAt }
+const STALE_RETENTION_MS = 24 * 60 * 60 * 1000;
+const inFlight = new Map(); // key -> Promise
+
+const quota = {
+  remaining: null,
+  used: null,
+  last_cost: null,
+  updated_at: null,
+  spent_today: 0,
+  day: null
+};
+
+const counters = {
+  network_requests: 0,
+  cache_hits: 0,
+  coalesced: 0,
+  served_stale: 0,
+  blocked_by_budget: 0,
+  errors: 0
+};
+
+/**
+ * Error thrown when the credit budget blocks a request and nothing is cached
+ */
+export class OddsQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OddsQuotaError';
+  }
+}
+
+/**
+ * Whether the client can make requests (API key configured or fixture replay)
+ */
+export function isOddsApiConfigured() {
+  return Boolean(THE_ODDS_API_KEY) || isReplayMode();
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Update the quota snapshot from The Odds API response headers
+ */
+function recordQuota(headers = {}) {
+  const remaining = parseFloat(headers['x-requests-remaining']);
+  const used = parseFloat(headers['x-requests-used']);
+  const last = parseFloat(headers['x-requests-last']);
+
+  if (quota.day !== currentDay()) {
+    quota.day = currentDay();
+    quota.spent_today = 0;
+  }
+
+  // x-requests-last is the cost of this call; older responses only expose used
+  let cost = Number.isFinite(last) ? last : null;
+  if (cost == null && Number.isFinite(used) && quota.used != null) {
+    cost = Math.max(0, used - quota.used);
+  }
+
+  if (Number.isFinite(remaining)) quota.remaining = remaining;
+  if (Number.isFinite(used)) quota.used = used;
+  if (cost != null) {
+    quota.last_cost = cost;
+    quota.spent_today += cost;
+  }
+  quota.updated_at = new Date().toISOString();
+}
+
+/**
+ * Reason the budget blocks new requests, or null when credits can be spent
+ */
+function getBudgetBlockReason() {
+  if (quota.remaining != null && quota.remaining <= CREDIT_RESERVE) {
+    return `only ${quota.remaining} credits remaining (reserve ${CREDIT_RESERVE})`;
+  }
+  if (DAILY_CREDIT_BUDGET > 0 && quota.day === currentDay() && quota.spent_today >= DAILY_CREDIT_BUDGET) {
+    return `daily budget of ${DAILY_CREDIT_BUDGET} credits spent`;
+  }
+  return null;
+}
+
+/**
+ * Drop entries too old to be useful even as a fallback (finished events)
+ */
+function pruneCache() {
+  const cutoff = Date.now() - STALE_RETENTION_MS;
+  for (const [key, entry] of cache.entries()) {
+    if (entry.fetchedAt < cutoff) cache.delete(key);
+  }
+}
+
+/**
+ * Fetch through the shared cache with request coalescing and budget checks
+ * @param {string} key - Cache key
+ * @param {number} ttlSeconds - Freshness window
+ * @param {Function} fetcher - Performs the network request, resolves to { data, markets }
+ * @param {object} options
+ * @param {string[]|null} options.markets - Markets the fetch will return (null = not market based)
+ * @param {Function} options.isUsable - Whether a cached/in-flight entry satisfies this request
+ * @param {boolean} options.costsCredits - Whether the budget applies to this request
+ */
+async function cachedRequest(key, ttlSeconds, fetcher, { markets = null, isUsable = () => true, costsCredits = true } = {}) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now() && isUsable(cached)) {
+    counters.cache_hits++;
+    return cached.data;
+  }
+
+  const pending = inFlight.get(key);
+  if (pending && isUsable(pending)) {
+    counters.coalesced++;
+    return pending.promise;
+  }
+
+  const blockReason = costsCredits ? getBudgetBlockReason() : null;
+  if (blockReason) {
+    counters.blocked_by_budget++;
+    if (cached && isUsable(cached)) {
+      counters.served_stale++;
+      console.warn(`⚠️ [ODDS API] Budget limit (${blockReason}), serving cached ${key}`);
+      return cached.data;
+    }
+    throw new OddsQuotaError(`Odds API budget limit reached: ${blockReason}`);
+  }
+
+  const promise = (async () => {
+    try {
+      counters.network_requests++;
+      const data = await fetcher();
+      cache.set(key, { data, markets, fetchedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 });
+      pruneCache();
+      return data;
+    } catch (error) {
+      counters.errors++;
+      // Quota exhausted (401/429) or network trouble: fall back to the last known data
+      if (cached && isUsable(cached)) {
+        counters.served_stale++;
+        console.warn(`⚠️ [ODDS API] ${error.message}, serving cached ${key}`);
+        return cached.data;
+      }
+      throw error;
+    } finally {
+      if (inFlight.get(key)?.promise === promise) inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, { promise, markets });
+  return promise;
+}
+
+async function oddsApiGet(path, params, timeout) {
+  const response = await http.get(`${THE_ODDS_API_BASE}${path}`, {
+    params: { apiKey: THE_ODDS_API_KEY, ...params },
+    timeout
+  });
+  recordQuota(response.headers);
+  return response.data;
+}
+
+/**
+ * Upcoming NBA events (shared, cached for ODDS_EVENTS_TTL seconds)
+ * Listing events does not cost credits, but it is still cached and coalesced.
+ * @returns {Promise<array>} Events with id, home_team, away_team, commence_time
+ */
+export async function getNbaEvents() {
+  if (!isOddsApiConfigured()) return [];
+
+  const events = await cachedRequest(
+    'events',
+    EVENTS_TTL,
+    () => oddsApiGet(`/sports/${SPORT}/events`, {}, 15000),
+    { costsCredits: false }
+  );
+  return Array.isArray(events) ? events : [];
+}
+
+/**
+ * Odds for one event (shared, cached for ODDS_EVENT_ODDS_TTL seconds)
+ * Any cached response that already covers the requested markets is reused. Otherwise only
+ * the requested markets are fetched - widened with a still-fresh cached entry's markets so
+ * callers asking for different sets keep sharing one entry instead of replacing it.
+ * @param {string} eventId - The Odds API event id
+ * @param {string[]} markets - Markets to request (defaults to PLAYER_PROP_MARKETS)
+ * @returns {Promise<object|null>} Event odds payload with bookmakers
+ */
+export async function getEventOdds(eventId, markets = PLAYER_PROP_MARKETS) {
+  if (!isOddsApiConfigured() || !eventId) return null;
+
+  const key = `event_odds:${eventId}`;
+  const requested = [...new Set(markets)];
+  const cached = cache.get(key);
+  const freshMarkets = cached && cached.expiresAt > Date.now() ? cached.markets || [] : [];
+  const fetchMarkets = [...new Set([...freshMarkets, ...requested])];
+
+  return cachedRequest(
+    key,
+    EVENT_ODDS_TTL,
+    () => oddsApiGet(`/sports/${SPORT}/events/${eventId}/odds`, {
+      regions: PROP_REGIONS,
+      markets: fetchMarkets.join(','),
+      oddsFormat: 'american'
+    }, 15000),
+    {
+      markets: fetchMarkets,
+      isUsable: (entry) => requested.every(market => entry.markets.includes(market))
+    }
+  );
+}
+
+/**
+ * When an event's cached odds were fetched, while they are still fresh
+ * Lets slate-wide jobs skip events whose odds haven't been refreshed since they last looked.
+ * @param {string} eventId - The Odds API event id
+ * @returns {number|null} Fetch time (ms since epoch), or null when nothing fresh is cached
+ */
+export function getEventOddsFetchedAt(eventId) {
+  const entry = cache.get(`event_odds:${eventId}`);
+  return entry && entry.expiresAt > Date.now() ? entry.fetchedAt : null;
+}
+
+/**
+ * Spreads and totals for every upcoming NBA game (shared, cached for ODDS_GAME_LINES_TTL seconds)
+ * One request covers the whole slate (costs one credit per market).
+ * @returns {Promise<array>} Events with bookmakers -> markets (spreads, totals)
+ */
+export async function getGameLines() {
+  if (!isOddsApiConfigured()) return [];
+
+  const events = await cachedRequest(
+    'game_lines',
+    GAME_LINES_TTL,
+    () => oddsApiGet(`/sports/${SPORT}/odds`, {
+      regions: 'us',
+      markets: 'spreads,totals',
+      oddsFormat: 'american'
+    }, 15000)
+  );
+  return Array.isArray(events) ? events : [];
+}
+
+/**
+ * Quota, budget and cache status for the admin route
+ */
+export function getOddsQuotaStatus() {
+  const blockReason = getBudgetBlockReason();
+  const now = Date.now();
+  const entries = Array.from(cache.entries());
+
+  return {
+    configured: isOddsApiConfigured(),
+    credits: {
+      remaining: quota.remaining,
+      used: quota.used,
+      last_request_cost: quota.last_cost,
+      updated_at: quota.updated_at
+    },
+    budget: {
+      reserve: CREDIT_RESERVE,
+      daily_budget: DAILY_CREDIT_BUDGET || null,
+      spent_today: quota.day === currentDay() ? quota.spent_today : 0,
+      degraded: Boolean(blockReason),
+      reason: blockReason
+    },
+    cache: {
+      events_ttl_seconds: EVENTS_TTL,
+      event_odds_ttl_seconds: EVENT_ODDS_TTL,
+      game_lines_ttl_seconds: GAME_LINES_TTL,
+      entries: entries.length,
+      fresh_entries: entries.filter(([, entry]) => entry.expiresAt > now).length,
+      in_flight: inFlight.size
+    },
+    requests: { ...counters }
+  };
+}
+
+console.log('✅ Odds API client initialized');
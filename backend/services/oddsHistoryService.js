@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+import { getDb } from './sqliteService.js';
+
+dotenv.config();
+
+/**
+ * Odds History Service - Timestamped line/price snapshots per bookmaker and prop
+ * Every odds fetch appends the lines that moved to odds_snapshots so line movement
+ * survives the short-lived in-memory caches.
+ */
+
+// Snapshots older than this many days are deleted (0 = keep everything)
+const RETENTION_DAYS = Number.isFinite(parseFloat(process.env.ODDS_SNAPSHOT_RETENTION_DAYS))
+  ? parseFloat(process.env.ODDS_SNAPSHOT_RETENTION_DAYS)
+  : 60;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+/**
+ * Delete snapshots past the retention window (at most once an hour)
+ * @returns {number} Number of rows deleted
+ */
+export function pruneOddsSnapshots({ force = false } = {}) {
+  if (RETENTION_DAYS <= 0 || (!force && Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS)) return 0;
+  lastPrunedAt = Date.now();
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { changes } = getDb().prepare('DELETE FROM odds_snapshots WHERE captured_at < ?').run(cutoff);
+  if (changes > 0) console.log(`🗑️  Pruned ${changes} odds snapshots older than ${RETENTION_DAYS} days`);
+  return changes;
+}
+
+/**
+ * Append a batch of odds snapshots
+ * A book's line is only written when it differs from that book's last snapshot for the
+ * event, and never behind it: re-reading cached odds adds nothing.
+ * @param {array} snapshots - [{ player_name, prop_type, bookmaker, line, over_odds, under_odds, event_id, commence_time, captured_at? }]
+ * @param {string} source - Where the odds came from ('player_odds', 'trending', ...)
+ * @returns {number} Number of rows written
+ */
+export function saveOddsSnapshots(snapshots, source = 'theoddsapi') {
+  if (!Array.isArray(snapshots) || snapshots.length === 0) return 0;
+
+  const database = getDb();
+  const capturedAt = new Date().toISOString();
+  const lastSnapshot = database.prepare(`
+    SELECT line, over_odds, under_odds, captured_at
+    FROM odds_snapshots
+    WHERE player_name = ? COLLATE NOCASE AND prop_type = ? AND bookmaker = ? COLLATE NOCASE AND event_id IS ?
+    ORDER BY captured_at DESC, id DESC
+    LIMIT 1
+  `);
+  const insert = database.prepare(`
+    INSERT INTO odds_snapshots (player_name, prop_type, bookmaker, line, over_odds, under_odds, event_id, commence_time, source, captured_at)
+    VALUES (@player_name, @prop_type, @bookmaker, @line, @over_odds, @under_odds, @event_id, @commence_time, @source, @captured_at)
+  `);
+
+  let written = 0;
+  database.transaction(() => {
+    for (const snapshot of snapshots) {
+      if (!snapshot?.player_name || !snapshot.prop_type || !snapshot.bookmaker || snapshot.line == null) continue;
+      const row = {
+        player_name: snapshot.player_name,
+        prop_type: snapshot.prop_type,
+        bookmaker: snapshot.bookmaker,
+        line: snapshot.line,
+        over_odds: snapshot.over_odds ?? null,
+        under_odds: snapshot.under_odds ?? null,
+        event_id: snapshot.event_id || null,
+        commence_time: snapshot.commence_time || null,
+        source,
+        captured_at: snapshot.captured_at || capturedAt
+      };
+
+      const last = lastSnapshot.get(row.player_name, row.prop_type, row.bookmaker, row.event_id);
+      if (last && (last.captured_at >= row.captured_at ||
+          (last.line === row.line && last.over_odds === row.over_odds && last.under_odds === row.under_odds))) {
+        continue;
+      }
+      insert.run(row);
+      written++;
+    }
+  })();
+
+  pruneOddsSnapshots();
+  return written;
+}
+
+/**
+ * Snapshot every bookmaker line from a getPlayerOdds() result
+ * @param {string} playerName - Player name
+ * @param {object} props - Props object keyed by prop type (with all_bookmakers)
+ * @param {object} gameInfo - { event_id, commence_time }
+ * @param {string} capturedAt - ISO time the odds were fetched (default now)
+ * @returns {number} Number of rows written
+ */
+export function recordPlayerOddsSnapshots(playerName, props, gameInfo = {}, capturedAt = null) {
+  if (!playerName || !props) return 0;
+
+  const snapshots = [];
+  for (const [propType, prop] of Object.entries(props)) {
+    if (propType.startsWith('_') || !prop || prop.status === 'unavailable') continue;
+    const books = Array.isArray(prop.all_bookmakers) && prop.all_bookmakers.length > 0
+      ? prop.all_bookmakers
+      : [prop];
+
+    for (const book of books) {
+      snapshots.push({
+        player_name: playerName,
+        prop_type: propType,
+        bookmaker: book.bookmaker_key || book.bookmaker,
+        line: book.line,
+        over_odds: book.over_odds,
+        under_odds: book.under_odds,
+        event_id: gameInfo.event_id,
+        commence_time: gameInfo.commence_time,
+        captured_at: capturedAt
+      });
+    }
+  }
+
+  return saveOddsSnapshots(snapshots, 'player_odds');
+}
+
+/**
+ * Consensus (median) line across bookmakers for one capture
+ */
+function medianLine(points) {
+  const lines = points.map(p => p.line).filter(line => line != null).sort((a, b) => a - b);
+  if (lines.length === 0) return null;
+  const mid = Math.floor(lines.length / 2);
+  return lines.length % 2 === 0 ? (lines[mid - 1] + lines[mid]) / 2 : lines[mid];
+}
+
+/**
+ * Summarize a chronological list of snapshots into open/current/delta
+ */
+function summarizeSeries(series) {
+  if (series.length === 0) return { open: null, current: null, line_delta: null };
+  const open = series[0];
+  const current = series[series.length - 1];
+  return {
+    open,
+    current,
+    line_delta: open.line != null && current.line != null
+      ? Math.round((current.line - open.line) * 10) / 10
+      : null
+  };
+}
+
+/**
+ * Line movement history for a player prop
+ * @param {string} playerName - Player name
+ * @param {string} propType - Prop type (points, rebounds, pra, ...)
+ * @param {object} options - { bookmaker, since (ISO), eventId }
+ * @returns {object} { open, current, line_delta, series, bookmakers: { key: { open, current, line_delta, series } } }
+ */
+export function getLineHistory(playerName, propType = 'points', { bookmaker = null, since = null, eventId = null } = {}) {
+  const rows = getDb().prepare(`
+    SELECT bookmaker, line, over_odds, under_odds, event_id, commence_time, source, captured_at
+    FROM odds_snapshots
+    WHERE player_name = ? COLLATE NOCASE
+      AND prop_type = ?
+      AND (? IS NULL OR bookmaker = ? COLLATE NOCASE)
+      AND (? IS NULL OR captured_at >= ?)
+      AND (? IS NULL OR event_id = ?)
+    ORDER BY captured_at ASC, id ASC
+  `).all(playerName, propType, bookmaker, bookmaker, since, since, eventId, eventId);
+
+  // Per-bookmaker series
+  const byBookmaker = {};
+  for (const row of rows) {
+    (byBookmaker[row.bookmaker] || (byBookmaker[row.bookmaker] = [])).push(row);
+  }
+  const bookmakers = {};
+  for (const [key, series] of Object.entries(byBookmaker)) {
+    bookmakers[key] = { ...summarizeSeries(series), series };
+  }
+
+  // Market series: one point per capture, consensus line across books. Only moved lines are
+  // stored, so each book keeps its last line until its next snapshot.
+  const latestByBook = new Map();
+  const series = [];
+  for (const row of rows) {
+    latestByBook.set(row.bookmaker, row);
+    const point = {
+      captured_at: row.captured_at,
+      line: medianLine([...latestByBook.values()]),
+      books: latestByBook.size
+    };
+    if (series.length > 0 && series[series.length - 1].captured_at === row.captured_at) {
+      series[series.length - 1] = point;
+    } else {
+      series.push(point);
+    }
+  }
+
+  return {
+    player: playerName,
+    prop_type: propType,
+    event_id: eventId,
+    snapshots: rows.length,
+    ...summarizeSeries(series),
+    series,
+    bookmakers
+  };
+}
+
+
+/**
+ * Last snapshot captured before a cutoff (e.g. tip-off) for a player prop
+ * Scope it to one game with eventId, or with `since` when the event id is unknown,
+ * so an earlier game's line is never taken as this game's close.
+ * @param {string} playerName - Player name
+ * @param {string} propType - Prop type
+ * @param {string} beforeIso - ISO timestamp cutoff (exclusive)
+ * @param {object} options - { bookmaker, eventId, since (ISO timestamp, inclusive) }
+ * @returns {object|null} Snapshot row
+ */
+export function getLastSnapshotBefore(playerName, propType, beforeIso, { bookmaker = null, eventId = null, since = null } = {}) {
+  return getDb().prepare(`
+    SELECT bookmaker, line, over_odds, under_odds, event_id, commence_time, captured_at
+    FROM odds_snapshots
+    WHERE player_name = ? COLLATE NOCASE
+      AND prop_type = ?
+      AND captured_at < ?
+      AND (? IS NULL OR bookmaker = ? COLLATE NOCASE)
+      AND (? IS NULL OR event_id = ?)
+      AND (? IS NULL OR captured_at >= ?)
+    ORDER BY captured_at DESC, id DESC
+    LIMIT 1
+  `).get(playerName, propType, beforeIso, bookmaker, bookmaker, eventId, eventId, since, since) || null;
+}
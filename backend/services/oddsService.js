@@ -1,14 +1,16 @@
-import axios from 'axios';
+import { getNbaEvents, getEventOdds, getEventOddsFetchedAt, isOddsApiConfigured } from './oddsApiClient.js';
 import dotenv from 'dotenv';
+import { recordPlayerOddsSnapshots } from './oddsHistoryService.js';
+import { buildMarketConsensus, removeVig } from './marketConsensusService.js';
+import { getMarketProps, getPropByAlternateMarket, getPropByMarket, getPropType, isValidLineForProp, YES_NO_LINE } from '../utils/propRegistry.js';
+import { getPickemPlatform } from '../utils/pickemPayouts.js';
 
 dotenv.config();
 
-const THE_ODDS_API_KEY = process.env.THE_ODDS_API_KEY || process.env.ODDS_API_KEY;
-const THE_ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
-
 /**
  * Bookmaker priority list - used to select best line
  * Priority 0 = highest priority (DraftKings)
+ * Pick'em apps (PrizePicks, Underdog) are never the main line: they pay by entry, not by leg
  */
 const BOOKMAKER_PRIORITY = {
   'draftkings': 0,
@@ -18,51 +20,7 @@ const BOOKMAKER_PRIORITY = {
   'fanatics': 4,
   'barstool': 5,
   'espnbet': 6,
-  'prizepicks': 7,
-  'underdog': 8,
-  'bovada': 9
-};
-
-/**
- * Market validation ranges - strict validation for each prop type
- */
-const MARKET_RANGES = {
-  'points': { min: 5, max: 60 },
-  'rebounds': { min: 2, max: 20 },
-  'assists': { min: 1, max: 20 },
-  'threes': { min: 0, max: 12 },
-  'pra': { min: 5, max: 70 },      // Points + Rebounds + Assists
-  'pr': { min: 5, max: 70 },       // Points + Rebounds
-  'pa': { min: 5, max: 70 },       // Points + Assists
-  'ra': { min: 5, max: 40 }        // Rebounds + Assists
-};
-
-/**
- * Market type mapping - maps The Odds API market keys to our internal prop names
- */
-const MARKET_TYPE_MAP = {
-  'player_points': 'points',
-  'player_rebounds': 'rebounds',
-  'player_assists': 'assists',
-  'player_threes': 'threes',
-  'player_points_rebounds_assists': 'pra',
-  'player_points_rebounds': 'pr',
-  'player_points_assists': 'pa',
-  'player_rebounds_assists': 'ra'
-};
-
-/**
- * Reverse mapping - from our prop names to The Odds API market keys
- */
-const PROP_TO_MARKET = {
-  'points': 'player_points',
-  'rebounds': 'player_rebounds',
-  'assists': 'player_assists',
-  'threes': 'player_threes',
-  'pra': 'player_points_rebounds_assists',
-  'pr': 'player_points_rebounds',
-  'pa': 'player_points_assists',
-  'ra': 'player_rebounds_assists'
+  'bovada': 7
 };
 
 /**
@@ -94,13 +52,38 @@ function getBookmakerPriority(bookmakerKey) {
 }
 
 /**
- * Validate line is within expected range for a prop type
+ * Whether an outcome's description / player_name is the player
  */
-function isValidLineForProp(propType, line) {
-  if (line == null || isNaN(line) || line <= 0) return false;
-  const range = MARKET_RANGES[propType];
-  if (!range) return false;
-  return line >= range.min && line <= range.max;
+function outcomeMatchesPlayer(outcome, normalizedPlayerName, nameParts) {
+  const outcomeDesc = normalizeName(outcome.description || '');
+  const outcomePlayerName = normalizeName(outcome.player_name || '');
+
+  if (nameParts.length >= 2) {
+    const firstName = nameParts[0];
+    const lastName = nameParts[nameParts.length - 1];
+    const hasFirstName = outcomeDesc.includes(firstName) || outcomePlayerName.includes(firstName);
+    const hasLastName = outcomeDesc.includes(lastName) || outcomePlayerName.includes(lastName);
+    const fullMatch = outcomeDesc === normalizedPlayerName || outcomePlayerName === normalizedPlayerName;
+    return fullMatch || (hasFirstName && hasLastName);
+  }
+  return outcomeDesc.includes(nameParts[0]) || outcomePlayerName.includes(nameParts[0]);
+}
+
+/**
+ * Infer a prop from a market key by the stats it names ("player_points_rebounds" -> pr)
+ * Alternate markets ("player_points_alternate") resolve to the same prop
+ */
+function inferPropFromMarketKey(marketKey) {
+  const key = (marketKey || '').toLowerCase();
+  const exact = getPropByMarket(key);
+  if (exact) return exact;
+
+  const named = ['points', 'rebounds', 'assists', 'threes', 'steals', 'blocks', 'turnovers']
+    .filter(stat => key.includes(stat) || (stat === 'threes' && key.includes('three')));
+  if (named.length === 0) return null;
+  return getMarketProps().find(prop => !prop.milestone &&
+    prop.components.length === named.length && prop.components.every(stat => named.includes(stat))
+  ) || null;
 }
 
 /**
@@ -114,65 +97,22 @@ function normalizeMarketClassification(marketKey, line) {
   
   // Rule 1: RA market with line > 40 is actually PRA
   if (key.includes('rebounds') && key.includes('assists') && !key.includes('points')) {
-    if (line > 40 && line <= 70) {
+    if (line > 40 && isValidLineForProp('pra', line)) {
       return 'pra';
     }
-    if (line >= 5 && line <= 40) {
-      return 'ra';
-    }
   }
   
-  // Rule 2: PRA market with line < 40 might be RA
+  // Rule 2: PRA market with a line below 20 is actually RA
   if (key.includes('points') && key.includes('rebounds') && key.includes('assists')) {
-    if (line >= 5 && line < 40) {
-      // Could be mislabeled RA, but if it's in PRA range, keep as PRA
-      if (line >= 20) {
-        return 'pra'; // Keep as PRA if in valid range
-      }
-      return 'ra'; // Otherwise it's RA
-    }
-    if (line >= 40 && line <= 70) {
-      return 'pra';
-    }
-  }
-  
-  // Rule 3: PR market detection
-  if (key.includes('points') && key.includes('rebounds') && !key.includes('assists')) {
-    if (line >= 5 && line <= 70) {
-      return 'pr';
-    }
-  }
-  
-  // Rule 4: PA market detection
-  if (key.includes('points') && key.includes('assists') && !key.includes('rebounds')) {
-    if (line >= 5 && line <= 70) {
-      return 'pa';
-    }
-  }
-  
-  // Rule 5: Single prop detection
-  if (key === 'player_points' || (key.includes('points') && !key.includes('rebounds') && !key.includes('assists'))) {
-    if (line >= 5 && line <= 60) {
-      return 'points';
-    }
-  }
-  
-  if (key === 'player_rebounds' || (key.includes('rebounds') && !key.includes('points') && !key.includes('assists'))) {
-    if (line >= 2 && line <= 20) {
-      return 'rebounds';
-    }
-  }
-  
-  if (key === 'player_assists' || (key.includes('assists') && !key.includes('points') && !key.includes('rebounds'))) {
-    if (line >= 1 && line <= 20) {
-      return 'assists';
+    if (line < 20 && isValidLineForProp('ra', line)) {
+      return 'ra';
     }
   }
   
-  if (key === 'player_threes' || key.includes('threes') || key.includes('three')) {
-    if (line >= 0 && line <= 12) {
-      return 'threes';
-    }
+  // Rule 3: the market's own prop, when the line is in its range
+  const prop = inferPropFromMarketKey(key);
+  if (prop && isValidLineForProp(prop.id, line)) {
+    return prop.id;
   }
   
   return null;
@@ -180,92 +120,107 @@ function normalizeMarketClassification(marketKey, line) {
 
 /**
  * Auto-detect combined props by summing child props
- * If PRA/PR/PA/RA is missing, try to construct it from individual props
+ * If PRA/PR/PA/RA is missing, try to construct it from individual props.
+ * No book offers the calculated line, so it has no prices and is marked bettable: false
+ * (the edge scanner, ladder EV and consensus only see real book prices).
  */
 function autoDetectCombinedProps(collectedProps) {
   const result = { ...collectedProps };
   
-  // Auto-detect PRA if missing: points + rebounds + assists
-  if (!result.pra || result.pra.status === 'unavailable') {
-    if (result.points && result.points.line && result.rebounds && result.rebounds.line && result.assists && result.assists.line) {
-      const praLine = result.points.line + result.rebounds.line + result.assists.line;
-      if (isValidLineForProp('pra', praLine)) {
-        console.log(`🔄 Auto-detected PRA: ${praLine} (${result.points.line} + ${result.rebounds.line} + ${result.assists.line})`);
-        result.pra = {
-          line: praLine,
-          over_odds: -110,
-          under_odds: -110,
-          bookmaker: 'Calculated',
-          bookmaker_key: 'calculated',
-          source: 'calculated',
-          market: 'player_points_rebounds_assists',
-          all_bookmakers: []
-        };
-      }
-    }
-  }
-  
-  // Auto-detect PR if missing: points + rebounds
-  if (!result.pr || result.pr.status === 'unavailable') {
-    if (result.points && result.points.line && result.rebounds && result.rebounds.line) {
-      const prLine = result.points.line + result.rebounds.line;
-      if (isValidLineForProp('pr', prLine)) {
-        console.log(`🔄 Auto-detected PR: ${prLine} (${result.points.line} + ${result.rebounds.line})`);
-        result.pr = {
-          line: prLine,
-          over_odds: -110,
-          under_odds: -110,
-          bookmaker: 'Calculated',
-          bookmaker_key: 'calculated',
-          source: 'calculated',
-          market: 'player_points_rebounds',
-          all_bookmakers: []
-        };
-      }
-    }
+  for (const prop of getMarketProps().filter(p => p.components.length > 1 && !p.milestone)) {
+    if (result[prop.id] && result[prop.id].status !== 'unavailable') continue;
+    
+    // Every component needs its own line (single-stat props share the stat's id);
+    // the market consensus line is used over the priority book's line when available
+    const parts = prop.components.map(stat => result[stat]);
+    if (!parts.every(part => part && part.line)) continue;
+    
+    const partLines = parts.map(part => part.consensus?.line ?? part.line);
+    const line = partLines.reduce((sum, partLine) => sum + partLine, 0);
+    if (!isValidLineForProp(prop.id, line)) continue;
+    
+    console.log(`🔄 Auto-detected ${prop.id.toUpperCase()}: ${line} (${partLines.join(' + ')})`);
+    result[prop.id] = {
+      line,
+      over_odds: null,
+      under_odds: null,
+      bettable: false,
+      bookmaker: 'Calculated',
+      bookmaker_key: 'calculated',
+      source: 'calculated',
+      market: prop.market,
+      all_bookmakers: [],
+      // No book prices the combination, so there is no fair probability to report
+      consensus: null
+    };
   }
   
-  // Auto-detect PA if missing: points + assists
-  if (!result.pa || result.pa.status === 'unavailable') {
-    if (result.points && result.points.line && result.assists && result.assists.line) {
-      const paLine = result.points.line + result.assists.line;
-      if (isValidLineForProp('pa', paLine)) {
-        console.log(`🔄 Auto-detected PA: ${paLine} (${result.points.line} + ${result.assists.line})`);
-        result.pa = {
-          line: paLine,
-          over_odds: -110,
-          under_odds: -110,
-          bookmaker: 'Calculated',
-          bookmaker_key: 'calculated',
-          source: 'calculated',
-          market: 'player_points_assists',
-          all_bookmakers: []
-        };
-      }
-    }
+  return result;
+}
+
+/**
+ * Add one bookmaker's alternate-line outcomes for the player to the ladder collector
+ */
+function collectAlternateLines(alternateLines, prop, outcomes, bookmakerTitle, bookmakerKey, normalizedPlayerName, nameParts) {
+  for (const outcome of outcomes) {
+    if (!outcomeMatchesPlayer(outcome, normalizedPlayerName, nameParts)) continue;
+
+    const line = parseFloat(outcome.point);
+    const side = (outcome.name || '').toLowerCase();
+    if (isNaN(line) || !isValidLineForProp(prop.id, line) || (side !== 'over' && side !== 'under')) continue;
+
+    const rungs = alternateLines[prop.id] || (alternateLines[prop.id] = new Map());
+    const books = rungs.get(line) || rungs.set(line, new Map()).get(line);
+    const prices = books.get(bookmakerKey) || { bookmaker: bookmakerTitle, bookmaker_key: bookmakerKey, over_odds: null, under_odds: null };
+    prices[`${side}_odds`] = outcome.price ?? null;
+    books.set(bookmakerKey, prices);
   }
-  
-  // Auto-detect RA if missing: rebounds + assists
-  if (!result.ra || result.ra.status === 'unavailable') {
-    if (result.rebounds && result.rebounds.line && result.assists && result.assists.line) {
-      const raLine = result.rebounds.line + result.assists.line;
-      if (isValidLineForProp('ra', raLine)) {
-        console.log(`🔄 Auto-detected RA: ${raLine} (${result.rebounds.line} + ${result.assists.line})`);
-        result.ra = {
-          line: raLine,
-          over_odds: -110,
-          under_odds: -110,
-          bookmaker: 'Calculated',
-          bookmaker_key: 'calculated',
-          source: 'calculated',
-          market: 'player_rebounds_assists',
-          all_bookmakers: []
-        };
-      }
-    }
+}
+
+/**
+ * Best (highest) American price for one side across a rung's books
+ */
+function bestPrice(books, side) {
+  return books
+    .filter(book => book[`${side}_odds`] != null && !getPickemPlatform(book.bookmaker_key || book.bookmaker))
+    .reduce((best, book) => (!best || book[`${side}_odds`] > best.odds
+      ? { odds: book[`${side}_odds`], bookmaker: book.bookmaker, bookmaker_key: book.bookmaker_key }
+      : best), null);
+}
+
+/**
+ * Sorted ladder of rungs for a prop: every book's main line plus the alternate lines
+ * @param {Map|undefined} rungs - Collected alternate rungs for the prop
+ * @param {object} prop - Selected main line with all_bookmakers
+ * @returns {array|null} [{ line, main, books, best_over, best_under }], null without alternates
+ */
+function buildLadder(rungs, prop) {
+  if (!rungs || rungs.size === 0) return null;
+
+  const byLine = new Map([...rungs].map(([line, books]) => [line, new Map(books)]));
+  // Main-market prices win over alternate prices from the same book at the same line
+  for (const book of prop.all_bookmakers || []) {
+    const books = byLine.get(book.line) || byLine.set(book.line, new Map()).get(book.line);
+    books.set(book.bookmaker_key, {
+      bookmaker: book.bookmaker,
+      bookmaker_key: book.bookmaker_key,
+      over_odds: book.over_odds ?? null,
+      under_odds: book.under_odds ?? null
+    });
   }
-  
-  return result;
+
+  return [...byLine.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([line, booksByKey]) => {
+      const books = [...booksByKey.values()];
+      return {
+        line,
+        main: line === prop.line,
+        books,
+        best_over: bestPrice(books, 'over'),
+        best_under: bestPrice(books, 'under')
+      };
+    });
 }
 
 /**
@@ -279,16 +234,9 @@ function parseAllMarkets(data, playerName) {
   const nameParts = normalizedPlayerName.split(' ').filter(Boolean);
   
   // Collect all lines by prop type
-  const collectedLines = {
-    points: [],
-    rebounds: [],
-    assists: [],
-    threes: [],
-    pra: [],
-    pr: [],
-    pa: [],
-    ra: []
-  };
+  const collectedLines = Object.fromEntries(getMarketProps().map(prop => [prop.id, []]));
+  // Alternate-line rungs by prop type: propType -> Map(line -> Map(bookmakerKey -> prices))
+  const alternateLines = {};
   
   const bookmakers = data.bookmakers || [];
 
@@ -302,83 +250,66 @@ function parseAllMarkets(data, playerName) {
     for (const market of markets) {
       const marketKey = market.key || '';
       const outcomes = market.outcomes || [];
+      // Yes/no markets (double-double, triple-double) have no point: Yes = over 0.5, No = under
+      const yesNo = Boolean(getPropByMarket(marketKey)?.milestone);
+      const overName = yesNo ? 'yes' : 'over';
+      const underName = yesNo ? 'no' : 'under';
+      const outcomePoint = (o) => (yesNo ? YES_NO_LINE : parseFloat(o.point));
+      
+      // Alternate lines only feed the prop's ladder, never its main line
+      if (marketKey.toLowerCase().includes('alternate')) {
+        const alternateProp = getPropByAlternateMarket(marketKey) || inferPropFromMarketKey(marketKey);
+        if (alternateProp) {
+          collectAlternateLines(alternateLines, alternateProp, outcomes, bookmakerTitle, bookmakerKey, normalizedPlayerName, nameParts);
+        }
+        continue;
+      }
       
       // Check each outcome for player match
       for (const outcome of outcomes) {
         const outcomeDesc = normalizeName(outcome.description || '');
-        const outcomePlayerName = normalizeName(outcome.player_name || '');
         
-        // Match player name
-        let playerMatches = false;
-        if (nameParts.length >= 2) {
-          const firstName = nameParts[0];
-          const lastName = nameParts[nameParts.length - 1];
-          const hasFirstName = outcomeDesc.includes(firstName) || outcomePlayerName.includes(firstName);
-          const hasLastName = outcomeDesc.includes(lastName) || outcomePlayerName.includes(lastName);
-          const fullMatch = outcomeDesc === normalizedPlayerName || outcomePlayerName === normalizedPlayerName;
-          playerMatches = fullMatch || (hasFirstName && hasLastName);
-        } else {
-          playerMatches = outcomeDesc.includes(nameParts[0]) || outcomePlayerName.includes(nameParts[0]);
-        }
+        if (!outcomeMatchesPlayer(outcome, normalizedPlayerName, nameParts)) continue;
         
-        if (!playerMatches) continue;
-        
-        const line = parseFloat(outcome.point);
+        const line = outcomePoint(outcome);
         if (isNaN(line) || line <= 0) continue;
         
         // Classify market using bulletproof detection
         let propType = normalizeMarketClassification(marketKey, line);
         
-        // If classification failed, try to infer from market key
+        // If classification failed, try to infer from market key (the line is rejected below)
         if (!propType) {
-          const marketKeyLower = marketKey.toLowerCase();
-          if (marketKeyLower === 'player_points' || (marketKeyLower.includes('points') && !marketKeyLower.includes('rebounds') && !marketKeyLower.includes('assists'))) {
-            propType = 'points';
-          } else if (marketKeyLower === 'player_rebounds' || (marketKeyLower.includes('rebounds') && !marketKeyLower.includes('points') && !marketKeyLower.includes('assists'))) {
-            propType = 'rebounds';
-          } else if (marketKeyLower === 'player_assists' || (marketKeyLower.includes('assists') && !marketKeyLower.includes('points') && !marketKeyLower.includes('rebounds'))) {
-            propType = 'assists';
-          } else if (marketKeyLower === 'player_threes' || marketKeyLower.includes('threes') || marketKeyLower.includes('three')) {
-            propType = 'threes';
-          } else if (marketKeyLower.includes('points') && marketKeyLower.includes('rebounds') && marketKeyLower.includes('assists')) {
-            propType = 'pra';
-          } else if (marketKeyLower.includes('points') && marketKeyLower.includes('rebounds') && !marketKeyLower.includes('assists')) {
-            propType = 'pr';
-          } else if (marketKeyLower.includes('points') && marketKeyLower.includes('assists') && !marketKeyLower.includes('rebounds')) {
-            propType = 'pa';
-          } else if (marketKeyLower.includes('rebounds') && marketKeyLower.includes('assists') && !marketKeyLower.includes('points')) {
-            propType = 'ra';
-          }
+          propType = inferPropFromMarketKey(marketKey)?.id || null;
         }
         
         // Validate line for prop type - REJECT if invalid
         if (propType && isValidLineForProp(propType, line)) {
-          // Get over/under odds
-              let overOdds = -110;
-              let underOdds = -110;
+          // Get over/under odds (a yes/no side the book doesn't offer stays null)
+              let overOdds = yesNo ? null : -110;
+              let underOdds = yesNo ? null : -110;
               
               const outcomeName = (outcome.name || '').toLowerCase();
-              if (outcomeName === 'over') {
+              if (outcomeName === overName) {
                 overOdds = outcome.price || -110;
             // Find corresponding under
                 for (const otherOutcome of outcomes) {
                   const otherName = (otherOutcome.name || '').toLowerCase();
-                  const otherPoint = parseFloat(otherOutcome.point);
+                  const otherPoint = outcomePoint(otherOutcome);
               const otherDesc = normalizeName(otherOutcome.description || '');
-              if (otherName === 'under' && Math.abs(otherPoint - line) < 0.1 && 
+              if (otherName === underName && Math.abs(otherPoint - line) < 0.1 && 
                   (otherDesc === outcomeDesc || otherDesc.includes(nameParts[0]))) {
                     underOdds = otherOutcome.price || -110;
                     break;
                   }
                 }
-              } else if (outcomeName === 'under') {
+              } else if (outcomeName === underName) {
                 underOdds = outcome.price || -110;
             // Find corresponding over
                 for (const otherOutcome of outcomes) {
                   const otherName = (otherOutcome.name || '').toLowerCase();
-                  const otherPoint = parseFloat(otherOutcome.point);
+                  const otherPoint = outcomePoint(otherOutcome);
               const otherDesc = normalizeName(otherOutcome.description || '');
-              if (otherName === 'over' && Math.abs(otherPoint - line) < 0.1 &&
+              if (otherName === overName && Math.abs(otherPoint - line) < 0.1 &&
                   (otherDesc === outcomeDesc || otherDesc.includes(nameParts[0]))) {
                     overOdds = otherOutcome.price || -110;
                     break;
@@ -397,7 +328,8 @@ function parseAllMarkets(data, playerName) {
               });
         } else if (propType) {
           // Log rejected lines for debugging
-          console.log(`   ❌ Rejecting line ${line} for ${propType} (outside range ${MARKET_RANGES[propType]?.min}-${MARKET_RANGES[propType]?.max})`);
+          const range = getPropType(propType)?.lineRange;
+          console.log(`   ❌ Rejecting line ${line} for ${propType} (outside range ${range?.min}-${range?.max})`);
         }
       }
     }
@@ -417,7 +349,9 @@ function parseAllMarkets(data, playerName) {
       return a.line - b.line;
     });
     
-    const bestLine = lines[0];
+    // Pick'em lines stay in all_bookmakers but have no leg price to be the main line
+    const bestLine = lines.find(l => !getPickemPlatform(l.bookmaker_key || l.bookmaker));
+    if (!bestLine) continue;
     
     finalProps[propType] = {
       player: playerName,
@@ -428,46 +362,71 @@ function parseAllMarkets(data, playerName) {
       bookmaker_key: bestLine.bookmaker_key,
       last_update: bestLine.last_update,
       source: 'theoddsapi',
-      market: PROP_TO_MARKET[propType] || propType,
+      market: getPropType(propType)?.market || propType,
       all_bookmakers: lines.map(l => ({
         bookmaker: l.bookmaker,
         bookmaker_key: l.bookmaker_key,
         line: l.line,
         over_odds: l.over_odds,
         under_odds: l.under_odds,
+        // Vig-free probabilities and hold for this book's pair
+        ...(removeVig(l) || { no_vig_over: null, no_vig_under: null, hold: null }),
         last_update: l.last_update
       }))
     };
+    finalProps[propType].consensus = buildMarketConsensus(finalProps[propType].all_bookmakers);
+  }
+  
+  // Step 3: Alternate line ladders (main lines from every book plus the alternate rungs)
+  for (const [propType, prop] of Object.entries(finalProps)) {
+    const ladder = buildLadder(alternateLines[propType], prop);
+    if (ladder) prop.ladder = ladder;
   }
   
-  // Step 3: Auto-detect combined props if missing
+  // Step 4: Auto-detect combined props if missing
   const propsWithCombined = autoDetectCombinedProps(finalProps);
   
   return propsWithCombined;
 }
 
+/**
+ * Props for every player in one event's odds payload
+ * @param {object} eventOdds - Event odds from getEventOdds
+ * @returns {object} { [playerName]: props } (only props with a line)
+ */
+export function getEventPlayerProps(eventOdds) {
+  const players = new Map();
+  for (const bookmaker of eventOdds?.bookmakers || []) {
+    for (const market of bookmaker.markets || []) {
+      if (!getPropByMarket(market.key)) continue;
+      for (const outcome of market.outcomes || []) {
+        const name = (outcome.description || '').trim();
+        if (name && !players.has(normalizeName(name))) players.set(normalizeName(name), name);
+      }
+    }
+  }
+
+  const result = {};
+  for (const playerName of players.values()) {
+    const props = parseAllMarkets(eventOdds, playerName);
+    if (Object.keys(props).length > 0) result[playerName] = props;
+  }
+  return result;
+}
+
 /**
  * Create empty props object with status: "unavailable" for missing props
  */
 function createEmptyPropsObject(playerName) {
-  return {
-    points: { status: 'unavailable' },
-    rebounds: { status: 'unavailable' },
-    assists: { status: 'unavailable' },
-    threes: { status: 'unavailable' },
-    pra: { status: 'unavailable' },
-    pr: { status: 'unavailable' },
-    pa: { status: 'unavailable' },
-    ra: { status: 'unavailable' }
-  };
+  return Object.fromEntries(getMarketProps().map(prop => [prop.id, { status: 'unavailable' }]));
 }
 
 /**
- * Ensure all 8 props are present in the result
+ * Ensure every Odds API prop in the registry is present in the result
  * Missing props get status: "unavailable"
  */
 function ensureAllPropsPresent(props, playerName) {
-  const requiredProps = ['points', 'rebounds', 'assists', 'threes', 'pra', 'pr', 'pa', 'ra'];
+  const requiredProps = getMarketProps().map(prop => prop.id);
   const result = { ...props };
   
   for (const propType of requiredProps) {
@@ -484,7 +443,7 @@ function ensureAllPropsPresent(props, playerName) {
 
 /**
  * Main function: Get player odds for ALL prop types
- * ALWAYS returns an object with all 8 props (may have status: "unavailable" if missing)
+ * ALWAYS returns an object with every Odds API prop (may have status: "unavailable" if missing)
  */
 export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
   if (!playerName) {
@@ -492,7 +451,7 @@ export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
     return createEmptyPropsObject(playerName || 'Unknown');
   }
 
-  if (!THE_ODDS_API_KEY) {
+  if (!isOddsApiConfigured()) {
     console.log('⚠️ THE_ODDS_API_KEY not configured');
     return createEmptyPropsObject(playerName);
   }
@@ -500,14 +459,10 @@ export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
   console.log(`🎲 Fetching odds from The Odds API for player: ${playerName}`);
 
   try {
-    // Step 1: Get all NBA events
-    const eventsUrl = `${THE_ODDS_API_BASE}/sports/basketball_nba/events`;
-    const eventsResponse = await axios.get(eventsUrl, {
-      params: { apiKey: THE_ODDS_API_KEY },
-      timeout: 10000
-    });
+    // Step 1: Get all NBA events (shared with the other Odds API callers)
+    const events = await getNbaEvents();
 
-    if (!eventsResponse.data || eventsResponse.data.length === 0) {
+    if (events.length === 0) {
       console.log(`⚠️ No NBA events found`);
       return createEmptyPropsObject(playerName);
     }
@@ -515,7 +470,7 @@ export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
     // Step 2: Find matching event (if team info provided)
     let targetEvent = null;
     if (gameInfo.teamAbbrev && gameInfo.opponentAbbrev) {
-      for (const event of eventsResponse.data) {
+      for (const event of events) {
         const homeTeam = (event.home_team || '').toLowerCase();
         const awayTeam = (event.away_team || '').toLowerCase();
         const playerTeam = (gameInfo.teamAbbrev || '').toLowerCase();
@@ -530,35 +485,16 @@ export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
     }
 
     // Step 3: Try to find player in events
-    const eventsToCheck = targetEvent ? [targetEvent] : eventsResponse.data.slice(0, 5);
-    const allMarkets = [
-      'player_points',
-      'player_rebounds',
-      'player_assists',
-      'player_threes',
-      'player_points_rebounds_assists',
-      'player_points_rebounds',
-      'player_points_assists',
-      'player_rebounds_assists'
-    ].join(',');
+    const eventsToCheck = targetEvent ? [targetEvent] : events.slice(0, 5);
 
     for (const event of eventsToCheck) {
       try {
-        const oddsUrl = `${THE_ODDS_API_BASE}/sports/basketball_nba/events/${event.id}/odds`;
-        const oddsResponse = await axios.get(oddsUrl, {
-          params: {
-            apiKey: THE_ODDS_API_KEY,
-            regions: 'us',
-            markets: allMarkets,
-            oddsFormat: 'american'
-          },
-          timeout: 15000
-        });
-
-        if (!oddsResponse.data || !oddsResponse.data.bookmakers) continue;
+        const eventOdds = await getEventOdds(event.id);
+
+        if (!eventOdds || !eventOdds.bookmakers) continue;
 
         // Parse ALL markets from this event (bulletproof parser)
-        const props = parseAllMarkets(oddsResponse.data, playerName);
+        const props = parseAllMarkets(eventOdds, playerName);
         
         if (Object.keys(props).length > 0) {
           console.log(`✅ Found props for ${playerName}:`, Object.keys(props).join(', '));
@@ -572,6 +508,15 @@ export async function getPlayerOdds(playerId, playerName, gameInfo = {}) {
             commence_time: event.commence_time
           };
           
+          // Keep a timestamped copy of every bookmaker line for movement history, stamped with
+          // the fetch time (stale fallback odds were already recorded when they were fetched)
+          try {
+            const fetchedAt = getEventOddsFetchedAt(event.id);
+            if (fetchedAt) recordPlayerOddsSnapshots(playerName, props, result._gameInfo, new Date(fetchedAt).toISOString());
+          } catch (snapshotError) {
+            console.error(`⚠️ Failed to record odds snapshots for ${playerName}: ${snapshotError.message}`);
+          }
+          
           return result;
         }
       } catch (err) {
@@ -0,0 +1,345 @@
+/**
+ * Parlay Service - Joint hit probability for correlated parlay legs
+ * Legs on the same player (points, PRA, threes) or on teammates move together, so a
+ * parlay's hit rate is not the product of its legs. Each leg keeps its own (model)
+ * probability; the dependence between legs comes from the game logs: Spearman rank
+ * correlation of the legs' stats over the games the players shared, fed into a
+ * Gaussian copula that is sampled by Monte Carlo. The joint probability is then
+ * priced against the book's parlay odds.
+ */
+
+import { getPlayerStatsFromNBA } from './nbaApiService.js';
+import { playerStatsCache } from './databaseService.js';
+import { getLineProbabilities, normalQuantile } from './distributionService.js';
+import { americanToDecimal, expectedValue, probabilityToAmerican } from '../utils/oddsMath.js';
+import { getPropValue, resolvePropId, isValidLineForProp, isYesNoProp, YES_NO_LINE } from '../utils/propRegistry.js';
+
+const MAX_LEGS = 10;
+const RECENT_GAMES = 20; // Games behind the fallback leg probability
+const MIN_SHARED_GAMES = 8; // Fewer shared games than this → legs treated as independent
+const SIMULATIONS = 20000;
+
+function round(value, digits = 4) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so the same legs always price the same
+ */
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draws (Box-Muller)
+ */
+function createNormal(random) {
+  return () => {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  };
+}
+
+/**
+ * Ranks with ties averaged
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k].index] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman rank correlation (0 when either side never varies)
+ */
+function spearman(a, b) {
+  const ra = ranks(a);
+  const rb = ranks(b);
+  const n = ra.length;
+  const meanRank = (n + 1) / 2;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (ra[i] - meanRank) * (rb[i] - meanRank);
+    varianceA += Math.pow(ra[i] - meanRank, 2);
+    varianceB += Math.pow(rb[i] - meanRank, 2);
+  }
+  if (varianceA === 0 || varianceB === 0) return 0;
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * Cholesky factor of a correlation matrix; off-diagonals are shrunk until it is positive definite
+ */
+function choleskyWithShrinkage(matrix) {
+  const n = matrix.length;
+  let shrink = 1;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    let ok = true;
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        const target = i === j ? 1 : matrix[i][j] * shrink;
+        let sum = target;
+        for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+        if (i === j) {
+          if (sum <= 1e-9) {
+            ok = false;
+            break;
+          }
+          lower[i][j] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+    if (ok) return { lower, shrink };
+    shrink *= 0.95;
+  }
+  // Fall back to independence
+  return { lower: Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))), shrink: 0 };
+}
+
+/**
+ * Game day key for aligning game logs across players
+ */
+function gameDay(game) {
+  return game?.date ? String(game.date).slice(0, 10) : null;
+}
+
+/**
+ * Rank correlation of every pair of legs' stats over the games both players played
+ * Pairs with fewer than MIN_SHARED_GAMES shared games are treated as independent.
+ * @param {array} legs - [{ player, prop_type }]
+ * @param {Map} gamesByPlayer - lowercased player name → game log
+ * @returns {object} { correlations, sharedGames, statsByDay } (statsByDay: per leg, game day → stat)
+ */
+export function buildLegCorrelations(legs, gamesByPlayer) {
+  const statsByDay = legs.map(leg => new Map((gamesByPlayer.get(leg.player.toLowerCase()) || [])
+    .map(game => [gameDay(game), getPropValue(game, leg.prop_type)])
+    .filter(([day, value]) => day && value != null && Number.isFinite(value))));
+
+  const n = legs.length;
+  const correlations = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  const sharedGames = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const days = [...statsByDay[i].keys()].filter(day => statsByDay[j].has(day));
+      sharedGames[i][j] = sharedGames[j][i] = days.length;
+      if (days.length < MIN_SHARED_GAMES) continue;
+      const rho = spearman(days.map(day => statsByDay[i].get(day)), days.map(day => statsByDay[j].get(day)));
+      // Spearman → Gaussian copula correlation
+      correlations[i][j] = correlations[j][i] = 2 * Math.sin(Math.PI * rho / 6);
+    }
+  }
+  return { correlations, sharedGames, statsByDay };
+}
+
+/**
+ * Monte Carlo over the Gaussian copula: a leg hits when its latent normal lands in its tail
+ * @param {array} legs - [{ side, probability }]
+ * @param {array} correlations - Leg correlation matrix
+ * @param {object} options - { simulations }
+ * @returns {object} { hitCounts, shrink } - hitCounts[k] = probability that exactly k legs hit
+ */
+export function simulateLegHits(legs, correlations, { simulations = SIMULATIONS } = {}) {
+  const n = legs.length;
+  const { lower, shrink } = choleskyWithShrinkage(correlations);
+  const thresholds = legs.map(leg => leg.side === 'OVER'
+    ? normalQuantile(1 - leg.probability) // hit when z is above
+    : normalQuantile(leg.probability)); // hit when z is below
+  const normal = createNormal(createRandom());
+  const draws = new Array(n);
+  const counts = new Array(n + 1).fill(0);
+  for (let s = 0; s < simulations; s++) {
+    for (let i = 0; i < n; i++) draws[i] = normal();
+    let hits = 0;
+    for (let i = 0; i < n; i++) {
+      let z = 0;
+      for (let k = 0; k <= i; k++) z += lower[i][k] * draws[k];
+      if (legs[i].side === 'OVER' ? z > thresholds[i] : z < thresholds[i]) hits++;
+    }
+    counts[hits]++;
+  }
+  return { hitCounts: counts.map(count => count / simulations), shrink };
+}
+
+/**
+ * Game logs for each player (shared with /compare and the edge scanner through playerStatsCache)
+ * A player whose log can't be fetched gets an empty one.
+ * @param {string[]} playerNames
+ * @returns {Promise<Map>} lowercased player name → game log
+ */
+export async function fetchGameLogs(playerNames) {
+  const gamesByPlayer = new Map();
+  for (const name of playerNames) {
+    const key = name.toLowerCase();
+    if (gamesByPlayer.has(key)) continue;
+    try {
+      let stats = playerStatsCache.get(name);
+      if (!stats) {
+        stats = await getPlayerStatsFromNBA(name);
+        if (stats) {
+          const teamAbbrev = typeof stats.player?.team === 'string' ? stats.player.team : stats.player?.team?.abbreviation;
+          playerStatsCache.set(name, stats, stats.player?.nba_id || stats.player?.id, teamAbbrev);
+        }
+      }
+      gamesByPlayer.set(key, stats?.games || []);
+    } catch (fetchError) {
+      console.warn(`⚠️ [PARLAY] No game log for ${name}: ${fetchError.message}`);
+      gamesByPlayer.set(key, []);
+    }
+  }
+  return gamesByPlayer;
+}
+
+/**
+ * Fill in each leg's hit probability: the caller's (model) probability when sent,
+ * else the distribution of the player's last RECENT_GAMES games at the leg's line
+ * @param {array} legs - [{ player, prop_type, side, line, probability? }]
+ * @param {Map} gamesByPlayer - lowercased player name → game log
+ * @returns {array} legs with probability (null when neither is available) and probability_source
+ */
+export function withLegProbabilities(legs, gamesByPlayer) {
+  return legs.map(leg => {
+    let probability = leg.probability;
+    let source = 'model';
+    if (probability == null) {
+      const values = (gamesByPlayer.get(leg.player.toLowerCase()) || []).slice(0, RECENT_GAMES)
+        .map(game => getPropValue(game, leg.prop_type))
+        .filter(value => value != null && Number.isFinite(value));
+      if (values.length > 0) {
+        const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const [atLine] = getLineProbabilities({ mean: average, values, propType: leg.prop_type }, [leg.line]);
+        // Pushes count as misses, as if the leg lost
+        probability = leg.side === 'OVER' ? atLine?.p_over : atLine?.p_under;
+        source = 'game_log';
+      }
+    }
+    return { ...leg, probability: probability != null ? round(probability) : null, probability_source: probability != null ? source : null };
+  });
+}
+
+/**
+ * Validate and normalize parlay legs
+ * @param {array} legs - [{ player, prop_type, side, line, odds?, probability? }]
+ * @returns {object} { legs } or { error }
+ */
+export function normalizeLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) return { error: 'A parlay needs at least 2 legs' };
+  if (legs.length > MAX_LEGS) return { error: `A parlay can have at most ${MAX_LEGS} legs` };
+
+  const normalized = [];
+  for (const leg of legs) {
+    const player = String(leg?.player || '').trim();
+    const propType = resolvePropId(leg?.prop_type);
+    const side = String(leg?.side || '').toUpperCase();
+    const line = isYesNoProp(propType) ? YES_NO_LINE : parseFloat(leg?.line);
+    if (!player) return { error: 'Each leg needs a player' };
+    if (!propType) return { error: `Unknown prop type "${leg?.prop_type ?? ''}"` };
+    if (side !== 'OVER' && side !== 'UNDER') return { error: 'Each leg side must be OVER or UNDER' };
+    if (!isValidLineForProp(propType, line)) return { error: `Invalid line ${leg?.line} for ${propType}` };
+    const probability = leg.probability != null ? Number(leg.probability) : null;
+    if (probability != null && !(probability > 0 && probability < 1)) return { error: 'Leg probability must be between 0 and 1' };
+
+    normalized.push({
+      player,
+      prop_type: propType,
+      side,
+      line,
+      odds: leg.odds != null && americanToDecimal(leg.odds) != null ? Number(leg.odds) : null,
+      probability
+    });
+  }
+  return { legs: normalized };
+}
+
+/**
+ * Price a parlay from its legs and each player's game log
+ * @param {array} legs - Output of normalizeLegs
+ * @param {Map} gamesByPlayer - lowercased player name → game log (most recent first)
+ * @param {object} options - { parlayOdds } American odds the book offers for the parlay
+ *                           (default: the product of the legs' odds)
+ * @returns {object} { legs, correlations, joint_probability, independent_probability, empirical_joint_rate,
+ *                     shared_games, fair_odds, book_odds, ev, independent_ev }
+ */
+export function priceParlay(legs, gamesByPlayer, { parlayOdds = null } = {}) {
+  // 1. Each leg's hit probability: the caller's model probability, else the game log distribution
+  const pricedLegs = withLegProbabilities(legs, gamesByPlayer);
+
+  const missing = pricedLegs.find(leg => leg.probability == null);
+  if (missing) {
+    return { error: `No probability or game log for ${missing.player} ${missing.prop_type}` };
+  }
+
+  // 2. Rank correlation of every pair of legs, then 3. Monte Carlo over the copula
+  const { correlations, sharedGames, statsByDay } = buildLegCorrelations(pricedLegs, gamesByPlayer);
+  const { hitCounts, shrink } = simulateLegHits(pricedLegs, correlations);
+  const joint = hitCounts[pricedLegs.length];
+  const independent = pricedLegs.reduce((product, leg) => product * leg.probability, 1);
+
+  // Raw share of shared games in which every leg would have hit (a sanity check on small samples)
+  const commonDays = [...statsByDay[0].keys()].filter(day => statsByDay.every(stats => stats.has(day)));
+  const empiricalHits = commonDays.filter(day => pricedLegs.every((leg, i) => {
+    const value = statsByDay[i].get(day);
+    return leg.side === 'OVER' ? value > leg.line : value < leg.line;
+  })).length;
+
+  // 4. Book price: the offered parlay odds, else the legs' odds multiplied together
+  let bookOdds = parlayOdds != null ? Number(parlayOdds) : null;
+  if (bookOdds == null && pricedLegs.every(leg => leg.odds != null)) {
+    const decimal = pricedLegs.reduce((product, leg) => product * americanToDecimal(leg.odds), 1);
+    bookOdds = probabilityToAmerican(1 / decimal);
+  }
+
+  return {
+    legs: pricedLegs,
+    // Correlations as simulated (after any shrinkage)
+    correlations: correlations.map((row, i) => row.map((value, j) => (i === j ? 1 : round(value * shrink, 3)))),
+    shared_games: sharedGames,
+    joint_probability: round(joint),
+    independent_probability: round(independent),
+    correlation_lift: independent > 0 ? round(joint / independent, 3) : null,
+    empirical_joint_rate: commonDays.length > 0 ? round(empiricalHits / commonDays.length) : null,
+    empirical_games: commonDays.length,
+    fair_odds: probabilityToAmerican(joint),
+    book_odds: bookOdds,
+    ev: bookOdds != null ? round(expectedValue(joint, bookOdds) * 100, 1) : null,
+    independent_ev: bookOdds != null ? round(expectedValue(independent, bookOdds) * 100, 1) : null
+  };
+}
+
+/**
+ * Price a parlay, fetching each player's game log from NBA.com
+ * @param {array} legs - [{ player, prop_type, side, line, odds?, probability? }]
+ * @param {object} options - { parlayOdds }
+ * @returns {Promise<object>} priceParlay result, or { error }
+ */
+export async function priceParlayLegs(legs, options = {}) {
+  const { legs: normalized, error } = normalizeLegs(legs);
+  if (error) return { error };
+
+  const gamesByPlayer = await fetchGameLogs(normalized.map(leg => leg.player));
+  const result = priceParlay(normalized, gamesByPlayer, options);
+  if (!result.error) {
+    console.log(`🎰 [PARLAY] ${normalized.length} legs: joint ${(result.joint_probability * 100).toFixed(1)}% vs independent ${(result.independent_probability * 100).toFixed(1)}%`);
+  }
+  return result;
+}
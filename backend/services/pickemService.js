@@ -0,0 +1,237 @@
+/**
+ * Pick'em Service - DFS pick'em entries (PrizePicks / Underdog power and flex)
+ * An entry pays a fixed multiple of its fee by how many picks hit, so its value is the
+ * distribution of correct picks, not a product of leg prices. That distribution comes
+ * from the model's per-leg probabilities and the legs' correlation in the game logs
+ * (the same copula the parlay engine uses), and is scored against the payout tables.
+ */
+
+import { getPickemLines } from './edgeScannerService.js';
+import { buildLegCorrelations, simulateLegHits, fetchGameLogs, normalizeLegs, withLegProbabilities } from './parlayService.js';
+import { PICKEM_PLATFORMS, ENTRY_TYPES, getPayoutTable } from '../utils/pickemPayouts.js';
+
+export const MIN_PICKS = 2;
+export const MAX_PICKS = 6;
+
+// Best legs (one per player) that recommendations are built from
+const CANDIDATE_LEGS = 10;
+// Combinations per entry type and size re-priced with correlations after the independent ranking
+const SHORTLIST = 15;
+const RECOMMEND_SIMULATIONS = 10000;
+
+function round(value, digits = 4) {
+  if (value == null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Distribution of correct picks for independent legs (Poisson binomial)
+ * @returns {array} hitCounts[k] = probability that exactly k legs hit
+ */
+function independentHitCounts(legs) {
+  let counts = [1];
+  for (const leg of legs) {
+    const next = new Array(counts.length + 1).fill(0);
+    counts.forEach((probability, hits) => {
+      next[hits] += probability * (1 - leg.probability);
+      next[hits + 1] += probability * leg.probability;
+    });
+    counts = next;
+  }
+  return counts;
+}
+
+/**
+ * Payout odds of an entry from its distribution of correct picks
+ * @param {array} hitCounts - hitCounts[k] = probability of exactly k correct picks
+ * @param {object} payouts - { correctPicks: multiplier }
+ * @returns {object} { payout_probability, profit_probability, expected_multiplier, ev }
+ */
+function scoreEntry(hitCounts, payouts) {
+  let payoutProbability = 0;
+  let profitProbability = 0;
+  let expectedMultiplier = 0;
+  for (const [correct, multiplier] of Object.entries(payouts)) {
+    const probability = hitCounts[Number(correct)] || 0;
+    payoutProbability += probability;
+    if (multiplier > 1) profitProbability += probability;
+    expectedMultiplier += probability * multiplier;
+  }
+  return {
+    payout_probability: round(payoutProbability),
+    profit_probability: round(profitProbability),
+    expected_multiplier: round(expectedMultiplier, 3),
+    ev: round((expectedMultiplier - 1) * 100, 1)
+  };
+}
+
+/**
+ * Platform rules an entry must follow: one pick per player, picks from at least minTeams teams
+ * @returns {string|null} Error message, or null when the entry is allowed
+ */
+function checkEntryRules(legs, platform) {
+  const players = new Set(legs.map(leg => leg.player.toLowerCase()));
+  if (players.size < legs.length) return 'An entry can only have one pick per player';
+  const { minTeams, name } = PICKEM_PLATFORMS[platform];
+  const teams = legs.map(leg => leg.team).filter(Boolean);
+  if (teams.length === legs.length && new Set(teams).size < minTeams) {
+    return `${name} entries need picks from at least ${minTeams} teams`;
+  }
+  return null;
+}
+
+/**
+ * Price a pick'em entry from its legs and each player's game log
+ * @param {array} legs - [{ player, team?, prop_type, side, line, probability? }]
+ * @param {object} entry - { platform, entryType }
+ * @param {Map} gamesByPlayer - lowercased player name → game log
+ * @param {object} options - { simulations }
+ * @returns {object} { platform, entry_type, size, payouts, legs, correlations, hit_distribution,
+ *                     payout_probability, profit_probability, expected_multiplier, ev, independent } or { error }
+ */
+export function priceEntry(legs, { platform, entryType }, gamesByPlayer, { simulations } = {}) {
+  const payouts = getPayoutTable(platform, entryType, legs.length);
+  if (!payouts) {
+    return { error: `${PICKEM_PLATFORMS[platform]?.name || platform} has no ${legs.length}-pick ${entryType} entry` };
+  }
+  const ruleError = checkEntryRules(legs, platform);
+  if (ruleError) return { error: ruleError };
+
+  const pricedLegs = withLegProbabilities(legs, gamesByPlayer);
+  const missing = pricedLegs.find(leg => leg.probability == null);
+  if (missing) {
+    return { error: `No probability or game log for ${missing.player} ${missing.prop_type}` };
+  }
+
+  const { correlations } = buildLegCorrelations(pricedLegs, gamesByPlayer);
+  const independentCounts = independentHitCounts(pricedLegs);
+  // Uncorrelated legs have an exact distribution; simulating them would only add noise
+  const correlated = correlations.some((row, i) => row.some((value, j) => i !== j && value !== 0));
+  const { hitCounts, shrink } = correlated
+    ? simulateLegHits(pricedLegs, correlations, { simulations })
+    : { hitCounts: independentCounts, shrink: 1 };
+
+  return {
+    platform,
+    entry_type: entryType,
+    size: legs.length,
+    payouts,
+    legs: pricedLegs,
+    correlations: correlations.map((row, i) => row.map((value, j) => (i === j ? 1 : round(value * shrink, 3)))),
+    hit_distribution: hitCounts.map(probability => round(probability)),
+    ...scoreEntry(hitCounts, payouts),
+    // Same entry if the legs were independent
+    independent: scoreEntry(independentCounts, payouts)
+  };
+}
+
+/**
+ * Validate and price an entry, fetching each player's game log
+ * @param {array} legs - [{ player, team?, prop_type, side, line, probability? }]
+ * @param {object} entry - { platform, entryType }
+ * @returns {Promise<object>} priceEntry result, or { error }
+ */
+export async function priceEntryLegs(legs, { platform, entryType }) {
+  if (!PICKEM_PLATFORMS[platform]) {
+    return { error: `Unknown platform. Use one of: ${Object.keys(PICKEM_PLATFORMS).join(', ')}` };
+  }
+  if (!ENTRY_TYPES.includes(entryType)) {
+    return { error: `Unknown entry type. Use one of: ${ENTRY_TYPES.join(', ')}` };
+  }
+  if (!Array.isArray(legs) || legs.length < MIN_PICKS || legs.length > MAX_PICKS) {
+    return { error: `An entry needs ${MIN_PICKS} to ${MAX_PICKS} picks` };
+  }
+
+  const { legs: normalized, error } = normalizeLegs(legs);
+  if (error) return { error };
+  const withTeams = normalized.map((leg, index) => ({ ...leg, team: legs[index].team || null }));
+
+  const gamesByPlayer = await fetchGameLogs(withTeams.map(leg => leg.player));
+  return priceEntry(withTeams, { platform, entryType }, gamesByPlayer);
+}
+
+/**
+ * Every combination of `size` items
+ */
+function combinations(items, size, start = 0, current = [], result = []) {
+  if (current.length === size) {
+    result.push([...current]);
+    return result;
+  }
+  for (let i = start; i <= items.length - (size - current.length); i++) {
+    current.push(items[i]);
+    combinations(items, size, i + 1, current, result);
+    current.pop();
+  }
+  return result;
+}
+
+/**
+ * Best-EV entries from today's pick'em lines
+ * Each player contributes their most likely pick; the CANDIDATE_LEGS best picks are combined
+ * into every allowed entry, ranked as if independent, and the SHORTLIST best per entry type
+ * and size are re-priced with their correlations.
+ * @param {object} options
+ * @param {string} options.platform - Platform id (prizepicks, underdog)
+ * @param {string[]} options.entryTypes - Entry types to build (default power and flex)
+ * @param {number[]} options.sizes - Entry sizes to build (default 2-6)
+ * @param {string} options.propType - Only picks on this prop
+ * @param {number} options.limit - Max entries returned
+ * @returns {Promise<object>} { platform, generated_at, scanning, lines_available, candidates, entries }
+ */
+export async function recommendEntries({
+  platform,
+  entryTypes = ENTRY_TYPES,
+  sizes = [2, 3, 4, 5, 6],
+  propType = null,
+  limit = 10
+} = {}) {
+  const { generated_at: generatedAt, scanning, lines } = getPickemLines(platform);
+  const available = propType ? lines.filter(line => line.prop_type === propType) : lines;
+
+  // One pick per player: the side and line the model likes most
+  const bestByPlayer = new Map();
+  for (const line of available) {
+    const key = line.player.toLowerCase();
+    if (!bestByPlayer.has(key) || line.probability > bestByPlayer.get(key).probability) {
+      bestByPlayer.set(key, line);
+    }
+  }
+  const candidates = [...bestByPlayer.values()]
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, CANDIDATE_LEGS);
+
+  const shortlist = [];
+  for (const entryType of entryTypes) {
+    for (const size of sizes) {
+      const payouts = getPayoutTable(platform, entryType, size);
+      if (!payouts || size > candidates.length) continue;
+      const ranked = combinations(candidates, size)
+        .filter(legs => !checkEntryRules(legs, platform))
+        .map(legs => ({ legs, ev: scoreEntry(independentHitCounts(legs), payouts).ev }))
+        .sort((a, b) => b.ev - a.ev)
+        .slice(0, SHORTLIST);
+      shortlist.push(...ranked.map(({ legs }) => ({ legs, entryType })));
+    }
+  }
+
+  const gamesByPlayer = await fetchGameLogs(candidates.map(leg => leg.player));
+  const entries = shortlist
+    .map(({ legs, entryType }) => priceEntry(legs, { platform, entryType }, gamesByPlayer, { simulations: RECOMMEND_SIMULATIONS }))
+    .filter(entry => !entry.error)
+    .sort((a, b) => b.ev - a.ev);
+
+  if (entries.length > 0) {
+    console.log(`🎯 [PICKEM] ${PICKEM_PLATFORMS[platform].name}: best of ${entries.length} entries ${entries[0].size}-pick ${entries[0].entry_type} at ${entries[0].ev}% EV`);
+  }
+
+  return {
+    platform,
+    generated_at: generatedAt,
+    scanning,
+    lines_available: available.length,
+    candidates,
+    entries: limit > 0 ? entries.slice(0, limit) : entries
+  };
+}
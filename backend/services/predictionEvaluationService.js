@@ -1,5 +1,53 @@
 import { getPendingEvaluations, updatePredictionOutcome, findPredictionByGame } from './predictionTrackingService.js';
 import { getPlayerStatsFromNBA, searchPlayer } from './nbaApiService.js';
+import { getPropValue } from '../utils/propRegistry.js';
+import { toDateKey } from './sqliteService.js';
+
+/**
+ * Fetch a player's game log, retrying timeouts with backoff
+ * Results are kept in statsByPlayer so several bets/predictions for one player share a request.
+ * @param {string} playerName - Player name
+ * @param {Map} statsByPlayer - Per-run cache keyed by lowercased player name
+ * @returns {Promise<object|null>} getPlayerStatsFromNBA result
+ */
+export async function fetchPlayerGames(playerName, statsByPlayer = new Map()) {
+  const playerKey = playerName.toLowerCase();
+  let stats = statsByPlayer.get(playerKey) || null;
+  let retries = 0;
+  const maxRetries = 2;
+  
+  while (retries <= maxRetries && !stats) {
+    try {
+      stats = await getPlayerStatsFromNBA(playerName);
+      statsByPlayer.set(playerKey, stats);
+    } catch (error) {
+      if (error.message.includes('timeout') && retries < maxRetries) {
+        retries++;
+        const backoffDelay = 3000 * retries; // 3s, 6s
+        console.log(`   ⚠️  Timeout error (attempt ${retries}/${maxRetries + 1}), retrying in ${backoffDelay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        continue;
+      }
+      throw error; // Re-throw if not a timeout or max retries reached
+    }
+  }
+  
+  return stats;
+}
+
+/**
+ * Find the game played on a date (games are returned most recent first)
+ * Dates are compared as calendar keys, so a stored "2025-01-10" never shifts to the
+ * day before through a UTC-midnight Date in US time zones.
+ * @param {array} games - Game log entries
+ * @param {string} targetDate - Game date ("2025-01-10", "Jan 10, 2025", ...)
+ * @returns {object|undefined}
+ */
+export function findGameOnDate(games, targetDate) {
+  const targetKey = toDateKey(targetDate);
+  if (!targetKey) return undefined;
+  return (games || []).find(game => toDateKey(game.date) === targetKey);
+}
 
 /**
  * Automatically evaluate pending predictions by fetching actual game results
@@ -29,12 +77,18 @@ export async function evaluatePendingPredictions() {
     results: []
   };
   
+  // Game logs fetched during this run, so several props for the same player share one request
+  const statsByPlayer = new Map();
+  
   // Process predictions with rate limiting (avoid API overload)
   for (let i = 0; i < pending.length; i++) {
     const prediction = pending[i];
+    const propType = prediction.prop_type || 'points';
+    const predictedValue = prediction.predicted_value ?? prediction.predicted_points;
+    const playerKey = prediction.player_name.toLowerCase();
     
     // Add delay between requests to avoid rate limiting (except for first request)
-    if (i > 0) {
+    if (i > 0 && !statsByPlayer.has(playerKey)) {
       const delay = 2000; // 2 seconds between requests
       console.log(`   ⏳ Waiting ${delay}ms before next request...`);
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -43,28 +97,10 @@ export async function evaluatePendingPredictions() {
     try {
       console.log(`\n🔍 Evaluating prediction ${i + 1}/${pending.length}: ${prediction.player_name} (${prediction.id})`);
       console.log(`   Game date: ${prediction.next_game.date}`);
-      console.log(`   Predicted: ${prediction.predicted_points} pts`);
+      console.log(`   Predicted: ${predictedValue} ${propType}`);
       
       // Fetch player's recent games to find the actual result
-      // Retry logic with exponential backoff for timeout errors
-      let stats = null;
-      let retries = 0;
-      const maxRetries = 2;
-      
-      while (retries <= maxRetries && !stats) {
-        try {
-          stats = await getPlayerStatsFromNBA(prediction.player_name);
-        } catch (error) {
-          if (error.message.includes('timeout') && retries < maxRetries) {
-            retries++;
-            const backoffDelay = 3000 * retries; // 3s, 6s
-            console.log(`   ⚠️  Timeout error (attempt ${retries}/${maxRetries + 1}), retrying in ${backoffDelay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, backoffDelay));
-            continue;
-          }
-          throw error; // Re-throw if not a timeout or max retries reached
-        }
-      }
+      const stats = await fetchPlayerGames(prediction.player_name, statsByPlayer);
       
       if (!stats || !stats.games || stats.games.length === 0) {
         console.log(`   ⚠️ No game data found, skipping...`);
@@ -79,18 +115,8 @@ export async function evaluatePendingPredictions() {
       }
       
       // Find the game that matches the prediction date
-      // Games are returned most recent first
       const targetDate = prediction.next_game.date;
-      const matchingGame = stats.games.find(game => {
-        // Compare dates (handle different formats)
-        const gameDate = new Date(game.date);
-        const targetDateObj = new Date(targetDate);
-        
-        // Compare year, month, day (ignore time)
-        return gameDate.getFullYear() === targetDateObj.getFullYear() &&
-               gameDate.getMonth() === targetDateObj.getMonth() &&
-               gameDate.getDate() === targetDateObj.getDate();
-      });
+      const matchingGame = findGameOnDate(stats.games, targetDate);
       
       if (!matchingGame) {
         console.log(`   ⚠️ Game not found for date ${targetDate}, skipping...`);
@@ -105,36 +131,38 @@ export async function evaluatePendingPredictions() {
         continue;
       }
       
-      const actualPoints = typeof matchingGame.points === 'number' 
-        ? matchingGame.points 
-        : parseFloat(matchingGame.points) || 0;
+      // Combo props (PRA, PR, PA, RA) are summed from their component stats
+      const actualValue = getPropValue(matchingGame, propType);
       
-      console.log(`   ✅ Found game result: ${actualPoints} pts vs ${matchingGame.opponent}`);
+      console.log(`   ✅ Found game result: ${actualValue} ${propType} vs ${matchingGame.opponent}`);
       
       // Update the prediction with actual outcome
-      const updated = updatePredictionOutcome(prediction.id, actualPoints);
+      const updated = updatePredictionOutcome(prediction.id, actualValue);
       
       if (updated) {
-        const error = Math.abs(prediction.predicted_points - actualPoints);
-        console.log(`   📊 Error: ${error.toFixed(1)} pts, Accuracy: ${updated.accuracy}%`);
+        const error = Math.abs(predictedValue - actualValue);
+        console.log(`   📊 Error: ${error.toFixed(1)} ${propType}, Accuracy: ${updated.accuracy}%`);
         
         results.evaluated++;
         results.results.push({
           predictionId: prediction.id,
           player: prediction.player_name,
+          prop_type: propType,
           status: 'evaluated',
-          predicted: prediction.predicted_points,
-          actual: actualPoints,
+          predicted: predictedValue,
+          actual: actualValue,
           error: error,
           accuracy: updated.accuracy,
-          withinMargin: updated.within_margin
+          withinMargin: updated.within_margin,
+          betResult: updated.bet_result,
+          profitUnits: updated.profit_units
         });
       } else {
         throw new Error('Failed to update prediction');
       }
       
       // Rate limiting: wait 1 second between API calls to avoid overwhelming NBA.com
-      if (i < pending.length - 1) {
+      if (i < pending.length - 1 && !statsByPlayer.has(pending[i + 1].player_name.toLowerCase())) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
       
@@ -160,10 +188,11 @@ export async function evaluatePendingPredictions() {
 
 /**
  * Evaluate a specific prediction by ID
+ * @param {number} actualValue - Actual stat value for the prediction's prop type
  */
-export async function evaluatePredictionById(predictionId, actualPoints) {
+export async function evaluatePredictionById(predictionId, actualValue) {
   try {
-    const updated = updatePredictionOutcome(predictionId, actualPoints);
+    const updated = updatePredictionOutcome(predictionId, actualValue);
     
     if (!updated) {
       return {
@@ -185,11 +214,11 @@ export async function evaluatePredictionById(predictionId, actualPoints) {
 }
 
 /**
- * Find and evaluate a specific prediction by player name and game date
+ * Find and evaluate a specific prediction by player name, game date and prop type
  */
-export async function evaluatePredictionByGame(playerName, gameDate, actualPoints) {
+export async function evaluatePredictionByGame(playerName, gameDate, actualValue, propType = 'points') {
   try {
-    const prediction = findPredictionByGame(playerName, gameDate);
+    const prediction = findPredictionByGame(playerName, gameDate, propType);
     
     if (!prediction) {
       return {
@@ -198,7 +227,7 @@ export async function evaluatePredictionByGame(playerName, gameDate, actualPoint
       };
     }
     
-    const updated = updatePredictionOutcome(prediction.id, actualPoints);
+    const updated = updatePredictionOutcome(prediction.id, actualValue);
     
     return {
       success: true,
@@ -1,7 +1,7 @@
 import { predictPropFromGames } from './unifiedPredictionService.js';
 
 /**
- * Predict points from games array using fine-tuned model
+ * Predict points from games array using the configured model provider
  * This is a wrapper that delegates to the unified prediction service
  */
 export async function predictPointsFromGames(games, playerName, nextGameInfo = null, injuryData = null, bettingLine = null) {
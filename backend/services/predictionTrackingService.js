@@ -1,59 +1,58 @@
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { gradeOverUnder, calculateProfit, noVigProbability } from '../utils/oddsMath.js';
+import { getDb, upsertPrediction, rowToPrediction, toDateKey } from './sqliteService.js';
+import { getLastSnapshotBefore } from './oddsHistoryService.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Persistent storage for predictions and outcomes
-const PREDICTIONS_FILE = join(__dirname, '../data/predictions.json');
-const PREDICTIONS_DIR = join(__dirname, '../data');
-
-// Ensure data directory exists
-if (!fs.existsSync(PREDICTIONS_DIR)) {
-  fs.mkdirSync(PREDICTIONS_DIR, { recursive: true });
-}
+// Predictions and outcomes are persisted in the SQLite store (see sqliteService.js)
 
 /**
- * Load predictions from file
+ * Predicted value of a tracked record (older records only have predicted_points)
  */
-function loadPredictions() {
-  try {
-    if (fs.existsSync(PREDICTIONS_FILE)) {
-      const data = fs.readFileSync(PREDICTIONS_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading predictions:', error);
-  }
-  return { predictions: [] };
+function getTrackedPredictedValue(record) {
+  return record.predicted_value ?? record.predicted_points ?? null;
 }
 
-/**
- * Save predictions to file
- */
-function savePredictions(data) {
-  try {
-    fs.writeFileSync(PREDICTIONS_FILE, JSON.stringify(data, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving predictions:', error);
-  }
-}
+// Fields of the pick as first recommended; re-predicting the game never moves them
+const PICK_FIELDS = ['line', 'over_odds', 'under_odds', 'bookmaker', 'bookmaker_key', 'recommendation', 'side', 'odds', 'created_at'];
 
 /**
  * Store a prediction for future evaluation
+ * One pending record per player, prop type and game date. Re-predicting the same
+ * game only refreshes the model fields: once a side was recommended, its line, price,
+ * side and created_at stay those of the first recommendation, so CLV is measured
+ * from when the pick was made rather than from the last page view.
  * @param {string} playerName - Player name
  * @param {object} prediction - Prediction data
  * @param {array} gameHistory - Games used for prediction
- * @param {object} nextGameInfo - Info about the next game being predicted
+ * @param {object} nextGameInfo - Info about the next game being predicted (commenceTime enables CLV)
+ * @param {object} market - Market at prediction time: { line, over_odds, under_odds, bookmaker, bookmaker_key, bettable }
  */
-export function storePrediction(playerName, prediction, gameHistory, nextGameInfo = {}) {
-  const data = loadPredictions();
+export function storePrediction(playerName, prediction, gameHistory, nextGameInfo = {}, market = {}) {
+  const propType = prediction.prop_type || 'points';
+  const predictedValue = prediction[`predicted_${propType}`] ?? prediction.predicted_points ?? null;
+  const line = market?.line ?? null;
+  // A calculated line (combo prop no book offers) is tracked for accuracy but is not a bet
+  const side = market?.bettable !== false && (prediction.recommendation === 'OVER' || prediction.recommendation === 'UNDER')
+    ? prediction.recommendation
+    : null;
+  const sideOdds = side === 'OVER' ? market?.over_odds : side === 'UNDER' ? market?.under_odds : null;
   
   const predictionRecord = {
     id: `pred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     player_name: playerName,
-    predicted_points: prediction.predicted_points,
+    prop_type: propType,
+    predicted_value: predictedValue,
+    // Kept for points so older consumers keep working
+    predicted_points: propType === 'points' ? predictedValue : null,
+    line,
+    over_odds: market?.over_odds ?? null,
+    under_odds: market?.under_odds ?? null,
+    bookmaker: market?.bookmaker || null,
+    bookmaker_key: market?.bookmaker_key || null,
+    recommendation: prediction.recommendation || null,
+    // The bet we showed: side and the American odds it was available at
+    side,
+    odds: side ? (sideOdds ?? -110) : null,
+    edge: line != null && predictedValue != null ? Math.round(Math.abs(predictedValue - line) * 10) / 10 : null,
     confidence: prediction.confidence,
     error_margin: prediction.error_margin,
     method: prediction.method || 'chatgpt_model',
@@ -63,94 +62,352 @@ export function storePrediction(playerName, prediction, gameHistory, nextGameInf
       date: nextGameInfo.date || null,
       opponent: nextGameInfo.opponent || null,
       is_home: nextGameInfo.isHome || null,
-      team: nextGameInfo.team || null
+      team: nextGameInfo.team || null,
+      event_id: nextGameInfo.eventId || null,
+      commence_time: nextGameInfo.commenceTime || null
     },
     created_at: new Date().toISOString(),
-    actual_points: null, // Will be filled when outcome is known
+    actual_value: null, // Will be filled when outcome is known
+    actual_points: null,
     accuracy: null, // Will be calculated when outcome is known
+    bet_result: null, // 'win' | 'loss' | 'push' once graded
+    profit_units: null,
     evaluated: false
   };
   
-  data.predictions.push(predictionRecord);
-  savePredictions(data);
+  const existing = findPredictionByGame(playerName, predictionRecord.next_game.date, propType);
+  if (existing) {
+    predictionRecord.id = existing.id;
+    if (existing.side) {
+      for (const field of PICK_FIELDS) predictionRecord[field] = existing[field];
+      predictionRecord.edge = predictionRecord.line != null && predictedValue != null
+        ? Math.round(Math.abs(predictedValue - predictionRecord.line) * 10) / 10
+        : null;
+    }
+  }
+  upsertPrediction(predictionRecord);
   
-  console.log(`📝 Stored prediction for ${playerName}: ${prediction.predicted_points} pts`);
+  console.log(`📝 Stored ${propType} prediction for ${playerName}: ${predictedValue}${predictionRecord.line != null ? ` (line ${predictionRecord.line})` : ''}`);
   return predictionRecord.id;
 }
 
+/**
+ * Accuracy metrics for a predicted value vs the actual outcome
+ * Shared by live tracking and the backtest engine
+ * @param {number} predictedValue - Model prediction
+ * @param {number} actualValue - Actual stat value
+ * @param {number} errorMargin - Error margin returned with the prediction
+ * @returns {object} { absolute_error, percentage_error, within_margin, within_2x_margin, accuracy }
+ */
+export function calculateAccuracyMetrics(predictedValue, actualValue, errorMargin) {
+  const error = Math.abs(predictedValue - actualValue);
+  const percentageError = predictedValue > 0 
+    ? (error / predictedValue) * 100 
+    : null;
+
+  // Calculate accuracy score (0-100)
+  let accuracy;
+  if (errorMargin > 0) {
+    // Accuracy based on how close to error margin (100% if exact, 0% if >2x margin)
+    const normalizedError = Math.min(error / (errorMargin * 2), 1);
+    accuracy = Math.round((1 - normalizedError) * 100);
+  } else {
+    // Fallback: accuracy based on percentage error
+    const pctError = percentageError || 0;
+    accuracy = Math.max(0, Math.round(100 - Math.min(pctError, 100)));
+  }
+
+  return {
+    absolute_error: error,
+    percentage_error: percentageError,
+    within_margin: error <= errorMargin,
+    within_2x_margin: error <= (errorMargin * 2),
+    accuracy
+  };
+}
+
+/**
+ * Attach the closing line (this game's last snapshot before tip-off) and closing line value
+ * No snapshot for the game means no CLV - an earlier game's line is never used.
+ * CLV in points is how many points better our number was than the close for the
+ * recommended side; CLV in probability is the vig-free closing probability of
+ * that side minus the vig-free probability when the pick was made.
+ * @param {object} prediction - Tracked prediction record (mutated)
+ * @returns {boolean} True when a closing snapshot was found
+ */
+function applyClosingLineValue(prediction) {
+  const commenceTime = prediction.next_game?.commence_time;
+  if (!commenceTime || prediction.line == null) return false;
+
+  const tipOff = new Date(commenceTime);
+  if (isNaN(tipOff.getTime())) return false;
+  const cutoff = tipOff.toISOString();
+  const propType = prediction.prop_type || 'points';
+
+  // Only this game's lines: its event id, or anything captured since the prediction when there is none
+  const eventId = prediction.next_game?.event_id || null;
+  const scope = { eventId, since: eventId ? null : prediction.created_at || null };
+  if (!scope.eventId && !scope.since) return false;
+
+  // Same book we recommended at, otherwise the last line anywhere
+  const closing = (prediction.bookmaker_key && getLastSnapshotBefore(prediction.player_name, propType, cutoff, { ...scope, bookmaker: prediction.bookmaker_key }))
+    || getLastSnapshotBefore(prediction.player_name, propType, cutoff, scope);
+  if (!closing || closing.line == null) return false;
+
+  const isOver = prediction.side === 'OVER';
+  prediction.closing_line = closing.line;
+  prediction.closing_bookmaker = closing.bookmaker;
+  prediction.closing_captured_at = closing.captured_at;
+  prediction.closing_odds = prediction.side ? (isOver ? closing.over_odds : closing.under_odds) : null;
+
+  if (!prediction.side) return true;
+
+  const lineDiff = isOver ? closing.line - prediction.line : prediction.line - closing.line;
+  prediction.clv_points = Math.round(lineDiff * 10) / 10;
+
+  const openProbability = isOver
+    ? noVigProbability(prediction.over_odds ?? prediction.odds, prediction.under_odds)
+    : noVigProbability(prediction.under_odds ?? prediction.odds, prediction.over_odds);
+  const closeProbability = isOver
+    ? noVigProbability(closing.over_odds, closing.under_odds)
+    : noVigProbability(closing.under_odds, closing.over_odds);
+  prediction.clv_probability = openProbability != null && closeProbability != null
+    ? Math.round((closeProbability - openProbability) * 10000) / 10000
+    : null;
+
+  return true;
+}
+
 /**
  * Update prediction with actual outcome
  * @param {string} predictionId - Prediction ID
- * @param {number} actualPoints - Actual points scored
+ * @param {number} actualValue - Actual stat value for the prediction's prop type
  */
-export function updatePredictionOutcome(predictionId, actualPoints) {
-  const data = loadPredictions();
-  const prediction = data.predictions.find(p => p.id === predictionId);
+export function updatePredictionOutcome(predictionId, actualValue) {
+  const prediction = rowToPrediction(getDb().prepare('SELECT * FROM predictions WHERE id = ?').get(predictionId));
   
   if (!prediction) {
     console.warn(`⚠️ Prediction ${predictionId} not found`);
     return null;
   }
   
-  prediction.actual_points = actualPoints;
+  const propType = prediction.prop_type || 'points';
+  prediction.actual_value = actualValue;
+  if (propType === 'points') {
+    prediction.actual_points = actualValue;
+  }
   prediction.evaluated = true;
   prediction.evaluated_at = new Date().toISOString();
   
   // Calculate accuracy metrics
-  const error = Math.abs(prediction.predicted_points - actualPoints);
-  prediction.absolute_error = error;
-  prediction.percentage_error = prediction.predicted_points > 0 
-    ? (error / prediction.predicted_points) * 100 
+  const metrics = calculateAccuracyMetrics(getTrackedPredictedValue(prediction), actualValue, prediction.error_margin);
+  Object.assign(prediction, metrics);
+  const error = metrics.absolute_error;
+  
+  // Grade the recommended side at the odds stored with the prediction
+  prediction.bet_result = gradeOverUnder(prediction.side, prediction.line, actualValue);
+  prediction.profit_units = prediction.bet_result
+    ? Math.round(calculateProfit(prediction.bet_result, prediction.odds) * 100) / 100
     : null;
-  prediction.within_margin = error <= prediction.error_margin;
-  prediction.within_2x_margin = error <= (prediction.error_margin * 2);
   
-  // Calculate accuracy score (0-100)
-  if (prediction.error_margin > 0) {
-    // Accuracy based on how close to error margin (100% if exact, 0% if >2x margin)
-    const normalizedError = Math.min(error / (prediction.error_margin * 2), 1);
-    prediction.accuracy = Math.round((1 - normalizedError) * 100);
-  } else {
-    // Fallback: accuracy based on percentage error
-    const pctError = prediction.percentage_error || 0;
-    prediction.accuracy = Math.max(0, Math.round(100 - Math.min(pctError, 100)));
+  // Closing line value from the stored odds snapshots
+  try {
+    applyClosingLineValue(prediction);
+  } catch (clvError) {
+    console.warn(`⚠️ Could not compute CLV for ${predictionId}: ${clvError.message}`);
   }
   
-  savePredictions(data);
-  console.log(`✅ Updated prediction ${predictionId}: actual ${actualPoints} pts, error: ${error.toFixed(1)}`);
+  upsertPrediction(prediction);
+  console.log(`✅ Updated prediction ${predictionId}: actual ${actualValue} ${propType}, error: ${error.toFixed(1)}`);
   
   return prediction;
 }
 
+// Aggregate columns shared by the accuracy queries
+const ACCURACY_COLUMNS = `
+  COUNT(*) AS evaluated,
+  AVG(absolute_error) AS average_error,
+  AVG(accuracy) AS average_accuracy,
+  SUM(within_margin) AS within_margin,
+  SUM(within_2x_margin) AS within_2x_margin
+`;
+
+// Aggregate columns shared by the betting queries
+const BET_COLUMNS = `
+  COUNT(*) AS bets,
+  SUM(bet_result = 'win') AS wins,
+  SUM(bet_result = 'loss') AS losses,
+  SUM(bet_result = 'push') AS pushes,
+  SUM(profit_units) AS units
+`;
+
+// Aggregate columns shared by the closing line value queries
+const CLV_COLUMNS = `
+  COUNT(*) AS tracked,
+  AVG(clv_points) AS average_clv_points,
+  AVG(clv_probability) AS average_clv_probability,
+  SUM(clv_points > 0) AS beat_close,
+  SUM(clv_points = 0) AS matched_close
+`;
+
+// Edge bucket for a graded bet (|prediction - line|)
+const EDGE_BUCKET_SQL = `
+  CASE
+    WHEN edge IS NULL THEN 'unknown'
+    WHEN edge < 1 THEN '0-1'
+    WHEN edge < 2 THEN '1-2'
+    WHEN edge < 4 THEN '2-4'
+    ELSE '4+'
+  END
+`;
+
+function formatAccuracyRow(row) {
+  return {
+    evaluated: row.evaluated,
+    average_error: Math.round((row.average_error || 0) * 10) / 10,
+    average_accuracy: Math.round((row.average_accuracy || 0) * 10) / 10,
+    within_margin_rate: Math.round(((row.within_margin || 0) / row.evaluated) * 100),
+    within_2x_margin_rate: Math.round(((row.within_2x_margin || 0) / row.evaluated) * 100)
+  };
+}
+
+function formatBetRow(row) {
+  const decided = (row.wins || 0) + (row.losses || 0);
+  const units = row.units || 0;
+  return {
+    bets: row.bets,
+    wins: row.wins || 0,
+    losses: row.losses || 0,
+    pushes: row.pushes || 0,
+    hit_rate: decided > 0 ? Math.round((row.wins / decided) * 1000) / 10 : null,
+    units: Math.round(units * 100) / 100,
+    roi: row.bets > 0 ? Math.round((units / row.bets) * 1000) / 10 : null
+  };
+}
+
+function formatClvRow(row) {
+  return {
+    tracked: row.tracked,
+    average_clv_points: Math.round((row.average_clv_points || 0) * 100) / 100,
+    // Percentage points of vig-free probability
+    average_clv_probability: row.average_clv_probability != null
+      ? Math.round(row.average_clv_probability * 10000) / 100
+      : null,
+    beat_close_rate: row.tracked > 0 ? Math.round(((row.beat_close || 0) / row.tracked) * 1000) / 10 : null,
+    matched_close: row.matched_close || 0
+  };
+}
+
 /**
- * Get prediction accuracy statistics
+ * Closing line value of recommended sides, overall and per prop / confidence
+ */
+function getClvStats() {
+  const db = getDb();
+  const overall = db.prepare(`SELECT ${CLV_COLUMNS} FROM predictions WHERE clv_points IS NOT NULL`).get();
+  if (!overall.tracked) {
+    return { tracked: 0, message: 'No closing lines captured yet' };
+  }
+
+  const groupedBy = (groupExpression) => {
+    const summary = {};
+    const rows = db.prepare(`
+      SELECT ${groupExpression} AS group_key, ${CLV_COLUMNS}
+      FROM predictions
+      WHERE clv_points IS NOT NULL
+      GROUP BY group_key
+    `).all();
+    for (const row of rows) {
+      summary[row.group_key] = formatClvRow(row);
+    }
+    return summary;
+  };
+
+  return {
+    ...formatClvRow(overall),
+    by_prop: groupedBy('prop_type'),
+    by_confidence: groupedBy(`COALESCE(confidence, 'unknown')`)
+  };
+}
+
+/**
+ * Graded bets summarized per group (groupExpression is a fixed SQL expression)
+ */
+function getBetsGroupedBy(groupExpression) {
+  const rows = getDb().prepare(`
+    SELECT ${groupExpression} AS group_key, ${BET_COLUMNS}
+    FROM predictions
+    WHERE evaluated = 1 AND bet_result IS NOT NULL
+    GROUP BY group_key
+  `).all();
+
+  const summary = {};
+  for (const row of rows) {
+    summary[row.group_key] = formatBetRow(row);
+  }
+  return summary;
+}
+
+/**
+ * Win/loss/push record, units and ROI of the OVER/UNDER recommendations
+ */
+function getBettingStats() {
+  const overall = getDb().prepare(`
+    SELECT ${BET_COLUMNS} FROM predictions WHERE evaluated = 1 AND bet_result IS NOT NULL
+  `).get();
+
+  return {
+    ...formatBetRow(overall),
+    by_confidence: getBetsGroupedBy(`COALESCE(confidence, 'unknown')`),
+    by_prop: getBetsGroupedBy('prop_type'),
+    by_bookmaker: getBetsGroupedBy(`COALESCE(bookmaker, 'unknown')`),
+    by_edge: getBetsGroupedBy(EDGE_BUCKET_SQL)
+  };
+}
+
+/**
+ * Get prediction accuracy statistics, overall and per prop type
  */
 export function getAccuracyStats() {
-  const data = loadPredictions();
-  const evaluated = data.predictions.filter(p => p.evaluated);
+  const db = getDb();
+  const totals = db.prepare('SELECT COUNT(*) AS total, SUM(evaluated) AS evaluated FROM predictions').get();
   
-  if (evaluated.length === 0) {
+  if (!totals.evaluated) {
     return {
-      total_predictions: 0,
+      total_predictions: totals.total,
       evaluated: 0,
       message: 'No evaluated predictions yet'
     };
   }
   
-  const avgError = evaluated.reduce((sum, p) => sum + (p.absolute_error || 0), 0) / evaluated.length;
-  const avgAccuracy = evaluated.reduce((sum, p) => sum + (p.accuracy || 0), 0) / evaluated.length;
-  const withinMargin = evaluated.filter(p => p.within_margin).length;
-  const within2xMargin = evaluated.filter(p => p.within_2x_margin).length;
+  const overall = db.prepare(`SELECT ${ACCURACY_COLUMNS} FROM predictions WHERE evaluated = 1`).get();
+  
+  const byPropStats = {};
+  const propTotals = db.prepare(`
+    SELECT prop_type, COUNT(*) AS total, SUM(evaluated) AS evaluated FROM predictions GROUP BY prop_type
+  `).all();
+  const propAccuracy = db.prepare(`
+    SELECT prop_type, ${ACCURACY_COLUMNS} FROM predictions WHERE evaluated = 1 GROUP BY prop_type
+  `).all();
+  for (const row of propTotals) {
+    const accuracyRow = propAccuracy.find(r => r.prop_type === row.prop_type);
+    byPropStats[row.prop_type] = accuracyRow
+      ? { total_predictions: row.total, pending: row.total - row.evaluated, ...formatAccuracyRow(accuracyRow) }
+      : { total_predictions: row.total, pending: row.total, evaluated: 0 };
+  }
+  
+  // Last 50 for analysis
+  const recent = db.prepare(`
+    SELECT * FROM predictions WHERE evaluated = 1 ORDER BY created_at DESC LIMIT 50
+  `).all().map(rowToPrediction).reverse();
   
   return {
-    total_predictions: data.predictions.length,
-    evaluated: evaluated.length,
-    pending: data.predictions.length - evaluated.length,
-    average_error: Math.round(avgError * 10) / 10,
-    average_accuracy: Math.round(avgAccuracy * 10) / 10,
-    within_margin_rate: Math.round((withinMargin / evaluated.length) * 100),
-    within_2x_margin_rate: Math.round((within2xMargin / evaluated.length) * 100),
-    predictions: evaluated.slice(-50) // Last 50 for analysis
+    total_predictions: totals.total,
+    pending: totals.total - totals.evaluated,
+    ...formatAccuracyRow(overall),
+    by_prop: byPropStats,
+    betting: getBettingStats(),
+    clv: getClvStats(),
+    predictions: recent
   };
 }
 
@@ -158,28 +415,25 @@ export function getAccuracyStats() {
  * Get predictions that need evaluation (games that have likely been played)
  */
 export function getPendingEvaluations() {
-  const data = loadPredictions();
-  const now = new Date();
-  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
   
-  return data.predictions.filter(p => {
-    if (p.evaluated || !p.next_game.date) return false;
-    
-    const gameDate = new Date(p.next_game.date);
-    return gameDate < oneDayAgo; // Game was at least 1 day ago
-  });
+  // Ordered by player so evaluation can reuse one game log fetch per player
+  return getDb().prepare(`
+    SELECT * FROM predictions
+    WHERE evaluated = 0 AND game_date IS NOT NULL AND game_date <= ?
+    ORDER BY player_name, game_date
+  `).all(toDateKey(oneDayAgo)).map(rowToPrediction);
 }
 
 /**
- * Find prediction by player and game date
+ * Find prediction by player, game date and prop type (defaults to points)
  */
-export function findPredictionByGame(playerName, gameDate) {
-  const data = loadPredictions();
-  return data.predictions.find(p => 
-    p.player_name.toLowerCase() === playerName.toLowerCase() &&
-    p.next_game.date === gameDate &&
-    !p.evaluated
-  );
+export function findPredictionByGame(playerName, gameDate, propType = 'points') {
+  return rowToPrediction(getDb().prepare(`
+    SELECT * FROM predictions
+    WHERE player_name = ? COLLATE NOCASE AND next_game_date = ? AND prop_type = ? AND evaluated = 0
+    LIMIT 1
+  `).get(playerName, gameDate, propType));
 }
 
 /**
@@ -188,12 +442,9 @@ export function findPredictionByGame(playerName, gameDate) {
  * @param {string} model - Model to fine-tune: 'gpt-4o-mini' or 'gpt-4o' (default: 'gpt-4o-mini')
  */
 export function exportForFineTuning(minAccuracy = 70, model = 'gpt-4o-mini') {
-  const data = loadPredictions();
-  const evaluated = data.predictions.filter(p => 
-    p.evaluated && 
-    p.accuracy >= minAccuracy &&
-    p.method === 'chatgpt_model'
-  );
+  const evaluated = getDb().prepare(`
+    SELECT * FROM predictions WHERE evaluated = 1 AND accuracy >= ? AND method = 'chatgpt_model'
+  `).all(minAccuracy).map(rowToPrediction);
   
   if (evaluated.length === 0) {
     return { message: 'No high-quality predictions available for fine-tuning' };
@@ -244,5 +495,17 @@ export function exportForFineTuning(minAccuracy = 70, model = 'gpt-4o-mini') {
   };
 }
 
+/**
+ * Latest prediction for a player, prop type and game day (YYYY-MM-DD), evaluated or not
+ */
+export function getLatestPrediction(playerName, propType, gameDate) {
+  return rowToPrediction(getDb().prepare(`
+    SELECT * FROM predictions
+    WHERE player_name = ? COLLATE NOCASE AND prop_type = ? AND game_date = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).get(playerName, propType, gameDate));
+}
+
 console.log('✅ Prediction tracking service initialized');
 
@@ -0,0 +1,267 @@
+/**
+ * Schedule Context Service - Rest, back-to-backs, travel and altitude
+ * Walks a player's game log in date order and tags every game (and the
+ * upcoming one) with days of rest, back-to-back / 3-in-4 flags, road trip
+ * length, miles travelled and time zones crossed since the previous game, and
+ * whether it was played at altitude. Venues come from a static arena table.
+ */
+
+import { toGameDateKey } from './teamStatsService.js';
+
+// Arena locations: latitude/longitude, standard UTC offset and elevation (feet)
+export const ARENAS = {
+  ATL: { city: 'Atlanta', lat: 33.757, lon: -84.396, utcOffset: -5, altitude: 1050 },
+  BOS: { city: 'Boston', lat: 42.366, lon: -71.062, utcOffset: -5, altitude: 20 },
+  BKN: { city: 'Brooklyn', lat: 40.683, lon: -73.975, utcOffset: -5, altitude: 30 },
+  CHA: { city: 'Charlotte', lat: 35.225, lon: -80.839, utcOffset: -5, altitude: 750 },
+  CHI: { city: 'Chicago', lat: 41.881, lon: -87.674, utcOffset: -6, altitude: 600 },
+  CLE: { city: 'Cleveland', lat: 41.496, lon: -81.688, utcOffset: -5, altitude: 650 },
+  DAL: { city: 'Dallas', lat: 32.790, lon: -96.810, utcOffset: -6, altitude: 430 },
+  DEN: { city: 'Denver', lat: 39.749, lon: -105.008, utcOffset: -7, altitude: 5280 },
+  DET: { city: 'Detroit', lat: 42.341, lon: -83.055, utcOffset: -5, altitude: 600 },
+  GSW: { city: 'San Francisco', lat: 37.768, lon: -122.388, utcOffset: -8, altitude: 10 },
+  HOU: { city: 'Houston', lat: 29.751, lon: -95.362, utcOffset: -6, altitude: 50 },
+  IND: { city: 'Indianapolis', lat: 39.764, lon: -86.155, utcOffset: -5, altitude: 715 },
+  LAC: { city: 'Inglewood', lat: 33.945, lon: -118.343, utcOffset: -8, altitude: 100 },
+  LAL: { city: 'Los Angeles', lat: 34.043, lon: -118.267, utcOffset: -8, altitude: 270 },
+  MEM: { city: 'Memphis', lat: 35.138, lon: -90.051, utcOffset: -6, altitude: 260 },
+  MIA: { city: 'Miami', lat: 25.781, lon: -80.188, utcOffset: -5, altitude: 10 },
+  MIL: { city: 'Milwaukee', lat: 43.045, lon: -87.917, utcOffset: -6, altitude: 620 },
+  MIN: { city: 'Minneapolis', lat: 44.979, lon: -93.276, utcOffset: -6, altitude: 830 },
+  NOP: { city: 'New Orleans', lat: 29.949, lon: -90.082, utcOffset: -6, altitude: 10 },
+  NYK: { city: 'New York', lat: 40.751, lon: -73.993, utcOffset: -5, altitude: 30 },
+  OKC: { city: 'Oklahoma City', lat: 35.463, lon: -97.515, utcOffset: -6, altitude: 1200 },
+  ORL: { city: 'Orlando', lat: 28.539, lon: -81.384, utcOffset: -5, altitude: 100 },
+  PHI: { city: 'Philadelphia', lat: 39.901, lon: -75.172, utcOffset: -5, altitude: 30 },
+  PHX: { city: 'Phoenix', lat: 33.446, lon: -112.071, utcOffset: -7, altitude: 1090 },
+  POR: { city: 'Portland', lat: 45.532, lon: -122.667, utcOffset: -8, altitude: 50 },
+  SAC: { city: 'Sacramento', lat: 38.580, lon: -121.500, utcOffset: -8, altitude: 30 },
+  SAS: { city: 'San Antonio', lat: 29.427, lon: -98.438, utcOffset: -6, altitude: 650 },
+  TOR: { city: 'Toronto', lat: 43.643, lon: -79.379, utcOffset: -5, altitude: 250 },
+  UTA: { city: 'Salt Lake City', lat: 40.768, lon: -111.901, utcOffset: -7, altitude: 4226 },
+  WAS: { city: 'Washington', lat: 38.898, lon: -77.021, utcOffset: -5, altitude: 50 }
+};
+
+// Abbreviations other feeds use for the same teams
+const ARENA_ALIASES = {
+  BRK: 'BKN', GS: 'GSW', NO: 'NOP', NOR: 'NOP', NY: 'NYK', SA: 'SAS',
+  PHO: 'PHX', UTAH: 'UTA', UTH: 'UTA', WSH: 'WAS', CHO: 'CHA'
+};
+
+// Elevation (feet) at which a venue counts as "at altitude" (Denver, Utah)
+export const ALTITUDE_FEET = 4000;
+
+// Gaps longer than this (All-Star break, offseason, long absence) reset travel and road trips
+const BREAK_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getArena(teamAbbrev) {
+  if (!teamAbbrev) return null;
+  const abbrev = teamAbbrev.toString().trim().toUpperCase();
+  const key = ARENA_ALIASES[abbrev] || abbrev;
+  return ARENAS[key] ? { team: key, ...ARENAS[key] } : null;
+}
+
+/**
+ * Standard abbreviation for a team (ESPN/other feed aliases resolved), null if unknown
+ */
+export function normalizeTeamAbbrev(teamAbbrev) {
+  return getArena(teamAbbrev)?.team || null;
+}
+
+/**
+ * Great-circle distance between two arenas in miles
+ */
+function distanceMiles(from, to) {
+  if (!from || !to) return null;
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(3959 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+function dayNumber(dateKey) {
+  const time = dateKey ? Date.parse(`${dateKey}T00:00:00Z`) : NaN;
+  return Number.isFinite(time) ? Math.round(time / DAY_MS) : null;
+}
+
+/**
+ * Local calendar date of the upcoming game (tip-off in UTC shifted to the venue's time zone)
+ */
+function nextGameDateKey(nextGameInfo, venue) {
+  if (nextGameInfo?.commenceTime) {
+    const tipOff = new Date(nextGameInfo.commenceTime).getTime();
+    if (Number.isFinite(tipOff)) {
+      const local = new Date(tipOff + (venue?.utcOffset ?? -5) * 60 * 60 * 1000);
+      return local.toISOString().slice(0, 10);
+    }
+  }
+  return toGameDateKey(nextGameInfo?.date);
+}
+
+/**
+ * Schedule context for one game given the games before it (chronological)
+ * @param {object} game - { dateKey, home, venue }
+ * @param {array} previous - Earlier games, each already { dateKey, home, venue, roadTripGame }
+ * @param {object|null} homeArena - The player's team arena
+ */
+function describeGame(game, previous, homeArena) {
+  const day = dayNumber(game.dateKey);
+  const last = previous[previous.length - 1] || null;
+  const lastDay = last ? dayNumber(last.dateKey) : null;
+  const gap = day != null && lastDay != null ? day - lastDay : null;
+  const afterBreak = gap == null || gap > BREAK_DAYS;
+
+  // Third game inside four calendar days (this one included)
+  const twoBack = previous[previous.length - 2] || null;
+  const twoBackDay = twoBack ? dayNumber(twoBack.dateKey) : null;
+  const threeInFour = day != null && twoBackDay != null && day - twoBackDay <= 3;
+
+  // Travel starts from the last venue, or from home after a break
+  const origin = afterBreak ? homeArena : last.venue;
+  const travelMiles = origin && game.venue ? distanceMiles(origin, game.venue) : null;
+  const tzShift = origin && game.venue ? game.venue.utcOffset - origin.utcOffset : null;
+
+  const roadTripGame = game.home === false
+    ? (!afterBreak && last?.home === false ? (last.roadTripGame || 0) + 1 : 1)
+    : 0;
+
+  return {
+    rest_days: gap != null && gap > 0 ? gap - 1 : null,
+    back_to_back: gap === 1,
+    three_in_four: threeInFour,
+    road_trip_game: roadTripGame,
+    travel_miles: travelMiles,
+    tz_shift: tzShift,
+    venue: game.venue?.team || null,
+    altitude: game.venue?.altitude ?? null,
+    at_altitude: game.venue ? game.venue.altitude >= ALTITUDE_FEET : false
+  };
+}
+
+/**
+ * Tag every game in a game log with its schedule context
+ * Home games are placed at the player's team arena (game.team when the log
+ * carries it, so traded players keep their old venues), road games at the
+ * opponent's arena.
+ * @param {array} games - Game log (any order)
+ * @param {string} teamAbbrev - Player's team
+ * @returns {Map} game object -> schedule context (road_trip_length filled in for finished trips)
+ */
+export function buildScheduleContext(games, teamAbbrev) {
+  const contexts = new Map();
+  const entries = (games || [])
+    .map(game => {
+      const home = game.home === true || game.home === false ? game.home : null;
+      const venue = home === null ? null : getArena(home ? (game.team || teamAbbrev) : game.opponent);
+      return { game, dateKey: toGameDateKey(game.date), home, venue, homeArena: getArena(game.team || teamAbbrev) };
+    })
+    .filter(entry => entry.dateKey)
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+  const previous = [];
+  for (const entry of entries) {
+    const context = describeGame(entry, previous, entry.homeArena);
+    previous.push({ ...entry, roadTripGame: context.road_trip_game });
+    contexts.set(entry.game, context);
+  }
+
+  // Road trip length: walk back from the last game of each trip
+  let tripLength = 0;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const context = contexts.get(entries[i].game);
+    if (context.road_trip_game === 0) {
+      tripLength = 0;
+      continue;
+    }
+    const nextContext = i < entries.length - 1 ? contexts.get(entries[i + 1].game) : null;
+    if (!nextContext || nextContext.road_trip_game !== context.road_trip_game + 1) {
+      tripLength = context.road_trip_game;
+    }
+    context.road_trip_length = tripLength;
+  }
+
+  return contexts;
+}
+
+/**
+ * Copy of a game log with a `schedule` object on every game (for the chart and game log filters)
+ * @param {array} games - Game log
+ * @param {string} teamAbbrev - Player's team
+ * @returns {array} Games in their original order
+ */
+export function annotateGamesWithSchedule(games, teamAbbrev) {
+  if (!Array.isArray(games)) return [];
+  const contexts = buildScheduleContext(games, teamAbbrev);
+  return games.map(game => (contexts.has(game) ? { ...game, schedule: contexts.get(game) } : game));
+}
+
+/**
+ * Schedule context for the upcoming game
+ * @param {array} games - Game log (any order)
+ * @param {object|null} nextGameInfo - { date, commenceTime, isHome, opponent, team }
+ * @returns {object|null} { date, rest_days, back_to_back, three_in_four, road_trip_game, travel_miles, tz_shift, venue, altitude, at_altitude }
+ */
+export function getNextGameSchedule(games, nextGameInfo) {
+  if (!nextGameInfo) return null;
+
+  const teamAbbrev = nextGameInfo.team || null;
+  const isHome = nextGameInfo.isHome === true || nextGameInfo.isHome === false ? nextGameInfo.isHome : null;
+  const venue = isHome === null ? null : getArena(isHome ? teamAbbrev : nextGameInfo.opponent);
+  const dateKey = nextGameDateKey(nextGameInfo, venue);
+  if (!dateKey) return null;
+
+  const contexts = buildScheduleContext(games, teamAbbrev);
+  const previous = [...contexts.entries()]
+    .map(([game, context]) => ({
+      dateKey: toGameDateKey(game.date),
+      home: game.home === true || game.home === false ? game.home : null,
+      venue: getArena(context.venue),
+      roadTripGame: context.road_trip_game
+    }))
+    .filter(entry => entry.dateKey < dateKey)
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+  return {
+    date: dateKey,
+    ...describeGame({ dateKey, home: isHome, venue }, previous, getArena(teamAbbrev))
+  };
+}
+
+/**
+ * Per-minute fatigue multiplier for the upcoming game (minutes effects live in the minutes projection)
+ * Back-to-backs, 3-in-4s, long trips, big time-zone jumps and playing at
+ * altitude as the visitor each shave a little off; the total is floored at -6%.
+ * @param {object|null} schedule - From getNextGameSchedule
+ * @returns {object} { factor, drivers: [{ factor, label, impact }] } - impact in percent
+ */
+export function getScheduleAdjustment(schedule) {
+  const drivers = [];
+  if (!schedule) return { factor: 1, drivers };
+
+  if (schedule.back_to_back) {
+    drivers.push({ factor: 'back_to_back', label: 'Second night of a back-to-back', impact: -1.5 });
+  }
+  if (schedule.three_in_four) {
+    drivers.push({ factor: 'three_in_four', label: 'Third game in four nights', impact: -1 });
+  }
+  if (schedule.road_trip_game >= 4) {
+    drivers.push({ factor: 'road_trip', label: `Game ${schedule.road_trip_game} of a road trip`, impact: -1 });
+  }
+  if (schedule.travel_miles >= 1500 && Math.abs(schedule.tz_shift || 0) >= 2) {
+    drivers.push({
+      factor: 'travel',
+      label: `${schedule.travel_miles.toLocaleString('en-US')} miles, ${Math.abs(schedule.tz_shift)} time zones ${schedule.tz_shift > 0 ? 'east' : 'west'}`,
+      impact: -1
+    });
+  }
+  if (schedule.at_altitude && schedule.road_trip_game > 0) {
+    drivers.push({ factor: 'altitude', label: `At altitude (${schedule.altitude.toLocaleString('en-US')} ft)`, impact: -1.5 });
+  }
+
+  const total = Math.max(-6, drivers.reduce((sum, driver) => sum + driver.impact, 0));
+  return { factor: Math.round((1 + total / 100) * 1000) / 1000, drivers };
+}
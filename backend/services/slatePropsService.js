@@ -0,0 +1,151 @@
+/**
+ * Slate Props Service - Every bookmaker's player prop prices across the upcoming slate
+ * Groups each player/prop/line with the over and under price at every sportsbook.
+ * Shared by trending props and the arbitrage finder so both run on the same
+ * 5-minute refresh cycle, and every collected line is stored for line movement history.
+ */
+
+import NodeCache from 'node-cache';
+import { getNbaEvents, getEventOdds, getEventOddsFetchedAt, isOddsApiConfigured } from './oddsApiClient.js';
+import { saveOddsSnapshots } from './oddsHistoryService.js';
+import { getPropByMarket, YES_NO_LINE } from '../utils/propRegistry.js';
+
+// Same cycle as the trending props cache
+const slateCache = new NodeCache({ stdTTL: 300 });
+const CACHE_KEY = 'slate_prop_lines';
+
+// Events scanned per refresh
+const MAX_EVENTS = 10;
+
+// In-flight collection, so concurrent callers share one pass over the slate
+let pendingCollection = null;
+
+/**
+ * Collect every player/prop/line across the first MAX_EVENTS events
+ * @returns {Promise<array>}
+ */
+async function collectSlatePropLines() {
+  const allEvents = await getNbaEvents();
+  if (allEvents.length === 0) return [];
+
+  const events = allEvents.slice(0, MAX_EVENTS);
+  console.log(`📋 Found ${events.length} events for slate prop lines`);
+
+  const propLinesMap = new Map(); // Key: "playerName|propType|line"
+  const oddsSnapshots = new Map(); // Key: "playerName|propType|line|bookmaker" → line movement snapshot
+
+  for (const event of events) {
+    try {
+      const eventOdds = await getEventOdds(event.id);
+      if (!eventOdds || !eventOdds.bookmakers) continue;
+      // Snapshots carry the fetch time; stale fallback odds were recorded when they were fetched
+      const fetchedAt = getEventOddsFetchedAt(event.id);
+      const capturedAt = fetchedAt ? new Date(fetchedAt).toISOString() : null;
+
+      console.log(`📊 Event ${event.id}: Analyzing ${eventOdds.bookmakers.length} bookmakers`);
+
+      for (const bookmaker of eventOdds.bookmakers) {
+        const sportsbookName = bookmaker.title || bookmaker.key;
+
+        for (const market of bookmaker.markets || []) {
+          // Resolve the market to a registry prop (skip markets we don't model)
+          const prop = getPropByMarket(market.key);
+          if (!prop) continue;
+          const propType = prop.id;
+          // Yes/no markets (double-double, triple-double) have no point: Yes = over 0.5
+          const overName = prop.milestone ? 'Yes' : 'Over';
+          const underName = prop.milestone ? 'No' : 'Under';
+
+          for (const outcome of market.outcomes || []) {
+            const playerName = outcome.description;
+            const line = prop.milestone ? YES_NO_LINE : parseFloat(outcome.point);
+            const odds = outcome.price;
+
+            if (!playerName || isNaN(line) || line <= 0) continue;
+
+            const key = `${playerName.toLowerCase()}|${propType}|${line}`;
+            if (!propLinesMap.has(key)) {
+              propLinesMap.set(key, {
+                player: playerName,
+                propType,
+                line,
+                event_id: event.id,
+                home_team: event.home_team,
+                away_team: event.away_team,
+                commence_time: event.commence_time,
+                sportsbooks: {} // sportsbook → { key, over, under }
+              });
+            }
+
+            const propData = propLinesMap.get(key);
+            if (!propData.sportsbooks[sportsbookName]) {
+              propData.sportsbooks[sportsbookName] = { key: bookmaker.key };
+            }
+            const bookData = propData.sportsbooks[sportsbookName];
+            if (outcome.name === overName) {
+              bookData.over = { line, odds };
+            } else if (outcome.name === underName) {
+              bookData.under = { line, odds };
+            }
+
+            if (!capturedAt) continue;
+            const snapshotKey = `${key}|${bookmaker.key || sportsbookName}`;
+            if (!oddsSnapshots.has(snapshotKey)) {
+              oddsSnapshots.set(snapshotKey, {
+                player_name: playerName,
+                prop_type: propType,
+                bookmaker: bookmaker.key || sportsbookName,
+                line,
+                event_id: event.id,
+                commence_time: event.commence_time,
+                captured_at: capturedAt
+              });
+            }
+            const snapshot = oddsSnapshots.get(snapshotKey);
+            if (outcome.name === overName) snapshot.over_odds = odds;
+            else if (outcome.name === underName) snapshot.under_odds = odds;
+          }
+        }
+      }
+    } catch (err) {
+      console.log(`⚠️ Error processing event ${event.id}:`, err.message);
+      continue;
+    }
+  }
+
+  console.log(`📊 Collected ${propLinesMap.size} unique player/prop/line combinations`);
+
+  // Persist every bookmaker line for line movement history
+  try {
+    const written = saveOddsSnapshots(Array.from(oddsSnapshots.values()), 'trending');
+    console.log(`🗄️  Stored ${written} odds snapshots`);
+  } catch (snapshotError) {
+    console.error('⚠️ Failed to store odds snapshots:', snapshotError.message);
+  }
+
+  return Array.from(propLinesMap.values());
+}
+
+/**
+ * Player prop lines across the slate, refreshed every 5 minutes
+ * @returns {Promise<array>} [{ player, propType, line, event_id, home_team, away_team, commence_time,
+ *                             sportsbooks: { [title]: { key, over: { line, odds }, under: { line, odds } } } }]
+ */
+export async function getSlatePropLines() {
+  if (!isOddsApiConfigured()) return [];
+
+  const cached = slateCache.get(CACHE_KEY);
+  if (cached) return cached;
+
+  if (!pendingCollection) {
+    pendingCollection = collectSlatePropLines()
+      .then(propLines => {
+        slateCache.set(CACHE_KEY, propLines);
+        return propLines;
+      })
+      .finally(() => {
+        pendingCollection = null;
+      });
+  }
+  return pendingCollection;
+}
@@ -1,4 +1,4 @@
-import axios from 'axios';
+import { http } from './httpClient.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -104,7 +104,7 @@ export async function downloadSportsbookLogo(sportsbookName, logoUrl = null) {
     console.log(`📥 Downloading logo for ${sportsbookName} from ${imageUrl}...`);
     
     try {
-      const response = await axios.get(imageUrl, {
+      const response = await http.get(imageUrl, {
         responseType: 'arraybuffer',
         timeout: 10000,
         headers: {
@@ -138,7 +138,7 @@ export async function downloadSportsbookLogo(sportsbookName, logoUrl = null) {
       
       for (const fallbackUrl of fallbackUrls) {
         try {
-          const response = await axios.get(fallbackUrl, {
+          const response = await http.get(fallbackUrl, {
             responseType: 'arraybuffer',
             timeout: 5000,
             headers: {
@@ -0,0 +1,417 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Embedded SQLite store for predictions, outcomes, odds snapshots and game logs
+ * Replaces the whole-file rewrites of data/predictions.json. Set HOOP_DB_PATH to
+ * point somewhere else (":memory:" works for throwaway runs).
+ */
+
+const DATA_DIR = join(__dirname, '../data');
+const DEFAULT_DB_PATH = join(DATA_DIR, 'hoopforecast.db');
+const LEGACY_PREDICTIONS_FILE = join(DATA_DIR, 'predictions.json');
+
+/**
+ * Schema migrations - append only, never edit a migration that has shipped
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    sql: `
+      CREATE TABLE predictions (
+        id TEXT PRIMARY KEY,
+        player_name TEXT NOT NULL,
+        prop_type TEXT NOT NULL DEFAULT 'points',
+        predicted_value REAL,
+        line REAL,
+        over_odds INTEGER,
+        under_odds INTEGER,
+        bookmaker TEXT,
+        recommendation TEXT,
+        side TEXT,
+        odds INTEGER,
+        edge REAL,
+        confidence TEXT,
+        error_margin REAL,
+        method TEXT,
+        stats_json TEXT,
+        game_history_hash TEXT,
+        next_game_date TEXT,
+        game_date TEXT,
+        opponent TEXT,
+        is_home INTEGER,
+        team TEXT,
+        created_at TEXT NOT NULL,
+        evaluated INTEGER NOT NULL DEFAULT 0,
+        evaluated_at TEXT,
+        actual_value REAL,
+        absolute_error REAL,
+        percentage_error REAL,
+        within_margin INTEGER,
+        within_2x_margin INTEGER,
+        accuracy INTEGER,
+        bet_result TEXT,
+        profit_units REAL
+      );
+      CREATE INDEX idx_predictions_pending ON predictions (evaluated, game_date);
+      CREATE INDEX idx_predictions_game ON predictions (player_name, prop_type, next_game_date);
+
+      CREATE TABLE odds_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_name TEXT NOT NULL,
+        prop_type TEXT NOT NULL,
+        bookmaker TEXT NOT NULL,
+        line REAL,
+        over_odds INTEGER,
+        under_odds INTEGER,
+        event_id TEXT,
+        commence_time TEXT,
+        source TEXT,
+        captured_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_odds_snapshots_prop ON odds_snapshots (player_name, prop_type, captured_at);
+
+      CREATE TABLE game_logs (
+        player_name TEXT NOT NULL,
+        nba_player_id TEXT,
+        game_date TEXT NOT NULL,
+        season TEXT,
+        opponent TEXT,
+        stats_json TEXT NOT NULL,
+        fetched_at TEXT NOT NULL,
+        PRIMARY KEY (player_name, game_date)
+      );
+
+      CREATE TABLE store_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'closing_line_value',
+    sql: `
+      ALTER TABLE predictions ADD COLUMN bookmaker_key TEXT;
+      ALTER TABLE predictions ADD COLUMN event_id TEXT;
+      ALTER TABLE predictions ADD COLUMN commence_time TEXT;
+      ALTER TABLE predictions ADD COLUMN closing_line REAL;
+      ALTER TABLE predictions ADD COLUMN closing_odds INTEGER;
+      ALTER TABLE predictions ADD COLUMN closing_bookmaker TEXT;
+      ALTER TABLE predictions ADD COLUMN closing_captured_at TEXT;
+      ALTER TABLE predictions ADD COLUMN clv_points REAL;
+      ALTER TABLE predictions ADD COLUMN clv_probability REAL;
+    `
+  },
+  {
+    version: 3,
+    name: 'bankroll_settings',
+    sql: `
+      CREATE TABLE bankroll_settings (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        bankroll REAL NOT NULL,
+        kelly_fraction REAL NOT NULL,
+        max_game_exposure REAL NOT NULL,
+        max_player_exposure REAL NOT NULL,
+        same_player_correlation REAL NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'bet_tracker',
+    sql: `
+      CREATE TABLE bets (
+        id TEXT PRIMARY KEY,
+        player_name TEXT NOT NULL,
+        prop_type TEXT NOT NULL,
+        line REAL NOT NULL,
+        side TEXT NOT NULL,
+        odds INTEGER NOT NULL,
+        stake REAL NOT NULL,
+        bookmaker TEXT,
+        game_date TEXT NOT NULL,
+        event_id TEXT,
+        predicted_value REAL,
+        model_probability REAL,
+        confidence TEXT,
+        prediction_id TEXT,
+        notes TEXT,
+        source TEXT NOT NULL DEFAULT 'manual',
+        status TEXT NOT NULL DEFAULT 'pending',
+        actual_value REAL,
+        profit REAL,
+        placed_at TEXT NOT NULL,
+        settled_at TEXT
+      );
+      CREATE INDEX idx_bets_pending ON bets (status, game_date);
+    `
+  }
+];
+
+let db = null;
+
+/**
+ * Format any parseable date as YYYY-MM-DD
+ * ISO dates and local ISO times ("2025-01-10", "2025-01-10T19:30:00") are sliced, never
+ * parsed as UTC midnight. Other text without a time zone ("Jan 10, 2025") keeps its local
+ * day; timestamps with a zone and Date objects are keyed by their UTC day.
+ * @returns {string|null}
+ */
+export function toDateKey(dateValue) {
+  if (!dateValue) return null;
+  const text = typeof dateValue === 'string' ? dateValue.trim() : null;
+  const zoned = text != null && /(z|[+-]\d{2}:?\d{2})$/i.test(text) && /\d:\d/.test(text);
+  if (text && !zoned && /^\d{4}-\d{2}-\d{2}(?![\d])/.test(text)) return text.slice(0, 10);
+
+  const date = new Date(dateValue);
+  if (isNaN(date.getTime())) return null;
+  const local = text != null && !zoned;
+  const year = local ? date.getFullYear() : date.getUTCFullYear();
+  const month = String((local ? date.getMonth() : date.getUTCMonth()) + 1).padStart(2, '0');
+  const day = String(local ? date.getDate() : date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Apply any migrations newer than the recorded schema version
+ */
+function runMigrations(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const record = database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    database.transaction(() => {
+      database.exec(migration.sql);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+function getMeta(database, key) {
+  return database.prepare('SELECT value FROM store_meta WHERE key = ?').get(key)?.value ?? null;
+}
+
+function setMeta(database, key, value) {
+  database.prepare('INSERT INTO store_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, value);
+}
+
+/**
+ * Get the shared database connection (opens, migrates and imports legacy JSON on first use)
+ */
+export function getDb() {
+  if (db) return db;
+
+  const dbPath = process.env.HOOP_DB_PATH || DEFAULT_DB_PATH;
+  if (dbPath !== ':memory:' && !fs.existsSync(dirname(dbPath))) {
+    fs.mkdirSync(dirname(dbPath), { recursive: true });
+  }
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  runMigrations(db);
+
+  // One-time import of the old predictions.json history
+  if (!getMeta(db, 'predictions_json_imported') && fs.existsSync(LEGACY_PREDICTIONS_FILE)) {
+    try {
+      const { imported, skipped } = importPredictionsFromJson(LEGACY_PREDICTIONS_FILE);
+      console.log(`📥 Imported ${imported} predictions from ${LEGACY_PREDICTIONS_FILE} (${skipped} skipped)`);
+    } catch (error) {
+      console.error('❌ Failed to import predictions.json:', error.message);
+    }
+  }
+
+  return db;
+}
+
+/**
+ * Convert a prediction record (JSON-file shape) into column values
+ */
+export function predictionToRow(record) {
+  const propType = record.prop_type || 'points';
+  const toFlag = (value) => (value === null || value === undefined ? null : value ? 1 : 0);
+
+  return {
+    id: record.id,
+    player_name: record.player_name,
+    prop_type: propType,
+    predicted_value: record.predicted_value ?? record.predicted_points ?? null,
+    line: record.line ?? null,
+    over_odds: record.over_odds ?? null,
+    under_odds: record.under_odds ?? null,
+    bookmaker: record.bookmaker || null,
+    bookmaker_key: record.bookmaker_key || null,
+    recommendation: record.recommendation || null,
+    side: record.side || null,
+    odds: record.odds ?? null,
+    edge: record.edge ?? null,
+    confidence: record.confidence ?? null,
+    error_margin: record.error_margin ?? null,
+    method: record.method || null,
+    stats_json: JSON.stringify(record.stats || {}),
+    game_history_hash: record.game_history_hash || null,
+    next_game_date: record.next_game?.date || null,
+    game_date: toDateKey(record.next_game?.date),
+    opponent: record.next_game?.opponent || null,
+    is_home: toFlag(record.next_game?.is_home),
+    team: record.next_game?.team || null,
+    event_id: record.next_game?.event_id || null,
+    commence_time: record.next_game?.commence_time || null,
+    created_at: record.created_at || new Date().toISOString(),
+    evaluated: record.evaluated ? 1 : 0,
+    evaluated_at: record.evaluated_at || null,
+    actual_value: record.actual_value ?? record.actual_points ?? null,
+    absolute_error: record.absolute_error ?? null,
+    percentage_error: record.percentage_error ?? null,
+    within_margin: toFlag(record.within_margin),
+    within_2x_margin: toFlag(record.within_2x_margin),
+    accuracy: record.accuracy ?? null,
+    bet_result: record.bet_result || null,
+    profit_units: record.profit_units ?? null,
+    closing_line: record.closing_line ?? null,
+    closing_odds: record.closing_odds ?? null,
+    closing_bookmaker: record.closing_bookmaker || null,
+    closing_captured_at: record.closing_captured_at || null,
+    clv_points: record.clv_points ?? null,
+    clv_probability: record.clv_probability ?? null
+  };
+}
+
+/**
+ * Convert a predictions row back into the record shape the services use
+ */
+export function rowToPrediction(row) {
+  if (!row) return null;
+  const fromFlag = (value) => (value === null || value === undefined ? null : value === 1);
+  const isPoints = row.prop_type === 'points';
+
+  const { stats_json, next_game_date, game_date, opponent, is_home, team, event_id, commence_time, ...rest } = row;
+  return {
+    ...rest,
+    predicted_points: isPoints ? row.predicted_value : null,
+    actual_points: isPoints ? row.actual_value : null,
+    stats: stats_json ? JSON.parse(stats_json) : {},
+    next_game: {
+      date: next_game_date,
+      opponent,
+      is_home: fromFlag(is_home),
+      team,
+      event_id,
+      commence_time
+    },
+    evaluated: row.evaluated === 1,
+    within_margin: fromFlag(row.within_margin),
+    within_2x_margin: fromFlag(row.within_2x_margin)
+  };
+}
+
+/**
+ * Insert or replace a prediction record
+ */
+export function upsertPrediction(record) {
+  const row = predictionToRow(record);
+  const columns = Object.keys(row);
+  getDb().prepare(`
+    INSERT INTO predictions (${columns.join(', ')})
+    VALUES (${columns.map(column => `@${column}`).join(', ')})
+    ON CONFLICT(id) DO UPDATE SET ${columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')}
+  `).run(row);
+}
+
+/**
+ * One-time importer for the legacy data/predictions.json file
+ * Records already in the store are updated; records without an id or player, and
+ * repeats of an id earlier in the file, are skipped.
+ * @param {string} filePath - Path to predictions.json
+ * @returns {object} { imported, updated, skipped }
+ */
+export function importPredictionsFromJson(filePath = LEGACY_PREDICTIONS_FILE) {
+  const database = getDb();
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const predictions = Array.isArray(data?.predictions) ? data.predictions : [];
+  const exists = database.prepare('SELECT 1 FROM predictions WHERE id = ?');
+
+  const summary = { imported: 0, updated: 0, skipped: 0 };
+  const seen = new Set();
+  database.transaction((records) => {
+    for (const record of records) {
+      if (!record?.id || !record.player_name || seen.has(record.id)) {
+        summary.skipped++;
+        continue;
+      }
+      seen.add(record.id);
+      if (exists.get(record.id)) summary.updated++;
+      else summary.imported++;
+      upsertPrediction(record);
+    }
+    setMeta(database, 'predictions_json_imported', new Date().toISOString());
+  })(predictions);
+
+  return summary;
+}
+
+/**
+ * Store a player's game log rows (newest data wins)
+ * @param {string} playerName - Player name
+ * @param {string|number|null} nbaPlayerId - NBA.com player ID
+ * @param {array} games - Game objects from getPlayerGameLog
+ */
+export function saveGameLogs(playerName, nbaPlayerId, games) {
+  if (!playerName || !Array.isArray(games) || games.length === 0) return;
+
+  const database = getDb();
+  const fetchedAt = new Date().toISOString();
+  const insert = database.prepare(`
+    INSERT INTO game_logs (player_name, nba_player_id, game_date, season, opponent, stats_json, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(player_name, game_date) DO UPDATE SET
+      nba_player_id = excluded.nba_player_id,
+      season = excluded.season,
+      opponent = excluded.opponent,
+      stats_json = excluded.stats_json,
+      fetched_at = excluded.fetched_at
+  `);
+
+  database.transaction(() => {
+    for (const game of games) {
+      const gameDate = toDateKey(game.date);
+      if (!gameDate) continue;
+      insert.run(playerName, nbaPlayerId != null ? String(nbaPlayerId) : null, gameDate, game.season || null, game.opponent || null, JSON.stringify(game), fetchedAt);
+    }
+  })();
+}
+
+/**
+ * Read stored game logs for a player, newest first
+ * @param {string} playerName - Player name
+ * @param {object} options - { before: 'YYYY-MM-DD' (exclusive), limit }
+ */
+export function getGameLogs(playerName, { before = null, limit = 100 } = {}) {
+  const rows = getDb().prepare(`
+    SELECT stats_json FROM game_logs
+    WHERE player_name = ? COLLATE NOCASE AND (? IS NULL OR game_date < ?)
+    ORDER BY game_date DESC
+    LIMIT ?
+  `).all(playerName, before, before, limit);
+  return rows.map(row => JSON.parse(row.stats_json));
+}
+
+console.log('✅ SQLite store service initialized');
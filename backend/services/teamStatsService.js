@@ -0,0 +1,611 @@
+/**
+ * Team Stats Service - Pace, defensive rating and stats allowed by position
+ * Built from league-wide player game logs (NBA.com leaguegamelog + playerindex)
+ * or from a local import file, then cached in memory and snapshotted to
+ * data/team_stats.json. Feeds the pace / oppDef / oppVsPosition model features
+ * and the recent-form player profiles behind injury impact scores.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute, extname } from 'path';
+import { parse } from 'csv-parse/sync';
+import { http } from './httpClient.js';
+import { NBA_HEADERS, getCurrentSeason } from './nbaApiService.js';
+import { getPropType } from '../utils/propRegistry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const NBA_API_BASE = 'https://stats.nba.com/stats';
+const SNAPSHOT_FILE = join(__dirname, '../data/team_stats.json');
+const POSITIONS = ['G', 'F', 'C'];
+const RECENT_GAMES = 10;
+
+// Rebuild from NBA.com once the snapshot is older than this (hours)
+const MAX_AGE_HOURS = parseFloat(process.env.TEAM_STATS_MAX_AGE_HOURS) || 12;
+
+let teamStats = null; // Current snapshot
+let buildPromise = null; // Coalesces concurrent builds
+
+/**
+ * Primary position bucket (G, F or C) from NBA.com / ESPN position strings
+ */
+export function normalizePosition(position) {
+  if (!position) return null;
+  const value = position.toString().trim().toUpperCase();
+  if (value.startsWith('C')) return 'C';
+  if (value.startsWith('F') || value.includes('FORWARD')) return 'F';
+  if (value.startsWith('G') || value.includes('GUARD') || value === 'PG' || value === 'SG') return 'G';
+  if (value === 'SF' || value === 'PF') return 'F';
+  return null;
+}
+
+/**
+ * Lookup key for player names (accents, punctuation and Jr./Sr./II-IV suffixes dropped)
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+(jr|sr|ii|iii|iv)$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * YYYY-MM-DD key for a game date ("2025-01-15", "2025-01-15T00:00:00" or "Jan 15, 2025")
+ */
+export function toGameDateKey(value) {
+  if (!value) return null;
+  const text = value.toString().trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseMinutes(value) {
+  if (value == null || value === '') return 0;
+  if (typeof value === 'number') return value;
+  const [minutes, seconds] = value.toString().split(':');
+  return (parseFloat(minutes) || 0) + (parseFloat(seconds) || 0) / 60;
+}
+
+/**
+ * Opponent abbreviation from an NBA.com matchup string ("LAL vs. BOS" / "LAL @ BOS")
+ */
+function parseOpponent(matchup) {
+  const parts = (matchup || '').trim().split(/\s+/);
+  return parts.length >= 3 ? parts[parts.length - 1].toUpperCase() : null;
+}
+
+/**
+ * GET an NBA.com stats endpoint and return its first result set as row objects
+ */
+async function fetchResultSet(endpoint, params) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const response = await http.get(`${NBA_API_BASE}/${endpoint}`, {
+        params,
+        headers: NBA_HEADERS,
+        timeout: 60000
+      });
+      const resultSet = response.data?.resultSets?.[0];
+      if (!resultSet) return [];
+      return resultSet.rowSet.map(row => Object.fromEntries(resultSet.headers.map((header, i) => [header, row[i]])));
+    } catch (error) {
+      lastError = error;
+      const status = error.response?.status;
+      if ((status === 403 || status === 429 || error.code === 'ECONNABORTED') && attempt < 2) {
+        console.log(`⚠️ [TEAM STATS] ${endpoint} returned ${status || error.code}, retrying ${attempt + 1}/3...`);
+        await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
+        continue;
+      }
+      break;
+    }
+  }
+
+  throw lastError || new Error(`Failed to fetch ${endpoint}`);
+}
+
+/**
+ * Normalize a player game-log row (NBA.com headers or lowercase import columns)
+ */
+function normalizeLogRow(row) {
+  const get = (...keys) => {
+    for (const key of keys) {
+      if (row[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+    }
+    return null;
+  };
+  const number = (...keys) => parseFloat(get(...keys)) || 0;
+
+  const team = (get('TEAM_ABBREVIATION', 'team') || '').toString().toUpperCase();
+  const matchup = get('MATCHUP', 'matchup');
+  return {
+    player_id: get('PLAYER_ID', 'player_id'),
+    player_name: get('PLAYER_NAME', 'player_name', 'player'),
+    team,
+    opponent: ((get('opponent') || parseOpponent(matchup)) || '').toString().toUpperCase(),
+    game_id: (get('GAME_ID', 'game_id') || `${get('GAME_DATE', 'game_date', 'date')}|${[team, parseOpponent(matchup) || get('opponent')].sort().join('-')}`).toString(),
+    game_date: get('GAME_DATE', 'game_date', 'date'),
+    listed_position: get('POSITION', 'position'),
+    position: normalizePosition(get('POSITION', 'position')),
+    minutes: parseMinutes(get('MIN', 'minutes')),
+    points: number('PTS', 'points'),
+    rebounds: number('REB', 'rebounds'),
+    assists: number('AST', 'assists'),
+    threes: number('FG3M', 'threes'),
+    fga: number('FGA', 'fga'),
+    fta: number('FTA', 'fta'),
+    oreb: number('OREB', 'oreb'),
+    tov: number('TOV', 'tov', 'turnovers')
+  };
+}
+
+function emptyPositionTotals() {
+  return Object.fromEntries(POSITIONS.map(position => [position, { points: 0, rebounds: 0, assists: 0, threes: 0 }]));
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Pace, defensive rating and allowed-by-position averages over a set of games
+ * @param {array} games - [{ own, opp }] team-game totals (opp = the opponent's totals in that game)
+ */
+function summarizeTeamGames(games) {
+  if (games.length === 0) return null;
+
+  let possessions = 0;
+  let oppPossessions = 0;
+  let oppPoints = 0;
+  let paceSum = 0;
+  const allowed = emptyPositionTotals();
+
+  for (const { own, opp } of games) {
+    const ownPoss = own.fga + 0.44 * own.fta - own.oreb + own.tov;
+    const oppPoss = opp.fga + 0.44 * opp.fta - opp.oreb + opp.tov;
+    possessions += ownPoss;
+    oppPossessions += oppPoss;
+    oppPoints += opp.points;
+    // Possessions per 48 minutes (team minutes / 5 = game minutes, covers overtime)
+    const gameMinutes = own.minutes > 0 ? own.minutes / 5 : 48;
+    paceSum += 48 * ((ownPoss + oppPoss) / 2) / gameMinutes;
+
+    for (const position of POSITIONS) {
+      for (const stat of Object.keys(allowed[position])) {
+        allowed[position][stat] += opp.byPosition[position][stat];
+      }
+    }
+  }
+
+  const count = games.length;
+  return {
+    games: count,
+    pace: round(paceSum / count),
+    def_rating: oppPossessions > 0 ? round((oppPoints / oppPossessions) * 100) : null,
+    off_possessions_per_game: round(possessions / count),
+    opp_points: round(oppPoints / count),
+    allowed_by_position: Object.fromEntries(POSITIONS.map(position => [
+      position,
+      Object.fromEntries(Object.entries(allowed[position]).map(([stat, total]) => [stat, round(total / count)]))
+    ]))
+  };
+}
+
+/**
+ * Build per-team stats from player-level game logs
+ * @param {array} rows - Player game-log rows (NBA.com leaguegamelog or import columns)
+ * @param {Map} positionsById - Optional player id -> listed position, e.g. "G-F" (from playerindex)
+ * @param {object} meta - { season, source }
+ * @returns {object} Team stats snapshot
+ */
+export function buildTeamStatsFromPlayerLogs(rows, positionsById = new Map(), meta = {}) {
+  const teamGames = new Map(); // team|game_id -> totals
+  const playerPositions = {};
+  const playerGames = new Map(); // normalized name -> [{ row, key }]
+
+  for (const rawRow of rows) {
+    const row = normalizeLogRow(rawRow);
+    if (!row.team || !row.opponent || !row.game_id) continue;
+
+    const listedPosition = row.listed_position || positionsById.get(String(row.player_id)) || null;
+    const position = row.position || normalizePosition(listedPosition);
+    if (row.player_name && position) {
+      playerPositions[normalizeName(row.player_name)] = position;
+    }
+
+    const key = `${row.team}|${row.game_id}`;
+    if (row.player_name) {
+      const nameKey = normalizeName(row.player_name);
+      if (!playerGames.has(nameKey)) playerGames.set(nameKey, []);
+      playerGames.get(nameKey).push({ row: { ...row, listed_position: listedPosition, position }, key });
+    }
+    if (!teamGames.has(key)) {
+      teamGames.set(key, {
+        team: row.team,
+        opponent: row.opponent,
+        game_id: row.game_id,
+        game_date: row.game_date,
+        minutes: 0, points: 0, fga: 0, fta: 0, oreb: 0, tov: 0,
+        byPosition: emptyPositionTotals(),
+        players: new Set()
+      });
+    }
+    const totals = teamGames.get(key);
+    if (row.player_name && row.minutes > 0) {
+      totals.players.add(normalizeName(row.player_name));
+    }
+    totals.minutes += row.minutes;
+    totals.points += row.points;
+    totals.fga += row.fga;
+    totals.fta += row.fta;
+    totals.oreb += row.oreb;
+    totals.tov += row.tov;
+    if (position) {
+      totals.byPosition[position].points += row.points;
+      totals.byPosition[position].rebounds += row.rebounds;
+      totals.byPosition[position].assists += row.assists;
+      totals.byPosition[position].threes += row.threes;
+    }
+  }
+
+  // Pair every team-game with its opponent's totals
+  const gamesByTeam = {};
+  for (const own of teamGames.values()) {
+    const opp = teamGames.get(`${own.opponent}|${own.game_id}`);
+    if (!opp) continue;
+    (gamesByTeam[own.team] || (gamesByTeam[own.team] = [])).push({ own, opp });
+  }
+
+  const teams = {};
+  for (const [team, games] of Object.entries(gamesByTeam)) {
+    games.sort((a, b) => new Date(b.own.game_date) - new Date(a.own.game_date));
+    teams[team] = {
+      ...summarizeTeamGames(games),
+      last_10: summarizeTeamGames(games.slice(0, RECENT_GAMES))
+    };
+  }
+
+  // League averages (baseline for "tough" / "soft" matchups)
+  const teamList = Object.values(teams);
+  const average = (values) => values.length > 0 ? round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+  const leagueAverages = {
+    pace: average(teamList.map(t => t.pace)),
+    def_rating: average(teamList.map(t => t.def_rating).filter(v => v != null)),
+    allowed_by_position: Object.fromEntries(POSITIONS.map(position => [
+      position,
+      Object.fromEntries(['points', 'rebounds', 'assists', 'threes'].map(stat => [
+        stat,
+        average(teamList.map(t => t.allowed_by_position[position][stat]))
+      ]))
+    ]))
+  };
+
+  return {
+    season: meta.season || null,
+    source: meta.source || 'player_game_logs',
+    built_at: new Date().toISOString(),
+    team_count: teamList.length,
+    league_averages: leagueAverages,
+    teams,
+    player_positions: playerPositions,
+    players: buildPlayerProfiles(playerGames, teamGames),
+    team_games: buildTeamGameIndex(teamGames)
+  };
+}
+
+/**
+ * Per-team list of games with who played (normalized names) and the team's
+ * minutes and possessions - the basis for teammate with/without splits
+ */
+function buildTeamGameIndex(teamGames) {
+  const index = {};
+  for (const game of teamGames.values()) {
+    (index[game.team] || (index[game.team] = [])).push({
+      game_id: game.game_id,
+      date: toGameDateKey(game.game_date),
+      opponent: game.opponent,
+      minutes: round(game.minutes),
+      possessions: round(game.fga + 0.44 * game.fta + game.tov),
+      players: Array.from(game.players)
+    });
+  }
+  for (const games of Object.values(index)) {
+    games.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  }
+  return index;
+}
+
+/**
+ * Recent-form profile per player (last RECENT_GAMES games): team, position, minutes,
+ * usage rate and production. Used to resolve injured players and score their impact.
+ * @param {Map} playerGames - normalized name -> [{ row, key }]
+ * @param {Map} teamGames - team|game_id -> team totals for the usage denominator
+ */
+function buildPlayerProfiles(playerGames, teamGames) {
+  const profiles = {};
+
+  for (const [nameKey, entries] of playerGames.entries()) {
+    const recent = entries
+      .filter(({ row }) => row.minutes > 0)
+      .sort((a, b) => new Date(b.row.game_date) - new Date(a.row.game_date))
+      .slice(0, RECENT_GAMES);
+    if (recent.length === 0) continue;
+
+    const latest = recent[0].row;
+    const sum = (stat) => recent.reduce((total, { row }) => total + row[stat], 0);
+
+    // Usage rate: share of team possessions used while on the floor
+    let usedPossessions = 0;
+    let teamPossessionsOnFloor = 0;
+    for (const { row, key } of recent) {
+      const team = teamGames.get(key);
+      const teamPossessions = team ? team.fga + 0.44 * team.fta + team.tov : 0;
+      if (!team || teamPossessions <= 0 || team.minutes <= 0) continue;
+      usedPossessions += (row.fga + 0.44 * row.fta + row.tov) * (team.minutes / 5);
+      teamPossessionsOnFloor += row.minutes * teamPossessions;
+    }
+
+    const count = recent.length;
+    profiles[nameKey] = {
+      player_id: latest.player_id != null ? String(latest.player_id) : null,
+      name: latest.player_name,
+      team: latest.team,
+      position: latest.position || null,
+      listed_position: latest.listed_position || latest.position || null,
+      games: count,
+      minutes: round(sum('minutes') / count),
+      usage: teamPossessionsOnFloor > 0 ? round((usedPossessions / teamPossessionsOnFloor) * 100) : null,
+      points: round(sum('points') / count),
+      rebounds: round(sum('rebounds') / count),
+      assists: round(sum('assists') / count),
+      threes: round(sum('threes') / count)
+    };
+  }
+
+  return profiles;
+}
+
+/**
+ * Build the snapshot from NBA.com league game logs
+ * @param {string} season - e.g. "2024-25" (defaults to the current season)
+ */
+export async function buildTeamStatsFromNBA(season = getCurrentSeason()) {
+  console.log(`📊 [TEAM STATS] Building team stats from NBA.com league game logs (${season})...`);
+
+  const rows = await fetchResultSet('leaguegamelog', {
+    LeagueID: '00',
+    Season: season,
+    SeasonType: 'Regular Season',
+    PlayerOrTeam: 'P',
+    Direction: 'DESC',
+    Sorter: 'DATE'
+  });
+
+  // Positions are optional - without them allowed-by-position stays empty
+  const positionsById = new Map();
+  try {
+    const players = await fetchResultSet('playerindex', { LeagueID: '00', Season: season, Historical: 0 });
+    for (const player of players) {
+      if (normalizePosition(player.POSITION)) positionsById.set(String(player.PERSON_ID), player.POSITION);
+    }
+  } catch (error) {
+    console.warn(`⚠️ [TEAM STATS] Could not load player positions: ${error.message}`);
+  }
+
+  const snapshot = buildTeamStatsFromPlayerLogs(rows, positionsById, { season, source: 'nba_league_game_log' });
+  console.log(`✅ [TEAM STATS] Built stats for ${snapshot.team_count} teams from ${rows.length} player games`);
+  return snapshot;
+}
+
+/**
+ * Load a local import: a saved snapshot (JSON object with `teams`) or player
+ * game-log rows as a JSON array / CSV (NBA.com headers or lowercase columns)
+ * @param {string} filePath - Absolute or relative to backend/
+ */
+export function importTeamStatsFile(filePath) {
+  const resolvedPath = isAbsolute(filePath) ? filePath : join(__dirname, '..', filePath);
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+
+  if (extname(resolvedPath).toLowerCase() === '.csv') {
+    const rows = parse(content, { columns: true, skip_empty_lines: true, trim: true });
+    return buildTeamStatsFromPlayerLogs(rows, new Map(), { source: `import:${resolvedPath}` });
+  }
+
+  const data = JSON.parse(content);
+  if (data && !Array.isArray(data) && data.teams) {
+    return data;
+  }
+  return buildTeamStatsFromPlayerLogs(Array.isArray(data) ? data : [], new Map(), { source: `import:${resolvedPath}` });
+}
+
+function saveSnapshot(snapshot) {
+  try {
+    fs.mkdirSync(dirname(SNAPSHOT_FILE), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(snapshot, null, 2));
+  } catch (error) {
+    console.warn(`⚠️ [TEAM STATS] Could not write snapshot: ${error.message}`);
+  }
+}
+
+function loadSnapshot() {
+  if (!fs.existsSync(SNAPSHOT_FILE)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ [TEAM STATS] Ignoring unreadable snapshot: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rebuild the snapshot (from an import file or NBA.com), keep it in memory and save it
+ * @param {object} options - { season, filePath }
+ * @returns {Promise<object>} The new snapshot
+ */
+export async function refreshTeamStats({ season, filePath = null } = {}) {
+  const snapshot = filePath ? importTeamStatsFile(filePath) : await buildTeamStatsFromNBA(season);
+  teamStats = snapshot;
+  saveSnapshot(snapshot);
+  return snapshot;
+}
+
+function isFresh(snapshot) {
+  if (!snapshot?.built_at) return false;
+  return Date.now() - new Date(snapshot.built_at).getTime() < MAX_AGE_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Current team stats snapshot
+ * Order: memory -> TEAM_STATS_FILE import -> fresh data/team_stats.json -> rebuild
+ * from NBA.com (saved as the new snapshot) -> stale snapshot as a last resort.
+ * @param {object} options - { forceRefresh, waitForBuild }
+ *   waitForBuild=false returns whatever is on hand (possibly stale or null) and
+ *   rebuilds in the background, so request handlers never wait on NBA.com.
+ * @returns {Promise<object|null>}
+ */
+export async function getTeamStats({ forceRefresh = false, waitForBuild = true } = {}) {
+  if (!forceRefresh && isFresh(teamStats)) return teamStats;
+
+  if (!forceRefresh && process.env.TEAM_STATS_FILE) {
+    teamStats = importTeamStatsFile(process.env.TEAM_STATS_FILE);
+    // Imports don't expire on their own
+    teamStats.built_at = new Date().toISOString();
+    return teamStats;
+  }
+
+  const snapshot = forceRefresh ? null : loadSnapshot();
+  if (isFresh(snapshot)) {
+    teamStats = snapshot;
+    return teamStats;
+  }
+
+  if (!buildPromise) {
+    buildPromise = refreshTeamStats()
+      .catch(error => {
+        console.error(`❌ [TEAM STATS] Build failed: ${error.message}`);
+        const fallback = teamStats || snapshot || loadSnapshot();
+        if (fallback) {
+          console.warn('⚠️ [TEAM STATS] Using stale snapshot');
+        }
+        return fallback || null;
+      })
+      .finally(() => {
+        buildPromise = null;
+      });
+  }
+
+  if (!waitForBuild) {
+    return teamStats || snapshot || null;
+  }
+  return buildPromise;
+}
+
+/**
+ * Recent-form profile for a player from the current snapshot
+ * Matches on the normalized name, then on last name within the team when the
+ * injury feed and NBA.com spell a name differently (e.g. "PJ" vs "P.J.").
+ * @param {string} playerName - Player name
+ * @param {string|null} teamAbbrev - Team, used to disambiguate last-name matches
+ * @returns {Promise<object|null>} Profile from buildPlayerProfiles, or null
+ */
+export async function getPlayerProfile(playerName, teamAbbrev = null) {
+  const stats = await getTeamStats({ waitForBuild: false });
+  const players = stats?.players;
+  if (!players || !playerName) return null;
+
+  const nameKey = normalizeName(playerName);
+  if (players[nameKey]) return players[nameKey];
+
+  const lastName = nameKey.split(' ').pop();
+  const team = teamAbbrev ? teamAbbrev.toUpperCase() : null;
+  const candidates = Object.entries(players).filter(([key, profile]) =>
+    key.split(' ').pop() === lastName && (!team || profile.team === team)
+  );
+  return candidates.length === 1 ? candidates[0][1] : null;
+}
+
+/**
+ * Games a team played this season with the players who appeared in each
+ * @param {string} teamAbbrev - Team abbreviation
+ * @returns {Promise<array>} [{ game_id, date, opponent, minutes, possessions, players }] (most recent first)
+ */
+export async function getTeamGames(teamAbbrev) {
+  if (!teamAbbrev) return [];
+  const stats = await getTeamStats({ waitForBuild: false });
+  return stats?.team_games?.[teamAbbrev.toUpperCase()] || [];
+}
+
+/**
+ * Stat allowed to a position for a prop type (combos are summed)
+ */
+function getAllowedForProp(allowedByPosition, position, propType) {
+  const allowed = allowedByPosition?.[position];
+  if (!allowed) return null;
+
+  // Only summed props made entirely of stats tracked by position (points, rebounds, assists, threes)
+  const prop = getPropType(propType);
+  const components = prop?.components;
+  if (!components || prop.milestone || !components.every(stat => allowed[stat] != null)) return null;
+
+  return round(components.reduce((sum, stat) => sum + (allowed[stat] || 0), 0));
+}
+
+/**
+ * Matchup context for a player's next game
+ * @param {string} playerName - Player name (position is looked up from the league logs)
+ * @param {string} teamAbbrev - Player's team
+ * @param {string} opponentAbbrev - Opponent
+ * @param {string} propType - Prop type for the position-specific allowed stat
+ * @param {string|null} position - Known position (skips the lookup)
+ * @returns {Promise<object|null>} { pace, oppDef, oppVsPosition, position, opponent: {...}, team: {...} }
+ */
+export async function getMatchupContext(playerName, teamAbbrev, opponentAbbrev, propType = 'points', position = null) {
+  if (!opponentAbbrev) return null;
+
+  const stats = await getTeamStats({ waitForBuild: false });
+  const opponent = stats?.teams?.[opponentAbbrev.toUpperCase()];
+  if (!opponent) return null;
+
+  const team = teamAbbrev ? stats.teams[teamAbbrev.toUpperCase()] : null;
+  const playerPosition = normalizePosition(position) || stats.player_positions?.[normalizeName(playerName)] || null;
+
+  // Expected game pace: average of both teams, weighted toward recent form
+  const blendedPace = (teamStats) => teamStats.last_10?.pace != null
+    ? teamStats.pace * 0.5 + teamStats.last_10.pace * 0.5
+    : teamStats.pace;
+  const pace = team ? (blendedPace(team) + blendedPace(opponent)) / 2 : blendedPace(opponent);
+
+  return {
+    pace: round(pace),
+    oppDef: opponent.def_rating,
+    oppVsPosition: playerPosition ? getAllowedForProp(opponent.allowed_by_position, playerPosition, propType) : null,
+    position: playerPosition,
+    opponent: {
+      team: opponentAbbrev.toUpperCase(),
+      pace: opponent.pace,
+      def_rating: opponent.def_rating,
+      allowed_to_position: playerPosition ? getAllowedForProp(opponent.allowed_by_position, playerPosition, propType) : null,
+      last_10: opponent.last_10 ? {
+        pace: opponent.last_10.pace,
+        def_rating: opponent.last_10.def_rating,
+        allowed_to_position: playerPosition ? getAllowedForProp(opponent.last_10.allowed_by_position, playerPosition, propType) : null
+      } : null
+    },
+    league: {
+      pace: stats.league_averages?.pace ?? null,
+      def_rating: stats.league_averages?.def_rating ?? null,
+      allowed_to_position: playerPosition ? getAllowedForProp(stats.league_averages?.allowed_by_position, playerPosition, propType) : null
+    },
+    built_at: stats.built_at
+  };
+}
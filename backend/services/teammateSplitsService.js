@@ -0,0 +1,167 @@
+/**
+ * Teammate Splits Service - How a player performs with and without a teammate
+ * Matches the player's game log against the team's league game logs (who
+ * appeared in each team game) to find the games a teammate missed, then
+ * averages every prop, minutes and usage rate in both sets of games.
+ */
+
+import { getTeamGames, normalizeName, toGameDateKey } from './teamStatsService.js';
+import { PROP_TYPES, getPropValue, getStatValue, resolvePropId } from '../utils/propRegistry.js';
+
+// Fewest games without the teammate before a split is used by the model
+export const MIN_SPLIT_GAMES = 3;
+
+function parseMinutes(value) {
+  if (value == null || value === '') return 0;
+  if (typeof value === 'number') return value;
+  const [minutes, seconds] = value.toString().split(':');
+  return (parseFloat(minutes) || 0) + (parseFloat(seconds) || 0) / 60;
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  return parseFloat(value) || 0;
+}
+
+/**
+ * Averages, minutes and usage rate over one side of a split
+ * @param {array} entries - [{ game, teamGame }]
+ */
+function summarizeSplit(entries) {
+  if (entries.length === 0) {
+    return { games: 0, minutes: null, usage: null, averages: {} };
+  }
+
+  const count = entries.length;
+  const averages = {};
+  // Every registry prop, keyed by its canonical id
+  for (const prop of PROP_TYPES) {
+    const total = entries.reduce((sum, { game }) => sum + getPropValue(game, prop.id), 0);
+    averages[prop.id] = round(total / count);
+  }
+
+  // Usage rate: share of team possessions used while on the floor
+  let usedPossessions = 0;
+  let teamPossessionsOnFloor = 0;
+  let totalMinutes = 0;
+  for (const { game, teamGame } of entries) {
+    const minutes = parseMinutes(game.minutes);
+    totalMinutes += minutes;
+    if (minutes <= 0 || !teamGame.possessions || !teamGame.minutes) continue;
+    const playerPossessions = toNumber(game.fga ?? game.field_goals_attempted) +
+      0.44 * toNumber(game.fta ?? game.free_throws_attempted) +
+      getStatValue(game, 'turnovers');
+    usedPossessions += playerPossessions * (teamGame.minutes / 5);
+    teamPossessionsOnFloor += minutes * teamGame.possessions;
+  }
+
+  return {
+    games: count,
+    minutes: round(totalMinutes / count),
+    usage: teamPossessionsOnFloor > 0 ? round((usedPossessions / teamPossessionsOnFloor) * 100) : null,
+    averages
+  };
+}
+
+/**
+ * With/without split for one teammate
+ * Only games found in the team's league game logs count (other seasons and
+ * games for another team are left out of both sides).
+ * @param {array} games - The player's game log
+ * @param {string} playerName - Player name
+ * @param {string} teamAbbrev - Player's current team
+ * @param {string} teammateName - Teammate to split on
+ * @returns {Promise<object|null>} { teammate, team, with, without, without_game_dates, games_matched }
+ */
+export async function getTeammateSplits(games, playerName, teamAbbrev, teammateName) {
+  if (!Array.isArray(games) || games.length === 0 || !teamAbbrev || !teammateName) return null;
+
+  const teamGames = await getTeamGames(teamAbbrev);
+  if (teamGames.length === 0) return null;
+
+  const playerKey = normalizeName(playerName);
+  const teammateKey = normalizeName(teammateName);
+  const teamGamesByDate = new Map(teamGames.map(teamGame => [teamGame.date, teamGame]));
+
+  const withTeammate = [];
+  const withoutTeammate = [];
+  for (const game of games) {
+    const teamGame = teamGamesByDate.get(toGameDateKey(game.date));
+    // The player has to be in the team's log for that date (guards against trades)
+    if (!teamGame || !teamGame.players.includes(playerKey)) continue;
+    (teamGame.players.includes(teammateKey) ? withTeammate : withoutTeammate).push({ game, teamGame });
+  }
+
+  if (withTeammate.length + withoutTeammate.length === 0) return null;
+
+  return {
+    teammate: teammateName,
+    team: teamAbbrev.toUpperCase(),
+    games_matched: withTeammate.length + withoutTeammate.length,
+    with: summarizeSplit(withTeammate),
+    without: summarizeSplit(withoutTeammate),
+    // Original date strings from the game log so the frontend can filter on them
+    without_game_dates: withoutTeammate.map(({ game }) => game.date)
+  };
+}
+
+/**
+ * Splits for every teammate ruled OUT on the injury report (highest impact first)
+ * @param {array} games - The player's game log
+ * @param {string} playerName - Player name
+ * @param {string} teamAbbrev - Player's team
+ * @param {array} playerTeamInjuries - injuryData.playerTeamInjuries
+ * @param {number} limit - Max teammates to split on
+ * @returns {Promise<array>} Splits with the teammate's status and impact score
+ */
+export async function getOutTeammateSplits(games, playerName, teamAbbrev, playerTeamInjuries, limit = 3) {
+  if (!Array.isArray(playerTeamInjuries) || playerTeamInjuries.length === 0) return [];
+
+  const playerKey = normalizeName(playerName);
+  const outTeammates = playerTeamInjuries
+    .filter(injury => injury.structuredStatus === 'out' && injury.playerName && normalizeName(injury.playerName) !== playerKey)
+    .sort((a, b) => (b.impactScore || 0) - (a.impactScore || 0))
+    .slice(0, limit);
+
+  const splits = [];
+  for (const injury of outTeammates) {
+    const split = await getTeammateSplits(games, playerName, teamAbbrev, injury.playerName);
+    if (split) {
+      splits.push({ ...split, status: injury.status, impactScore: injury.impactScore ?? null });
+    }
+  }
+  return splits;
+}
+
+/**
+ * Ratio of a prop's average without vs with the teammate, shrunk toward 1.0
+ * for small samples (5 games without the teammate = half weight)
+ * @param {object} split - From getTeammateSplits
+ * @param {string} propType - Prop id or alias (e.g. 'pr', 'points_rebounds')
+ * @param {object} options - { perMinute } compare per-minute production instead of per-game
+ * @returns {number|null} Multiplier, or null when the split is too thin to use
+ */
+export function getSplitFactor(split, propType, { perMinute = false } = {}) {
+  const prop = resolvePropId(propType);
+  let withAvg = split?.with?.averages?.[prop];
+  let withoutAvg = split?.without?.averages?.[prop];
+  if (!split || split.without.games < MIN_SPLIT_GAMES || split.with.games < MIN_SPLIT_GAMES || !withAvg || withoutAvg == null) {
+    return null;
+  }
+
+  // Per-minute rates isolate the usage change when minutes are projected separately
+  if (perMinute) {
+    if (!split.with.minutes || !split.without.minutes) return null;
+    withAvg /= split.with.minutes;
+    withoutAvg /= split.without.minutes;
+  }
+
+  const weight = split.without.games / (split.without.games + 5);
+  const factor = 1 + weight * (withoutAvg / withAvg - 1);
+  return round(Math.max(0.8, Math.min(1.3, factor)), 3);
+}
@@ -1,86 +1,15 @@
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
 import { storePrediction } from './predictionTrackingService.js';
-
-dotenv.config();
-
-// Initialize OpenAI client (lazy initialization)
-let openai = null;
-
-function getOpenAIClient() {
-  if (!openai) {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required. Please set it in your .env file.');
-    }
-    openai = new OpenAI({
-      apiKey: OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
-
-/**
- * Prop type mapping to standardized format
- */
-const PROP_TYPE_MAP = {
-  'points': 'PTS',
-  'rebounds': 'REB',
-  'assists': 'AST',
-  'steals': 'STL',
-  'blocks': 'BLK',
-  'threes': '3PM',
-  'threes_made': '3PM',
-  'turnovers': 'TO',
-  'points_rebounds': 'PR',  // Points + Rebounds
-  'points_assists': 'PA',   // Points + Assists
-  'rebounds_assists': 'RA', // Rebounds + Assists
-  'points_rebounds_assists': 'PRA' // Points + Rebounds + Assists
-};
-
-/**
- * Get the stat value for a specific prop type from a game
- */
-export function getPropValue(game, propType) {
-  switch (propType) {
-    case 'points':
-      return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-    case 'assists':
-      return typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-    case 'rebounds':
-      return typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-    case 'steals':
-      return typeof game.steals === 'number' ? game.steals : parseFloat(game.steals) || 0;
-    case 'blocks':
-      return typeof game.blocks === 'number' ? game.blocks : parseFloat(game.blocks) || 0;
-    case 'threes':
-    case 'threes_made':
-      return typeof game.threes === 'number' ? game.threes : 
-             typeof game.threes_made === 'number' ? game.threes_made :
-             parseFloat(game.threes || game.threes_made) || 0;
-    case 'turnovers':
-      return typeof game.turnovers === 'number' ? game.turnovers : parseFloat(game.turnovers) || 0;
-    case 'points_rebounds':
-      const pts1 = typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-      const reb1 = typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-      return pts1 + reb1;
-    case 'points_assists':
-      const pts2 = typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-      const ast1 = typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-      return pts2 + ast1;
-    case 'rebounds_assists':
-      const reb2 = typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-      const ast2 = typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-      return reb2 + ast2;
-    case 'points_rebounds_assists':
-      const pts3 = typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-      const reb3 = typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-      const ast3 = typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-      return pts3 + reb3 + ast3;
-    default:
-      return 0;
-  }
-}
+import { runModelProvider } from './modelProviderService.js';
+import { buildPredictiveDistribution } from './distributionService.js';
+import { priceLadder } from './ladderService.js';
+import { getMatchupContext } from './teamStatsService.js';
+import { calculateInjuryAdjustment } from './injuryService.js';
+import { getOutTeammateSplits, getSplitFactor } from './teammateSplitsService.js';
+import { projectMinutes } from './minutesProjectionService.js';
+import { getNextGameSchedule, getScheduleAdjustment } from './scheduleContextService.js';
+import { predictMilestoneProbability } from './milestoneService.js';
+import { noVigProbability } from '../utils/oddsMath.js';
+import { getPropType, getPropValue, getPropLabel, getModelCode, propIncludesStat } from '../utils/propRegistry.js';
 
 /**
  * Parse minutes from various formats
@@ -182,10 +111,11 @@ function formatOpponentInjuries(opponentInjuries, propType) {
   const highImpactInjuries = opponentInjuries.filter(inj => (inj.impactScore || 0) >= 70);
   
   // For REBOUNDS: Check for missing rim protector/bigs
-  if (propType === 'rebounds' || propType === 'points_rebounds' || propType === 'rebounds_assists' || propType === 'points_rebounds_assists') {
+  if (propIncludesStat(propType, 'rebounds')) {
     const missingRimProtector = opponentInjuries.some(inj => {
       const pos = (inj.position || '').toUpperCase();
-      return (pos === 'C' || pos.includes('CENTER') || pos === 'PF') && (inj.impactScore || 0) >= 70;
+      const isBig = pos === 'C' || pos.includes('CENTER') || pos === 'PF' || pos.split('-').includes('C');
+      return isBig && (inj.impactScore || 0) >= 70;
     });
     if (missingRimProtector) {
       contextualNotes.push('missing rim protector');
@@ -193,10 +123,12 @@ function formatOpponentInjuries(opponentInjuries, propType) {
   }
 
   // For ASSISTS: Check for missing PG defenders
-  if (propType === 'assists' || propType === 'points_assists' || propType === 'rebounds_assists' || propType === 'points_rebounds_assists') {
+  if (propIncludesStat(propType, 'assists')) {
     const hasStartingPG = opponentInjuries.some(inj => {
       const pos = (inj.position || '').toUpperCase();
-      return pos === 'PG' && (inj.impactScore || 0) >= 70;
+      // NBA.com only lists "G" - treat the guard running the offense (5+ assists) as the PG
+      const isPointGuard = pos === 'PG' || (inj.positionGroup === 'G' && (inj.recentStats?.assists || 0) >= 5);
+      return isPointGuard && (inj.impactScore || 0) >= 70;
     });
     if (hasStartingPG) {
       contextualNotes.push('missing starting PG');
@@ -204,11 +136,12 @@ function formatOpponentInjuries(opponentInjuries, propType) {
   }
 
   // For POINTS/3PM: Check for missing perimeter defenders
-  if (propType === 'points' || propType === 'threes' || propType === 'threes_made' || propType === 'points_assists' || propType === 'points_rebounds' || propType === 'points_rebounds_assists') {
+  if (propIncludesStat(propType, 'points') || propIncludesStat(propType, 'threes')) {
     const hasTopPerimeterDefender = opponentInjuries.some(inj => {
       const pos = (inj.position || '').toUpperCase();
-      return (pos === 'SG' || pos === 'SF' || pos.includes('GUARD') || pos.includes('FORWARD')) && 
-             (inj.impactScore || 0) >= 80;
+      const isPerimeter = pos === 'SG' || pos === 'SF' || pos.includes('GUARD') || pos.includes('FORWARD') ||
+                          inj.positionGroup === 'G' || inj.positionGroup === 'F';
+      return isPerimeter && (inj.impactScore || 0) >= 80;
     });
     if (hasTopPerimeterDefender) {
       contextualNotes.push('missing top perimeter defender');
@@ -245,9 +178,14 @@ function calculateStdDev(values) {
 }
 
 /**
- * Build prop-specific features for fine-tuned model
+ * Build prop-specific features for the model providers
+ * @param {object} context - { matchup } opponent pace/defense from teamStatsService.getMatchupContext,
+ *                           { teammateSplits } with/without splits for OUT teammates,
+ *                           { minutesProjection } from minutesProjectionService.projectMinutes,
+ *                           { schedule } rest/travel context for the next game from scheduleContextService
  */
-function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData, bettingLine) {
+function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData, bettingLine, context = {}) {
+  const { matchup: matchupContext = null, teammateSplits = [], minutesProjection = null, schedule = null } = context;
   const chronologicalGames = [...games].reverse();
   const valuesArray = chronologicalGames.map(g => getPropValue(g, propType));
 
@@ -278,6 +216,26 @@ function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData
   const oppInjuries = injuryData?.opponentInjuries || [];
   const oppInjuriesFormatted = formatOpponentInjuries(oppInjuries, propType);
 
+  // Teammates ruled out free up minutes and shots (scaled by their impact scores)
+  const teammatesOut = (injuryData?.playerTeamInjuries || []).filter(inj =>
+    inj.structuredStatus === 'out' && inj.playerName &&
+    inj.playerName.toLowerCase() !== (playerName || '').toLowerCase()
+  );
+  const teammateOutAdjustment = calculateInjuryAdjustment(playerName, nextGameInfo?.team, teammatesOut);
+
+  // How this player actually did without the highest-impact OUT teammate (when the sample is big enough)
+  const withoutSplit = teammateSplits.find(split => getSplitFactor(split, propType) != null) || null;
+  const withoutTeammate = withoutSplit ? {
+    teammate: withoutSplit.teammate,
+    games: withoutSplit.without.games,
+    avg: withoutSplit.without.averages[propType],
+    withAvg: withoutSplit.with.averages[propType],
+    minutes: withoutSplit.without.minutes,
+    usage: withoutSplit.without.usage,
+    factor: getSplitFactor(withoutSplit, propType),
+    rateFactor: getSplitFactor(withoutSplit, propType, { perMinute: true })
+  } : null;
+
   // Usage rate (estimated from points per minute and minutes played)
   const pointsArray = chronologicalGames.map(g => {
     const pts = typeof g.points === 'number' ? g.points : parseFloat(g.points) || 0;
@@ -294,20 +252,20 @@ function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData
   let threePointAttempts = null;
 
   // For rebounds: calculate rebound share
-  if (propType === 'rebounds' || propType === 'points_rebounds' || propType === 'rebounds_assists' || propType === 'points_rebounds_assists') {
+  if (propIncludesStat(propType, 'rebounds')) {
     // Estimate rebound share (simplified - would need team rebounds)
     const avgRebounds = avgValue;
     reboundShare = avgMinutes && avgMinutes > 0 ? (avgRebounds / avgMinutes) * 0.15 : null; // Rough estimate
   }
 
   // For assists: estimate potential assists
-  if (propType === 'assists' || propType === 'points_assists' || propType === 'rebounds_assists' || propType === 'points_rebounds_assists') {
+  if (propIncludesStat(propType, 'assists')) {
     // Potential assists estimate (simplified)
     potentialAssists = avgValue * 1.5; // Rough estimate
   }
 
   // For 3PM: get three point attempts
-  if (propType === 'threes' || propType === 'threes_made') {
+  if (propIncludesStat(propType, 'threes')) {
     const threeAttemptsArray = chronologicalGames.map(g => {
       const tpa = typeof g.three_pointers_attempted === 'number' ? g.three_pointers_attempted :
                   typeof g.tpa === 'number' ? g.tpa :
@@ -318,11 +276,13 @@ function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData
     threePointAttempts = threeAttemptsArray.reduce((a, b) => a + b, 0) / threeAttemptsArray.length;
   }
 
-  // Pace and defensive stats (would ideally come from team stats APIs)
-  // For now, use null if not available (matches training format)
-  const pace = null; // Would need team pace data
-  const oppDef = null; // Would need opponent defensive rating (prop-specific)
-  const oppVsPosition = null; // Would need position-specific defensive stats (prop-specific)
+  // Pace and defensive stats for the next opponent (null when team stats are unavailable, matches training format)
+  const pace = matchupContext?.pace ?? null;
+  const oppDef = matchupContext?.oppDef ?? null; // Opponent defensive rating (points allowed per 100 possessions)
+  const oppVsPosition = matchupContext?.oppVsPosition ?? null; // Prop stat allowed per game to the player's position
+
+  // Rest and travel for the next game (fatigue beyond what the minutes projection covers)
+  const scheduleAdjustment = getScheduleAdjustment(schedule);
 
   return {
     playerName,
@@ -331,13 +291,27 @@ function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData
     recentAvg3: Math.round(recent3Avg * 10) / 10,
     recentAvg5: Math.round(recent5Avg * 10) / 10,
     seasonAvg: Math.round(avgValue * 10) / 10,
-    minutes: recent3MinutesAvg || avgMinutes || null,
+    minutes: minutesProjection?.projected ?? (recent3MinutesAvg || avgMinutes || null),
+    avgMinutes,
+    minutesProjection,
     usageRate: usageRate ? Math.round(usageRate * 10) / 10 : null,
     pace,
     oppDef,
     oppVsPosition,
     injuryStatus: playerInjury.status,
+    minutesReduction: playerInjury.minutesReduction,
     oppInjuries: oppInjuriesFormatted,
+    teammateOutAdjustment,
+    withoutTeammate,
+    restDays: schedule?.rest_days ?? null,
+    backToBack: schedule?.back_to_back ?? null,
+    threeInFour: schedule?.three_in_four ?? null,
+    roadTripGame: schedule?.road_trip_game ?? null,
+    travelMiles: schedule?.travel_miles ?? null,
+    tzShift: schedule?.tz_shift ?? null,
+    atAltitude: schedule?.at_altitude ?? null,
+    scheduleFactor: scheduleAdjustment.factor,
+    scheduleDrivers: scheduleAdjustment.drivers,
     // Prop-specific features
     reboundShare: reboundShare ? Math.round(reboundShare * 10) / 10 : null,
     potentialAssists: potentialAssists ? Math.round(potentialAssists * 10) / 10 : null,
@@ -346,111 +320,12 @@ function buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData
     gamesCount: games.length,
     volatility: Math.round(volatility * 10) / 10,
     stdDev: Math.round(stdDev * 10) / 10,
+    // Chronological values for models that look at the game-by-game series
+    valuesHistory: valuesArray,
     nextGameInfo
   };
 }
 
-/**
- * Generate numeric prediction using fine-tuned model - EXACT TRAINING FORMAT
- */
-async function generateNumericPrediction(features, maxRetries = 3) {
-  const {
-    playerName, propType, vegasLine, recentAvg3, recentAvg5, seasonAvg,
-    minutes, usageRate, pace, oppDef, oppVsPosition, injuryStatus, oppInjuries
-  } = features;
-
-  // Map prop type to standardized format
-  const propTypeFormatted = PROP_TYPE_MAP[propType] || propType.toUpperCase();
-
-  // Build input in EXACT training format
-  const formatValue = (val) => {
-    if (val === null || val === undefined) return 'null';
-    if (typeof val === 'number') return val.toFixed(1);
-    return val.toString();
-  };
-
-  // Use season avg as fallback for vegas_line if not available
-  const vegasLineValue = vegasLine || seasonAvg;
-
-  const userInput = `player: ${playerName}
-prop_type: ${propTypeFormatted}
-vegas_line: ${formatValue(vegasLineValue)}
-season_avg: ${seasonAvg.toFixed(1)}
-recent_avg_5: ${recentAvg5.toFixed(1)}
-recent_avg_3: ${recentAvg3.toFixed(1)}
-usage: ${formatValue(usageRate)}
-minutes: ${formatValue(minutes)}
-pace: ${formatValue(pace)}
-opp_def: ${formatValue(oppDef)}
-opp_vs_position: ${formatValue(oppVsPosition)}
-injury: ${injuryStatus || 'active'}
-opp_injuries: ${oppInjuries || 'none'}`;
-
-  // LOG EXACT PROMPT FOR VERIFICATION
-  console.log(`\n📤 [MODEL INPUT - ${propTypeFormatted}] Exact prompt sent to fine-tuned model:`);
-  console.log('='.repeat(80));
-  console.log(userInput);
-  console.log('='.repeat(80));
-
-  const systemMessage = "Predict NBA stats using structured features. Output only a number.";
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    console.log(`📤 [PREDICTION-${propTypeFormatted}] Attempt ${attempt}/${maxRetries} - Calling fine-tuned model...`);
-
-    try {
-      const completion = await getOpenAIClient().chat.completions.create({
-        model: process.env.FINE_TUNED_MODEL_ID || "ft:gpt-3.5-turbo-0125:personal::CdszvDdV",
-        messages: [
-          {
-            role: "system",
-            content: systemMessage
-          },
-          {
-            role: "user",
-            content: userInput
-          }
-        ],
-        temperature: 0.0,
-        top_p: 1.0,
-        max_tokens: 10
-      });
-
-      const responseText = completion.choices[0].message.content.trim();
-      console.log(`📥 [PREDICTION-${propTypeFormatted}] Raw model output (attempt ${attempt}):`, responseText);
-
-      // Extract number from response (model outputs just a number)
-      const numberMatch = responseText.match(/(\d+\.?\d*)/);
-      if (!numberMatch) {
-        throw new Error(`No number found in response: ${responseText}`);
-      }
-
-      const predictedValue = parseFloat(numberMatch[1]);
-
-      if (!Number.isFinite(predictedValue) || predictedValue < 0) {
-        throw new Error(`Invalid prediction: ${predictedValue}. Must be a finite positive number.`);
-      }
-
-      // Special case: if player is OUT, prediction must be 0
-      if (injuryStatus === 'out' && predictedValue !== 0) {
-        console.log(`🏥 [PREDICTION-${propTypeFormatted}] Player is OUT, setting prediction to 0`);
-        return 0;
-      }
-
-      console.log(`✅ [PREDICTION-${propTypeFormatted}] Valid prediction extracted: ${predictedValue}`);
-      return predictedValue;
-    } catch (error) {
-      console.error(`❌ [PREDICTION-${propTypeFormatted}] Attempt ${attempt} failed:`, error.message);
-      if (attempt < maxRetries) {
-        console.log(`🔄 [PREDICTION-${propTypeFormatted}] Retrying...`);
-        continue;
-      }
-      throw new Error(`Failed to generate prediction after ${maxRetries} attempts: ${error.message}`);
-    }
-  }
-
-  throw new Error('Failed to generate valid prediction after all retries');
-}
-
 /**
  * Generate natural language analysis for any prop prediction
  * @param {number} predictedValue - The predicted value
@@ -463,43 +338,19 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
   const { overall_avg, recent_3_avg, recent_5_avg, volatility, std_dev } = stats;
   
   // Get prop display name for combined stats
-  const isCombinedProp = propType === 'points_rebounds' || propType === 'points_assists' || 
-                         propType === 'rebounds_assists' || propType === 'points_rebounds_assists';
-  
-  const combinedPropNames = {
-    'points_rebounds': 'points and rebounds',
-    'points_assists': 'points and assists',
-    'rebounds_assists': 'rebounds and assists',
-    'points_rebounds_assists': 'points, rebounds, and assists'
-  };
+  const isCombinedProp = (getPropType(propType)?.components.length || 0) > 1;
+  const propNoun = getPropLabel(propType, 'noun');
   
   // For combined props, use "combined stat" terminology
-  const propNameSingular = isCombinedProp ? 'combined stat' : 
-                           propType === 'points' ? 'point' : 
-                           propType === 'rebounds' ? 'rebound' :
-                           propType === 'assists' ? 'assist' :
-                           propType === 'steals' ? 'steal' :
-                           propType === 'blocks' ? 'block' :
-                           propType === 'threes' || propType === 'threes_made' ? 'three-pointer' :
-                           propType === 'turnovers' ? 'turnover' :
-                           propType;
-  
-  const propNamePlural = isCombinedProp ? 'combined stats' :
-                         propType === 'points' ? 'points' :
-                         propType === 'rebounds' ? 'rebounds' :
-                         propType === 'assists' ? 'assists' :
-                         propType === 'steals' ? 'steals' :
-                         propType === 'blocks' ? 'blocks' :
-                         propType === 'threes' || propType === 'threes_made' ? 'three-pointers' :
-                         propType === 'turnovers' ? 'turnovers' :
-                         propType;
+  const propNameSingular = isCombinedProp ? 'combined stat' : propNoun.replace(/s$/, '');
+  const propNamePlural = isCombinedProp ? 'combined stats' : propNoun;
   
   // Build analysis sentences
   const sentences = [];
   
   // Opening sentence with prediction
   if (isCombinedProp) {
-    sentences.push(`The model projects ${predictedValue.toFixed(1)} ${combinedPropNames[propType]} for the upcoming game.`);
+    sentences.push(`The model projects ${predictedValue.toFixed(1)} ${propNoun} for the upcoming game.`);
   } else {
     sentences.push(`The model projects ${predictedValue.toFixed(1)} ${propNamePlural} for the upcoming game.`);
   }
@@ -520,7 +371,7 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
       const trend = trendPhrases[Math.floor(Math.random() * trendPhrases.length)];
       
       if (isCombinedProp) {
-        sentences.push(`Recent performance shows ${trend.article} ${trend.phrase}, with ${recent_3_avg.toFixed(1)} ${combinedPropNames[propType]} in the last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
+        sentences.push(`Recent performance shows ${trend.article} ${trend.phrase}, with ${recent_3_avg.toFixed(1)} ${propNoun} in the last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
       } else {
         sentences.push(`Recent performance shows ${trend.article} ${trend.phrase}, with ${recent_3_avg.toFixed(1)} ${propNamePlural} in the last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
       }
@@ -542,7 +393,7 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
       const consistencyPhrase = consistencyPhrases[Math.floor(Math.random() * consistencyPhrases.length)];
       
       if (isCombinedProp) {
-        sentences.push(`Recent form (${recent_3_avg.toFixed(1)} ${combinedPropNames[propType]} in last 3 games) is ${consistencyPhrase} (season average: ${overall_avg.toFixed(1)}).`);
+        sentences.push(`Recent form (${recent_3_avg.toFixed(1)} ${propNoun} in last 3 games) is ${consistencyPhrase} (season average: ${overall_avg.toFixed(1)}).`);
       } else {
         sentences.push(`Recent form (${recent_3_avg.toFixed(1)} ${propNamePlural} in last 3 games) is ${consistencyPhrase} (season average: ${overall_avg.toFixed(1)}).`);
       }
@@ -559,7 +410,7 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
       const downturn = downturnPhrases[Math.floor(Math.random() * downturnPhrases.length)];
       
       if (isCombinedProp) {
-        sentences.push(`Recent performance shows ${downturn.article} ${downturn.phrase}, with ${recent_3_avg.toFixed(1)} ${combinedPropNames[propType]} in the last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
+        sentences.push(`Recent performance shows ${downturn.article} ${downturn.phrase}, with ${recent_3_avg.toFixed(1)} ${propNoun} in the last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
       } else {
         sentences.push(`Recent performance shows ${downturn.article} ${downturn.phrase}, with ${recent_3_avg.toFixed(1)} ${propNamePlural} in last 3 games compared to the season average of ${overall_avg.toFixed(1)}.`);
       }
@@ -578,7 +429,7 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
     // Add recent 5-game context if available
     if (recent_5_avg !== null && recent_5_avg !== undefined) {
       if (isCombinedProp) {
-        sentences.push(`Over the last 5 games, the player has averaged ${recent_5_avg.toFixed(1)} ${combinedPropNames[propType]}.`);
+        sentences.push(`Over the last 5 games, the player has averaged ${recent_5_avg.toFixed(1)} ${propNoun}.`);
       } else {
         sentences.push(`Over the last 5 games, the player has averaged ${recent_5_avg.toFixed(1)} ${propNamePlural}.`);
       }
@@ -589,19 +440,19 @@ function generateAnalysis(predictedValue, vegasLine, stats, propType) {
     const avgDiff = predictedValue - overall_avg;
     if (Math.abs(avgDiff) < 0.5) {
       if (isCombinedProp) {
-        sentences.push(`This aligns closely with the player's season average of ${overall_avg.toFixed(1)} ${combinedPropNames[propType]}.`);
+        sentences.push(`This aligns closely with the player's season average of ${overall_avg.toFixed(1)} ${propNoun}.`);
       } else {
         sentences.push(`This aligns closely with the player's season average of ${overall_avg.toFixed(1)} ${propNamePlural}.`);
       }
     } else if (avgDiff > 0) {
       if (isCombinedProp) {
-        sentences.push(`This is above the player's season average of ${overall_avg.toFixed(1)} ${combinedPropNames[propType]}.`);
+        sentences.push(`This is above the player's season average of ${overall_avg.toFixed(1)} ${propNoun}.`);
       } else {
         sentences.push(`This is above the player's season average of ${overall_avg.toFixed(1)} ${propNamePlural}.`);
       }
     } else {
       if (isCombinedProp) {
-        sentences.push(`This is below the player's season average of ${overall_avg.toFixed(1)} ${combinedPropNames[propType]}.`);
+        sentences.push(`This is below the player's season average of ${overall_avg.toFixed(1)} ${propNoun}.`);
       } else {
         sentences.push(`This is below the player's season average of ${overall_avg.toFixed(1)} ${propNamePlural}.`);
       }
@@ -679,26 +530,135 @@ function calculateRecommendation(predictedValue, vegasLine) {
 }
 
 /**
- * Predict any prop type from games array using fine-tuned model
+ * Multiplier on per-stat means for yes/no milestone props: projected vs baseline
+ * minutes, injury-driven minutes reduction and schedule fatigue
+ */
+function getMilestoneScale(features) {
+  const { minutesProjection, minutesReduction, scheduleFactor = 1 } = features;
+  const minutesFactor = minutesProjection && minutesProjection.baseline > 0
+    ? Math.max(0.5, Math.min(1.3, minutesProjection.projected / minutesProjection.baseline))
+    : 1;
+  const injuryFactor = minutesProjection?.restricted ? 1 : 1 - Math.min(minutesReduction || 0, 100) / 100;
+  return minutesFactor * injuryFactor * (scheduleFactor || 1);
+}
+
+/**
+ * No-vig market probability of Yes: the sharp-weighted consensus across books,
+ * else the selected book's own pair
+ */
+function getMarketProbability(market) {
+  return market?.consensus?.fair_over_probability ?? noVigProbability(market?.over_odds, market?.under_odds);
+}
+
+/**
+ * Yes/no recommendation: model probability vs the no-vig market probability
+ * (vs 50% when the market has no odds). OVER = Yes, UNDER = No.
+ */
+function calculateMilestoneRecommendation(probability, market) {
+  const marketProbability = getMarketProbability(market) ?? 0.5;
+  const edge = probability - marketProbability;
+  if (edge >= 0.05) return 'OVER';
+  if (edge <= -0.05) return 'UNDER';
+  return null;
+}
+
+/**
+ * Confidence for a yes/no probability (how far it sits from a coin flip)
+ */
+function calculateMilestoneConfidence(probability) {
+  const distance = Math.abs(probability - 0.5);
+  if (distance >= 0.3) return 'High';
+  if (distance >= 0.15) return 'Medium';
+  return 'Low';
+}
+
+/**
+ * Analysis text for a yes/no milestone prop
+ */
+function generateMilestoneAnalysis(milestone, propType, market) {
+  const label = getPropLabel(propType).toLowerCase();
+  const sentences = [`The model gives a ${(milestone.probability * 100).toFixed(0)}% chance of a ${label} in the upcoming game.`];
+  sentences.push(`The player has recorded one in ${milestone.hits} of ${milestone.games} games (${(milestone.hit_rate * 100).toFixed(0)}%), ${(milestone.weighted_hit_rate * 100).toFixed(0)}% weighted toward recent games.`);
+
+  const closest = Object.entries(milestone.stat_probabilities).sort(([, a], [, b]) => b - a).slice(0, 3)
+    .map(([stat, p]) => `${stat} ${(p * 100).toFixed(0)}%`);
+  if (closest.length > 0) {
+    sentences.push(`Chance of reaching ${getPropType(propType).milestone.threshold} in each stat: ${closest.join(', ')}.`);
+  }
+
+  const marketProbability = getMarketProbability(market);
+  if (marketProbability != null) {
+    const edge = milestone.probability - marketProbability;
+    const comparison = Math.abs(edge) < 0.05 ? 'in line with' : edge > 0 ? 'above' : 'below';
+    sentences.push(`That is ${comparison} the market's no-vig ${(marketProbability * 100).toFixed(0)}%${Math.abs(edge) < 0.05 ? '.' : `, suggesting potential value on ${edge > 0 ? 'yes' : 'no'}.`}`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Predict any prop type from games array using the configured model provider
  * This is the UNIFIED prediction function for ALL props
+ * @param {string} requestedPropType - Prop id or alias from the prop registry (results use the canonical id)
+ * @param {object} options - { model } to override the provider from PREDICTION_MODEL env vars,
+ *                           { market } with line/odds/bookmaker to store with the tracked prediction
+ *                           (and the alternate line ladder to price, when the book offers one),
+ *                           { track: false } to skip storing the prediction for tracking
  */
-export async function predictPropFromGames(games, playerName, propType = 'points', nextGameInfo = null, injuryData = null, bettingLine = null) {
+export async function predictPropFromGames(games, playerName, requestedPropType = 'points', nextGameInfo = null, injuryData = null, bettingLine = null, options = {}) {
   if (!games || games.length < 3) {
     throw new Error(`Insufficient game data for prediction. Need at least 3 games, got ${games?.length || 0}.`);
   }
 
-  const propTypeFormatted = PROP_TYPE_MAP[propType] || propType.toUpperCase();
+  const prop = getPropType(requestedPropType);
+  if (!prop) {
+    throw new Error(`Unknown prop type "${requestedPropType}"`);
+  }
+  const propType = prop.id;
+  const propTypeFormatted = getModelCode(propType);
   console.log(`\n🤖 [PIPELINE-${propTypeFormatted}] Starting prediction for ${playerName} (${games.length} games)`);
 
   try {
-    // Step 1: Build prop-specific features
+    // Step 1: Build prop-specific features (with opponent pace/defense when team stats are available)
     console.log(`📊 [PIPELINE-${propTypeFormatted}] Step 1: Building prop-specific features...`);
-    const features = buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData, bettingLine);
+    let matchupContext = null;
+    try {
+      matchupContext = await getMatchupContext(playerName, nextGameInfo?.team, nextGameInfo?.opponent, propType);
+    } catch (matchupError) {
+      console.warn(`⚠️ [PIPELINE-${propTypeFormatted}] Matchup context unavailable:`, matchupError.message);
+    }
+    let teammateSplits = [];
+    try {
+      teammateSplits = await getOutTeammateSplits(games, playerName, nextGameInfo?.team, injuryData?.playerTeamInjuries);
+    } catch (splitsError) {
+      console.warn(`⚠️ [PIPELINE-${propTypeFormatted}] Teammate splits unavailable:`, splitsError.message);
+    }
+    const schedule = getNextGameSchedule(games, nextGameInfo);
+    let minutesProjection = null;
+    try {
+      minutesProjection = await projectMinutes(games, { playerName, nextGameInfo, injuryData, teammateSplits, schedule });
+    } catch (minutesError) {
+      console.warn(`⚠️ [PIPELINE-${propTypeFormatted}] Minutes projection unavailable:`, minutesError.message);
+    }
+    const features = buildPropFeatures(games, playerName, propType, nextGameInfo, injuryData, bettingLine, {
+      matchup: matchupContext,
+      teammateSplits,
+      minutesProjection,
+      schedule
+    });
     console.log(`✅ [PIPELINE-${propTypeFormatted}] Features built:`, {
       seasonAvg: features.seasonAvg,
       recent3Avg: features.recentAvg3,
       recent5Avg: features.recentAvg5,
       vegasLine: features.vegasLine,
+      minutes: features.minutesProjection
+        ? `${features.minutesProjection.projected} (${features.minutesProjection.low}-${features.minutesProjection.high})`
+        : features.minutes,
+      pace: features.pace,
+      oppDef: features.oppDef,
+      oppVsPosition: features.oppVsPosition,
+      restDays: features.restDays,
+      travelMiles: features.travelMiles,
+      scheduleFactor: features.scheduleFactor,
       injuryStatus: features.injuryStatus,
       oppInjuries: features.oppInjuries.substring(0, 50) + '...'
     });
@@ -726,35 +686,79 @@ export async function predictPropFromGames(games, playerName, propType = 'points
         analysis: analysis,
         confidence: 'High',
         error_margin: 0,
+        distribution: buildPredictiveDistribution({ mean: 0, propType, line: features.vegasLine }),
         recommendation: null,
         games_used: games.length,
-        method: 'fine_tuned_model',
+        method: 'injury_status',
         prop_type: propType,
-        stats: statsForAnalysis
+        stats: statsForAnalysis,
+        minutes_projection: features.minutesProjection ? {
+          ...features.minutesProjection,
+          projected: 0,
+          low: 0,
+          high: 0,
+          drivers: [{ factor: 'out', label: 'Ruled out', impact: -features.minutesProjection.projected }]
+        } : null
       };
     }
 
-    // Step 3: Generate numeric prediction using fine-tuned model ONLY
-    console.log(`🔮 [PIPELINE-${propTypeFormatted}] Step 3: Calling fine-tuned model...`);
-    const predictedValue = await generateNumericPrediction(features);
+    // Step 3: Generate numeric prediction using the configured model provider
+    // (yes/no milestone props are priced as a probability by the milestone model)
+    let modelOutput;
+    let milestone = null;
+    if (prop.milestone) {
+      console.log(`🔮 [PIPELINE-${propTypeFormatted}] Step 3: Pricing yes/no milestone...`);
+      milestone = predictMilestoneProbability(games, propType, { scale: getMilestoneScale(features) });
+      modelOutput = {
+        value: milestone.probability,
+        method: 'milestone_model',
+        components: { weighted_hit_rate: milestone.weighted_hit_rate, independent_probability: milestone.independent_probability }
+      };
+    } else {
+      console.log(`🔮 [PIPELINE-${propTypeFormatted}] Step 3: Calling model provider...`);
+      modelOutput = await runModelProvider(features, options.model);
+    }
+    const predictedValue = modelOutput.value;
+    console.log(`🧠 [PIPELINE-${propTypeFormatted}] Provider: ${modelOutput.method}`);
 
     // Step 4: Use model output directly (NO adjustments)
     const finalPredictedValue = predictedValue;
-    console.log(`✅ [PIPELINE-${propTypeFormatted}] Model prediction: ${finalPredictedValue.toFixed(1)}`);
+    console.log(`✅ [PIPELINE-${propTypeFormatted}] Model prediction: ${finalPredictedValue.toFixed(milestone ? 3 : 1)}`);
 
     // Step 5: Calculate confidence from |prediction - vegas_line|
-    const confidenceLevel = calculateConfidenceLevel(finalPredictedValue, features.vegasLine);
+    const confidenceLevel = milestone
+      ? calculateMilestoneConfidence(finalPredictedValue)
+      : calculateConfidenceLevel(finalPredictedValue, features.vegasLine);
+
+    // Step 6: Calculate error margin from volatility (2.0 to 6.0; Bernoulli std dev for yes/no props)
+    const errorMargin = milestone
+      ? Math.sqrt(finalPredictedValue * (1 - finalPredictedValue))
+      : calculateErrorMargin(features.volatility);
+
+    // Step 6b: Predictive distribution (quantiles and P(over/under/push) at the line)
+    const distribution = buildPredictiveDistribution({
+      mean: finalPredictedValue,
+      values: features.valuesHistory,
+      propType,
+      line: features.vegasLine
+    });
 
-    // Step 6: Calculate error margin from volatility (2.0 to 6.0)
-    const errorMargin = calculateErrorMargin(features.volatility);
+    // Step 6c: Alternate line ladder priced with the same distribution
+    const ladder = options.market?.ladder
+      ? priceLadder(options.market.ladder, { mean: finalPredictedValue, values: features.valuesHistory, propType })
+      : null;
 
-    // Step 7: Calculate recommendation from model_output vs vegas_line
-    const recommendation = calculateRecommendation(finalPredictedValue, features.vegasLine);
+    // Step 7: Calculate recommendation from model_output vs vegas_line (vs market odds for yes/no props)
+    const recommendation = milestone
+      ? calculateMilestoneRecommendation(finalPredictedValue, options.market)
+      : calculateRecommendation(finalPredictedValue, features.vegasLine);
 
     // Step 8: Build result object
     // Ensure we always have the correct field name for the prop type
     const predictedFieldName = `predicted_${propType}`;
-    const predictedValueRounded = Math.max(0, Math.round(finalPredictedValue * 10) / 10);
+    const predictedValueRounded = milestone
+      ? finalPredictedValue
+      : Math.max(0, Math.round(finalPredictedValue * 10) / 10);
     
     // Build stats object for analysis
     const statsForAnalysis = {
@@ -766,7 +770,9 @@ export async function predictPropFromGames(games, playerName, propType = 'points
     };
     
     // Generate natural language analysis using shared function
-    const analysis = generateAnalysis(finalPredictedValue, features.vegasLine, statsForAnalysis, propType);
+    const analysis = milestone
+      ? generateMilestoneAnalysis(milestone, propType, options.market)
+      : generateAnalysis(finalPredictedValue, features.vegasLine, statsForAnalysis, propType);
     
     const predictionResult = {
       player: playerName,
@@ -775,12 +781,20 @@ export async function predictPropFromGames(games, playerName, propType = 'points
       predicted_points: propType === 'points' ? predictedValueRounded : null,
       analysis: analysis,
       confidence: confidenceLevel,
-      error_margin: Math.round(errorMargin * 10) / 10,
+      error_margin: milestone ? Math.round(errorMargin * 1000) / 1000 : Math.round(errorMargin * 10) / 10,
+      distribution,
+      ladder,
+      milestone,
       recommendation: recommendation,
       games_used: games.length,
-      method: 'fine_tuned_model',
+      method: modelOutput.method,
+      model_components: modelOutput.components,
       prop_type: propType,
-      stats: statsForAnalysis
+      stats: statsForAnalysis,
+      matchup: matchupContext,
+      without_teammate: features.withoutTeammate,
+      minutes_projection: features.minutesProjection,
+      schedule_context: schedule ? { ...schedule, factor: features.scheduleFactor, drivers: features.scheduleDrivers } : null
     };
     
     // Log the response structure for debugging
@@ -797,9 +811,9 @@ export async function predictPropFromGames(games, playerName, propType = 'points
     });
 
     // Store prediction for tracking (if next game info is available)
-    if (nextGameInfo && nextGameInfo.date && propType === 'points') {
+    if (nextGameInfo && nextGameInfo.date && options.track !== false) {
       try {
-        storePrediction(playerName, predictionResult, games, nextGameInfo);
+        storePrediction(playerName, predictionResult, games, nextGameInfo, options.market || { line: features.vegasLine });
       } catch (trackError) {
         console.warn('⚠️ Failed to store prediction for tracking:', trackError.message);
       }
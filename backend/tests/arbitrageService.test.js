@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitStakes, findArbitrage, findMiddles } from '../services/arbitrageService.js';
+
+const propLine = (player, line, sportsbooks) => ({ player, propType: 'points', line, event_id: 'game-1', sportsbooks });
+const book = (key, over, under) => ({
+  key,
+  ...(over != null ? { over: { odds: over } } : {}),
+  ...(under != null ? { under: { odds: under } } : {})
+});
+
+test('splitStakes splits the bankroll so every leg pays the same', () => {
+  const legs = splitStakes([{ odds: 110 }, { odds: -120 }], 100);
+  // Stakes proportional to 1 / decimal odds: 1/2.1 and 1/1.8333
+  assert.equal(legs[0].stake, 46.61);
+  assert.equal(legs[1].stake, 53.39);
+  assert.ok(Math.abs(legs[0].payout - legs[1].payout) < 0.02);
+  assert.equal(splitStakes([{ odds: 100 }, { odds: 100 }], 100).map(leg => leg.stake).join(','), '50,50');
+});
+
+test('findArbitrage pairs the best over and under when they sum under 100%', () => {
+  const [arb] = findArbitrage([propLine('Jalen Brunson', 26.5, {
+    DraftKings: book('draftkings', 110, -140),
+    FanDuel: book('fanduel', -130, 110)
+  })], { bankroll: 100 });
+
+  assert.equal(arb.type, 'arbitrage');
+  assert.deepEqual(arb.legs.map(leg => [leg.side, leg.bookmaker_key]), [['OVER', 'draftkings'], ['UNDER', 'fanduel']]);
+  assert.equal(arb.implied_total, 0.9524);
+  assert.equal(arb.guaranteed_return, 5);
+  assert.equal(arb.roi, 5);
+});
+
+test('findArbitrage skips pairs at or over 100% and pick\'em books', () => {
+  assert.deepEqual(findArbitrage([propLine('Jalen Brunson', 26.5, {
+    DraftKings: book('draftkings', -110, -110),
+    FanDuel: book('fanduel', -105, -115)
+  })]), []);
+  assert.deepEqual(findArbitrage([propLine('Jalen Brunson', 26.5, {
+    DraftKings: book('draftkings', -110, -110),
+    PrizePicks: book('prizepicks', 200, 200)
+  })]), []);
+});
+
+test('findMiddles ranks by ROI in percent, not dollars', () => {
+  const middles = findMiddles([
+    // Priced on both sides at each line: the middle probability is known
+    propLine('Jalen Brunson', 20.5, { DraftKings: book('draftkings', -200, 160), BetMGM: book('betmgm', 110, null) }),
+    propLine('Jalen Brunson', 24.5, { FanDuel: book('fanduel', 160, -200), Caesars: book('caesars', null, 110) }),
+    // One-sided books: only the worst case is known
+    propLine('Josh Hart', 10.5, { BetMGM: book('betmgm', 150, null) }),
+    propLine('Josh Hart', 12.5, { Caesars: book('caesars', null, 150) })
+  ], { bankroll: 1000 });
+
+  assert.equal(middles.length, 2);
+  const [brunson, hart] = middles;
+  assert.equal(brunson.player, 'Jalen Brunson');
+  assert.equal(brunson.worst_case_return, 50);
+  assert.ok(brunson.middle_probability > 0.2);
+  assert.ok(brunson.expected_roi > hart.worst_case_roi);
+  // More dollars in the worst case, but a smaller share of the stake
+  assert.equal(hart.worst_case_return, 250);
+  assert.equal(hart.worst_case_roi, 25);
+  assert.equal(hart.expected_roi, null);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { kellyFraction, recommendStakes } = await import('../services/bankrollService.js');
+
+const settings = {
+  bankroll: 1000,
+  kelly_fraction: 0.5,
+  max_game_exposure: 1,
+  max_player_exposure: 1,
+  same_player_correlation: 0.5
+};
+
+test('kellyFraction is (b·p - q) / b without pushes', () => {
+  // Even money at 55%: (1 × 0.55 - 0.45) / 1
+  assert.ok(Math.abs(kellyFraction(0.55, 100) - 0.1) < 1e-9);
+  // +150 at 50%: (1.5 × 0.5 - 0.5) / 1.5
+  assert.ok(Math.abs(kellyFraction(0.5, 150) - 0.25 / 1.5) < 1e-9);
+});
+
+test('kellyFraction is 0 without an edge or a valid price', () => {
+  assert.equal(kellyFraction(0.5, -110), 0);
+  assert.equal(kellyFraction(0.3, 100), 0);
+  assert.equal(kellyFraction(0.6, null), 0);
+  assert.equal(kellyFraction(null, 100), 0);
+});
+
+test('kellyFraction leaves pushes out of the bet', () => {
+  // 50% win, 10% push, 40% loss at even money: (0.5 - 0.4) / (0.5 + 0.4)
+  assert.ok(Math.abs(kellyFraction(0.5, 100, 0.1) - 0.1 / 0.9) < 1e-9);
+  assert.ok(kellyFraction(0.5, 100, 0.1) > kellyFraction(0.5, 100));
+});
+
+test('recommendStakes sizes fractional Kelly and shares risk across one player', () => {
+  const single = recommendStakes([{ player: 'A', prop_type: 'points', odds: 100, probability: 0.55, event_id: 'g1' }], settings);
+  // 1000 × 0.5 × 0.1
+  assert.equal(single.stakes[0].stake, 50);
+
+  const { stakes } = recommendStakes([
+    { player: 'A', prop_type: 'points', odds: 100, probability: 0.55, event_id: 'g1' },
+    { player: 'A', prop_type: 'rebounds', odds: 100, probability: 0.55, event_id: 'g1' }
+  ], settings);
+  // Two props at ρ = 0.5: each × 1 / (1 + 0.5)
+  assert.equal(stakes[0].correlation_factor, 0.6667);
+  assert.equal(stakes[0].stake, 33.33);
+  assert.equal(stakes[1].stake, 33.33);
+});
+
+test('recommendStakes caps exposure per player and per game', () => {
+  const { stakes, totals } = recommendStakes([
+    { player: 'A', prop_type: 'points', odds: 100, probability: 0.6, event_id: 'g1' },
+    { player: 'B', prop_type: 'points', odds: 100, probability: 0.6, event_id: 'g1' }
+  ], { ...settings, max_player_exposure: 0.05, max_game_exposure: 0.08 });
+
+  // Each 100 by Kelly, cut to 50 per player, then both to 40 for an 80 game cap
+  assert.deepEqual(stakes.map(stake => stake.stake), [40, 40]);
+  assert.deepEqual(stakes.map(stake => stake.capped_by), ['player', 'player']);
+  assert.equal(totals.stake, 80);
+});
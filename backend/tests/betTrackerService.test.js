@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { importBetsCsv, listBets } = await import('../services/betTrackerService.js');
+
+const findBet = (playerName) => listBets().find(bet => bet.player_name === playerName);
+
+test('imports a sportsbook-style CSV with a Wager stake column', () => {
+  const csv = [
+    'Date,Player,Prop,Pick,Line,Odds,Wager,Result',
+    '2025-01-10,LeBron James,Points,Over,24.5,-110,25,Win',
+    '2025-01-10,Stephen Curry,Threes,Under,4.5,+120,10,Loss',
+    '2025-01-11,Nikola Jokic,Rebounds,Over,12.5,-105,50,'
+  ].join('\n');
+
+  const summary = importBetsCsv(csv);
+  assert.deepEqual(summary.errors, []);
+  assert.equal(summary.imported, 3);
+
+  assert.equal(findBet('LeBron James').stake, 25);
+  assert.equal(findBet('LeBron James').side, 'OVER');
+  assert.equal(findBet('LeBron James').line, 24.5);
+  assert.equal(findBet('LeBron James').status, 'win');
+  assert.equal(findBet('Stephen Curry').stake, 10);
+  assert.equal(findBet('Stephen Curry').status, 'loss');
+  assert.equal(findBet('Nikola Jokic').stake, 50);
+  assert.equal(findBet('Nikola Jokic').status, 'pending');
+});
+
+test('ignores Bet Type and Total payout columns and reads the bet from its description', () => {
+  const csv = [
+    'Date,Description,Bet Type,Odds,Stake,Total,Result',
+    '2025-01-10,Jayson Tatum Over 27.5 Points,Straight,-110,25,47.73,Win',
+    '2025-01-10,Jalen Brunson - Assists Under 7.5,Player Prop,+105,20,0,Loss'
+  ].join('\n');
+
+  const summary = importBetsCsv(csv);
+  assert.deepEqual(summary.errors, []);
+  assert.equal(summary.imported, 2);
+
+  const tatum = findBet('Jayson Tatum');
+  assert.equal(tatum.prop_type, 'points');
+  assert.equal(tatum.line, 27.5);
+  assert.equal(tatum.side, 'OVER');
+  const brunson = findBet('Jalen Brunson');
+  assert.equal(brunson.prop_type, 'assists');
+  assert.equal(brunson.line, 7.5);
+  assert.equal(brunson.side, 'UNDER');
+});
+
+test('falls back to the description when the prop column holds no prop', () => {
+  const csv = [
+    'Date,Description,Category,Odds,Stake,Result',
+    '2025-01-10,Anthony Edwards Over 4.5 Rebounds,Player Prop,-115,10,'
+  ].join('\n');
+
+  assert.deepEqual(importBetsCsv(csv).errors, []);
+  assert.equal(findBet('Anthony Edwards').prop_type, 'rebounds');
+});
+
+test('a second header for the same field does not overwrite the first', () => {
+  const csv = [
+    'Date,Player,Prop,Side,Line,Odds,Risk,Stake,Result',
+    '2025-01-10,Luka Doncic,Points,Over,30.5,-110,20,999,'
+  ].join('\n');
+
+  assert.deepEqual(importBetsCsv(csv).errors, []);
+  assert.equal(findBet('Luka Doncic').stake, 20);
+  assert.equal(findBet('Luka Doncic').line, 30.5);
+});
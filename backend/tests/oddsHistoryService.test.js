@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { saveOddsSnapshots, getLineHistory, pruneOddsSnapshots } = await import('../services/oddsHistoryService.js');
+const { getDb } = await import('../services/sqliteService.js');
+
+// Capture times relative to now, inside the retention window
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const snapshot = (bookmaker, line, capturedAt, eventId = 'game-2') => ({
+  player_name: 'Jalen Brunson',
+  prop_type: 'points',
+  bookmaker,
+  line,
+  over_odds: -110,
+  under_odds: -110,
+  event_id: eventId,
+  captured_at: capturedAt
+});
+
+test('only writes lines that moved since the last snapshot', () => {
+  const firstFetch = hoursAgo(5);
+  assert.equal(saveOddsSnapshots([snapshot('draftkings', 26.5, firstFetch), snapshot('fanduel', 26.5, firstFetch)]), 2);
+  // Cached odds read again: same fetch time, same prices
+  assert.equal(saveOddsSnapshots([snapshot('draftkings', 26.5, firstFetch)]), 0);
+  // New fetch with an unchanged line
+  assert.equal(saveOddsSnapshots([snapshot('draftkings', 26.5, hoursAgo(4))]), 0);
+  assert.equal(saveOddsSnapshots([snapshot('draftkings', 27.5, hoursAgo(3))]), 1);
+  // An older fetch never lands behind a newer one
+  assert.equal(saveOddsSnapshots([snapshot('draftkings', 25.5, hoursAgo(3.5))]), 0);
+});
+
+test('line history carries unchanged books forward and is scoped to the event', () => {
+  saveOddsSnapshots([snapshot('draftkings', 22.5, hoursAgo(48), 'game-1')]);
+
+  const history = getLineHistory('Jalen Brunson', 'points', { eventId: 'game-2' });
+  assert.equal(history.open.line, 26.5);
+  assert.equal(history.current.line, 27);
+  assert.equal(history.current.books, 2);
+  assert.equal(history.line_delta, 0.5);
+  assert.equal(history.bookmakers.draftkings.open.line, 26.5);
+});
+
+test('prunes snapshots past the retention window', () => {
+  getDb().prepare("UPDATE odds_snapshots SET captured_at = '2000-01-01T00:00:00.000Z' WHERE event_id = 'game-1'").run();
+  assert.equal(pruneOddsSnapshots({ force: true }), 1);
+  assert.equal(getLineHistory('Jalen Brunson', 'points', { eventId: 'game-1' }).snapshots, 0);
+});
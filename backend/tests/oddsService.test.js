@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { getEventPlayerProps } = await import('../services/oddsService.js');
+
+const market = (key, point) => ({
+  key,
+  outcomes: [
+    { name: 'Over', description: 'Jalen Brunson', point, price: -115 },
+    { name: 'Under', description: 'Jalen Brunson', point, price: -105 }
+  ]
+});
+
+test('a combo prop calculated from its components has no prices and is not bettable', () => {
+  const eventOdds = {
+    bookmakers: [{
+      key: 'draftkings',
+      title: 'DraftKings',
+      markets: [market('player_points', 26.5), market('player_rebounds', 3.5), market('player_assists', 7.5)]
+    }]
+  };
+  const props = getEventPlayerProps(eventOdds)['Jalen Brunson'];
+
+  assert.equal(props.points.over_odds, -115);
+  assert.notEqual(props.points.bettable, false);
+  assert.equal(props.pra.line, 37.5);
+  assert.equal(props.pra.bettable, false);
+  assert.equal(props.pra.over_odds, null);
+  assert.equal(props.pra.under_odds, null);
+  assert.deepEqual(props.pra.all_bookmakers, []);
+  assert.equal(props.pra.consensus, null);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { normalizeLegs, priceParlay } = await import('../services/parlayService.js');
+
+test('normalizeLegs resolves aliases and normalizes sides and odds', () => {
+  const { legs, error } = normalizeLegs([
+    { player: ' Jalen Brunson ', prop_type: 'pts', side: 'over', line: '26.5', odds: -115, probability: 0.55 },
+    { player: 'Josh Hart', prop_type: 'reb', side: 'UNDER', line: 9.5, odds: 'not odds' }
+  ]);
+  assert.equal(error, undefined);
+  assert.deepEqual(legs[0], { player: 'Jalen Brunson', prop_type: 'points', side: 'OVER', line: 26.5, odds: -115, probability: 0.55 });
+  assert.equal(legs[1].prop_type, 'rebounds');
+  assert.equal(legs[1].odds, null);
+  assert.equal(legs[1].probability, null);
+});
+
+test('normalizeLegs pins yes/no props to the yes/no line', () => {
+  const { legs } = normalizeLegs([
+    { player: 'Nikola Jokic', prop_type: 'double_double', side: 'OVER' },
+    { player: 'Nikola Jokic', prop_type: 'points', side: 'OVER', line: 25.5 }
+  ]);
+  assert.equal(legs[0].line, 0.5);
+});
+
+test('normalizeLegs rejects invalid parlays', () => {
+  const leg = { player: 'Jalen Brunson', prop_type: 'points', side: 'OVER', line: 26.5 };
+  assert.match(normalizeLegs([leg]).error, /at least 2 legs/);
+  assert.match(normalizeLegs(new Array(11).fill(leg)).error, /at most 10 legs/);
+  assert.match(normalizeLegs([leg, { ...leg, prop_type: 'steals_plus_vibes' }]).error, /Unknown prop type/);
+  assert.match(normalizeLegs([leg, { ...leg, side: 'PUSH' }]).error, /OVER or UNDER/);
+  assert.match(normalizeLegs([leg, { ...leg, probability: 1.2 }]).error, /between 0 and 1/);
+  assert.match(normalizeLegs([leg, { ...leg, player: '' }]).error, /needs a player/);
+});
+
+// 20 games where the player's PRA moves one for one with their points
+const games = Array.from({ length: 20 }, (_, i) => ({
+  date: `2025-01-${String(i + 1).padStart(2, '0')}`,
+  points: 15 + i,
+  rebounds: 5,
+  assists: 5
+}));
+
+test('priceParlay prices unrelated legs as independent', () => {
+  const { legs } = normalizeLegs([
+    { player: 'Jalen Brunson', prop_type: 'points', side: 'OVER', line: 26.5, odds: 100, probability: 0.5 },
+    { player: 'Anthony Edwards', prop_type: 'points', side: 'OVER', line: 27.5, odds: 100, probability: 0.5 }
+  ]);
+  const result = priceParlay(legs, new Map());
+  assert.equal(result.independent_probability, 0.25);
+  assert.ok(Math.abs(result.joint_probability - 0.25) < 0.01);
+  // Two even-money legs pay +300
+  assert.equal(result.book_odds, 300);
+});
+
+test('priceParlay lifts the joint probability of correlated same-player legs', () => {
+  const { legs } = normalizeLegs([
+    { player: 'Jalen Brunson', prop_type: 'points', side: 'OVER', line: 24.5, probability: 0.5 },
+    { player: 'Jalen Brunson', prop_type: 'pra', side: 'OVER', line: 34.5, probability: 0.5 }
+  ]);
+  const result = priceParlay(legs, new Map([['jalen brunson', games]]), { parlayOdds: 250 });
+
+  assert.equal(result.shared_games[0][1], 20);
+  assert.ok(result.correlations[0][1] > 0.9);
+  assert.ok(result.joint_probability > 0.4);
+  assert.ok(result.correlation_lift > 1.6);
+  assert.equal(result.book_odds, 250);
+  assert.ok(result.ev > result.independent_ev);
+  // Deterministic: the same legs price the same
+  assert.equal(priceParlay(legs, new Map([['jalen brunson', games]])).joint_probability, result.joint_probability);
+});
+
+test('priceParlay needs a probability or a game log for every leg', () => {
+  const { legs } = normalizeLegs([
+    { player: 'Jalen Brunson', prop_type: 'points', side: 'OVER', line: 26.5, probability: 0.5 },
+    { player: 'Josh Hart', prop_type: 'rebounds', side: 'OVER', line: 9.5 }
+  ]);
+  assert.match(priceParlay(legs, new Map()).error, /Josh Hart rebounds/);
+});
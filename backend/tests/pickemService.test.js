@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { priceEntry } = await import('../services/pickemService.js');
+
+function leg(player, team, probability) {
+  return { player, team, prop_type: 'points', side: 'OVER', line: 20.5, probability };
+}
+
+test('priceEntry scores a 2-pick power play from the exact hit distribution', () => {
+  const result = priceEntry(
+    [leg('Jalen Brunson', 'NYK', 0.6), leg('Anthony Edwards', 'MIN', 0.6)],
+    { platform: 'prizepicks', entryType: 'power' },
+    new Map()
+  );
+  assert.deepEqual(result.hit_distribution, [0.16, 0.48, 0.36]);
+  assert.equal(result.payout_probability, 0.36);
+  assert.equal(result.profit_probability, 0.36);
+  assert.equal(result.expected_multiplier, 1.08);
+  assert.equal(result.ev, 8);
+  // No game logs means no correlation, so the entry prices as independent
+  assert.deepEqual(result.independent, {
+    payout_probability: 0.36, profit_probability: 0.36, expected_multiplier: 1.08, ev: 8
+  });
+});
+
+test('priceEntry pays flex entries on partial hits', () => {
+  const result = priceEntry(
+    [leg('Jalen Brunson', 'NYK', 0.5), leg('Anthony Edwards', 'MIN', 0.5), leg('Jayson Tatum', 'BOS', 0.5)],
+    { platform: 'prizepicks', entryType: 'flex' },
+    new Map()
+  );
+  assert.deepEqual(result.hit_distribution, [0.125, 0.375, 0.375, 0.125]);
+  // 3 of 3 pays 3x and 2 of 3 returns the fee, so only a clean sweep profits
+  assert.equal(result.payout_probability, 0.5);
+  assert.equal(result.profit_probability, 0.125);
+  assert.equal(result.expected_multiplier, 0.75);
+  assert.equal(result.ev, -25);
+});
+
+test('priceEntry enforces platform entry rules', () => {
+  const entry = { platform: 'prizepicks', entryType: 'power' };
+  assert.match(
+    priceEntry([leg('Jalen Brunson', 'NYK', 0.6), leg('Anthony Edwards', 'MIN', 0.6)], { ...entry, entryType: 'flex' }, new Map()).error,
+    /PrizePicks has no 2-pick flex entry/
+  );
+  assert.match(
+    priceEntry([leg('Jalen Brunson', 'NYK', 0.6), leg('jalen brunson', 'NYK', 0.6)], entry, new Map()).error,
+    /one pick per player/
+  );
+  assert.match(
+    priceEntry([leg('Jalen Brunson', 'NYK', 0.6), leg('Josh Hart', 'NYK', 0.6)], entry, new Map()).error,
+    /at least 2 teams/
+  );
+  // A leg without a team can't be checked, so the team rule is skipped
+  assert.equal(priceEntry([leg('Jalen Brunson', 'NYK', 0.6), leg('Josh Hart', null, 0.6)], entry, new Map()).error, undefined);
+  assert.match(
+    priceEntry([leg('Jalen Brunson', 'NYK', 0.6), leg('Anthony Edwards', 'MIN', null)], entry, new Map()).error,
+    /No probability or game log for Anthony Edwards points/
+  );
+});
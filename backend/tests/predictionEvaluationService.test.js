@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database; US time zones shift UTC-midnight dates to the day before
+process.env.HOOP_DB_PATH = ':memory:';
+process.env.TZ = 'America/New_York';
+const { findGameOnDate } = await import('../services/predictionEvaluationService.js');
+
+// NBA.com game log, most recent first: a back-to-back on Jan 9 and Jan 10
+const games = [
+  { date: 'Jan 10, 2025', points: 31 },
+  { date: 'Jan 9, 2025', points: 18 },
+  { date: 'Jan 7, 2025', points: 24 }
+];
+
+test('grades a stored YYYY-MM-DD game date against that day, not the night before', () => {
+  assert.equal(findGameOnDate(games, '2025-01-10').points, 31);
+  assert.equal(findGameOnDate(games, '2025-01-09').points, 18);
+});
+
+test('matches display dates and returns nothing for a day without a game', () => {
+  assert.equal(findGameOnDate(games, 'Jan 10, 2025').points, 31);
+  assert.equal(findGameOnDate(games, '2025-01-08'), undefined);
+  assert.equal(findGameOnDate(games, null), undefined);
+});
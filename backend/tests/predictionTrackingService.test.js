@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the test off the real database
+process.env.HOOP_DB_PATH = ':memory:';
+const { storePrediction, findPredictionByGame } = await import('../services/predictionTrackingService.js');
+
+const nextGame = { date: 'Jan 10, 2025', opponent: 'BOS', isHome: true, team: 'NYK', eventId: 'game-1' };
+const history = [{ date: 'Jan 8, 2025', points: 25 }];
+
+test('re-predicting a game keeps the first recommendation', async () => {
+  const firstId = storePrediction('Jalen Brunson', { prop_type: 'points', predicted_points: 29, recommendation: 'OVER', confidence: 'High', error_margin: 5 },
+    history, nextGame, { line: 26.5, over_odds: -110, under_odds: -110, bookmaker: 'DraftKings', bookmaker_key: 'draftkings' });
+  const first = findPredictionByGame('Jalen Brunson', nextGame.date, 'points');
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const secondId = storePrediction('Jalen Brunson', { prop_type: 'points', predicted_points: 24, recommendation: 'UNDER', confidence: 'Low', error_margin: 6 },
+    history, nextGame, { line: 28.5, over_odds: -120, under_odds: +100, bookmaker: 'FanDuel', bookmaker_key: 'fanduel' });
+  const second = findPredictionByGame('Jalen Brunson', nextGame.date, 'points');
+
+  assert.equal(secondId, firstId);
+  assert.equal(second.line, 26.5);
+  assert.equal(second.side, 'OVER');
+  assert.equal(second.odds, -110);
+  assert.equal(second.bookmaker_key, 'draftkings');
+  assert.equal(second.created_at, first.created_at);
+  // Model fields follow the latest prediction
+  assert.equal(second.predicted_value, 24);
+  assert.equal(second.confidence, 'Low');
+  assert.equal(second.edge, 2.5);
+});
+
+test('a game first predicted without a pick takes the first one made later', () => {
+  const game = { ...nextGame, date: 'Jan 12, 2025', eventId: 'game-2' };
+  storePrediction('Jalen Brunson', { prop_type: 'points', predicted_points: 26, recommendation: null, error_margin: 5 }, history, game, {});
+  storePrediction('Jalen Brunson', { prop_type: 'points', predicted_points: 30, recommendation: 'OVER', error_margin: 5 },
+    history, game, { line: 27.5, over_odds: -105, under_odds: -115, bookmaker: 'DraftKings', bookmaker_key: 'draftkings' });
+
+  const record = findPredictionByGame('Jalen Brunson', game.date, 'points');
+  assert.equal(record.line, 27.5);
+  assert.equal(record.side, 'OVER');
+  assert.equal(record.odds, -105);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+// Keep the test off the real database; a US timezone exposes UTC/local day shifts
+process.env.HOOP_DB_PATH = ':memory:';
+process.env.TZ = 'America/New_York';
+const { toDateKey, importPredictionsFromJson } = await import('../services/sqliteService.js');
+
+test('toDateKey keeps a YYYY-MM-DD date as its own key', () => {
+  assert.equal(toDateKey('2025-01-10'), '2025-01-10');
+  assert.equal(toDateKey('2025-01-10T00:00:00'), '2025-01-10');
+});
+
+test('toDateKey keeps the local day of date-only text', () => {
+  assert.equal(toDateKey('Jan 10, 2025'), '2025-01-10');
+});
+
+test('toDateKey keys timestamps by their UTC day', () => {
+  assert.equal(toDateKey('2025-01-11T00:30:00Z'), '2025-01-11');
+  assert.equal(toDateKey('2025-01-10T23:30:00-05:00'), '2025-01-11');
+  assert.equal(toDateKey(new Date('2025-01-10T12:00:00Z')), '2025-01-10');
+  assert.equal(toDateKey('not a date'), null);
+});
+
+test('importPredictionsFromJson counts only the rows it inserted', () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'hoop-import-'));
+  const filePath = join(dir, 'predictions.json');
+  const record = (id) => ({ id, player_name: 'LeBron James', prop_type: 'points', predicted_value: 25, next_game: { date: 'Jan 10, 2025' } });
+  fs.writeFileSync(filePath, JSON.stringify({ predictions: [record('a'), record('b'), record('a'), { id: 'c' }, null] }));
+
+  assert.deepEqual(importPredictionsFromJson(filePath), { imported: 2, updated: 0, skipped: 3 });
+  assert.deepEqual(importPredictionsFromJson(filePath), { imported: 0, updated: 2, skipped: 3 });
+  fs.rmSync(dir, { recursive: true });
+});
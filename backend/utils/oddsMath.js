@@ -0,0 +1,98 @@
+/**
+ * Utility functions for American odds math and bet grading
+ */
+
+/**
+ * Convert American odds to decimal odds
+ * @param {number} americanOdds - e.g. -110, +150
+ * @returns {number|null}
+ */
+export function americanToDecimal(americanOdds) {
+  const odds = Number(americanOdds);
+  if (americanOdds == null || !Number.isFinite(odds) || odds === 0) return null;
+  return odds > 0 ? (odds / 100) + 1 : (100 / Math.abs(odds)) + 1;
+}
+
+/**
+ * Convert American odds to implied probability (0-1, includes vig)
+ * @param {number} americanOdds
+ * @returns {number|null}
+ */
+export function americanToImpliedProbability(americanOdds) {
+  const odds = Number(americanOdds);
+  if (americanOdds == null || !Number.isFinite(odds) || odds === 0) return null;
+  return odds > 0 ? 100 / (odds + 100) : Math.abs(odds) / (Math.abs(odds) + 100);
+}
+
+/**
+ * Vig-free probability of one side of a two-way market
+ * Falls back to the raw implied probability when the other side is unknown
+ * @param {number} sideOdds - American odds of the side we care about
+ * @param {number|null} otherOdds - American odds of the opposite side
+ * @returns {number|null} Probability (0-1)
+ */
+export function noVigProbability(sideOdds, otherOdds = null) {
+  const side = americanToImpliedProbability(sideOdds);
+  if (side == null) return null;
+  const other = americanToImpliedProbability(otherOdds);
+  return other == null ? side : side / (side + other);
+}
+
+/**
+ * Fair (vig-free) American odds for a probability
+ * @param {number} probability - 0-1
+ * @returns {number|null} e.g. 0.6 -> -150, 0.4 -> +150
+ */
+export function probabilityToAmerican(probability) {
+  if (probability == null || !(probability > 0 && probability < 1)) return null;
+  return probability >= 0.5
+    ? Math.round((-100 * probability) / (1 - probability))
+    : Math.round((100 * (1 - probability)) / probability);
+}
+
+/**
+ * Expected profit per unit staked
+ * @param {number} winProbability - 0-1
+ * @param {number} americanOdds - Price the bet is available at
+ * @param {number} pushProbability - 0-1 (stake returned)
+ * @returns {number|null} e.g. 0.05 = +5% EV
+ */
+export function expectedValue(winProbability, americanOdds, pushProbability = 0) {
+  const decimalOdds = americanToDecimal(americanOdds);
+  if (winProbability == null || decimalOdds == null) return null;
+  const lossProbability = Math.max(0, 1 - winProbability - (pushProbability || 0));
+  return winProbability * (decimalOdds - 1) - lossProbability;
+}
+
+/**
+ * Grade an OVER/UNDER pick against the actual stat
+ * @param {string} side - 'OVER' or 'UNDER'
+ * @param {number} line - Betting line
+ * @param {number} actual - Actual stat value
+ * @returns {string|null} 'win', 'loss', 'push' or null when not gradable
+ */
+export function gradeOverUnder(side, line, actual) {
+  if (!side || line == null || actual == null) return null;
+  const normalizedSide = side.toString().toUpperCase();
+  if (normalizedSide !== 'OVER' && normalizedSide !== 'UNDER') return null;
+
+  if (actual === line) return 'push';
+  const overHit = actual > line;
+  return (normalizedSide === 'OVER') === overHit ? 'win' : 'loss';
+}
+
+/**
+ * Profit in units for a graded bet
+ * @param {string} result - 'win', 'loss' or 'push'
+ * @param {number} americanOdds - Odds the bet was placed at (defaults to -110)
+ * @param {number} stake - Units staked (default 1)
+ * @returns {number}
+ */
+export function calculateProfit(result, americanOdds = -110, stake = 1) {
+  if (result === 'win') {
+    const decimalOdds = americanToDecimal(americanOdds ?? -110) || americanToDecimal(-110);
+    return stake * (decimalOdds - 1);
+  }
+  if (result === 'loss') return -stake;
+  return 0;
+}
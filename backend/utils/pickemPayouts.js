@@ -0,0 +1,70 @@
+/**
+ * Pick'em payout tables for DFS apps (PrizePicks, Underdog)
+ * Pick'em entries pay a fixed multiple of the entry fee by the number of correct picks
+ * instead of American odds on each leg. Power entries need every pick; flex entries
+ * still pay (less) with one or two misses. Update the tables here when the apps change them.
+ */
+
+/**
+ * Entry payouts per platform: power[size] = multiplier, flex[size] = { correctPicks: multiplier }
+ */
+export const PICKEM_PLATFORMS = {
+  prizepicks: {
+    name: 'PrizePicks',
+    bookmakerKeys: ['prizepicks'],
+    minTeams: 2,
+    power: { 2: 3, 3: 5, 4: 10, 5: 20, 6: 37.5 },
+    flex: {
+      3: { 3: 3, 2: 1 },
+      4: { 4: 6, 3: 1.5 },
+      5: { 5: 10, 4: 2, 3: 0.4 },
+      6: { 6: 25, 5: 2, 4: 0.4 }
+    }
+  },
+  underdog: {
+    name: 'Underdog',
+    bookmakerKeys: ['underdog', 'underdogfantasy'],
+    minTeams: 2,
+    power: { 2: 3, 3: 6, 4: 10, 5: 20, 6: 35 },
+    flex: {
+      3: { 3: 3, 2: 1 },
+      4: { 4: 6, 3: 1.5 },
+      5: { 5: 10, 4: 2.5 },
+      6: { 6: 25, 5: 2.6, 4: 0.25 }
+    }
+  }
+};
+
+export const ENTRY_TYPES = ['power', 'flex'];
+
+/**
+ * Pick'em platform id for a bookmaker key or title ("PrizePicks", "underdog_fantasy")
+ * @returns {string|null} Platform id, or null for a regular sportsbook
+ */
+export function getPickemPlatform(bookmaker) {
+  if (!bookmaker) return null;
+  const key = String(bookmaker).toLowerCase().replace(/[\s_]/g, '');
+  for (const [platform, config] of Object.entries(PICKEM_PLATFORMS)) {
+    if (config.bookmakerKeys.includes(key)) return platform;
+  }
+  return null;
+}
+
+/**
+ * Payout multiplier for each number of correct picks
+ * @param {string} platform - Platform id
+ * @param {string} entryType - 'power' | 'flex'
+ * @param {number} size - Number of picks
+ * @returns {object|null} { correctPicks: multiplier }, or null when the entry doesn't exist
+ */
+export function getPayoutTable(platform, entryType, size) {
+  const config = PICKEM_PLATFORMS[platform];
+  if (!config) return null;
+  if (entryType === 'power') {
+    return config.power[size] != null ? { [size]: config.power[size] } : null;
+  }
+  if (entryType === 'flex') {
+    return config.flex[size] || null;
+  }
+  return null;
+}
@@ -0,0 +1,378 @@
+/**
+ * Prop type registry - the single definition of every player prop
+ * Odds parsing, predictions, tracking, team stats and the frontend (via
+ * GET /api/props/types) all resolve prop ids, aliases, Odds API market keys,
+ * stat components, line ranges, labels and model codes through this module.
+ */
+
+/**
+ * Game log fields holding each base stat (first one present wins)
+ */
+export const STAT_FIELDS = {
+  points: ['points', 'pts'],
+  rebounds: ['rebounds', 'reb'],
+  assists: ['assists', 'ast'],
+  threes: ['threes', 'threes_made', 'tpm', 'three_pointers_made'],
+  steals: ['steals', 'stl'],
+  blocks: ['blocks', 'blk'],
+  turnovers: ['turnovers', 'tov']
+};
+
+/**
+ * Every prop, in display order
+ * - id: canonical id used in API responses, caches and tracking
+ * - aliases: other ids accepted anywhere a prop type is passed in
+ * - market: The Odds API market key (null = not fetched from the Odds API)
+ * - alternateMarket: The Odds API alternate-lines market (ladder rungs), null when not offered
+ * - components: base stats summed for the prop's value
+ * - lineRange: valid betting line range (lines outside it are rejected as mislabeled)
+ * - label / shortLabel / abbrev: display names ("Points + Rebounds", "Pts + Reb", "PTS+REB")
+ * - noun: plural used in generated analysis text
+ * - modelCode: prop code in the fine-tuned model's training data
+ * - lowCount: small integer counts (the predictive distribution uses a count model)
+ * - milestone: yes/no markets ({ threshold, count } = `count` of the components reach
+ *   `threshold`); the prop's value is 1 or 0 and the line is fixed at 0.5 (Yes = over)
+ */
+export const PROP_TYPES = [
+  {
+    id: 'points',
+    aliases: ['pts'],
+    market: 'player_points',
+    alternateMarket: 'player_points_alternate',
+    components: ['points'],
+    lineRange: { min: 5, max: 60 },
+    label: 'Points',
+    shortLabel: 'Pts',
+    abbrev: 'PTS',
+    noun: 'points',
+    modelCode: 'PTS',
+    lowCount: false
+  },
+  {
+    id: 'rebounds',
+    aliases: ['reb', 'rebs'],
+    market: 'player_rebounds',
+    alternateMarket: 'player_rebounds_alternate',
+    components: ['rebounds'],
+    lineRange: { min: 2, max: 20 },
+    label: 'Rebounds',
+    shortLabel: 'Reb',
+    abbrev: 'REB',
+    noun: 'rebounds',
+    modelCode: 'REB',
+    lowCount: true
+  },
+  {
+    id: 'assists',
+    aliases: ['ast'],
+    market: 'player_assists',
+    alternateMarket: 'player_assists_alternate',
+    components: ['assists'],
+    lineRange: { min: 1, max: 20 },
+    label: 'Assists',
+    shortLabel: 'Ast',
+    abbrev: 'AST',
+    noun: 'assists',
+    modelCode: 'AST',
+    lowCount: true
+  },
+  {
+    id: 'threes',
+    aliases: ['threes_made', '3pm', 'tpm', 'fg3m'],
+    market: 'player_threes',
+    alternateMarket: 'player_threes_alternate',
+    components: ['threes'],
+    lineRange: { min: 0, max: 12 },
+    label: '3-Pointers Made',
+    shortLabel: '3PM',
+    abbrev: '3PT',
+    noun: 'three-pointers',
+    modelCode: '3PM',
+    lowCount: true
+  },
+  {
+    id: 'steals',
+    aliases: ['stl'],
+    market: 'player_steals',
+    alternateMarket: 'player_steals_alternate',
+    components: ['steals'],
+    lineRange: { min: 0, max: 6 },
+    label: 'Steals',
+    shortLabel: 'Stl',
+    abbrev: 'STL',
+    noun: 'steals',
+    modelCode: 'STL',
+    lowCount: true
+  },
+  {
+    id: 'blocks',
+    aliases: ['blk'],
+    market: 'player_blocks',
+    alternateMarket: 'player_blocks_alternate',
+    components: ['blocks'],
+    lineRange: { min: 0, max: 6 },
+    label: 'Blocks',
+    shortLabel: 'Blk',
+    abbrev: 'BLK',
+    noun: 'blocks',
+    modelCode: 'BLK',
+    lowCount: true
+  },
+  {
+    id: 'turnovers',
+    aliases: ['tov', 'to'],
+    market: 'player_turnovers',
+    alternateMarket: 'player_turnovers_alternate',
+    components: ['turnovers'],
+    lineRange: { min: 0, max: 10 },
+    label: 'Turnovers',
+    shortLabel: 'TO',
+    abbrev: 'TO',
+    noun: 'turnovers',
+    modelCode: 'TO',
+    lowCount: true
+  },
+  {
+    id: 'stocks',
+    aliases: ['blocks_steals', 'steals_blocks', 'blk_stl', 'stl_blk'],
+    market: 'player_blocks_steals',
+    alternateMarket: null,
+    components: ['blocks', 'steals'],
+    lineRange: { min: 0, max: 10 },
+    label: 'Blocks + Steals',
+    shortLabel: 'Blk + Stl',
+    abbrev: 'BLK+STL',
+    noun: 'blocks and steals',
+    modelCode: 'STOCKS',
+    lowCount: true
+  },
+  {
+    id: 'pra',
+    aliases: ['points_rebounds_assists', 'pts_reb_ast'],
+    market: 'player_points_rebounds_assists',
+    alternateMarket: 'player_points_rebounds_assists_alternate',
+    components: ['points', 'rebounds', 'assists'],
+    lineRange: { min: 5, max: 70 },
+    label: 'Points + Rebounds + Assists',
+    shortLabel: 'Pts + Reb + Ast',
+    abbrev: 'PTS+REB+AST',
+    noun: 'points, rebounds, and assists',
+    modelCode: 'PRA',
+    lowCount: false
+  },
+  {
+    id: 'pr',
+    aliases: ['points_rebounds', 'pts_reb'],
+    market: 'player_points_rebounds',
+    alternateMarket: 'player_points_rebounds_alternate',
+    components: ['points', 'rebounds'],
+    lineRange: { min: 5, max: 70 },
+    label: 'Points + Rebounds',
+    shortLabel: 'Pts + Reb',
+    abbrev: 'PTS+REB',
+    noun: 'points and rebounds',
+    modelCode: 'PR',
+    lowCount: false
+  },
+  {
+    id: 'pa',
+    aliases: ['points_assists', 'pts_ast'],
+    market: 'player_points_assists',
+    alternateMarket: 'player_points_assists_alternate',
+    components: ['points', 'assists'],
+    lineRange: { min: 5, max: 70 },
+    label: 'Points + Assists',
+    shortLabel: 'Pts + Ast',
+    abbrev: 'PTS+AST',
+    noun: 'points and assists',
+    modelCode: 'PA',
+    lowCount: false
+  },
+  {
+    id: 'ra',
+    aliases: ['rebounds_assists', 'reb_ast'],
+    market: 'player_rebounds_assists',
+    alternateMarket: 'player_rebounds_assists_alternate',
+    components: ['rebounds', 'assists'],
+    lineRange: { min: 5, max: 40 },
+    label: 'Rebounds + Assists',
+    shortLabel: 'Reb + Ast',
+    abbrev: 'REB+AST',
+    noun: 'rebounds and assists',
+    modelCode: 'RA',
+    lowCount: false
+  },
+  {
+    id: 'double_double',
+    aliases: ['dd'],
+    market: 'player_double_double',
+    alternateMarket: null,
+    components: ['points', 'rebounds', 'assists', 'steals', 'blocks'],
+    milestone: { threshold: 10, count: 2 },
+    lineRange: { min: 0.5, max: 0.5 },
+    label: 'Double-Double',
+    shortLabel: 'Dbl-Dbl',
+    abbrev: 'DD',
+    noun: 'double-doubles',
+    modelCode: 'DD',
+    lowCount: false
+  },
+  {
+    id: 'triple_double',
+    aliases: ['td'],
+    market: 'player_triple_double',
+    alternateMarket: null,
+    components: ['points', 'rebounds', 'assists', 'steals', 'blocks'],
+    milestone: { threshold: 10, count: 3 },
+    lineRange: { min: 0.5, max: 0.5 },
+    label: 'Triple-Double',
+    shortLabel: 'Trpl-Dbl',
+    abbrev: 'TD',
+    noun: 'triple-doubles',
+    modelCode: 'TD',
+    lowCount: false
+  }
+];
+
+// Line posted for yes/no markets (Yes = over 0.5)
+export const YES_NO_LINE = 0.5;
+
+const PROPS_BY_KEY = new Map();
+for (const prop of PROP_TYPES) {
+  for (const key of [prop.id, ...prop.aliases]) {
+    PROPS_BY_KEY.set(key, prop);
+  }
+}
+
+const PROPS_BY_MARKET = new Map(PROP_TYPES.filter(prop => prop.market).map(prop => [prop.market, prop]));
+const PROPS_BY_ALTERNATE_MARKET = new Map(PROP_TYPES.filter(prop => prop.alternateMarket).map(prop => [prop.alternateMarket, prop]));
+
+/**
+ * Look up a prop by id or alias (case-insensitive, "pts+reb" style accepted)
+ * @param {string} propType
+ * @returns {object|null} Registry entry
+ */
+export function getPropType(propType) {
+  if (!propType) return null;
+  const key = propType.toString().trim().toLowerCase().replace(/\s*\+\s*/g, '_');
+  return PROPS_BY_KEY.get(key) || null;
+}
+
+/**
+ * Canonical id for a prop id or alias
+ * @param {string} propType
+ * @returns {string|null}
+ */
+export function resolvePropId(propType) {
+  return getPropType(propType)?.id || null;
+}
+
+/**
+ * Prop for an exact Odds API market key
+ * @param {string} marketKey - e.g. 'player_points_rebounds'
+ * @returns {object|null} Registry entry
+ */
+export function getPropByMarket(marketKey) {
+  return PROPS_BY_MARKET.get((marketKey || '').toLowerCase()) || null;
+}
+
+/**
+ * Prop for an Odds API alternate-lines market key
+ * @param {string} marketKey - e.g. 'player_points_alternate'
+ * @returns {object|null} Registry entry
+ */
+export function getPropByAlternateMarket(marketKey) {
+  return PROPS_BY_ALTERNATE_MARKET.get((marketKey || '').toLowerCase()) || null;
+}
+
+/**
+ * Props offered by the Odds API (have a market key)
+ * @returns {array} Registry entries
+ */
+export function getMarketProps() {
+  return PROP_TYPES.filter(prop => prop.market);
+}
+
+/**
+ * Value of one base stat from a game log entry
+ * @param {object} game - Game log entry
+ * @param {string} stat - Base stat (key of STAT_FIELDS)
+ * @returns {number}
+ */
+export function getStatValue(game, stat) {
+  const fields = STAT_FIELDS[stat] || [stat];
+  for (const field of fields) {
+    const value = game?.[field];
+    if (value == null || value === '') continue;
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return 0;
+}
+
+/**
+ * Value of a prop in a game (sum of its stat components, 1/0 for yes/no props)
+ * @param {object} game - Game log entry
+ * @param {string} propType - Prop id or alias
+ * @returns {number} 0 for unknown props
+ */
+export function getPropValue(game, propType) {
+  const prop = getPropType(propType);
+  if (!prop) return 0;
+  if (prop.milestone) {
+    const reached = prop.components.filter(stat => getStatValue(game, stat) >= prop.milestone.threshold).length;
+    return reached >= prop.milestone.count ? 1 : 0;
+  }
+  return prop.components.reduce((sum, stat) => sum + getStatValue(game, stat), 0);
+}
+
+/**
+ * Whether a prop is a yes/no market (double-double, triple-double)
+ * @param {string} propType - Prop id or alias
+ * @returns {boolean}
+ */
+export function isYesNoProp(propType) {
+  return Boolean(getPropType(propType)?.milestone);
+}
+
+/**
+ * Whether a prop counts a base stat (e.g. pra includes rebounds)
+ * @param {string} propType - Prop id or alias
+ * @param {string} stat - Base stat
+ * @returns {boolean}
+ */
+export function propIncludesStat(propType, stat) {
+  return Boolean(getPropType(propType)?.components.includes(stat));
+}
+
+/**
+ * Whether a betting line falls in the prop's valid range
+ * @param {string} propType - Prop id or alias
+ * @param {number} line
+ * @returns {boolean}
+ */
+export function isValidLineForProp(propType, line) {
+  const prop = getPropType(propType);
+  if (!prop || line == null || isNaN(line) || line <= 0) return false;
+  return line >= prop.lineRange.min && line <= prop.lineRange.max;
+}
+
+/**
+ * Display label for a prop
+ * @param {string} propType - Prop id or alias
+ * @param {string} variant - 'label' | 'shortLabel' | 'abbrev' | 'noun'
+ * @returns {string} Falls back to the raw id for unknown props
+ */
+export function getPropLabel(propType, variant = 'label') {
+  const prop = getPropType(propType);
+  return prop?.[variant] || (propType || '').toString();
+}
+
+/**
+ * Code used for the prop in the fine-tuned model's training data
+ * @param {string} propType - Prop id or alias
+ * @returns {string}
+ */
+export function getModelCode(propType) {
+  return getPropType(propType)?.modelCode || (propType || '').toString().toUpperCase();
+}
@@ -2,6 +2,9 @@
  * Utility functions for calculating trending props based on sportsbook activity
  */
 
+import { getPropLabel } from './propRegistry.js';
+import { expectedValue } from './oddsMath.js';
+
 /**
  * Get the count of sportsbooks offering a specific prop
  * @param {Object} propData - Object where keys are sportsbook names
@@ -13,13 +16,31 @@ export function getPropBookCount(propData) {
 }
 
 /**
- * Find the best odds (highest return) from all sportsbooks for a prop
+ * Find the best odds from all sportsbooks for a prop
+ * With a market consensus, the best odds are the price with the highest EV against
+ * the no-vig fair probability; without one, the highest return.
  * @param {Object} propData - Object with sportsbook data
- * @returns {Object|null} - { sportsbook, odds, type } or null
+ * @param {Object|null} consensus - From buildMarketConsensus (fair probabilities at this line)
+ * @returns {Object|null} - { sportsbook, odds, type, fair_odds, ev } or null
  */
-export function findBestOdds(propData) {
+export function findBestOdds(propData, consensus = null) {
   if (!propData || typeof propData !== 'object') return null;
 
+  if (consensus?.fair_over_probability != null) {
+    let best = null;
+    for (const [sportsbook, data] of Object.entries(propData)) {
+      for (const type of ['over', 'under']) {
+        const odds = data[type]?.odds;
+        if (typeof odds !== 'number') continue;
+        const ev = expectedValue(consensus[`fair_${type}_probability`], odds);
+        if (ev != null && (!best || ev > best.ev)) {
+          best = { sportsbook, odds, type, fair_odds: consensus[`fair_${type}_odds`], ev };
+        }
+      }
+    }
+    if (best) return { ...best, ev: Math.round(best.ev * 1000) / 10 };
+  }
+
   let bestOdds = null;
   let bestValue = -Infinity;
 
@@ -104,18 +125,6 @@ export function sortByBookCount(props) {
  * @returns {string} - Display label (e.g., 'PTS', 'PTS+REB+AST')
  */
 export function formatPropType(propType) {
-  const labels = {
-    'points': 'PTS',
-    'rebounds': 'REB',
-    'assists': 'AST',
-    'threes': '3PT',
-    'pra': 'PTS+REB+AST',
-    'pr': 'PTS+REB',
-    'pa': 'PTS+AST',
-    'ra': 'REB+AST',
-    'steals': 'STL',
-    'blocks': 'BLK'
-  };
-  return labels[propType] || propType.toUpperCase();
+  return getPropLabel(propType, 'abbrev').toUpperCase();
 }
 
@@ -2,9 +2,29 @@ import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Home from './components/Home';
 import PlayerDetail from './components/PlayerDetail';
+import BankrollPanel from './components/BankrollPanel';
+import BetTracker from './components/BetTracker';
+import ParlayBuilder from './components/ParlayBuilder';
+import PickemPanel from './components/PickemPanel';
 
 function App() {
   const [selectedPlayer, setSelectedPlayer] = useState(null);
+  const [betSlip, setBetSlip] = useState([]); // Props picked for Kelly stake sizing
+  const [showBets, setShowBets] = useState(false);
+  const [showPickem, setShowPickem] = useState(false);
+  const [parlayLegs, setParlayLegs] = useState([]); // Legs added from the prop cards
+
+  const addToSlip = (selection) => {
+    setBetSlip(prev => (prev.some(item => item.id === selection.id) ? prev : [...prev, selection]));
+  };
+
+  // One leg per player and prop: picking the other side replaces it
+  const addParlayLeg = (leg) => {
+    setParlayLegs(prev => [
+      ...prev.filter(item => !(item.player === leg.player && item.prop_type === leg.prop_type)),
+      leg
+    ]);
+  };
 
   return (
     <div className="min-h-screen bg-gray-900">
@@ -22,12 +42,52 @@ function App() {
           >
             ⛈️🏀 HoopForecast
           </motion.h1>
+          <div className="flex gap-2">
+            <button
+              onClick={() => {
+                setShowPickem(!showPickem);
+                setShowBets(false);
+              }}
+              className="px-3 py-1.5 rounded-lg text-sm font-semibold text-gray-200 border border-gray-700 hover:bg-gray-800 transition-colors"
+            >
+              {showPickem ? 'Close Pick\'em' : 'Pick\'em'}
+            </button>
+            <button
+              onClick={() => {
+                setShowBets(!showBets);
+                setShowPickem(false);
+              }}
+              className="px-3 py-1.5 rounded-lg text-sm font-semibold text-gray-200 border border-gray-700 hover:bg-gray-800 transition-colors"
+            >
+              {showBets ? 'Close My Bets' : 'My Bets'}
+            </button>
+          </div>
         </div>
       </motion.header>
 
       <main className="container mx-auto px-4 py-8 bg-gray-900 min-h-screen">
         <AnimatePresence mode="wait">
-          {selectedPlayer ? (
+          {showPickem ? (
+            <motion.div
+              key="pickem"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.2, ease: "easeOut" }}
+            >
+              <PickemPanel onBack={() => setShowPickem(false)} />
+            </motion.div>
+          ) : showBets ? (
+            <motion.div
+              key="bet-tracker"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.2, ease: "easeOut" }}
+            >
+              <BetTracker onBack={() => setShowBets(false)} />
+            </motion.div>
+          ) : selectedPlayer ? (
             <motion.div
               key="player-detail"
               initial={{ opacity: 0, x: 20 }}
@@ -38,6 +98,10 @@ function App() {
               <PlayerDetail 
                 player={selectedPlayer} 
                 onBack={() => setSelectedPlayer(null)} 
+                onAddToSlip={addToSlip}
+                betSlip={betSlip}
+                onAddParlayLeg={addParlayLeg}
+                parlayLegs={parlayLegs}
               />
             </motion.div>
           ) : (
@@ -52,6 +116,18 @@ function App() {
             </motion.div>
           )}
         </AnimatePresence>
+
+        <BankrollPanel
+          selections={betSlip}
+          onRemove={(id) => setBetSlip(prev => prev.filter(item => item.id !== id))}
+          onClear={() => setBetSlip([])}
+        />
+
+        <ParlayBuilder
+          legs={parlayLegs}
+          onRemove={(id) => setParlayLegs(prev => prev.filter(item => item.id !== id))}
+          onClear={() => setParlayLegs([])}
+        />
       </main>
 
       <motion.footer 
@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+import { getEVColor } from '../utils/propCalculations';
+
+const API_BASE = '/api';
+
+const KELLY_OPTIONS = [
+  { value: 1, label: 'Full Kelly' },
+  { value: 0.5, label: 'Half Kelly' },
+  { value: 0.25, label: 'Quarter Kelly' },
+  { value: 0.125, label: 'Eighth Kelly' }
+];
+
+function formatOdds(odds) {
+  if (odds == null) return 'N/A';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+function formatMoney(value) {
+  return value != null ? `$${value.toFixed(2)}` : '-';
+}
+
+/**
+ * Bankroll panel - Kelly stake sizing for the bet slip (GET/PUT /api/bankroll, POST /api/bankroll/stakes)
+ * Edits are priced immediately and only saved as the default settings on "Save".
+ */
+function BankrollPanel({ selections, onRemove, onClear }) {
+  const propTypes = usePropTypes();
+  const [settings, setSettings] = useState(null);
+  const [sizing, setSizing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [logged, setLogged] = useState({}); // Selection id → tracked bet id
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/bankroll`)
+      .then(response => setSettings(response.data))
+      .catch(err => {
+        console.error('Error fetching bankroll settings:', err);
+        setError('Could not load bankroll settings');
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!settings || selections.length === 0) {
+      setSizing(null);
+      return;
+    }
+    let cancelled = false;
+    const { updated_at, ...overrides } = settings;
+    axios.post(`${API_BASE}/bankroll/stakes`, { selections, settings: overrides })
+      .then(response => {
+        if (!cancelled) {
+          setSizing(response.data);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        console.error('Error sizing stakes:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Could not size stakes');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selections, settings]);
+
+  const updateSetting = (field, value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return;
+    setSettings(prev => ({ ...prev, [field]: number }));
+  };
+
+  const saveSettings = async () => {
+    setSaving(true);
+    try {
+      const { updated_at, ...updates } = settings;
+      const response = await axios.put(`${API_BASE}/bankroll`, updates);
+      setSettings(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error saving bankroll settings:', err);
+      setError(err.response?.data?.error || 'Could not save bankroll settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Track the bet at its recommended stake in My Bets (POST /api/bets)
+  const logBet = async (selection, stake) => {
+    try {
+      const response = await axios.post(`${API_BASE}/bets`, {
+        player_name: selection.player,
+        prop_type: selection.prop_type,
+        line: selection.line,
+        side: selection.side,
+        odds: selection.odds,
+        stake: stake.stake,
+        bookmaker: selection.bookmaker,
+        game_date: selection.game_date,
+        event_id: selection.event_id,
+        predicted_value: selection.predicted_value,
+        model_probability: selection.probability,
+        confidence: selection.confidence
+      });
+      setLogged(prev => ({ ...prev, [selection.id]: response.data.id }));
+      setError(null);
+    } catch (err) {
+      console.error('Error logging bet:', err);
+      setError(err.response?.data?.error || 'Could not log bet');
+    }
+  };
+
+  if (selections.length === 0) return null;
+
+  const stakesById = new Map((sizing?.stakes || []).map(stake => [stake.id, stake]));
+  const inputClass = 'w-24 bg-slate-800 border border-slate-600/50 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-emerald-500/60';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="max-w-7xl mx-auto mt-8 bg-slate-800/40 rounded-2xl border border-slate-700/50 p-5"
+    >
+      <div className="flex items-end justify-between flex-wrap gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-white leading-tight">Bet Slip & Bankroll</h2>
+          <p className="text-gray-400 text-sm">
+            Kelly stakes from each prop's cover probability and best price, capped per player and per game
+          </p>
+        </div>
+        <button onClick={onClear} className="text-xs text-gray-400 hover:text-white transition-colors">Clear slip</button>
+      </div>
+
+      {settings && (
+        <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+          <label className="flex flex-col gap-1 text-gray-400">
+            Bankroll ($)
+            <input type="number" min="1" className={inputClass} value={settings.bankroll}
+              onChange={(e) => updateSetting('bankroll', e.target.value)} />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Kelly fraction
+            <select className={`${inputClass} w-36`} value={settings.kelly_fraction}
+              onChange={(e) => updateSetting('kelly_fraction', e.target.value)}>
+              {!KELLY_OPTIONS.some(option => option.value === settings.kelly_fraction) && (
+                <option value={settings.kelly_fraction}>{settings.kelly_fraction} Kelly</option>
+              )}
+              {KELLY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Max per game (%)
+            <input type="number" min="0.1" max="100" step="0.5" className={inputClass}
+              value={+(settings.max_game_exposure * 100).toFixed(2)}
+              onChange={(e) => updateSetting('max_game_exposure', e.target.value / 100)} />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Max per player (%)
+            <input type="number" min="0.1" max="100" step="0.5" className={inputClass}
+              value={+(settings.max_player_exposure * 100).toFixed(2)}
+              onChange={(e) => updateSetting('max_player_exposure', e.target.value / 100)} />
+          </label>
+          <button
+            onClick={saveSettings}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg bg-emerald-600/20 text-emerald-300 border border-emerald-500/40 hover:bg-emerald-600/30 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save as default'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-400 border-b border-slate-700/50">
+              <th className="py-2 px-3 text-left font-normal">Player</th>
+              <th className="py-2 px-3 text-left font-normal">Pick</th>
+              <th className="py-2 px-3 text-center font-normal">Price</th>
+              <th className="py-2 px-3 text-center font-normal">Cover</th>
+              <th className="py-2 px-3 text-center font-normal">EV</th>
+              <th className="py-2 px-3 text-center font-normal">Full Kelly</th>
+              <th className="py-2 px-3 text-right font-normal">Stake</th>
+              <th className="py-2 px-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {selections.map(selection => {
+              const stake = stakesById.get(selection.id);
+              const yesNo = isYesNoProp(propTypes, selection.prop_type);
+              const pick = yesNo
+                ? (selection.side === 'OVER' ? 'Yes' : 'No')
+                : `${selection.side === 'OVER' ? 'O' : 'U'} ${parseFloat(selection.line).toFixed(1)}`;
+              const notes = [];
+              if (stake?.correlation_factor < 1) notes.push(`same player ×${stake.correlation_factor.toFixed(2)}`);
+              if (stake?.capped_by) notes.push(`${stake.capped_by} cap`);
+              return (
+                <tr key={selection.id} className="border-b border-slate-700/30">
+                  <td className="py-2 px-3">
+                    <div className="text-white font-semibold">{selection.player}</div>
+                    {selection.game && <div className="text-xs text-gray-500">{selection.game}</div>}
+                  </td>
+                  <td className="py-2 px-3 text-gray-200">
+                    <span className={selection.side === 'OVER' ? 'text-green-400' : 'text-red-400'}>{pick}</span>{' '}
+                    {getPropLabel(propTypes, selection.prop_type)}
+                  </td>
+                  <td className="py-2 px-3 text-center text-white">
+                    {formatOdds(selection.odds)}
+                    {selection.bookmaker && <div className="text-xs text-gray-500">{selection.bookmaker}</div>}
+                  </td>
+                  <td className="py-2 px-3 text-center text-gray-200">{(selection.probability * 100).toFixed(0)}%</td>
+                  <td className={`py-2 px-3 text-center font-semibold ${stake?.ev != null ? getEVColor(stake.ev) : 'text-gray-500'}`}>
+                    {stake?.ev != null ? `${stake.ev > 0 ? '+' : ''}${stake.ev.toFixed(1)}%` : '-'}
+                  </td>
+                  <td className="py-2 px-3 text-center text-gray-200">
+                    {stake ? `${(stake.full_kelly * 100).toFixed(1)}%` : '-'}
+                  </td>
+                  <td className="py-2 px-3 text-right">
+                    <div className="text-white font-bold">{formatMoney(stake?.stake)}</div>
+                    {notes.length > 0 && <div className="text-xs text-yellow-400">{notes.join(' · ')}</div>}
+                    {stake && stake.full_kelly === 0 && <div className="text-xs text-gray-500">no edge</div>}
+                  </td>
+                  <td className="py-2 px-3 text-right whitespace-nowrap">
+                    {stake?.stake > 0 && (
+                      logged[selection.id]
+                        ? <span className="text-xs text-emerald-400 mr-3">Logged</span>
+                        : <button onClick={() => logBet(selection, stake)} className="text-xs text-emerald-300 hover:text-emerald-200 mr-3 transition-colors">Log bet</button>
+                    )}
+                    <button onClick={() => onRemove(selection.id)} className="text-gray-500 hover:text-red-400 transition-colors" aria-label="Remove">✕</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {sizing && (
+        <div className="flex justify-end gap-6 mt-4 text-sm">
+          <span className="text-gray-400">Total stake <span className="text-white font-bold">{formatMoney(sizing.totals.stake)}</span></span>
+          <span className="text-gray-400">Exposure <span className="text-white font-bold">{sizing.totals.exposure.toFixed(1)}%</span> of bankroll</span>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default BankrollPanel;
@@ -0,0 +1,298 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+
+const API_BASE = '/api';
+
+const BREAKDOWNS = [
+  { key: 'by_prop', label: 'By Prop' },
+  { key: 'by_bookmaker', label: 'By Book' },
+  { key: 'by_confidence', label: 'By Confidence' },
+  { key: 'by_month', label: 'By Month' }
+];
+
+const STATUS_COLORS = {
+  win: 'text-green-400',
+  loss: 'text-red-400',
+  push: 'text-yellow-400',
+  void: 'text-gray-400',
+  pending: 'text-blue-300'
+};
+
+function formatOdds(odds) {
+  if (odds == null) return 'N/A';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+function formatMoney(value) {
+  if (value == null) return '-';
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function profitColor(value) {
+  if (value > 0) return 'text-green-400';
+  if (value < 0) return 'text-red-400';
+  return 'text-gray-300';
+}
+
+function SummaryCard({ title, value, color = 'text-white', subtitle }) {
+  return (
+    <div className="bg-slate-800/60 rounded-xl border border-slate-700/50 p-4">
+      <div className="text-xs text-gray-400 mb-1">{title}</div>
+      <div className={`text-2xl font-bold ${color}`}>{value}</div>
+      {subtitle && <div className="text-xs text-gray-500 mt-1">{subtitle}</div>}
+    </div>
+  );
+}
+
+/**
+ * My Bets - tracked bets, settlement and P&L (GET/POST /api/bets, /api/bets/pnl)
+ */
+function BetTracker({ onBack }) {
+  const propTypes = usePropTypes();
+  const [bets, setBets] = useState([]);
+  const [pnl, setPnl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [breakdown, setBreakdown] = useState('by_prop');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const loadBets = async () => {
+    try {
+      const [betsResponse, pnlResponse] = await Promise.all([
+        axios.get(`${API_BASE}/bets`, { params: { status: statusFilter || undefined } }),
+        axios.get(`${API_BASE}/bets/pnl`)
+      ]);
+      setBets(betsResponse.data.bets || []);
+      setPnl(pnlResponse.data);
+    } catch (err) {
+      console.error('Error loading bets:', err);
+      setMessage('Could not load bets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBets();
+  }, [statusFilter]);
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      setMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await loadBets();
+    } catch (err) {
+      console.error('Bet tracker action failed:', err);
+      setMessage(err.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const autoSettle = () => runAction(
+    () => axios.post(`${API_BASE}/bets/settle`),
+    (response) => response.data.message
+  );
+
+  const settleManually = (bet, result) => runAction(
+    () => axios.post(`${API_BASE}/bets/${bet.id}/settle`, { result }),
+    `Marked ${bet.player_name} as ${result}`
+  );
+
+  const removeBet = (bet) => {
+    if (!window.confirm(`Delete the ${bet.player_name} bet?`)) return;
+    runAction(() => axios.delete(`${API_BASE}/bets/${bet.id}`), 'Bet deleted');
+  };
+
+  const importCsv = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const csv = await file.text();
+    runAction(
+      () => axios.post(`${API_BASE}/bets/import`, { csv }),
+      (response) => `Imported ${response.data.imported} bets${response.data.skipped ? `, skipped ${response.data.skipped}` : ''}`
+    );
+  };
+
+  const breakdownRows = Object.entries(pnl?.[breakdown] || {})
+    .sort(([, a], [, b]) => b.profit - a.profit);
+  const groupLabel = (key) => (breakdown === 'by_prop' ? getPropLabel(propTypes, key) : key);
+  const buttonClass = 'px-3 py-1.5 rounded-lg text-sm font-semibold border transition-colors disabled:opacity-50';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="max-w-7xl mx-auto"
+    >
+      <div className="flex items-end justify-between flex-wrap gap-3 mb-6">
+        <div>
+          <button onClick={onBack} className="text-sm text-gray-400 hover:text-white mb-2 transition-colors">← Back</button>
+          <h2 className="text-2xl font-bold text-white leading-tight">My Bets</h2>
+          <p className="text-gray-400 text-sm">Tracked bets, settled from the box scores, with profit and loss</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={autoSettle} disabled={busy}
+            className={`${buttonClass} bg-emerald-600/20 text-emerald-300 border-emerald-500/40 hover:bg-emerald-600/30`}>
+            {busy ? 'Working...' : 'Auto-settle'}
+          </button>
+          <button onClick={() => fileInput.current?.click()} disabled={busy}
+            className={`${buttonClass} bg-slate-800 text-gray-200 border-slate-600/50 hover:bg-slate-700`}>
+            Import CSV
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,text/csv" className="hidden" onChange={importCsv} />
+          <a href={`${API_BASE}/bets/export`}
+            className={`${buttonClass} bg-slate-800 text-gray-200 border-slate-600/50 hover:bg-slate-700`}>
+            Export CSV
+          </a>
+        </div>
+      </div>
+
+      {message && <p className="text-sm text-gray-300 mb-4">{message}</p>}
+
+      {loading ? (
+        <div className="text-center py-10 text-gray-400 text-sm">Loading bets...</div>
+      ) : (
+        <>
+          {pnl && (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+              <SummaryCard title="Profit" value={formatMoney(pnl.profit)} color={profitColor(pnl.profit)}
+                subtitle={`${formatMoney(pnl.staked)} staked`} />
+              <SummaryCard title="ROI" value={pnl.roi != null ? `${pnl.roi > 0 ? '+' : ''}${pnl.roi.toFixed(1)}%` : '-'}
+                color={profitColor(pnl.roi)} />
+              <SummaryCard title="Units" value={`${pnl.units > 0 ? '+' : ''}${pnl.units.toFixed(2)}u`} color={profitColor(pnl.units)}
+                subtitle={`1u = ${formatMoney(pnl.unit_size)}`} />
+              <SummaryCard title="Record" value={`${pnl.wins}-${pnl.losses}${pnl.pushes ? `-${pnl.pushes}` : ''}`}
+                subtitle={pnl.hit_rate != null ? `${pnl.hit_rate.toFixed(1)}% hit rate` : null} />
+              <SummaryCard title="Open" value={pnl.pending.bets} subtitle={`${formatMoney(pnl.pending.stake)} at risk`} />
+            </div>
+          )}
+
+          {/* P&L breakdowns */}
+          <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-4 mb-6">
+            <div className="flex gap-2 mb-3">
+              {BREAKDOWNS.map(option => (
+                <button key={option.key} onClick={() => setBreakdown(option.key)}
+                  className={`px-3 py-1 rounded-lg text-xs font-semibold transition-colors ${breakdown === option.key ? 'bg-emerald-600/30 text-emerald-300' : 'text-gray-400 hover:text-white'}`}>
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {breakdownRows.length === 0 ? (
+              <p className="text-sm text-gray-400 py-4 text-center">No settled bets yet</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-gray-400 border-b border-slate-700/50">
+                    <th className="py-2 px-3 text-left font-normal">Group</th>
+                    <th className="py-2 px-3 text-center font-normal">Record</th>
+                    <th className="py-2 px-3 text-center font-normal">Staked</th>
+                    <th className="py-2 px-3 text-center font-normal">Profit</th>
+                    <th className="py-2 px-3 text-center font-normal">Units</th>
+                    <th className="py-2 px-3 text-right font-normal">ROI</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breakdownRows.map(([key, row]) => (
+                    <tr key={key} className="border-b border-slate-700/30">
+                      <td className="py-2 px-3 text-white">{groupLabel(key)}</td>
+                      <td className="py-2 px-3 text-center text-gray-200">{row.wins}-{row.losses}{row.pushes ? `-${row.pushes}` : ''}</td>
+                      <td className="py-2 px-3 text-center text-gray-200">{formatMoney(row.staked)}</td>
+                      <td className={`py-2 px-3 text-center font-semibold ${profitColor(row.profit)}`}>{formatMoney(row.profit)}</td>
+                      <td className={`py-2 px-3 text-center ${profitColor(row.units)}`}>{row.units.toFixed(2)}u</td>
+                      <td className={`py-2 px-3 text-right ${profitColor(row.roi)}`}>{row.roi != null ? `${row.roi.toFixed(1)}%` : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Bet list */}
+          <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-white font-semibold">Bets</h3>
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}
+                className="bg-slate-800 border border-slate-600/50 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none">
+                <option value="">All</option>
+                {Object.keys(STATUS_COLORS).map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </div>
+            {bets.length === 0 ? (
+              <p className="text-sm text-gray-400 py-6 text-center">No bets tracked yet. Log them from the bet slip or import a CSV.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-gray-400 border-b border-slate-700/50">
+                      <th className="py-2 px-3 text-left font-normal">Date</th>
+                      <th className="py-2 px-3 text-left font-normal">Bet</th>
+                      <th className="py-2 px-3 text-center font-normal">Odds</th>
+                      <th className="py-2 px-3 text-center font-normal">Stake</th>
+                      <th className="py-2 px-3 text-center font-normal">Model</th>
+                      <th className="py-2 px-3 text-center font-normal">Result</th>
+                      <th className="py-2 px-3 text-right font-normal">Profit</th>
+                      <th className="py-2 px-3" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bets.map(bet => {
+                      const yesNo = isYesNoProp(propTypes, bet.prop_type);
+                      const pick = yesNo
+                        ? (bet.side === 'OVER' ? 'Yes' : 'No')
+                        : `${bet.side === 'OVER' ? 'Over' : 'Under'} ${bet.line}`;
+                      return (
+                        <tr key={bet.id} className="border-b border-slate-700/30">
+                          <td className="py-2 px-3 text-gray-400 whitespace-nowrap">{bet.game_date}</td>
+                          <td className="py-2 px-3">
+                            <div className="text-white font-semibold">{bet.player_name}</div>
+                            <div className="text-xs text-gray-400">{pick} {getPropLabel(propTypes, bet.prop_type)}{bet.bookmaker ? ` · ${bet.bookmaker}` : ''}</div>
+                          </td>
+                          <td className="py-2 px-3 text-center text-white">{formatOdds(bet.odds)}</td>
+                          <td className="py-2 px-3 text-center text-gray-200">{formatMoney(bet.stake)}</td>
+                          <td className="py-2 px-3 text-center text-gray-300">
+                            {bet.predicted_value != null ? (yesNo ? `${(bet.predicted_value * 100).toFixed(0)}%` : bet.predicted_value.toFixed(1)) : '-'}
+                            {bet.confidence && <div className="text-xs text-gray-500">{bet.confidence}</div>}
+                          </td>
+                          <td className={`py-2 px-3 text-center font-semibold capitalize ${STATUS_COLORS[bet.status]}`}>
+                            {bet.status}
+                            {bet.actual_value != null && <div className="text-xs text-gray-500 normal-case">actual {bet.actual_value}</div>}
+                          </td>
+                          <td className={`py-2 px-3 text-right font-semibold ${profitColor(bet.profit)}`}>{formatMoney(bet.profit)}</td>
+                          <td className="py-2 px-3 text-right whitespace-nowrap">
+                            {bet.status === 'pending' && (
+                              <select value="" disabled={busy} onChange={(e) => e.target.value && settleManually(bet, e.target.value)}
+                                className="bg-slate-800 border border-slate-600/50 rounded px-1 py-0.5 text-xs text-gray-300 mr-2">
+                                <option value="">Settle…</option>
+                                <option value="win">Win</option>
+                                <option value="loss">Loss</option>
+                                <option value="push">Push</option>
+                                <option value="void">Void</option>
+                              </select>
+                            )}
+                            <button onClick={() => removeBet(bet)} className="text-gray-500 hover:text-red-400 transition-colors" aria-label="Delete">✕</button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+}
+
+export default BetTracker;
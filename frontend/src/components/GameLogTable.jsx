@@ -1,8 +1,11 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
+import { getScheduleFilters, applyScheduleFilter, getScheduleBadges } from '../utils/scheduleFilters';
+import { usePropTypes, getPropValue as getRegistryPropValue, getPropLabel } from '../utils/propTypes';
 
-function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOpponent }) {
+function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOpponent, teammateSplits = [] }) {
   const [seasonFilter, setSeasonFilter] = useState('2025 Season');
+  const propTypes = usePropTypes();
 
   if (!stats || stats.length === 0) {
     return (
@@ -29,9 +32,27 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
     return dateB - dateA;
   });
 
-  // Filter by season or H2H - use season field if available, otherwise use date
+  // "Without X" options for teammates ruled out (games they missed this season)
+  const withoutFilters = (teammateSplits || [])
+    .filter(split => split.without?.games > 0)
+    .map(split => ({
+      label: `Without ${split.teammate.split(' ').slice(-1)[0]}`,
+      split,
+      dates: new Set(split.without_game_dates || [])
+    }));
+  const activeWithoutFilter = withoutFilters.find(f => f.label === seasonFilter) || null;
+
+  // Schedule splits (back-to-backs, rest, road trips, travel, altitude) present in the log
+  const scheduleFilters = getScheduleFilters(sortedStats);
+  const activeScheduleFilter = scheduleFilters.find(f => f.label === seasonFilter) || null;
+
+  // Filter by season, H2H, teammate absence or schedule - use season field if available, otherwise use date
   let filteredStats = sortedStats;
-  if (seasonFilter === 'H2H') {
+  if (activeWithoutFilter) {
+    filteredStats = sortedStats.filter(game => activeWithoutFilter.dates.has(game.date));
+  } else if (activeScheduleFilter) {
+    filteredStats = applyScheduleFilter(sortedStats, activeScheduleFilter);
+  } else if (seasonFilter === 'H2H') {
     // Filter to only show games against the next opponent (ALL historical games, no season filter)
     if (nextGameOpponent) {
       filteredStats = sortedStats.filter(game => {
@@ -103,28 +124,7 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
     });
   }
 
-  const getPropValue = (game) => {
-    if (selectedProp === 'points') {
-      return game.points || 0;
-    } else if (selectedProp === 'assists') {
-      return game.assists || 0;
-    } else if (selectedProp === 'rebounds') {
-      return game.rebounds || 0;
-    } else if (selectedProp === 'threes') {
-      return game.threes_made || game.threes || 0;
-    } else if (selectedProp === 'steals') {
-      return game.steals || 0;
-    } else if (selectedProp === 'blocks') {
-      return game.blocks || 0;
-    } else if (selectedProp === 'points_rebounds') {
-      // Combined: Points + Rebounds
-      return (game.points || 0) + (game.rebounds || 0);
-    } else if (selectedProp === 'points_assists') {
-      // Combined: Points + Assists
-      return (game.points || 0) + (game.assists || 0);
-    }
-    return game.points || 0;
-  };
+  const getPropValue = (game) => getRegistryPropValue(propTypes, game, selectedProp || 'points');
 
   const getOverUnder = (game) => {
     if (!line) return null;
@@ -260,13 +260,27 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
           <h3 className="text-xl font-bold text-white mb-1">
             {seasonFilter === 'H2H' && nextGameOpponent 
               ? `Head-to-Head vs ${nextGameOpponent}` 
-              : 'Player Game Log'}
+              : activeWithoutFilter
+                ? `Without ${activeWithoutFilter.split.teammate}`
+                : activeScheduleFilter
+                  ? activeScheduleFilter.description
+                  : 'Player Game Log'}
           </h3>
-          {overUnderRecord.over + overUnderRecord.under > 0 && seasonFilter !== 'H2H' && (
+          {overUnderRecord.over + overUnderRecord.under > 0 && seasonFilter !== 'H2H' && !activeWithoutFilter && !activeScheduleFilter && (
             <p className="text-sm text-gray-400">
               The Over has hit <span className="text-green-400 font-semibold">{overUnderRecord.over}/{overUnderRecord.over + overUnderRecord.under}</span> this season based on lines for each game.
             </p>
           )}
+          {activeWithoutFilter && overUnderRecord.over + overUnderRecord.under > 0 && (
+            <p className="text-sm text-gray-400">
+              The Over has hit <span className="text-green-400 font-semibold">{overUnderRecord.over}/{overUnderRecord.over + overUnderRecord.under}</span> in games without {activeWithoutFilter.split.teammate}.
+            </p>
+          )}
+          {activeScheduleFilter && overUnderRecord.over + overUnderRecord.under > 0 && (
+            <p className="text-sm text-gray-400">
+              The Over has hit <span className="text-green-400 font-semibold">{overUnderRecord.over}/{overUnderRecord.over + overUnderRecord.under}</span> in these games ({activeScheduleFilter.label}).
+            </p>
+          )}
           {seasonFilter === 'H2H' && overUnderRecord.over + overUnderRecord.under > 0 && filteredStats.length > 0 && (
             <p className="text-sm text-gray-400">
               The Over has hit <span className="text-green-400 font-semibold">{overUnderRecord.over}/{overUnderRecord.over + overUnderRecord.under}</span> in games against {nextGameOpponent}.
@@ -281,6 +295,12 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
           <option>2025 Season</option>
           <option>2024 Season</option>
           {nextGameOpponent && <option>H2H</option>}
+          {withoutFilters.map(f => <option key={f.label}>{f.label}</option>)}
+          {scheduleFilters.length > 0 && (
+            <optgroup label="Schedule">
+              {scheduleFilters.map(f => <option key={f.label} value={f.label}>{f.label}</option>)}
+            </optgroup>
+          )}
         </select>
       </div>
       
@@ -294,9 +314,7 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
               <th className="text-center py-3 px-4 text-gray-400 font-semibold">Minutes</th>
               <th className="text-center py-3 px-4 text-gray-400 font-semibold">Prop Line</th>
               <th className="text-center py-3 px-4 text-gray-400 font-semibold">
-                {selectedProp === 'points_rebounds' ? 'PTS + REBS' : 
-                 selectedProp === 'points_assists' ? 'PTS + AST' : 
-                 'PTS'}
+                {getPropLabel(propTypes, selectedProp || 'points', 'abbrev')}
               </th>
               <th className="text-center py-3 px-4 text-gray-400 font-semibold">REBS</th>
               <th className="text-center py-3 px-4 text-gray-400 font-semibold">ASSISTS</th>
@@ -324,6 +342,7 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
               
               const isAway = game.home === false;
               const opponentLabel = isAway ? `@${game.opponent}` : game.opponent;
+              const scheduleBadges = getScheduleBadges(game.schedule);
               
               return (
                 <motion.tr 
@@ -335,7 +354,16 @@ function GameLogTable({ stats, selectedProp, prediction, bettingLine, nextGameOp
                   className="border-b border-gray-700 transition-colors"
                 >
                   <td className="py-3 px-4 text-gray-300 font-medium">{formatDate(game.date)}</td>
-                  <td className="py-3 px-4 text-white font-medium">{opponentLabel || 'N/A'}</td>
+                  <td className="py-3 px-4 text-white font-medium">
+                    {opponentLabel || 'N/A'}
+                    {scheduleBadges.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {scheduleBadges.map(badge => (
+                          <span key={badge} className="px-1.5 py-0.5 rounded bg-gray-700 text-[10px] font-semibold text-gray-300">{badge}</span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
                   <td className="py-3 px-4 text-center text-gray-300">{formatScore(game)}</td>
                   <td className="py-3 px-4 text-center text-gray-300">{game.minutes || 0}</td>
                   <td className={`py-3 px-4 text-center font-semibold ${ou ? ou.bgColor : 'text-gray-400'}`}>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import axios from 'axios';
+import { usePropTypes, getPropLabel } from '../utils/propTypes';
+import TopEdges from './TopEdges';
 
 const API_BASE = '/api';
 
@@ -10,22 +12,8 @@ const getTeamLogo = (teamAbbrev) => {
   return `/images/team-logos/${teamAbbrev}.png`;
 };
 
-// Helper function to format prop type for display
-const formatPropType = (propType) => {
-  const labels = {
-    'points': 'PTS',
-    'rebounds': 'REB',
-    'assists': 'AST',
-    'threes': '3PT',
-    'pra': 'PTS+REB+AST',
-    'pr': 'PTS+REB',
-    'pa': 'PTS+AST',
-    'ra': 'REB+AST',
-    'steals': 'STL',
-    'blocks': 'BLK'
-  };
-  return labels[propType] || propType.toUpperCase();
-};
+// Helper function to format prop type for display (registry abbreviation, e.g. PTS+REB)
+const formatPropType = (propTypes, propType) => getPropLabel(propTypes, propType, 'abbrev').toUpperCase();
 
 function Home({ onSelectPlayer }) {
   const [playersWithLines, setPlayersWithLines] = useState([]);
@@ -37,6 +25,7 @@ function Home({ onSelectPlayer }) {
   const [isSearching, setIsSearching] = useState(false);
   const [error, setError] = useState(null);
   const [showSearch, setShowSearch] = useState(true); // Show search by default
+  const propTypes = usePropTypes();
 
   // Fetch players with betting lines and trending props on mount
   useEffect(() => {
@@ -459,7 +448,7 @@ function Home({ onSelectPlayer }) {
                           </h3>
                           <div className="flex items-center gap-1.5 flex-wrap">
                             <span className="inline-block px-1.5 py-0.5 bg-amber-500/20 text-amber-400 rounded text-[10px] font-bold border border-amber-500/30">
-                              {formatPropType(prop.prop_type)}
+                              {formatPropType(propTypes, prop.prop_type)}
                             </span>
                             <span className="text-[10px] text-gray-500">•</span>
                             <p className="text-[10px] text-gray-400 flex items-center gap-1">
@@ -529,6 +518,11 @@ function Home({ onSelectPlayer }) {
                           </div>
                           <p className="text-[8px] text-gray-500 mt-0.5 capitalize leading-none">
                             {prop.bestOdds.type}
+                            {prop.bestOdds.ev != null && (
+                              <span className={prop.bestOdds.ev > 0 ? 'text-green-400' : 'text-gray-500'}>
+                                {' · '}fair {prop.bestOdds.fair_odds > 0 ? '+' : ''}{prop.bestOdds.fair_odds} · {prop.bestOdds.ev > 0 ? '+' : ''}{prop.bestOdds.ev.toFixed(1)}% EV
+                              </span>
+                            )}
                           </p>
                         </div>
                       )}
@@ -557,6 +551,11 @@ function Home({ onSelectPlayer }) {
         </motion.div>
       </div>
 
+      {/* Top Edges Section - slate-wide +EV scan */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 mb-12">
+        <TopEdges onSelectPlayer={handleSelectPlayer} />
+      </div>
+
       {/* Featured Players Section - Vertical Grid */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6">
         <motion.div
@@ -726,25 +725,7 @@ function Home({ onSelectPlayer }) {
                 {/* Betting Line */}
                   <div className="bg-gradient-to-br from-yellow-500/10 to-transparent rounded-xl p-3 mb-3 border border-yellow-500/20">
                     <div className="text-xs text-gray-400 mb-1 uppercase tracking-wider font-semibold">
-                      {(() => {
-                        const propLabels = {
-                          points: 'PTS',
-                          assists: 'AST',
-                          rebounds: 'REB',
-                          threes: '3PT',
-                          steals: 'STL',
-                          blocks: 'BLK',
-                          pra: 'PTS + AST + REB',
-                          pr: 'PTS + REB',
-                          pa: 'PTS + AST',
-                          ra: 'REB + AST',
-                          points_rebounds: 'PTS + REB',
-                          points_assists: 'PTS + AST',
-                          rebounds_assists: 'REB + AST',
-                          points_rebounds_assists: 'PTS + AST + REB'
-                        };
-                        return propLabels[player.prop_type] || player.prop_type?.toUpperCase() || 'PTS';
-                      })()}
+                      {formatPropType(propTypes, player.prop_type || 'points')}
                     </div>
                     <div className="text-3xl font-extrabold text-yellow-400 mb-1">
                     {player.betting_line}
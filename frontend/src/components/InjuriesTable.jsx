@@ -167,7 +167,14 @@ function InjuriesTable({ injuries, playerTeam, opponentTeam }) {
                           headshot={injury.headshot}
                         />
                         <div className="flex items-center gap-2">
-                          <span className="text-white font-medium">{injury.playerName}</span>
+                          <div>
+                            <span className="text-white font-medium">{injury.playerName}</span>
+                            {injury.recentStats && (
+                              <div className="text-xs text-gray-500">
+                                {injury.position} • {injury.recentStats.minutes} min • {injury.recentStats.points} pts • Impact {injury.impactScore}
+                              </div>
+                            )}
+                          </div>
                           <svg className="w-4 h-4 text-gray-500 hover:text-gray-400 cursor-pointer" fill="currentColor" viewBox="0 0 20 20">
                             <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7zM7 9H5v2h2V9zm8 0h-2v2h2V9zM9 9h2v2H9V9z" clipRule="evenodd" />
                           </svg>
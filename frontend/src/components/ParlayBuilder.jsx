@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+import { getEVColor } from '../utils/propCalculations';
+
+const API_BASE = '/api';
+
+function formatOdds(odds) {
+  if (odds == null) return 'N/A';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+function formatPercent(value, digits = 1) {
+  return value != null ? `${(value * 100).toFixed(digits)}%` : '-';
+}
+
+/**
+ * Parlay builder - joint hit probability of legs added from the prop cards (POST /api/parlay/price)
+ * Leg correlations come from the players' game logs, so same-player and teammate legs
+ * are not priced as if they were independent.
+ */
+function ParlayBuilder({ legs, onRemove, onClear }) {
+  const propTypes = usePropTypes();
+  const [parlayOdds, setParlayOdds] = useState('');
+  const [pricing, setPricing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A changed parlay needs a new price
+  useEffect(() => {
+    setPricing(null);
+  }, [legs, parlayOdds]);
+
+  const priceParlay = async () => {
+    setLoading(true);
+    try {
+      const odds = parseInt(parlayOdds, 10);
+      const response = await axios.post(`${API_BASE}/parlay/price`, {
+        legs: legs.map(({ player, prop_type, side, line, odds, probability }) => ({ player, prop_type, side, line, odds, probability })),
+        parlay_odds: Number.isFinite(odds) ? odds : null
+      });
+      setPricing(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error pricing parlay:', err);
+      setError(err.response?.data?.error || 'Could not price parlay');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (legs.length === 0) return null;
+
+  const legLabel = (leg) => {
+    const pick = isYesNoProp(propTypes, leg.prop_type)
+      ? (leg.side === 'OVER' ? 'Yes' : 'No')
+      : `${leg.side === 'OVER' ? 'O' : 'U'} ${parseFloat(leg.line).toFixed(1)}`;
+    return `${pick} ${getPropLabel(propTypes, leg.prop_type)}`;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="max-w-7xl mx-auto mt-8 bg-slate-800/40 rounded-2xl border border-slate-700/50 p-5"
+    >
+      <div className="flex items-end justify-between flex-wrap gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-white leading-tight">Parlay Builder</h2>
+          <p className="text-gray-400 text-sm">
+            Joint hit probability with leg correlations from the game logs, against the book's parlay price
+          </p>
+        </div>
+        <button onClick={onClear} className="text-xs text-gray-400 hover:text-white transition-colors">Clear parlay</button>
+      </div>
+
+      <div className="flex flex-col gap-2 mb-4">
+        {legs.map((leg, index) => {
+          const priced = pricing?.legs?.[index];
+          return (
+            <div key={leg.id} className="flex items-center justify-between bg-slate-800/60 rounded-lg px-3 py-2 text-sm">
+              <div>
+                <span className="text-white font-semibold">{leg.player}</span>{' '}
+                <span className={leg.side === 'OVER' ? 'text-green-400' : 'text-red-400'}>{legLabel(leg)}</span>
+              </div>
+              <div className="flex items-center gap-4">
+                <span className="text-gray-300">{formatOdds(leg.odds)}</span>
+                <span className="text-gray-400 w-16 text-right">
+                  {formatPercent(priced?.probability ?? leg.probability, 0)}
+                </span>
+                <button onClick={() => onRemove(leg.id)} className="text-gray-500 hover:text-red-400 transition-colors" aria-label="Remove">✕</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <label className="flex flex-col gap-1 text-gray-400">
+          Book parlay odds (optional)
+          <input
+            type="number"
+            placeholder="e.g. +600"
+            className="w-36 bg-slate-800 border border-slate-600/50 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-purple-500/60"
+            value={parlayOdds}
+            onChange={(e) => setParlayOdds(e.target.value)}
+          />
+        </label>
+        <button
+          onClick={priceParlay}
+          disabled={loading || legs.length < 2}
+          className="px-3 py-1.5 rounded-lg bg-purple-600/20 text-purple-300 border border-purple-500/40 hover:bg-purple-600/30 transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Pricing...' : 'Price parlay'}
+        </button>
+        {legs.length < 2 && <span className="text-xs text-gray-500">Add at least 2 legs</span>}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      {pricing && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className="text-xs text-gray-400">Joint hit</div>
+            <div className="text-lg font-bold text-white">{formatPercent(pricing.joint_probability)}</div>
+          </div>
+          <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className="text-xs text-gray-400">If independent</div>
+            <div className="text-lg font-bold text-gray-300">{formatPercent(pricing.independent_probability)}</div>
+            {pricing.correlation_lift != null && (
+              <div className={`text-xs ${pricing.correlation_lift >= 1 ? 'text-green-400' : 'text-red-400'}`}>
+                ×{pricing.correlation_lift.toFixed(2)} from correlation
+              </div>
+            )}
+          </div>
+          <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className="text-xs text-gray-400">Fair odds</div>
+            <div className="text-lg font-bold text-white">{formatOdds(pricing.fair_odds)}</div>
+          </div>
+          <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className="text-xs text-gray-400">Book odds</div>
+            <div className="text-lg font-bold text-white">{formatOdds(pricing.book_odds)}</div>
+          </div>
+          <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className="text-xs text-gray-400">EV</div>
+            <div className={`text-lg font-bold ${pricing.ev != null ? getEVColor(pricing.ev) : 'text-gray-500'}`}>
+              {pricing.ev != null ? `${pricing.ev > 0 ? '+' : ''}${pricing.ev.toFixed(1)}%` : '-'}
+            </div>
+          </div>
+          {pricing.empirical_joint_rate != null && (
+            <p className="col-span-full text-xs text-gray-500">
+              All legs hit together in {formatPercent(pricing.empirical_joint_rate, 0)} of {pricing.empirical_games} shared games
+            </p>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default ParlayBuilder;
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+import { getEVColor } from '../utils/propCalculations';
+
+const API_BASE = '/api';
+
+function formatPercent(value, digits = 1) {
+  return value != null ? `${(value * 100).toFixed(digits)}%` : '-';
+}
+
+function formatEV(ev) {
+  return ev != null ? `${ev > 0 ? '+' : ''}${ev.toFixed(1)}%` : '-';
+}
+
+/**
+ * Pick'em mode - best-EV PrizePicks / Underdog entries from today's pick'em lines (GET /api/pickem/recommendations)
+ * Entries are priced from the model's per-pick probabilities and the picks' correlation
+ * against each platform's fixed power and flex payouts.
+ */
+function PickemPanel({ onBack }) {
+  const propTypes = usePropTypes();
+  const [platforms, setPlatforms] = useState([]);
+  const [platform, setPlatform] = useState('prizepicks');
+  const [entryType, setEntryType] = useState('');
+  const [size, setSize] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/pickem/payouts`)
+      .then(response => setPlatforms(response.data.platforms || []))
+      .catch(err => console.error('Error fetching pick\'em payouts:', err));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    const params = new URLSearchParams({ platform, limit: '12' });
+    if (entryType) params.append('entry_type', entryType);
+    if (size) params.append('size', size);
+
+    axios.get(`${API_BASE}/pickem/recommendations?${params.toString()}`)
+      .then(response => {
+        if (!cancelled) {
+          setResult(response.data);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching pick\'em entries:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Could not load pick\'em entries');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [platform, entryType, size]);
+
+  const pickLabel = (leg) => {
+    const pick = isYesNoProp(propTypes, leg.prop_type)
+      ? (leg.side === 'OVER' ? 'Yes' : 'No')
+      : `${leg.side === 'OVER' ? 'More' : 'Less'} ${parseFloat(leg.line).toFixed(1)}`;
+    return `${pick} ${getPropLabel(propTypes, leg.prop_type)}`;
+  };
+
+  const platformName = platforms.find(option => option.id === platform)?.name || platform;
+  const entries = result?.entries || [];
+  const selectClass = 'bg-slate-800 border border-slate-600/50 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-emerald-500/60';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="max-w-7xl mx-auto"
+    >
+      <div className="flex items-end justify-between flex-wrap gap-3 mb-6">
+        <div>
+          <button onClick={onBack} className="text-sm text-gray-400 hover:text-white mb-2 transition-colors">← Back</button>
+          <h2 className="text-2xl font-bold text-white leading-tight">Pick'em</h2>
+          <p className="text-gray-400 text-sm">
+            Best-EV power and flex entries from today's {platformName} lines, with correlated picks priced together
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <select value={platform} onChange={(e) => setPlatform(e.target.value)} className={selectClass}>
+            {(platforms.length > 0 ? platforms : [{ id: 'prizepicks', name: 'PrizePicks' }]).map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+          <select value={entryType} onChange={(e) => setEntryType(e.target.value)} className={selectClass}>
+            <option value="">Power & Flex</option>
+            <option value="power">Power</option>
+            <option value="flex">Flex</option>
+          </select>
+          <select value={size} onChange={(e) => setSize(e.target.value)} className={selectClass}>
+            <option value="">Any size</option>
+            {[2, 3, 4, 5, 6].map(picks => (
+              <option key={picks} value={picks}>{picks} picks</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="text-center py-10 text-gray-400 text-sm">Building entries...</div>
+      ) : entries.length === 0 ? (
+        <div className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-8 text-center">
+          <p className="text-gray-300">
+            {result?.scanning ? 'Scanning today\'s slate...' : `No ${platformName} lines on today's slate`}
+          </p>
+          <p className="text-gray-500 text-sm mt-1">
+            Pick'em lines come from the edge scan; the Odds API needs the us_dfs region (ODDS_API_REGIONS=us,us_dfs).
+          </p>
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-3">
+            {result.lines_available} lines, best {result.candidates.length} picks combined
+            {result.generated_at && ` · scanned ${new Date(result.generated_at).toLocaleTimeString()}`}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {entries.map((entry, index) => (
+              <div key={`${entry.entry_type}-${entry.legs.map(leg => leg.player).join('|')}`} className="bg-slate-800/40 rounded-2xl border border-slate-700/50 p-4">
+                <div className="flex items-start justify-between mb-3">
+                  <div>
+                    <div className="text-white font-bold">
+                      #{index + 1} · {entry.size}-pick {entry.entry_type === 'power' ? 'Power' : 'Flex'}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      Pays {Object.entries(entry.payouts).sort(([a], [b]) => b - a).map(([correct, multiplier]) => `${correct}/${entry.size} ${multiplier}x`).join(' · ')}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className={`text-lg font-bold ${getEVColor(entry.ev)}`}>{formatEV(entry.ev)}</div>
+                    <div className="text-xs text-gray-500">independent {formatEV(entry.independent.ev)}</div>
+                  </div>
+                </div>
+                <div className="flex flex-col gap-1 mb-3">
+                  {entry.legs.map(leg => (
+                    <div key={leg.player} className="flex items-center justify-between text-sm">
+                      <span>
+                        <span className="text-white font-semibold">{leg.player}</span>
+                        {leg.team && <span className="text-xs text-gray-500 ml-1">{leg.team}</span>}{' '}
+                        <span className={leg.side === 'OVER' ? 'text-green-400' : 'text-red-400'}>{pickLabel(leg)}</span>
+                      </span>
+                      <span className="text-gray-300">{formatPercent(leg.probability, 0)}</span>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-4 text-xs text-gray-400 border-t border-slate-700/50 pt-2">
+                  <span>Pays out <span className="text-white font-semibold">{formatPercent(entry.payout_probability)}</span></span>
+                  <span>Profits <span className="text-white font-semibold">{formatPercent(entry.profit_probability)}</span></span>
+                  <span>Avg return <span className="text-white font-semibold">{entry.expected_multiplier.toFixed(2)}x</span></span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+}
+
+export default PickemPanel;
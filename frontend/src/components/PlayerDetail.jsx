@@ -12,16 +12,20 @@ import PropMetricCard from './PropMetricCard';
 import PredictionReasoning from './PredictionReasoning';
 import {
   calculateCoverProbability,
+  getDistributionCoverProbability,
+  getDistributionPushProbability,
+  getConsensusBenchmark,
   calculateExpectedValue,
   calculateBetRating,
   getCoverProbabilityColor,
   getEVColor,
   getBetRatingColor
 } from '../utils/propCalculations';
+import { usePropTypes, getPropValue, getPropLabel, isYesNoProp } from '../utils/propTypes';
 
 const API_BASE = '/api';
 
-function PlayerDetail({ player, onBack }) {
+function PlayerDetail({ player, onBack, onAddToSlip, betSlip = [], onAddParlayLeg, parlayLegs = [] }) {
   const [comparisonData, setComparisonData] = useState(null);
   const [loading, setLoading] = useState(true); // Start with loading true
   const [error, setError] = useState(null);
@@ -29,12 +33,15 @@ function PlayerDetail({ player, onBack }) {
   const [loadingPredictions, setLoadingPredictions] = useState({}); // Track loading state for each prop
   const [propPredictions, setPropPredictions] = useState({}); // Store predictions for each prop
   const [showReasoning, setShowReasoning] = useState(false); // Toggle for prediction reasoning
+  const [lineHistory, setLineHistory] = useState({}); // Line movement history per prop
+  const propTypes = usePropTypes();
 
   useEffect(() => {
     // Reset loading state immediately when player changes
     setLoading(true);
     setError(null);
     setComparisonData(null);
+    setLineHistory({});
     fetchComparisonData();
   }, [player.id]);
 
@@ -91,6 +98,8 @@ function PlayerDetail({ player, onBack }) {
             [`predicted_${selectedProp}`]: propData.prediction,
             confidence: propData.prediction_confidence,
             error_margin: propData.prediction_error_margin,
+            distribution: propData.prediction_distribution || null,
+            ladder: propData.prediction_ladder || null,
             analysis: propData.prediction_analysis || null,
             recommendation: propData.prediction_recommendation || null,
             stats: propData.prediction_stats || null
@@ -151,6 +160,8 @@ function PlayerDetail({ player, onBack }) {
               prediction: predictedValue,
               prediction_confidence: response.data.confidence,
               prediction_error_margin: response.data.error_margin,
+              prediction_distribution: response.data.distribution || null,
+              prediction_ladder: response.data.ladder || null,
               prediction_analysis: response.data.analysis || null,
               prediction_recommendation: response.data.recommendation || null,
               prediction_stats: response.data.stats || null
@@ -173,6 +184,30 @@ function PlayerDetail({ player, onBack }) {
     fetchPropPrediction();
   }, [selectedProp, comparisonData, player, propPredictions]);
 
+  // Load line movement history once odds for the selected prop are on screen
+  useEffect(() => {
+    if (!comparisonData?.props?.[selectedProp]?.line || lineHistory[selectedProp]) return;
+
+    const fetchLineHistory = async () => {
+      try {
+        const playerName = `${player.first_name || ''} ${player.last_name || ''}`.trim();
+        const params = new URLSearchParams();
+        params.append('name', playerName);
+        params.append('prop', selectedProp);
+        // Only this game's lines, not earlier games of the same prop
+        if (comparisonData.next_game?.eventId) params.append('event_id', comparisonData.next_game.eventId);
+
+        const url = `${API_BASE}/player/${player.id || '0'}/odds/history?${params.toString()}`;
+        const response = await axios.get(url);
+        setLineHistory(prev => ({ ...prev, [selectedProp]: response.data }));
+      } catch (err) {
+        console.error(`Error fetching ${selectedProp} line history:`, err);
+      }
+    };
+
+    fetchLineHistory();
+  }, [selectedProp, comparisonData, player, lineHistory]);
+
   const fetchComparisonData = async () => {
     setLoading(true);
     setError(null);
@@ -652,11 +687,25 @@ function PlayerDetail({ player, onBack }) {
             });
           });
           
+          const playerName = `${player.first_name || ''} ${player.last_name || ''}`.trim() || player.name;
+          // Parlay legs are keyed by player, prop and side (one line per prop on the cards)
+          const addParlayLeg = onAddParlayLeg ? (leg) => onAddParlayLeg({
+            ...leg,
+            id: `${playerName}|${leg.prop_type}|${leg.side}`,
+            player: playerName,
+            game_date: comparisonData?.next_game?.date || null
+          }) : undefined;
+          const addedLegs = parlayLegs
+            .filter(leg => leg.player === playerName)
+            .map(leg => `${leg.prop_type}:${leg.side}`);
+
           return propKeys.length > 0 ? (
             <PropCards 
               props={props}
               selectedProp={selectedProp}
               onSelectProp={setSelectedProp}
+              onAddLeg={addParlayLeg}
+              addedLegs={addedLegs}
             />
           ) : (
             <div className="bg-gray-800 rounded-lg shadow-xl p-6 mb-6 border border-gray-700">
@@ -709,28 +758,17 @@ function PlayerDetail({ player, onBack }) {
                     }
                   }
                   
-                  const recommendation = (prediction != null && line != null) 
-                    ? (prediction > line ? 'OVER' : prediction < line ? 'UNDER' : 'PUSH')
-                    : null;
+                  // Yes/no props (double-double, triple-double): the prediction is P(Yes) and the
+                  // side comes from the server, which prices it against the market odds (OVER = Yes)
+                  const yesNo = isYesNoProp(propTypes, selectedProp);
+                  const recommendation = yesNo
+                    ? (propPredictions[selectedProp]?.recommendation || propData?.prediction_recommendation || null)
+                    : (prediction != null && line != null) 
+                      ? (prediction > line ? 'OVER' : prediction < line ? 'UNDER' : 'PUSH')
+                      : null;
+                  const sideLabel = (side) => (yesNo ? (side === 'OVER' ? 'yes' : 'no') : side.toLowerCase());
                   
-                  // Get prop labels
-                  const propLabels = {
-                    points: 'points',
-                    assists: 'assists',
-                    rebounds: 'rebounds',
-                    threes: '3Pts Made',
-                    steals: 'steals',
-                    blocks: 'blocks',
-                    pra: 'points + rebounds + assists',
-                    pr: 'points + rebounds',
-                    pa: 'points + assists',
-                    ra: 'rebounds + assists',
-                    points_rebounds: 'points + rebounds',
-                    points_assists: 'points + assists',
-                    rebounds_assists: 'rebounds + assists',
-                    points_rebounds_assists: 'points + rebounds + assists'
-                  };
-                  const propLabel = propLabels[selectedProp] || selectedProp.replace(/_/g, ' ');
+                  const propLabel = getPropLabel(propTypes, selectedProp).toLowerCase();
                   
                   // Calculate cover probability - ALWAYS calculate, use defaults if needed
                   const errorMargin = comparisonData.error_margin || 
@@ -738,10 +776,20 @@ function PlayerDetail({ player, onBack }) {
                     (propData?.prediction_error_margin) ||
                     Math.max(2, Math.abs((prediction || 0) - (line || 0)) * 0.3);
                   
+                  // Prefer the server-side predictive distribution priced at this line;
+                  // fall back to the normal approximation around the point prediction
+                  const distribution = selectedProp === 'points'
+                    ? comparisonData.distribution
+                    : (propPredictions[selectedProp]?.distribution || propData?.prediction_distribution);
+                  const serverCoverProbability = getDistributionCoverProbability(distribution, line, recommendation === 'OVER');
+                  const pushProbability = getDistributionPushProbability(distribution, line);
+                  
                   // Always calculate cover probability, even if prediction/line are missing (use defaults)
-                  const coverProbability = (prediction != null && line != null)
-                    ? calculateCoverProbability(prediction, line, errorMargin, recommendation === 'OVER')
-                    : 50.0; // Default to 50% if no data
+                  const coverProbability = serverCoverProbability != null
+                    ? serverCoverProbability
+                    : (prediction != null && line != null)
+                      ? calculateCoverProbability(prediction, line, errorMargin, recommendation === 'OVER')
+                      : 50.0; // Default to 50% if no data
                   
                   // Get odds for EV calculation (use best odds from all_bookmakers or single bookmaker)
                   const bestOverOdds = propData?.all_bookmakers?.length > 0
@@ -753,15 +801,26 @@ function PlayerDetail({ player, onBack }) {
                     : propData?.under_odds;
                   
                   const oddsToUse = recommendation === 'OVER' ? bestOverOdds : bestUnderOdds;
+                  const bestBook = propData?.all_bookmakers?.find(bm => (recommendation === 'OVER' ? bm.over_odds : bm.under_odds) === oddsToUse);
                   
-                  // Calculate EV - ALWAYS calculate, use default odds if needed
+                  // Calculate EV, using default odds if needed; a calculated combo line has no book price, so no EV
+                  const bettable = propData?.bettable !== false;
                   const oddsForEV = oddsToUse != null ? oddsToUse : -110; // Default to -110 if no odds
-                  const ev = (coverProbability != null)
-                    ? calculateExpectedValue(coverProbability, oddsForEV)
-                    : 0.0; // Default to 0% if no data
+                  const ev = !bettable
+                    ? null
+                    : (coverProbability != null)
+                      ? calculateExpectedValue(coverProbability, oddsForEV, pushProbability)
+                      : 0.0; // Default to 0% if no data
+                  
+                  // EV against the no-vig market consensus (the model's edge over fair odds)
+                  const benchmark = getConsensusBenchmark(propData?.consensus, line, recommendation !== 'UNDER');
+                  const fairEV = benchmark && coverProbability != null
+                    ? calculateExpectedValue(coverProbability, null, pushProbability, benchmark)
+                    : null;
                   
                   // Calculate bet rating - ALWAYS calculate
-                  const predictionDiff = (prediction != null && line != null) ? prediction - line : 0;
+                  // Yes/no props: probability points over a coin flip, scaled to the stat-line range
+                  const predictionDiff = (prediction != null && line != null) ? (prediction - line) * (yesNo ? 10 : 1) : 0;
                   const confidence = comparisonData.confidence || 
                     (propPredictions[selectedProp]?.confidence) ||
                     (propData?.prediction_confidence) ||
@@ -774,25 +833,7 @@ function PlayerDetail({ player, onBack }) {
                   let seasonRecord = null;
                   let seasonRecordDisplay = 'N/A';
                   if (line && comparisonData?.stats && comparisonData.stats.length > 0) {
-                    const getStatValue = (game) => {
-                      switch (selectedProp) {
-                        case 'points': return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-                        case 'assists': return typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-                        case 'rebounds': return typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-                        case 'steals': return typeof game.steals === 'number' ? game.steals : parseFloat(game.steals) || 0;
-                        case 'blocks': return typeof game.blocks === 'number' ? game.blocks : parseFloat(game.blocks) || 0;
-                        case 'threes': return typeof game.threes_made === 'number' ? game.threes_made : (typeof game.threes === 'number' ? game.threes : parseFloat(game.threes) || 0);
-                        case 'pra':
-                        case 'points_rebounds_assists': return (game.points || 0) + (game.rebounds || 0) + (game.assists || 0);
-                        case 'pr':
-                        case 'points_rebounds': return (game.points || 0) + (game.rebounds || 0);
-                        case 'pa':
-                        case 'points_assists': return (game.points || 0) + (game.assists || 0);
-                        case 'ra':
-                        case 'rebounds_assists': return (game.rebounds || 0) + (game.assists || 0);
-                        default: return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-                      }
-                    };
+                    const getStatValue = (game) => getPropValue(propTypes, game, selectedProp);
                     
                     const currentSeasonGames = comparisonData.stats.filter(game => {
                       if (game.season) {
@@ -816,7 +857,7 @@ function PlayerDetail({ player, onBack }) {
                     
                     if (overCount + underCount > 0) {
                       seasonRecord = `${overCount}-${underCount}`;
-                      seasonRecordDisplay = `${overCount}-${underCount} (Over - Under)`;
+                      seasonRecordDisplay = `${overCount}-${underCount} (${yesNo ? 'Yes - No' : 'Over - Under'})`;
                     }
                   }
                   
@@ -825,7 +866,7 @@ function PlayerDetail({ player, onBack }) {
                       {/* Consensus Line */}
                       <PropMetricCard
                         title="Consensus Line"
-                        value={line != null ? `${line.toFixed(1)} ${propLabel} (o/u)` : 'N/A'}
+                        value={line != null ? (yesNo ? `${propLabel} (yes/no)` : `${line.toFixed(1)} ${propLabel} (o/u)`) : 'N/A'}
                         color="text-white"
                         valueSize="text-xl"
                         index={0}
@@ -835,7 +876,7 @@ function PlayerDetail({ player, onBack }) {
                       <PropMetricCard
                         title="Projection"
                         value={prediction != null 
-                          ? `${prediction.toFixed(1)} ${propLabel} ${recommendation ? `(${recommendation.toLowerCase()})` : ''}`
+                          ? `${yesNo ? `${(prediction * 100).toFixed(0)}%` : prediction.toFixed(1)} ${propLabel} ${recommendation ? `(${sideLabel(recommendation)})` : ''}`
                           : loadingPredictions[selectedProp] ? 'Loading...' : 'N/A'}
                         color={recommendation === 'OVER' ? 'text-green-400' : recommendation === 'UNDER' ? 'text-red-400' : 'text-yellow-400'}
                         valueSize="text-xl"
@@ -848,6 +889,9 @@ function PlayerDetail({ player, onBack }) {
                         value={`${coverProbability.toFixed(0)}%`}
                         color={getCoverProbabilityColor(coverProbability)}
                         progressBar={coverProbability}
+                        subtitle={serverCoverProbability != null
+                          ? `${distribution.model.replace(/_/g, ' ')} model${pushProbability > 0 ? ` · ${pushProbability.toFixed(0)}% push` : ''}`
+                          : null}
                         infoTooltip="The probability that the bet will cover based on our model's prediction and historical performance."
                         infoTooltipLabel="Cover Probability"
                         valueSize="text-3xl"
@@ -857,9 +901,12 @@ function PlayerDetail({ player, onBack }) {
                       {/* Expected Value */}
                       <PropMetricCard
                         title="Expected Value"
-                        value={`${ev > 0 ? '+' : ''}${ev.toFixed(1)}%`}
+                        value={ev != null ? `${ev > 0 ? '+' : ''}${ev.toFixed(1)}%` : 'N/A'}
                         color={getEVColor(ev)}
-                        infoTooltip="The expected value of the bet calculated from cover probability and current odds. Positive EV indicates a profitable bet over time."
+                        subtitle={fairEV != null
+                          ? `${fairEV > 0 ? '+' : ''}${fairEV.toFixed(1)}% vs no-vig fair (${benchmark.fairOdds > 0 ? '+' : ''}${benchmark.fairOdds})`
+                          : null}
+                        infoTooltip="The expected value of the bet calculated from cover probability and current odds. Positive EV indicates a profitable bet over time. The subtitle prices the bet at the no-vig market consensus instead."
                         infoTooltipLabel="Expected Value"
                         valueSize="text-3xl"
                         index={3}
@@ -870,7 +917,7 @@ function PlayerDetail({ player, onBack }) {
                         title="Bet Rating"
                         customValue={
                           <span className={`inline-flex items-center px-4 py-2 rounded-full text-2xl font-bold ${getBetRatingColor(betRating)} bg-gray-700 border-2 ${getBetRatingColor(betRating).replace('text-', 'border-')}`}>
-                            {betRating}
+                            {betRating || 'N/A'}
                           </span>
                         }
                         color={getBetRatingColor(betRating)}
@@ -887,6 +934,43 @@ function PlayerDetail({ player, onBack }) {
                         valueSize="text-xl"
                         index={5}
                       />
+                      
+                      {/* Add the recommended side to the bet slip (sized by the bankroll panel) */}
+                      {onAddToSlip && bettable && (recommendation === 'OVER' || recommendation === 'UNDER') && line != null && (() => {
+                        const playerName = `${player.first_name || ''} ${player.last_name || ''}`.trim() || player.name;
+                        const selectionId = `${playerName}|${selectedProp}|${recommendation}|${line}`;
+                        const inSlip = betSlip.some(selection => selection.id === selectionId);
+                        const nextGame = comparisonData.next_game;
+                        return (
+                          <div className="col-span-full flex justify-end">
+                            <button
+                              disabled={inSlip}
+                              onClick={() => onAddToSlip({
+                                id: selectionId,
+                                player: playerName,
+                                prop_type: selectedProp,
+                                side: recommendation,
+                                line,
+                                odds: oddsForEV,
+                                probability: coverProbability / 100,
+                                push_probability: pushProbability / 100,
+                                bookmaker: bestBook?.bookmaker || propData?.bookmaker || null,
+                                bookmaker_key: bestBook?.bookmaker_key || null,
+                                event_id: player.event_id || null,
+                                game_date: nextGame?.date || null,
+                                predicted_value: prediction,
+                                confidence: comparisonData.confidence || propPredictions[selectedProp]?.confidence || propData?.prediction_confidence || null,
+                                game: nextGame
+                                  ? `${[comparisonData.player_team, nextGame.opponent].filter(Boolean).sort().join(' vs ')} ${nextGame.date || ''}`.trim()
+                                  : null
+                              })}
+                              className="px-4 py-2 rounded-lg text-sm font-semibold bg-emerald-600/20 text-emerald-300 border border-emerald-500/40 hover:bg-emerald-600/30 transition-colors disabled:opacity-50 disabled:cursor-default"
+                            >
+                              {inSlip ? 'In bet slip' : `+ Add ${sideLabel(recommendation)} to bet slip`}
+                            </button>
+                          </div>
+                        );
+                      })()}
                     </>
                   );
                 })()}
@@ -961,6 +1045,7 @@ function PlayerDetail({ player, onBack }) {
               selectedProp={selectedProp}
               loading={loadingPredictions[selectedProp]}
               nextGameOpponent={comparisonData?.next_game?.opponent}
+              teammateSplits={comparisonData?.teammate_splits || []}
             />
           )}
 
@@ -969,6 +1054,8 @@ function PlayerDetail({ player, onBack }) {
             <PropOddsTable 
               props={comparisonData?.props || {}}
               selectedProp={selectedProp}
+              lineHistory={lineHistory[selectedProp] || null}
+              ladder={propPredictions[selectedProp]?.ladder || comparisonData?.props?.[selectedProp]?.prediction_ladder || null}
             />
           )}
 
@@ -993,6 +1080,7 @@ function PlayerDetail({ player, onBack }) {
             })()}
             bettingLine={comparisonData?.props?.[selectedProp]?.line || null}
             nextGameOpponent={comparisonData?.next_game?.opponent}
+            teammateSplits={comparisonData?.teammate_splits || []}
           />
 
           {/* Injuries Table - Under Game Log */}
@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell } from 'recharts';
+import { getScheduleFilters, applyScheduleFilter } from '../utils/scheduleFilters';
+import { usePropTypes, getPropValue, getPropLabel } from '../utils/propTypes';
 
-function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading, nextGameOpponent }) {
-  const [filter, setFilter] = useState('L15'); // L5, L10, L15, H2H, Season, 2025, 2024
+function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading, nextGameOpponent, teammateSplits = [] }) {
+  const [filter, setFilter] = useState('L15'); // L5, L10, L15, H2H, Season, 2025, 2024, Without <teammate>, schedule splits
+  const propTypes = usePropTypes();
   
   // Reset filter when prop changes
   useEffect(() => {
@@ -42,33 +45,23 @@ function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading
     return dateB - dateA;
   });
 
-  // Determine what stat to chart based on selected prop
-  const getChartValue = (game) => {
-    if (!selectedProp) {
-      return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-    }
-    
-    switch (selectedProp) {
-      case 'points':
-        return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-      case 'assists':
-        return typeof game.assists === 'number' ? game.assists : parseFloat(game.assists) || 0;
-      case 'rebounds':
-        return typeof game.rebounds === 'number' ? game.rebounds : parseFloat(game.rebounds) || 0;
-      case 'steals':
-        return typeof game.steals === 'number' ? game.steals : parseFloat(game.steals) || 0;
-      case 'blocks':
-        return typeof game.blocks === 'number' ? game.blocks : parseFloat(game.blocks) || 0;
-      case 'threes':
-        return typeof game.threes_made === 'number' ? game.threes_made : (typeof game.threes === 'number' ? game.threes : parseFloat(game.threes) || 0);
-      case 'points_rebounds':
-        return (game.points || 0) + (game.rebounds || 0);
-      case 'points_assists':
-        return (game.points || 0) + (game.assists || 0);
-      default:
-        return typeof game.points === 'number' ? game.points : parseFloat(game.points) || 0;
-    }
-  };
+  // "Without X" filters for teammates ruled out (games they missed this season)
+  const withoutFilters = (teammateSplits || [])
+    .filter(split => split.without?.games > 0)
+    .map(split => ({
+      label: `Without ${split.teammate.split(' ').slice(-1)[0]}`,
+      split,
+      dates: new Set(split.without_game_dates || [])
+    }));
+  const activeWithoutFilter = withoutFilters.find(f => f.label === filter) || null;
+
+  // Schedule splits (back-to-backs, rest, road trips, travel, altitude) present in the log
+  const scheduleFilters = getScheduleFilters(sortedStats);
+  const activeScheduleFilter = scheduleFilters.find(f => f.label === filter) || null;
+  const filterOptions = ['L5', 'L10', 'L15', ...(nextGameOpponent ? ['H2H'] : []), ...withoutFilters.map(f => f.label), ...scheduleFilters.map(f => f.label), 'Season', '2025', '2024'];
+
+  // Determine what stat to chart based on selected prop (components from the prop registry)
+  const getChartValue = (game) => getPropValue(propTypes, game, selectedProp || 'points');
 
   // Filter stats based on selected filter
   let filteredStats = sortedStats;
@@ -121,6 +114,10 @@ function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading
         return false;
       }
     });
+  } else if (activeWithoutFilter) {
+    filteredStats = sortedStats.filter(game => activeWithoutFilter.dates.has(game.date));
+  } else if (activeScheduleFilter) {
+    filteredStats = applyScheduleFilter(sortedStats, activeScheduleFilter);
   } else if (filter === 'H2H') {
     // Filter to only show games against the next opponent (ALL historical games, no season filter)
     // Use ALL available stats, not just sortedStats (which might be limited)
@@ -181,8 +178,8 @@ function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading
               Head-to-Head vs {nextGameOpponent}
             </p>
           </div>
-          <div className="flex items-center gap-2">
-            {['L5', 'L10', 'L15', ...(nextGameOpponent ? ['H2H'] : []), 'Season', '2025', '2024'].map((f) => (
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            {filterOptions.map((f) => (
               <motion.button
                 key={f}
                 onClick={() => setFilter(f)}
@@ -300,9 +297,26 @@ function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading
               The <span className="font-semibold text-white">{dominantResult}</span> hit <span className="font-semibold text-white">{dominantCount}/{chartData.length}</span> in the last {chartData.length} games at a line of <span className="font-semibold text-white">{line.toFixed(1)}</span>
             </motion.p>
           )}
+          {activeWithoutFilter && (
+            <p className="text-sm text-gray-400 mt-1">
+              Without {activeWithoutFilter.split.teammate}: <span className="font-semibold text-white">{activeWithoutFilter.split.without.minutes} min</span>
+              {activeWithoutFilter.split.without.usage != null && (
+                <> • <span className="font-semibold text-white">{activeWithoutFilter.split.without.usage}% usage</span></>
+              )}
+              {activeWithoutFilter.split.with.games > 0 && (
+                <> (with: {activeWithoutFilter.split.with.minutes} min{activeWithoutFilter.split.with.usage != null ? `, ${activeWithoutFilter.split.with.usage}%` : ''})</>
+              )}
+            </p>
+          )}
+          {activeScheduleFilter && chartData.length > 0 && (
+            <p className="text-sm text-gray-400 mt-1">
+              {activeScheduleFilter.description}: <span className="font-semibold text-white">{(chartData.reduce((sum, d) => sum + d.points, 0) / chartData.length).toFixed(1)}</span> avg over {chartData.length} games
+              {' '}(all games: {(sortedStats.reduce((sum, game) => sum + getChartValue(game), 0) / sortedStats.length).toFixed(1)})
+            </p>
+          )}
         </div>
-        <div className="flex items-center gap-2">
-          {['L5', 'L10', 'L15', ...(nextGameOpponent ? ['H2H'] : []), 'Season', '2025', '2024'].map((f) => (
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          {filterOptions.map((f) => (
             <motion.button
               key={f}
               onClick={() => setFilter(f)}
@@ -369,14 +383,7 @@ function PredictionChart({ stats, prediction, bettingLine, selectedProp, loading
             }}
             cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }}
             formatter={(value) => {
-              const propLabel = selectedProp === 'points' ? 'pts' :
-                               selectedProp === 'assists' ? 'ast' :
-                               selectedProp === 'rebounds' ? 'reb' :
-                               selectedProp === 'steals' ? 'stl' :
-                               selectedProp === 'blocks' ? 'blk' :
-                               selectedProp === 'threes' ? '3pm' :
-                               selectedProp === 'points_rebounds' ? 'pts+reb' :
-                               selectedProp === 'points_assists' ? 'pts+ast' : 'value';
+              const propLabel = getPropLabel(propTypes, selectedProp || 'points', 'abbrev').toLowerCase();
               return [`${value.toFixed(1)} ${propLabel}`, 'Value'];
             }}
             labelFormatter={(label) => <span style={{ fontWeight: 600, fontSize: '13px' }}>{label}</span>}
@@ -1,6 +1,9 @@
 import { motion } from 'framer-motion';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
 
 function PredictionReasoning({ predictionData, selectedProp, playerName }) {
+  const propTypes = usePropTypes();
+
   if (!predictionData) {
     return (
       <div className="bg-gray-800 rounded-lg shadow-xl p-6 border border-gray-700">
@@ -62,16 +65,10 @@ function PredictionReasoning({ predictionData, selectedProp, playerName }) {
   // Confidence level is the string version (Low/Medium/High)
   const confidenceLevel = typeof confidenceRaw === 'string' ? confidenceRaw : (stats.confidence_level || propPrediction.confidence_level || null);
 
-  const propLabels = {
-    points: 'Points',
-    assists: 'Assists',
-    rebounds: 'Rebounds',
-    threes: '3-Pointers Made',
-    steals: 'Steals',
-    blocks: 'Blocks',
-    points_rebounds: 'Points + Rebounds',
-    points_assists: 'Points + Assists'
-  };
+  // Yes/no props (double-double, triple-double) predict the probability of Yes
+  const yesNo = isYesNoProp(propTypes, selectedProp);
+  const minutesProjection = propPrediction.minutes_projection || null;
+  const scheduleContext = propPrediction.schedule_context || null;
 
   return (
     <motion.div
@@ -81,16 +78,16 @@ function PredictionReasoning({ predictionData, selectedProp, playerName }) {
       className="bg-gray-800 rounded-lg shadow-xl p-6 border border-gray-700"
     >
       <h3 className="text-xl font-bold text-white mb-6">
-        Prediction Reasoning: {propLabels[selectedProp] || selectedProp.replace(/_/g, ' ')}
+        Prediction Reasoning: {getPropLabel(propTypes, selectedProp)}
       </h3>
 
       {/* Prediction Summary */}
       <div className="mb-6 p-4 bg-gray-700/50 rounded-lg border border-gray-600">
         <div className="grid grid-cols-3 gap-4">
           <div>
-            <div className="text-sm text-gray-400 mb-1">Predicted Value</div>
+            <div className="text-sm text-gray-400 mb-1">{yesNo ? 'Chance of Yes' : 'Predicted Value'}</div>
             <div className="text-2xl font-bold text-yellow-400">
-              {typeof predictedValue === 'number' ? predictedValue.toFixed(1) : predictedValue}
+              {typeof predictedValue === 'number' ? (yesNo ? `${(predictedValue * 100).toFixed(0)}%` : predictedValue.toFixed(1)) : predictedValue}
             </div>
           </div>
           <div>
@@ -107,12 +104,91 @@ function PredictionReasoning({ predictionData, selectedProp, playerName }) {
           <div>
             <div className="text-sm text-gray-400 mb-1">Error Margin</div>
             <div className="text-2xl font-bold text-gray-300">
-              {typeof errorMargin === 'number' ? `±${errorMargin.toFixed(1)}` : errorMargin}
+              {typeof errorMargin === 'number' ? `±${errorMargin.toFixed(yesNo ? 2 : 1)}` : errorMargin}
             </div>
           </div>
         </div>
       </div>
 
+      {/* Minutes Projection */}
+      {minutesProjection && (
+        <div className="mb-6">
+          <h4 className="text-lg font-semibold text-white mb-3">Projected Minutes</h4>
+          <div className="bg-gray-700/30 rounded-lg p-4 border border-gray-600">
+            <div className="flex items-baseline gap-3 mb-3">
+              <span className="text-2xl font-bold text-yellow-400">{minutesProjection.projected.toFixed(1)}</span>
+              <span className="text-sm text-gray-400">
+                range {minutesProjection.low.toFixed(1)}–{minutesProjection.high.toFixed(1)} • baseline {minutesProjection.baseline.toFixed(1)}
+              </span>
+            </div>
+            {minutesProjection.drivers?.length > 0 ? (
+              <ul className="space-y-1">
+                {minutesProjection.drivers.map((driver) => (
+                  <li key={driver.factor} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-300">{driver.label}</span>
+                    <span className={`font-semibold ${driver.impact > 0 ? 'text-green-400' : driver.impact < 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                      {driver.impact > 0 ? '+' : ''}{driver.impact.toFixed(1)} min
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-400">No adjustments to the recent minutes baseline.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Schedule Context */}
+      {scheduleContext && (
+        <div className="mb-6">
+          <h4 className="text-lg font-semibold text-white mb-3">Schedule</h4>
+          <div className="bg-gray-700/30 rounded-lg p-4 border border-gray-600">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-3 text-sm">
+              <div>
+                <div className="text-gray-400 mb-1">Rest</div>
+                <div className="font-semibold text-white">
+                  {scheduleContext.back_to_back ? 'Back-to-back' : scheduleContext.rest_days != null ? `${scheduleContext.rest_days} day${scheduleContext.rest_days === 1 ? '' : 's'}` : 'N/A'}
+                  {scheduleContext.three_in_four ? ' • 3-in-4' : ''}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 mb-1">Road Trip</div>
+                <div className="font-semibold text-white">
+                  {scheduleContext.road_trip_game > 0 ? `Game ${scheduleContext.road_trip_game}` : 'Home'}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 mb-1">Travel</div>
+                <div className="font-semibold text-white">
+                  {scheduleContext.travel_miles != null ? `${scheduleContext.travel_miles.toLocaleString()} mi` : 'N/A'}
+                  {scheduleContext.tz_shift ? ` • ${scheduleContext.tz_shift > 0 ? '+' : ''}${scheduleContext.tz_shift} TZ` : ''}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 mb-1">Venue</div>
+                <div className="font-semibold text-white">
+                  {scheduleContext.venue || 'N/A'}
+                  {scheduleContext.at_altitude ? ` • ${scheduleContext.altitude.toLocaleString()} ft` : ''}
+                </div>
+              </div>
+            </div>
+            {scheduleContext.drivers?.length > 0 ? (
+              <ul className="space-y-1">
+                {scheduleContext.drivers.map((driver) => (
+                  <li key={driver.factor} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-300">{driver.label}</span>
+                    <span className="font-semibold text-red-400">{driver.impact.toFixed(1)}%</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-400">No schedule fatigue adjustment.</p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* AI Analysis */}
       <div className="mb-6">
         <h4 className="text-lg font-semibold text-white mb-3">
@@ -1,38 +1,25 @@
 import { motion } from 'framer-motion';
 import { memo } from 'react';
+import { usePropTypes, getPropType, getPropLabel, isYesNoProp } from '../utils/propTypes';
+
+function PropCards({ props, selectedProp, onSelectProp, onAddLeg, addedLegs = [] }) {
+  const propTypes = usePropTypes();
 
-function PropCards({ props, selectedProp, onSelectProp }) {
   if (!props || Object.keys(props).length === 0) {
     return null;
   }
 
-  const propLabels = {
-    points: 'Points',
-    assists: 'Assists',
-    rebounds: 'Rebounds',
-    threes: '3Pts Made',
-    steals: 'Steals',
-    blocks: 'Blocks',
-    pra: 'Points + Rebounds + Assists',
-    pr: 'Points + Rebounds',
-    pa: 'Points + Assists',
-    ra: 'Rebounds + Assists',
-    points_rebounds: 'Points + Rebounds',
-    points_assists: 'Points + Assists',
-    rebounds_assists: 'Rebounds + Assists',
-    points_rebounds_assists: 'Points + Rebounds + Assists'
-  };
-
   const formatOdds = (odds) => {
     if (odds == null) return 'N/A';
     return odds > 0 ? `+${odds}` : `${odds}`;
   };
 
-  // Sort props to display in a consistent order
-  const propOrder = ['points', 'assists', 'rebounds', 'threes', 'steals', 'blocks', 'pra', 'pr', 'pa', 'ra', 'points_rebounds', 'points_assists', 'rebounds_assists', 'points_rebounds_assists'];
+  // Sort props in registry order (unknown props last)
+  const propOrder = (propTypes?.props || []).map(prop => prop.id);
+  const getOrder = (propType) => propOrder.indexOf(getPropType(propTypes, propType)?.id);
   const sortedProps = Object.entries(props).sort(([a], [b]) => {
-    const aIndex = propOrder.indexOf(a);
-    const bIndex = propOrder.indexOf(b);
+    const aIndex = getOrder(a);
+    const bIndex = getOrder(b);
     if (aIndex === -1 && bIndex === -1) return 0;
     if (aIndex === -1) return 1;
     if (bIndex === -1) return -1;
@@ -49,10 +36,18 @@ function PropCards({ props, selectedProp, onSelectProp }) {
         }
         
         const isSelected = selectedProp === propType;
-        const overOdds = propData.over_odds || -110;
-        const underOdds = propData.under_odds || -110;
+        // Yes/no markets (double-double, triple-double): Yes = over 0.5
+        const yesNo = isYesNoProp(propTypes, propType);
+        const [overLabel, underLabel] = yesNo ? ['Yes', 'No'] : ['O', 'U'];
+        // A calculated combo line (sum of its components) has no book price
+        const bettable = propData.bettable !== false;
+        const overOdds = yesNo || !bettable ? propData.over_odds : (propData.over_odds || -110);
+        const underOdds = yesNo || !bettable ? propData.under_odds : (propData.under_odds || -110);
+        // Server-side probabilities, only when priced at the displayed line
+        const distribution = propData.prediction_distribution;
+        const hasProbabilities = distribution && distribution.line === propData.line && distribution.p_over != null;
         
-        return (
+        const card = (
           <motion.button
             key={propType}
             initial={{ opacity: 0, y: 10, scale: 0.95 }}
@@ -84,17 +79,53 @@ function PropCards({ props, selectedProp, onSelectProp }) {
             )}
             <span className="relative z-10">
               <div className="text-sm font-semibold mb-1">
-                {propLabels[propType] || propType}
+                {getPropLabel(propTypes, propType)}
               </div>
               <div className="text-lg font-bold mb-1">
-                {propData.line.toFixed(1)}
+                {yesNo ? 'Yes / No' : propData.line.toFixed(1)}
               </div>
               <div className="text-xs opacity-90">
-                O {formatOdds(overOdds)} | U {formatOdds(underOdds)}
+                {bettable ? `${overLabel} ${formatOdds(overOdds)} | ${underLabel} ${formatOdds(underOdds)}` : 'Calculated line'}
               </div>
+              {hasProbabilities && (
+                <div className="text-xs opacity-75 mt-1">
+                  {overLabel} {(distribution.p_over * 100).toFixed(0)}% | {underLabel} {(distribution.p_under * 100).toFixed(0)}%
+                </div>
+              )}
             </span>
           </motion.button>
         );
+
+        if (!onAddLeg) return card;
+
+        // Parlay builder: add either side of this prop as a leg
+        return (
+          <div key={propType} className="flex flex-col gap-1">
+            {card}
+            <div className="flex gap-1">
+              {[['OVER', overLabel, overOdds, distribution?.p_over], ['UNDER', underLabel, underOdds, distribution?.p_under]].map(([side, label, odds, probability]) => {
+                const added = addedLegs.includes(`${propType}:${side}`);
+                return (
+                  <button
+                    key={side}
+                    disabled={added}
+                    onClick={() => onAddLeg({
+                      prop_type: propType,
+                      side,
+                      line: propData.line,
+                      odds,
+                      probability: hasProbabilities ? probability : null
+                    })}
+                    className="flex-1 px-2 py-0.5 rounded-md text-xs text-gray-300 bg-gray-800 border border-gray-700 hover:border-purple-500/60 hover:text-purple-300 transition-colors disabled:text-purple-300 disabled:border-purple-500/40 disabled:cursor-default"
+                    title={`Add ${label} to parlay`}
+                  >
+                    {added ? '✓' : '+'} {label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        );
       })}
     </div>
   );
@@ -1,5 +1,7 @@
 import { motion } from 'framer-motion';
 import { getSportsbookLogo, getSportsbookDisplayName, normalizeSportsbookName } from '../utils/sportsbookLogos';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+import { getEVColor } from '../utils/propCalculations';
 
 // Sportsbook priority order (matches BettingPros)
 const SPORTSBOOK_ORDER = [
@@ -52,30 +54,10 @@ function formatOdds(odds) {
   return odds > 0 ? `+${odds}` : `${odds}`;
 }
 
-// Format prop label
-function getPropDisplayLabel(prop) {
-  const labels = {
-    points: 'Pts',
-    assists: 'Ast',
-    rebounds: 'Reb',
-    threes: '3PM',
-    steals: 'Stl',
-    blocks: 'Blk',
-    points_rebounds: 'Pts + Reb',
-    points_assists: 'Pts + Ast',
-    rebounds_assists: 'Reb + Ast',
-    pra: 'Pts + Ast + Reb',
-    pr: 'Pts + Reb',
-    pa: 'Pts + Ast',
-    ra: 'Reb + Ast',
-    points_rebounds_assists: 'Pts + Ast + Reb'
-  };
-  return labels[prop] || prop.replace(/_/g, ' + ');
-}
-
 // OddsRow Component - Single Over or Under row
-function OddsRow({ type, line, odds, isBest }) {
-  const label = type === 'over' ? 'O' : 'U';
+// Yes/no markets (double-double, triple-double) show Yes/No without a line
+function OddsRow({ type, line, odds, isBest, yesNo = false }) {
+  const label = yesNo ? (type === 'over' ? 'Yes' : 'No') : (type === 'over' ? 'O' : 'U');
   const bgColor = isBest 
     ? (type === 'over' ? 'bg-[#697843]' : 'bg-[#7c6a42]')
     : 'bg-[#3d4f66]';
@@ -91,14 +73,14 @@ function OddsRow({ type, line, odds, isBest }) {
   return (
     <div className={`${bgColor} rounded-lg px-3 py-2.5 text-center`}>
       <span className="text-white font-bold text-base">
-        {label} {parseFloat(line).toFixed(1)} <span className="text-sm font-normal">({formatOdds(odds)})</span>
+        {label}{yesNo ? '' : ` ${parseFloat(line).toFixed(1)}`} <span className="text-sm font-normal">({formatOdds(odds)})</span>
       </span>
     </div>
   );
 }
 
 // SportsbookCard Component - Individual sportsbook column
-function SportsbookCard({ bookmaker, bestOverOdds, bestUnderOdds, sportsbookInfo }) {
+function SportsbookCard({ bookmaker, bestOverOdds, bestUnderOdds, sportsbookInfo, yesNo = false }) {
   const isOverBest = bookmaker.over_odds === bestOverOdds;
   const isUnderBest = bookmaker.under_odds === bestUnderOdds;
   
@@ -111,6 +93,7 @@ function SportsbookCard({ bookmaker, bestOverOdds, bestUnderOdds, sportsbookInfo
           line={bookmaker.line} 
           odds={bookmaker.over_odds}
           isBest={isOverBest}
+          yesNo={yesNo}
         />
       </div>
       
@@ -121,14 +104,164 @@ function SportsbookCard({ bookmaker, bestOverOdds, bestUnderOdds, sportsbookInfo
           line={bookmaker.line} 
           odds={bookmaker.under_odds}
           isBest={isUnderBest}
+          yesNo={yesNo}
         />
       </div>
     </div>
   );
 }
 
+// Sparkline Component - Consensus line over time
+function LineSparkline({ series, width = 160, height = 36 }) {
+  const points = (series || []).filter(p => p.line != null);
+  if (points.length < 2) return null;
+
+  const lines = points.map(p => p.line);
+  const min = Math.min(...lines);
+  const max = Math.max(...lines);
+  const range = max - min || 1;
+  const pad = 3;
+
+  const coords = points.map((p, i) => {
+    const x = pad + (i / (points.length - 1)) * (width - pad * 2);
+    const y = height - pad - ((p.line - min) / range) * (height - pad * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const [lastX, lastY] = coords[coords.length - 1].split(',');
+
+  return (
+    <svg width={width} height={height} className="overflow-visible">
+      <polyline points={coords.join(' ')} fill="none" stroke="#60a5fa" strokeWidth="2" strokeLinejoin="round" />
+      <circle cx={lastX} cy={lastY} r="3" fill="#f9c744" />
+    </svg>
+  );
+}
+
+// LineMovement Component - Open vs current line with sparkline
+function LineMovement({ history }) {
+  if (!history?.open || !history?.current) return null;
+
+  const delta = history.line_delta ?? 0;
+  const deltaColor = delta > 0 ? 'text-green-400' : delta < 0 ? 'text-red-400' : 'text-gray-400';
+  const deltaLabel = delta > 0 ? `+${delta.toFixed(1)}` : delta.toFixed(1);
+  const openedAt = new Date(history.open.captured_at);
+
+  return (
+    <div className="flex items-center gap-6 mb-6 bg-[#2a3544] rounded-lg px-4 py-3 border border-gray-600/50">
+      <div>
+        <div className="text-xs text-gray-400">Open</div>
+        <div className="text-lg font-bold text-white">{parseFloat(history.open.line).toFixed(1)}</div>
+      </div>
+      <div>
+        <div className="text-xs text-gray-400">Current</div>
+        <div className="text-lg font-bold text-white">{parseFloat(history.current.line).toFixed(1)}</div>
+      </div>
+      <div>
+        <div className="text-xs text-gray-400">Move</div>
+        <div className={`text-lg font-bold ${deltaColor}`}>{deltaLabel}</div>
+      </div>
+      <LineSparkline series={history.series} />
+      <div className="text-xs text-gray-500 ml-auto">
+        {history.series.length} snapshots since {openedAt.toLocaleDateString()} {openedAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+      </div>
+    </div>
+  );
+}
+
+// Format EV percent
+function formatEV(ev) {
+  if (ev == null) return '';
+  return `${ev > 0 ? '+' : ''}${ev.toFixed(1)}%`;
+}
+
+// LadderPrice Component - Best book price for one side of a rung with its EV
+function LadderPrice({ best, books, side }) {
+  if (!best) {
+    return <span className="text-gray-500">-</span>;
+  }
+  const ev = books?.find(book => book.bookmaker_key === best.bookmaker_key)?.[`ev_${side}`];
+
+  return (
+    <div className="flex items-center justify-center gap-2">
+      <img
+        src={getSportsbookInfo(best.bookmaker_key || best.bookmaker)?.logo}
+        alt=""
+        className="w-5 h-5 object-contain rounded"
+        onError={(e) => e.target.style.display = 'none'}
+      />
+      <span className="font-semibold text-white">{formatOdds(best.odds)}</span>
+      {ev != null && <span className={`text-xs ${getEVColor(ev)}`}>{formatEV(ev)}</span>}
+    </div>
+  );
+}
+
+// LadderTable Component - Alternate lines with model probability, fair odds and EV per rung
+// Highlights the rung holding the best-value price (highest positive EV)
+function LadderTable({ rungs, bestValue }) {
+  if (!rungs || rungs.length < 2) return null;
+  const priced = rungs.some(rung => rung.p_over != null);
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-bold text-white">Alternate Lines</h4>
+        {bestValue && (
+          <span className="text-xs text-gray-400">
+            Best value: <span className="text-[#f9c744] font-semibold">{bestValue.side === 'OVER' ? 'O' : 'U'} {parseFloat(bestValue.line).toFixed(1)} ({formatOdds(bestValue.odds)}) {formatEV(bestValue.ev)}</span> at {getSportsbookDisplayName(bestValue.bookmaker_key || bestValue.bookmaker)}
+          </span>
+        )}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-400 border-b border-gray-700/50">
+              <th className="py-2 px-3 text-left font-normal">Line</th>
+              {priced && <th className="py-2 px-3 text-center font-normal">Model Over</th>}
+              {priced && <th className="py-2 px-3 text-center font-normal">Fair O / U</th>}
+              <th className="py-2 px-3 text-center font-normal">Best Over</th>
+              <th className="py-2 px-3 text-center font-normal">Best Under</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rungs.map(rung => (
+              <tr
+                key={rung.line}
+                className={`border-b border-gray-700/30 ${rung.best_value ? 'bg-[#f9c744]/10 outline outline-1 outline-[#f9c744]' : ''}`}
+              >
+                <td className="py-2 px-3 text-white font-bold">
+                  {parseFloat(rung.line).toFixed(1)}
+                  {rung.main && <span className="ml-2 text-[10px] text-gray-400 font-normal uppercase">Main</span>}
+                </td>
+                {priced && (
+                  <td className="py-2 px-3 text-center text-white">
+                    {rung.p_over != null ? `${(rung.p_over * 100).toFixed(1)}%` : '-'}
+                  </td>
+                )}
+                {priced && (
+                  <td className="py-2 px-3 text-center text-gray-300">
+                    {rung.fair_over_odds != null ? formatOdds(rung.fair_over_odds) : '-'} / {rung.fair_under_odds != null ? formatOdds(rung.fair_under_odds) : '-'}
+                  </td>
+                )}
+                <td className="py-2 px-3">
+                  <LadderPrice best={rung.best_over} books={rung.books} side="over" />
+                </td>
+                <td className="py-2 px-3">
+                  <LadderPrice best={rung.best_under} books={rung.books} side="under" />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // Main PropOddsContainer Component
-function PropOddsTable({ props, selectedProp }) {
+// ladder: priced ladder from the prediction ({ rungs, best_value }); falls back to the unpriced odds ladder
+function PropOddsTable({ props, selectedProp, lineHistory = null, ladder = null }) {
+  const propTypes = usePropTypes();
+  const yesNo = isYesNoProp(propTypes, selectedProp);
   if (!props || !selectedProp || !props[selectedProp]) {
     return null;
   }
@@ -185,8 +318,12 @@ function PropOddsTable({ props, selectedProp }) {
     }
   });
   
+  // Server-side market consensus (sharp-weighted, no-vig) when the odds endpoint provides it
+  const marketConsensus = propData.consensus || null;
   let consensusLine = propData.line;
-  if (Object.keys(lineCounts).length > 0) {
+  if (marketConsensus?.line != null) {
+    consensusLine = marketConsensus.line;
+  } else if (Object.keys(lineCounts).length > 0) {
     const mostCommonLine = Object.entries(lineCounts)
       .sort((a, b) => b[1] - a[1])[0][0];
     consensusLine = parseFloat(mostCommonLine);
@@ -241,6 +378,9 @@ function PropOddsTable({ props, selectedProp }) {
           View All Prop Odds →
         </a>
       </div>
+
+      {/* Line Movement */}
+      <LineMovement history={lineHistory} />
       
       {/* Odds Grid */}
       <div className="overflow-x-auto">
@@ -248,8 +388,8 @@ function PropOddsTable({ props, selectedProp }) {
           {/* Left Label Column */}
           <div className="flex-shrink-0 w-[100px] pr-0 mr-4">
             <div className="h-full flex flex-col justify-center">
-              <div className="text-xs text-gray-400 font-normal mb-1">Over/Under</div>
-              <div className="text-3xl font-bold text-white leading-tight">{getPropDisplayLabel(selectedProp)}</div>
+              <div className="text-xs text-gray-400 font-normal mb-1">{yesNo ? 'Yes/No' : 'Over/Under'}</div>
+              <div className="text-3xl font-bold text-white leading-tight">{getPropLabel(propTypes, selectedProp, 'shortLabel')}</div>
             </div>
               </div>
 
@@ -264,6 +404,14 @@ function PropOddsTable({ props, selectedProp }) {
                 <span className="text-base">⚙</span>
                 BEST ODDS
               </button>
+              {marketConsensus?.fair_over_odds != null && (
+                <button
+                  className="flex-shrink-0 w-[165px] px-4 py-2.5 bg-[#3d4f66] text-white rounded-lg text-sm font-bold hover:bg-[#4a5d77] transition-colors"
+                  title={`No-vig consensus of ${marketConsensus.books_used} books${marketConsensus.hold != null ? `, avg hold ${(marketConsensus.hold * 100).toFixed(1)}%` : ''}`}
+                >
+                  FAIR ODDS
+                </button>
+              )}
               {allBookmakers.map((bookmaker, idx) => {
               const sportsbookInfo = getSportsbookInfo(bookmaker.bookmaker_key || bookmaker.bookmaker);
               return (
@@ -297,6 +445,7 @@ function PropOddsTable({ props, selectedProp }) {
                   line={consensusLine} 
                   odds={consensusOverOdds}
                   isBest={false}
+                  yesNo={yesNo}
                         />
                       </div>
               <div>
@@ -305,6 +454,7 @@ function PropOddsTable({ props, selectedProp }) {
                   line={consensusLine} 
                   odds={consensusUnderOdds}
                   isBest={false}
+                  yesNo={yesNo}
                 />
                 </div>
           </div>
@@ -327,10 +477,11 @@ function PropOddsTable({ props, selectedProp }) {
                       line={bestOverBookmaker.line} 
                       odds={bestOverBookmaker.over_odds}
                       isBest={true}
+                      yesNo={yesNo}
                     />
                   </>
                 ) : (
-                  <OddsRow type="over" line={null} odds={null} isBest={false} />
+                  <OddsRow type="over" line={null} odds={null} isBest={false} yesNo={yesNo} />
                 )}
               </div>
               <div className="relative">
@@ -349,14 +500,39 @@ function PropOddsTable({ props, selectedProp }) {
                       line={bestUnderBookmaker.line} 
                       odds={bestUnderBookmaker.under_odds}
                       isBest={true}
+                      yesNo={yesNo}
                     />
                   </>
                 ) : (
-                  <OddsRow type="under" line={null} odds={null} isBest={false} />
+                  <OddsRow type="under" line={null} odds={null} isBest={false} yesNo={yesNo} />
                 )}
               </div>
             </div>
 
+            {/* FAIR ODDS Card (no-vig market consensus) */}
+            {marketConsensus?.fair_over_odds != null && (
+              <div className="flex-shrink-0 w-[165px]">
+                <div className="mb-2">
+                  <OddsRow
+                    type="over"
+                    line={marketConsensus.line}
+                    odds={marketConsensus.fair_over_odds}
+                    isBest={false}
+                    yesNo={yesNo}
+                  />
+                </div>
+                <div>
+                  <OddsRow
+                    type="under"
+                    line={marketConsensus.line}
+                    odds={marketConsensus.fair_under_odds}
+                    isBest={false}
+                    yesNo={yesNo}
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Individual Sportsbook Cards */}
             {allBookmakers.map((bookmaker, idx) => {
               const sportsbookInfo = getSportsbookInfo(bookmaker.bookmaker_key || bookmaker.bookmaker);
@@ -367,6 +543,7 @@ function PropOddsTable({ props, selectedProp }) {
                   bestOverOdds={bestOverOdds}
                   bestUnderOdds={bestUnderOdds}
                   sportsbookInfo={sportsbookInfo}
+                  yesNo={yesNo}
                 />
               );
             })}
@@ -374,6 +551,14 @@ function PropOddsTable({ props, selectedProp }) {
           </div>
         </div>
       </div>
+
+      {/* Alternate Line Ladder */}
+      {!yesNo && (
+        <LadderTable
+          rungs={ladder?.rungs || (Array.isArray(propData.ladder) ? propData.ladder : null)}
+          bestValue={ladder?.best_value || null}
+        />
+      )}
     </motion.div>
   );
 }
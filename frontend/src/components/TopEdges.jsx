@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { usePropTypes, getPropLabel, isYesNoProp } from '../utils/propTypes';
+import { getSportsbookLogo, getSportsbookDisplayName } from '../utils/sportsbookLogos';
+import { getEVColor } from '../utils/propCalculations';
+
+const API_BASE = '/api';
+
+// Re-check this often while the first slate scan is still running
+const SCANNING_POLL_MS = 10000;
+
+const MIN_EDGE_OPTIONS = [0, 2, 5, 10];
+
+function formatOdds(odds) {
+  if (odds == null) return 'N/A';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+/**
+ * Top Edges panel - best +EV player props across today's slate (GET /api/edges)
+ */
+function TopEdges({ onSelectPlayer }) {
+  const propTypes = usePropTypes();
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [propType, setPropType] = useState('');
+  const [minEdge, setMinEdge] = useState(0);
+  const [bookmaker, setBookmaker] = useState('');
+  const [game, setGame] = useState('');
+  // Books and games seen on the slate (kept while filters narrow the list)
+  const [bookOptions, setBookOptions] = useState([]);
+  const [gameOptions, setGameOptions] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let pollId = null;
+
+    const fetchEdges = async () => {
+      try {
+        const response = await axios.get(`${API_BASE}/edges`, {
+          params: {
+            prop_type: propType || undefined,
+            min_edge: minEdge,
+            bookmaker: bookmaker || undefined,
+            game: game || undefined,
+            limit: 25
+          }
+        });
+        if (cancelled) return;
+        const data = response.data;
+        setResult(data);
+
+        setBookOptions(prev => {
+          const books = new Map(prev.map(book => [book.key, book]));
+          for (const edge of data.edges || []) {
+            if (!books.has(edge.bookmaker_key)) books.set(edge.bookmaker_key, { key: edge.bookmaker_key, name: edge.bookmaker });
+          }
+          return [...books.values()];
+        });
+        setGameOptions(prev => {
+          const games = new Map(prev.map(option => [option.id, option]));
+          for (const edge of data.edges || []) {
+            if (!games.has(edge.event_id)) games.set(edge.event_id, { id: edge.event_id, label: edge.game });
+          }
+          return [...games.values()];
+        });
+
+        if (data.scanning && !data.generated_at) {
+          pollId = setTimeout(fetchEdges, SCANNING_POLL_MS);
+        }
+      } catch (err) {
+        console.error('Error fetching edges:', err);
+        if (!cancelled) setResult(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchEdges();
+    return () => {
+      cancelled = true;
+      if (pollId) clearTimeout(pollId);
+    };
+  }, [propType, minEdge, bookmaker, game]);
+
+  const edges = result?.edges || [];
+  const scannedAt = result?.generated_at ? new Date(result.generated_at) : null;
+  const selectClass = 'bg-slate-800 border border-slate-600/50 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-emerald-500/60';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.4 }}
+    >
+      <div className="mb-4 flex items-end justify-between flex-wrap gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-white mb-1 leading-tight">Top Edges</h2>
+          <p className="text-gray-400 text-sm font-medium">
+            Best-priced props across today's slate, ranked by expected value
+            {scannedAt && ` · scanned ${scannedAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`}
+          </p>
+        </div>
+        {result?.count > 0 && (
+          <div className="px-3 py-1.5 bg-emerald-500/10 border border-emerald-500/30 rounded-lg">
+            <span className="text-emerald-400 font-bold text-xs">{result.count} Edges</span>
+          </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select className={selectClass} value={propType} onChange={(e) => setPropType(e.target.value)}>
+          <option value="">All props</option>
+          {(propTypes?.props || []).map(prop => (
+            <option key={prop.id} value={prop.id}>{prop.label}</option>
+          ))}
+        </select>
+        <select className={selectClass} value={minEdge} onChange={(e) => setMinEdge(parseFloat(e.target.value))}>
+          {MIN_EDGE_OPTIONS.map(value => (
+            <option key={value} value={value}>EV ≥ {value}%</option>
+          ))}
+        </select>
+        <select className={selectClass} value={bookmaker} onChange={(e) => setBookmaker(e.target.value)}>
+          <option value="">All books</option>
+          {bookOptions.map(book => (
+            <option key={book.key} value={book.key}>{getSportsbookDisplayName(book.key) || book.name}</option>
+          ))}
+        </select>
+        <select className={selectClass} value={game} onChange={(e) => setGame(e.target.value)}>
+          <option value="">All games</option>
+          {gameOptions.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-10 text-gray-400 text-sm">Loading edges...</div>
+      ) : edges.length === 0 ? (
+        <div className="bg-slate-800/40 rounded-2xl p-10 text-center border border-slate-700/50">
+          <p className="text-gray-300 font-semibold">
+            {result?.scanning ? 'Scanning today\'s slate...' : 'No edges match these filters'}
+          </p>
+          <p className="text-sm text-gray-400 mt-1">
+            {result?.scanning ? 'Predictions for every prop are being priced; this can take a few minutes.' : 'Try a lower minimum EV or another book.'}
+          </p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-slate-800/40 rounded-2xl border border-slate-700/50">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 border-b border-slate-700/50">
+                <th className="py-3 px-4 text-left font-normal">Player</th>
+                <th className="py-3 px-4 text-left font-normal">Prop</th>
+                <th className="py-3 px-4 text-center font-normal">Pick</th>
+                <th className="py-3 px-4 text-center font-normal">Projection</th>
+                <th className="py-3 px-4 text-center font-normal">Model</th>
+                <th className="py-3 px-4 text-center font-normal">Best Price</th>
+                <th className="py-3 px-4 text-right font-normal">EV</th>
+              </tr>
+            </thead>
+            <tbody>
+              {edges.map((edge, index) => {
+                const yesNo = isYesNoProp(propTypes, edge.prop_type);
+                const pick = yesNo
+                  ? (edge.side === 'OVER' ? 'Yes' : 'No')
+                  : `${edge.side === 'OVER' ? 'O' : 'U'} ${parseFloat(edge.book_line).toFixed(1)}`;
+                return (
+                  <motion.tr
+                    key={`${edge.player}-${edge.prop_type}-${index}`}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    transition={{ delay: index * 0.02 }}
+                    onClick={() => onSelectPlayer({
+                      name: edge.player,
+                      betting_line: edge.line,
+                      prop_type: edge.prop_type,
+                      bookmaker: edge.bookmaker,
+                      event_id: edge.event_id
+                    })}
+                    className="border-b border-slate-700/30 hover:bg-slate-700/30 cursor-pointer transition-colors"
+                  >
+                    <td className="py-3 px-4">
+                      <div className="text-white font-semibold">{edge.player}</div>
+                      <div className="text-xs text-gray-400">{edge.team} {edge.is_home ? 'vs' : '@'} {edge.opponent}</div>
+                    </td>
+                    <td className="py-3 px-4 text-gray-200">{getPropLabel(propTypes, edge.prop_type)}</td>
+                    <td className={`py-3 px-4 text-center font-bold ${edge.side === 'OVER' ? 'text-green-400' : 'text-red-400'}`}>{pick}</td>
+                    <td className="py-3 px-4 text-center text-white">
+                      {edge.prediction != null ? (yesNo ? `${(edge.prediction * 100).toFixed(0)}%` : edge.prediction.toFixed(1)) : '-'}
+                    </td>
+                    <td className="py-3 px-4 text-center text-gray-200">
+                      {edge.probability != null ? `${(edge.probability * 100).toFixed(0)}%` : '-'}
+                      {edge.fair_probability != null && (
+                        <span className="text-xs text-gray-500"> vs {(edge.fair_probability * 100).toFixed(0)}% fair</span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      <div className="flex items-center justify-center gap-2">
+                        <img
+                          src={getSportsbookLogo(edge.bookmaker_key || edge.bookmaker)}
+                          alt=""
+                          className="w-5 h-5 object-contain rounded"
+                          onError={(e) => e.target.style.display = 'none'}
+                        />
+                        <span className="text-white font-semibold">{formatOdds(edge.odds)}</span>
+                      </div>
+                    </td>
+                    <td className={`py-3 px-4 text-right font-bold ${getEVColor(edge.ev)}`}>
+                      {edge.ev > 0 ? '+' : ''}{edge.ev.toFixed(1)}%
+                    </td>
+                  </motion.tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default TopEdges;
@@ -52,6 +52,40 @@ export function calculateCoverProbability(prediction, line, errorMargin, isOver
   return Math.max(0, Math.min(1, probability)) * 100; // Return as percentage
 }
 
+/**
+ * Cover probability from the server-side predictive distribution
+ * Returns a percentage, or null when the distribution wasn't priced at this line
+ */
+export function getDistributionCoverProbability(distribution, line, isOver = true) {
+  if (!distribution || distribution.line == null || distribution.line !== line) return null;
+  const probability = isOver ? distribution.p_over : distribution.p_under;
+  if (probability == null) return null;
+  return probability * 100;
+}
+
+/**
+ * Push probability (percentage) from the server-side distribution
+ */
+export function getDistributionPushProbability(distribution, line) {
+  if (!distribution || distribution.line == null || distribution.line !== line) return 0;
+  return (distribution.p_push || 0) * 100;
+}
+
+/**
+ * Market benchmark from the no-vig consensus (prop.consensus from the odds endpoint)
+ * Returns { probability (percentage), fairOdds } for one side, or null when the
+ * consensus wasn't priced at this line
+ */
+export function getConsensusBenchmark(consensus, line, isOver = true) {
+  if (!consensus || consensus.line == null || line == null || Math.abs(consensus.line - line) > 0.01) return null;
+  const probability = isOver ? consensus.fair_over_probability : consensus.fair_under_probability;
+  if (probability == null) return null;
+  return {
+    probability: probability * 100,
+    fairOdds: isOver ? consensus.fair_over_odds : consensus.fair_under_odds
+  };
+}
+
 /**
  * Error function approximation
  */
@@ -75,19 +109,26 @@ function erf(x) {
 
 /**
  * Calculate Expected Value
- * EV = (cover_probability * payout_multiplier) - (1 - cover_probability)
+ * EV = (cover_probability * payout_multiplier) - lose_probability
  * payout_multiplier = decimal_odds - 1
+ * lose_probability = 1 - cover_probability - push_probability (stake returned on a push)
+ * With a benchmark (getConsensusBenchmark), the bet is priced at the market's fair
+ * odds instead, i.e. the model's edge over the no-vig consensus.
  */
-export function calculateExpectedValue(coverProbability, americanOdds) {
+export function calculateExpectedValue(coverProbability, americanOdds, pushProbability = 0, benchmark = null) {
+  if (benchmark?.fairOdds != null) {
+    americanOdds = benchmark.fairOdds;
+  }
   if (coverProbability == null || americanOdds == null) return null;
   
   const prob = coverProbability / 100; // Convert to decimal
+  const pushProb = (pushProbability || 0) / 100;
   const decimalOdds = americanToDecimal(americanOdds);
   
   if (!decimalOdds) return null;
   
   const payoutMultiplier = decimalOdds - 1;
-  const ev = (prob * payoutMultiplier) - (1 - prob);
+  const ev = (prob * payoutMultiplier) - Math.max(0, 1 - prob - pushProb);
   
   return ev * 100; // Return as percentage
 }
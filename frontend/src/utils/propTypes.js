@@ -0,0 +1,110 @@
+/**
+ * Prop type registry on the frontend
+ * Loads the backend registry (GET /api/props/types) once and resolves prop ids,
+ * aliases, game log values and display labels through it, so the UI never keeps
+ * its own copy of the prop list.
+ */
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const API_BASE = '/api';
+
+let registryCache = null;
+let registryRequest = null;
+
+/**
+ * Fetch the registry (cached for the session)
+ * @returns {Promise<object|null>} { props, stat_fields, byKey }
+ */
+export function loadPropTypes() {
+  if (registryCache) return Promise.resolve(registryCache);
+  if (!registryRequest) {
+    registryRequest = axios.get(`${API_BASE}/props/types`)
+      .then(response => {
+        const props = response.data?.props || [];
+        const byKey = new Map();
+        for (const prop of props) {
+          for (const key of [prop.id, ...(prop.aliases || [])]) {
+            byKey.set(key, prop);
+          }
+        }
+        registryCache = { props, stat_fields: response.data?.stat_fields || {}, byKey };
+        return registryCache;
+      })
+      .catch(error => {
+        console.warn('Prop types unavailable:', error.message);
+        registryRequest = null;
+        return null;
+      });
+  }
+  return registryRequest;
+}
+
+/**
+ * Registry for components (null until loaded)
+ */
+export function usePropTypes() {
+  const [registry, setRegistry] = useState(registryCache);
+
+  useEffect(() => {
+    if (registry) return;
+    let cancelled = false;
+    loadPropTypes().then(loaded => {
+      if (!cancelled && loaded) setRegistry(loaded);
+    });
+    return () => { cancelled = true; };
+  }, [registry]);
+
+  return registry;
+}
+
+/**
+ * Registry entry for a prop id or alias ("pts+reb" style accepted)
+ */
+export function getPropType(registry, propType) {
+  if (!registry || !propType) return null;
+  const key = propType.toString().trim().toLowerCase().replace(/\s*\+\s*/g, '_');
+  return registry.byKey.get(key) || null;
+}
+
+function getStatValue(registry, game, stat) {
+  const fields = registry?.stat_fields?.[stat] || [stat];
+  for (const field of fields) {
+    const value = game?.[field];
+    if (value == null || value === '') continue;
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return 0;
+}
+
+/**
+ * Value of a prop in a game log entry (sum of its stat components, 1/0 for yes/no props)
+ * Before the registry loads, reads the field named after the prop.
+ */
+export function getPropValue(registry, game, propType) {
+  const prop = getPropType(registry, propType);
+  if (!prop) return getStatValue(registry, game, propType);
+  if (prop.milestone) {
+    const reached = prop.components.filter(stat => getStatValue(registry, game, stat) >= prop.milestone.threshold).length;
+    return reached >= prop.milestone.count ? 1 : 0;
+  }
+  return prop.components.reduce((sum, stat) => sum + getStatValue(registry, game, stat), 0);
+}
+
+/**
+ * Whether a prop is a yes/no market (double-double, triple-double; Yes = over 0.5)
+ */
+export function isYesNoProp(registry, propType) {
+  return Boolean(getPropType(registry, propType)?.milestone);
+}
+
+/**
+ * Display label for a prop
+ * @param {string} variant - 'label' | 'shortLabel' | 'abbrev' | 'noun'
+ */
+export function getPropLabel(registry, propType, variant = 'label') {
+  const prop = getPropType(registry, propType);
+  return prop?.[variant] || (propType || '').toString().replace(/_/g, ' ');
+}
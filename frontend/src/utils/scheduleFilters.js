@@ -0,0 +1,43 @@
+/**
+ * Schedule split filters for the chart and game log
+ * Games from /api/player/:name/compare carry a `schedule` object
+ * (rest_days, back_to_back, three_in_four, road_trip_game, travel_miles, tz_shift, at_altitude)
+ */
+
+export const SCHEDULE_FILTERS = [
+  { label: 'B2B', description: 'Second night of a back-to-back', test: s => s.back_to_back },
+  { label: '3-in-4', description: 'Third game in four nights', test: s => s.three_in_four },
+  { label: 'Rested', description: '2+ days of rest', test: s => s.rest_days != null && s.rest_days >= 2 },
+  { label: 'Road Trip', description: 'Third game or later of a road trip', test: s => s.road_trip_game >= 3 },
+  { label: 'Long Travel', description: '1,000+ miles or 2+ time zones since the last game', test: s => s.travel_miles >= 1000 || Math.abs(s.tz_shift || 0) >= 2 },
+  { label: 'Altitude', description: 'Played in Denver or Utah', test: s => s.at_altitude }
+];
+
+/**
+ * Schedule filters that match at least one game in the log
+ */
+export function getScheduleFilters(stats) {
+  const games = (stats || []).filter(game => game.schedule);
+  return SCHEDULE_FILTERS.filter(f => games.some(game => f.test(game.schedule)));
+}
+
+/**
+ * Games matching a schedule filter
+ */
+export function applyScheduleFilter(stats, scheduleFilter) {
+  return (stats || []).filter(game => game.schedule && scheduleFilter.test(game.schedule));
+}
+
+/**
+ * Short badges for a game's schedule context (game log rows)
+ */
+export function getScheduleBadges(schedule) {
+  if (!schedule) return [];
+  const badges = [];
+  if (schedule.back_to_back) badges.push('B2B');
+  else if (schedule.rest_days != null && schedule.rest_days >= 2) badges.push(`${schedule.rest_days}d rest`);
+  if (schedule.three_in_four) badges.push('3-in-4');
+  if (schedule.road_trip_game >= 3) badges.push(`Trip G${schedule.road_trip_game}`);
+  if (schedule.at_altitude) badges.push('Altitude');
+  return badges;
+}